@@ -1,6 +1,8 @@
 // handlers/matchHandler.js
 const admin = require('firebase-admin');
-const { performIntelligentMatching } = require('../utils/routeMatching');
+const { performIntelligentMatching, searchPhone } = require('../utils/routeMatching');
+const { loadBlockedWith } = require('../utils/blockList');
+const { formatPhoneNumber } = require('../utils/helpers');
 
 class MatchHandler {
   constructor(db) {
@@ -81,10 +83,12 @@ class MatchHandler {
         .where('isActive', '==', true)
         .get();
 
-      return passengersSnapshot.docs.map(doc => ({
-        id: doc.id,
-        ...doc.data()
-      }));
+      // Nobody the driver blocked or was blocked by
+      const blockedWith = await loadBlockedWith(this.db, searchPhone('driver', driverData));
+
+      return passengersSnapshot.docs
+        .map(doc => ({ id: doc.id, ...doc.data() }))
+        .filter(passenger => !blockedWith.has(formatPhoneNumber(searchPhone('passenger', passenger))));
     } catch (error) {
       console.error('❌ Error finding matching passengers:', error);
       return [];
@@ -99,10 +103,12 @@ class MatchHandler {
         .where('isActive', '==', true)
         .get();
 
-      return driversSnapshot.docs.map(doc => ({
-        id: doc.id,
-        ...doc.data()
-      }));
+      // Nobody the passenger blocked or was blocked by
+      const blockedWith = await loadBlockedWith(this.db, searchPhone('passenger', passengerData));
+
+      return driversSnapshot.docs
+        .map(doc => ({ id: doc.id, ...doc.data() }))
+        .filter(driver => !blockedWith.has(formatPhoneNumber(searchPhone('driver', driver))));
     } catch (error) {
       console.error('❌ Error finding matching drivers:', error);
       return [];
@@ -0,0 +1,97 @@
+// scripts/benchmarkSpatialIndex.js
+// Candidate filtering throughput: spatial index vs. scanning every active search.
+// Usage: node scripts/benchmarkSpatialIndex.js [sizes...]   (default: 10000 25000 50000)
+const { SpatiallyIndexedMap } = require('../src/utils/spatialIndex');
+const { calculateHaversineDistance } = require('../src/utils/helpers');
+const { MATCHING } = require('../src/config/constants');
+
+const RADIUS = MATCHING.MAX_DISTANCE_FOR_INITIAL_FILTER;
+const CENTER = { lat: 9.03, lng: 38.74 }; // Addis Ababa
+const SPREAD_DEGREES = 0.35; // ~40 km box
+const QUERIES = 2000;
+const SCAN_QUERIES = 100; // full scans are slow - time a sample and compare per query
+
+// Deterministic runs so numbers are comparable between machines
+const random = (() => {
+  let seed = 42;
+  return () => {
+    seed = (seed + 0x6D2B79F5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+})();
+
+const randomLocation = () => ({
+  lat: CENTER.lat + (random() - 0.5) * SPREAD_DEGREES,
+  lng: CENTER.lng + (random() - 0.5) * SPREAD_DEGREES
+});
+
+const elapsedMs = (start) => Number(process.hrtime.bigint() - start) / 1e6;
+const perSecond = (count, ms) => Math.round(count / (ms / 1000)).toLocaleString();
+
+const scan = (searches, location) => {
+  const ids = [];
+  for (const [id, search] of searches) {
+    const { lat, lng } = search.pickupLocation;
+    if (calculateHaversineDistance(location.lat, location.lng, lat, lng) * 1000 <= RADIUS) ids.push(id);
+  }
+  return ids;
+};
+
+const run = (size) => {
+  const searches = new SpatiallyIndexedMap(search => search.pickupLocation);
+
+  let start = process.hrtime.bigint();
+  for (let i = 0; i < size; i++) {
+    searches.set(`+2519${String(i).padStart(8, '0')}`, { pickupLocation: randomLocation() });
+  }
+  const insertMs = elapsedMs(start);
+
+  // Searches get updated as users move/edit their trip
+  const keys = [...searches.keys()];
+  start = process.hrtime.bigint();
+  for (let i = 0; i < size; i++) {
+    searches.set(keys[i], { pickupLocation: randomLocation() });
+  }
+  const updateMs = elapsedMs(start);
+
+  const drivers = Array.from({ length: QUERIES }, randomLocation);
+
+  start = process.hrtime.bigint();
+  let candidates = 0;
+  for (const location of drivers) {
+    candidates += searches.nearbyKeys(location, RADIUS).length;
+  }
+  const queryMs = elapsedMs(start);
+
+  start = process.hrtime.bigint();
+  let mismatches = 0;
+  for (const location of drivers.slice(0, SCAN_QUERIES)) {
+    const scanned = scan(searches, location);
+    const indexed = searches.nearbyKeys(location, RADIUS);
+    if (scanned.length !== indexed.length) mismatches++;
+  }
+  // Each sampled iteration ran one scan plus one (comparatively free) index query
+  const scanMsPerQuery = (elapsedMs(start) - (queryMs / QUERIES) * SCAN_QUERIES) / SCAN_QUERIES;
+  const indexMsPerQuery = queryMs / QUERIES;
+
+  start = process.hrtime.bigint();
+  for (const key of keys) searches.delete(key);
+  const removeMs = elapsedMs(start);
+
+  console.log(`\n📊 ${size.toLocaleString()} active searches (radius ${RADIUS} m)`);
+  console.log(`  insert:  ${perSecond(size, insertMs)} ops/s`);
+  console.log(`  update:  ${perSecond(size, updateMs)} ops/s`);
+  console.log(`  remove:  ${perSecond(size, removeMs)} ops/s`);
+  console.log(`  query:   ${perSecond(QUERIES, queryMs)} queries/s via index, ` +
+    `${perSecond(1, scanMsPerQuery)} queries/s via full scan (${(scanMsPerQuery / indexMsPerQuery).toFixed(1)}x)`);
+  console.log(`  avg candidates per driver: ${Math.round(candidates / QUERIES)} of ${size}`);
+  console.log(`  ${mismatches === 0 ? '✅' : '❌'} index matched full scan on ${SCAN_QUERIES} sampled queries`);
+
+  return mismatches;
+};
+
+const sizes = process.argv.slice(2).map(Number).filter(n => n > 0);
+const failures = (sizes.length ? sizes : [10000, 25000, 50000]).reduce((sum, size) => sum + run(size), 0);
+process.exit(failures === 0 ? 0 : 1);
@@ -4,6 +4,14 @@
 
 const WebSocket = require('ws');
 const logger = require('../utils/Logger');
+const {
+  authenticateUpgrade,
+  upgradeAuthenticated,
+  rejectConnection,
+  scheduleTokenExpiry,
+  clearTokenExpiry,
+  refreshConnectionToken
+} = require('./utils/wsAuth');
 
 class ScheduledWebSocketServer {
   constructor(server, firestoreService, scheduledMatchingService = null, notificationService = null) {
@@ -11,6 +19,8 @@ class ScheduledWebSocketServer {
     this.firestoreService = firestoreService;
     this.scheduledMatchingService = scheduledMatchingService;
     this.notificationService = notificationService;
+    this.rideHistoryService = null;
+    this.cleanupService = null;
     
     this.connectedUsers = new Map();
     this.userSubscriptions = new Map();
@@ -38,7 +48,7 @@ class ScheduledWebSocketServer {
     
     const allowedOrigins = ['http://localhost:8082', 'http://127.0.0.1:8082', 'http://localhost:3000', null, undefined, 'null'];
     if (process.env.NODE_ENV !== 'production' || allowedOrigins.includes(req.headers.origin)) {
-      this.wss.handleUpgrade(req, socket, head, (ws) => this.wss.emit('connection', ws, req));
+      upgradeAuthenticated(this.wss, req, socket, head);
     } else {
       socket.write('HTTP/1.1 403 Forbidden\r\n\r\n');
       socket.destroy();
@@ -48,15 +58,24 @@ class ScheduledWebSocketServer {
   setupWebSocket() {
     this.wss.on('connection', async (ws, req) => {
       try {
-        const { query: { userId, platform = 'flutter_web', role = 'unknown' } } = require('url').parse(req.url, true);
-        if (!userId) return ws.close(1008, 'User ID required');
+        const { query: { platform = 'flutter_web', role = 'unknown' } } = require('url').parse(req.url, true);
         
-        const formattedUserId = this.formatPhoneNumber(decodeURIComponent(userId).replace(/%2B/g, '+'));
+        // Identity comes from the handshake token, never from ?userId=
+        const authResult = req.authResult || authenticateUpgrade(req);
+        if (!authResult.success) {
+          logger.warn('SCHEDULED_WS', `Rejected connection: ${authResult.error}`);
+          return rejectConnection(ws, authResult);
+        }
+        
+        const userId = authResult.principal.phone;
+        const formattedUserId = userId;
         const isPhone = this.isPhoneNumber(formattedUserId);
         
         // Close existing connection if any
         if (this.connectedUsers.has(formattedUserId)) {
-          try { this.connectedUsers.get(formattedUserId).ws.close(1000, 'New connection'); } catch (e) {}
+          const existing = this.connectedUsers.get(formattedUserId);
+          clearTokenExpiry(existing);
+          try { existing.ws.close(1000, 'New connection'); } catch (e) {}
           this.connectedUsers.delete(formattedUserId);
         }
         
@@ -67,6 +86,7 @@ class ScheduledWebSocketServer {
         // Store connection
         this.connectedUsers.set(formattedUserId, {
           ws, 
+          auth: authResult.principal,
           platform, 
           connectedAt: new Date().toISOString(), 
           lastActivity: Date.now(), 
@@ -78,12 +98,15 @@ class ScheduledWebSocketServer {
           subscriptions: new Set()
         });
         
+        scheduleTokenExpiry(this.connectedUsers.get(formattedUserId), (message) => this.sendToUser(formattedUserId, message));
+        
         // Send connection confirmation
         try {
           ws.send(JSON.stringify({
             type: 'CONNECTED', 
             data: {
               userId: formattedUserId, 
+              tokenExpiresAt: new Date(authResult.principal.expiresAt).toISOString(), 
               userProfile: userDetails, 
               timestamp: Date.now(),
               message: `Connected as ${userDetails.name || role}`, 
@@ -129,11 +152,11 @@ class ScheduledWebSocketServer {
         ws.on('message', async (data) => this.handleMessage(formattedUserId, data));
         
         // Close handler
-        ws.on('close', () => this.handleConnectionClose(formattedUserId, userId));
+        ws.on('close', () => this.handleConnectionClose(formattedUserId, userId, ws));
         
         // Error handler
         ws.on('error', (error) => { 
-          this.handleConnectionClose(formattedUserId, userId); 
+          this.handleConnectionClose(formattedUserId, userId, ws); 
           logger.error('SCHEDULED_WS', `WebSocket error for ${formattedUserId}:`, error); 
         });
         
@@ -170,7 +193,7 @@ class ScheduledWebSocketServer {
       userInfo.lastActivity = Date.now();
       
       // Check if services are available
-      if (!this.scheduledMatchingService && !['PING', 'CONNECTED', 'REGISTER_FCM_TOKEN', 'REMOVE_FCM_TOKEN'].includes(message.type)) {
+      if (!this.scheduledMatchingService && !['PING', 'CONNECTED', 'REFRESH_TOKEN', 'REGISTER_FCM_TOKEN', 'REMOVE_FCM_TOKEN'].includes(message.type)) {
         return this.sendToUser(connectionKey, { 
           type: 'ERROR', 
           data: { message: 'Scheduled matching service unavailable', timestamp: Date.now() } 
@@ -181,6 +204,7 @@ class ScheduledWebSocketServer {
       const handlers = {
         // Basic handlers
         PING: () => this.handlePing(connectionKey, userInfo),
+        REFRESH_TOKEN: () => this.handleTokenRefresh(connectionKey, message, userInfo),
         
         // FCM Token handlers - DELEGATE TO NOTIFICATION SERVICE
         REGISTER_FCM_TOKEN: () => this.handleRegisterFCMToken(connectionKey, message),
@@ -249,6 +273,39 @@ class ScheduledWebSocketServer {
     }
   }
 
+  // ==================== SESSION TOKEN REFRESH ====================
+
+  // Clients get a new token from POST /api/auth/refresh and hand it over before the old one expires
+  handleTokenRefresh(userId, message, userInfo) {
+    const { token } = message.data || message;
+    if (!token) {
+      return this.sendToUser(userId, { 
+        type: 'TOKEN_REFRESH_FAILED', 
+        data: { message: 'token is required (get one from POST /api/auth/refresh)', timestamp: Date.now() } 
+      });
+    }
+    
+    const result = refreshConnectionToken(userInfo, token);
+    if (!result.success) {
+      return this.sendToUser(userId, { 
+        type: 'TOKEN_REFRESH_FAILED', 
+        data: { message: result.error, code: result.code, timestamp: Date.now() } 
+      });
+    }
+    
+    // Aliases (Firebase UID) share the same socket and session
+    for (const u of this.connectedUsers.values()) {
+      if (u.ws === userInfo.ws) u.auth = result.principal;
+    }
+    
+    scheduleTokenExpiry(userInfo, (msg) => this.sendToUser(userId, msg));
+    this.sendToUser(userId, { 
+      type: 'TOKEN_REFRESHED', 
+      data: { expiresAt: new Date(result.principal.expiresAt).toISOString(), timestamp: Date.now() } 
+    });
+    logger.info('SCHEDULED_WS', `🔑 Token refreshed for ${userId}`);
+  }
+
   // ==================== FCM TOKEN HANDLERS - DELEGATE TO NOTIFICATION SERVICE ====================
 
   async handleRegisterFCMToken(userId, message) {
@@ -923,6 +980,16 @@ class ScheduledWebSocketServer {
       // Update stats
       await this.updateRideStats(ride.driverPhone, ride.passengerPhone, 0, true);
       
+      // Per-user ride history
+      if (this.rideHistoryService) {
+        await this.rideHistoryService.recordCancelledRide({ ...ride, rideId }, {
+          source: 'scheduled',
+          cancelledBy: userType,
+          reason,
+          cancelledAt: now
+        });
+      }
+      
       const other = nUserId === ride.driverPhone ? ride.passengerPhone : ride.driverPhone;
       const notification = {
         type: 'SCHEDULED_RIDE_CANCELLED_NOTIFICATION',
@@ -1086,6 +1153,16 @@ class ScheduledWebSocketServer {
       // Update stats
       await this.updateRideStats(ride.driverPhone, ride.passengerPhone, finalAmount);
       
+      // Per-user ride history
+      if (this.rideHistoryService) {
+        await this.rideHistoryService.recordCompletedRide({ ...ride, rideId }, {
+          source: 'scheduled',
+          paymentAmount: finalAmount,
+          paymentMethod,
+          completedAt: now
+        });
+      }
+      
       const notification = {
         type: 'SCHEDULED_RIDE_COMPLETED_NOTIFICATION',
         data: { 
@@ -1922,7 +1999,13 @@ class ScheduledWebSocketServer {
 
   // ==================== CLEANUP METHODS ====================
 
-  handleConnectionClose(connectionKey, originalUserId) {
+  handleConnectionClose(connectionKey, originalUserId, ws = null) {
+    const current = this.connectedUsers.get(connectionKey);
+    
+    // A replaced socket closing must not remove the user's newer connection
+    if (ws && current && current.ws !== ws) return;
+    
+    clearTokenExpiry(current);
     this.cleanupUserData(connectionKey);
     
     for (const [key, u] of this.connectedUsers.entries()) {
@@ -1962,6 +2045,7 @@ class ScheduledWebSocketServer {
           }
         } catch (e) {}
         
+        clearTokenExpiry(u);
         this.cleanupUserData(id);
         this.connectedUsers.delete(id);
         logger.info('SCHEDULED_WS', `Cleaned up stale connection: ${id}`);
@@ -1969,69 +2053,17 @@ class ScheduledWebSocketServer {
     }
   }
 
-  cleanupExpiredScheduledData() {
-    this.cleanupExpiredSearches();
-    this.cleanupExpiredMatches();
-  }
+  // Expired scheduled searches/matches are removed by CleanupService's retention policies
+  async cleanupExpiredScheduledData() {
+    if (!this.cleanupService) return;
 
-  async cleanupExpiredSearches() {
-    try {
-      const expiry = new Date(Date.now() - 7*24*60*60*1000).toISOString();
-      
-      // Use firestoreService.queryCollection for both collections
-      const [driverQ, passengerQ] = await Promise.all([
-        this.firestoreService.queryCollection(
-          'scheduled_searches_driver',
-          [
-            { field: 'scheduledTime', operator: '<', value: expiry },
-            { field: 'status', operator: 'in', value: ['completed', 'cancelled', 'expired'] }
-          ],
-          50
-        ),
-        this.firestoreService.queryCollection(
-          'scheduled_searches_passenger',
-          [
-            { field: 'scheduledTime', operator: '<', value: expiry },
-            { field: 'status', operator: 'in', value: ['completed', 'cancelled', 'expired'] }
-          ],
-          50
-        )
-      ]);
-      
-      const batch = this.firestore.batch();
-      driverQ.forEach(d => batch.delete(d.ref));
-      passengerQ.forEach(d => batch.delete(d.ref));
-      
-      if (driverQ.size + passengerQ.size > 0) {
-        await batch.commit();
-      }
-    } catch (error) {
-      logger.error('SCHEDULED_WS', 'Error cleaning up expired searches:', error);
-    }
-  }
+    const result = await this.cleanupService.performCleanup({
+      policies: ['scheduled_searches_driver', 'scheduled_searches_passenger', 'scheduled_matches'],
+      trigger: 'scheduled_ws'
+    });
 
-  async cleanupExpiredMatches() {
-    try {
-      const expiry = new Date(Date.now() - 30*24*60*60*1000).toISOString();
-      
-      // Use firestoreService.queryCollection
-      const matchQ = await this.firestoreService.queryCollection(
-        'scheduled_matches',
-        [
-          { field: 'createdAt', operator: '<', value: expiry },
-          { field: 'status', operator: 'in', value: ['expired', 'cancelled', 'declined'] }
-        ],
-        50
-      );
-      
-      const batch = this.firestore.batch();
-      matchQ.forEach(d => batch.delete(d.ref));
-      
-      if (matchQ.size > 0) {
-        await batch.commit();
-      }
-    } catch (error) {
-      logger.error('SCHEDULED_WS', 'Error cleaning up expired matches:', error);
+    if (!result.success) {
+      logger.warn('SCHEDULED_WS', `Scheduled data cleanup skipped: ${result.error}`);
     }
   }
 
@@ -2078,6 +2110,16 @@ class ScheduledWebSocketServer {
     logger.info('SCHEDULED_WS', '🔗 Linked to ScheduledMatchingService');
   }
 
+  setupRideHistoryIntegration(rideHistoryService) {
+    this.rideHistoryService = rideHistoryService;
+    logger.info('SCHEDULED_WS', '🔗 Linked to RideHistoryService');
+  }
+
+  setupCleanupIntegration(cleanupService) {
+    this.cleanupService = cleanupService;
+    logger.info('SCHEDULED_WS', '🔗 Linked to CleanupService');
+  }
+
   // ==================== STATS METHODS ====================
 
   getStats() {
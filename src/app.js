@@ -43,6 +43,34 @@ let scheduledService = null;
 let notificationService = null;
 let rideHistoryService = null;    // NEW: Ride History Service
 let cleanupService = null;        // NEW: Cleanup Service
+let authService = null;           // Phone OTP auth + session tokens
+let adminService = null;          // Admin principals + audit trail
+let ratingService = null;         // Ratings & reviews
+let ledgerService = null;         // Payment ledger + settlement
+let cancellationPolicyService = null; // Cancellation fees, strikes, cooldowns
+let reminderService = null;       // Reminders before confirmed scheduled rides
+let recurringRideService = null;  // Recurring rides (commute templates)
+let rescheduleService = null;     // Rescheduling scheduled searches and confirmed rides
+let vehicleService = null;        // Driver vehicle registry
+let driverVerificationService = null; // Driver license/registration review
+let blockService = null;          // Block list between users
+let locationService = null;       // In-memory driver/passenger location sessions
+let tripShareService = null;      // Trusted contacts + live trip links
+
+// Session token auth for HTTP routes
+const { requireAuth, requireSelf } = require('./middlewares/auth');
+const { requireAdmin, requireTestRoutes } = require('./middlewares/admin');
+const {
+  authenticateUpgrade,
+  upgradeAuthenticated,
+  rejectUpgrade,
+  rejectConnection,
+  scheduleTokenExpiry,
+  clearTokenExpiry,
+  refreshConnectionToken
+} = require('./utils/wsAuth');
+const { normalizeProfileUpdate } = require('./utils/ridePreferences');
+const cache = require('./utils/cache');
 
 // ==================== UTILITY FUNCTIONS ====================
 
@@ -77,6 +105,8 @@ class BaseWebSocketServer {
     this.scheduledService = services.scheduledService;
     this.notificationService = services.notificationService;
     this.rideHistoryService = services.rideHistoryService; // NEW
+    this.authService = services.authService;
+    this.ratingService = services.ratingService;
     this.db = services.firestoreService?.db;
     this.admin = services.firestoreService?.admin;
     this.options = options;
@@ -96,38 +126,43 @@ class BaseWebSocketServer {
   async handleConnection(ws, req) {
     try {
       const parsedUrl = url.parse(req.url, true);
-      let userId = parsedUrl.query.userId ? decodeURIComponent(parsedUrl.query.userId.trim()) : '';
-      userId = userId.replace(/%2B/g, '+');
       
-      if (!userId) {
-        ws.close(1008, 'User ID required');
+      // Identity comes from the handshake token, never from ?userId=
+      const authResult = req.authResult || authenticateUpgrade(req);
+      if (!authResult.success) {
+        logger.warn(this.options.logPrefix, `Rejected connection: ${authResult.error}`);
+        rejectConnection(ws, authResult);
         return;
       }
       
-      const connectionKey = formatPhoneNumber(userId);
+      const connectionKey = authResult.principal.phone;
       const userInfo = {
         ws,
+        auth: authResult.principal,
         platform: parsedUrl.query.platform || 'unknown',
         role: parsedUrl.query.role || parsedUrl.query.userType || 'unknown',
         connectedAt: new Date().toISOString(),
         lastActivity: Date.now(),
-        originalId: userId,
+        originalId: parsedUrl.query.userId || connectionKey,
         formattedId: connectionKey
       };
       
       // Close existing connection
       if (this.connectedUsers.has(connectionKey)) {
         const existing = this.connectedUsers.get(connectionKey);
+        clearTokenExpiry(existing);
         try { existing.ws.close(1000, 'New connection'); } catch (e) {}
       }
       
       this.connectedUsers.set(connectionKey, userInfo);
+      scheduleTokenExpiry(userInfo, (message) => this.sendToUser(connectionKey, message));
       
       // Send connection confirmation
       this.sendToUser(connectionKey, {
         type: 'CONNECTED',
         data: {
           userId: connectionKey,
+          tokenExpiresAt: new Date(userInfo.auth.expiresAt).toISOString(),
           timestamp: Date.now(),
           message: `Connected to ${this.options.name}`,
           server: 'localhost:3000',
@@ -137,10 +172,10 @@ class BaseWebSocketServer {
       
       // Setup message handlers
       ws.on('message', (data) => this.handleMessage(connectionKey, data));
-      ws.on('close', () => this.handleDisconnection(connectionKey));
+      ws.on('close', () => this.handleDisconnection(connectionKey, ws));
       ws.on('error', (error) => {
         logger.error(this.options.logPrefix, `Error for ${connectionKey}:`, error.message);
-        this.handleDisconnection(connectionKey);
+        this.handleDisconnection(connectionKey, ws);
       });
       
       // Keep alive
@@ -192,9 +227,16 @@ class BaseWebSocketServer {
   async routeMessage(connectionKey, message, userInfo) {
     const handlers = {
       'PING': () => this.sendToUser(connectionKey, { type: 'PONG', timestamp: Date.now() }),
+      'REFRESH_TOKEN': () => this.handleTokenRefresh(connectionKey, message, userInfo),
       'CREATE_SCHEDULED_SEARCH': () => this.handleScheduledSearchCreation(connectionKey, message),
       'GET_SCHEDULED_STATUS': () => this.handleScheduledStatusRequest(connectionKey, message),
       'CANCEL_SCHEDULED_SEARCH': () => this.handleScheduledSearchCancellation(connectionKey, message),
+      'START_SCHEDULED_RIDE': () => this.handleRideLifecycle(connectionKey, message, 'start'),
+      'COMPLETE_SCHEDULED_RIDE': () => this.handleRideLifecycle(connectionKey, message, 'complete'),
+      'UPDATE_LOCATION': () => this.handleLocationUpdate(connectionKey, message, userInfo),
+      'RESCHEDULE': () => this.handleReschedule(connectionKey, message, 'request'),
+      'RESCHEDULE_RESPONSE': () => this.handleReschedule(connectionKey, message, 'respond'),
+      'RESCHEDULE_WITHDRAW': () => this.handleReschedule(connectionKey, message, 'withdraw'),
       'LOGIN_REQUEST': () => this.handleAuthRequest(connectionKey, message, 'login'),
       'REGISTER_REQUEST': () => this.handleAuthRequest(connectionKey, message, 'register'),
       'VERIFY_PHONE': () => this.handleAuthRequest(connectionKey, message, 'verify'),
@@ -208,7 +250,16 @@ class BaseWebSocketServer {
       'GET_RIDE_HISTORY': () => this.handleGetRideHistory(connectionKey, message, userInfo),
       'GET_RIDE_DETAILS': () => this.handleGetRideDetails(connectionKey, message, userInfo),
       'GET_RIDE_STATS': () => this.handleGetRideStats(connectionKey, message, userInfo),
-      'ADD_RIDE_FEEDBACK': () => this.handleAddRideFeedback(connectionKey, message, userInfo)
+      'ADD_RIDE_FEEDBACK': () => this.handleAddRideFeedback(connectionKey, message, userInfo),
+      
+      // Ratings
+      'SUBMIT_RATING': () => this.handleSubmitRating(connectionKey, message),
+      'GET_RATING_SUMMARY': () => this.handleGetRatingSummary(connectionKey, message),
+      
+      // Block list
+      'BLOCK_USER': () => this.handleBlockRequest(connectionKey, message, 'block'),
+      'UNBLOCK_USER': () => this.handleBlockRequest(connectionKey, message, 'unblock'),
+      'GET_BLOCKED_USERS': () => this.handleBlockRequest(connectionKey, message, 'list')
     };
     
     // ==================== ADD SCHEDULED MATCH HANDLERS TO BOTH SERVERS ====================
@@ -307,13 +358,15 @@ class BaseWebSocketServer {
       }
       
       const ride = await this.rideHistoryService.getRideDetails(rideId);
+      const isParticipant = !!ride && (ride.participantPhones || []).includes(connectionKey);
       
       this.sendToUser(connectionKey, {
         type: 'RIDE_DETAILS_RESPONSE',
         data: {
-          success: true,
-          ride,
-          rideId
+          success: isParticipant,
+          ride: isParticipant ? ride : null,
+          rideId,
+          ...(isParticipant ? {} : { error: 'Ride not found' })
         }
       });
       
@@ -381,13 +434,10 @@ class BaseWebSocketServer {
         return;
       }
       
-      const result = await this.rideHistoryService.addRideFeedback(
-        rideId,
-        connectionKey,
-        userType,
-        rating,
-        review
-      );
+      // Feedback counts toward the rating summaries when ratings are available
+      const result = this.ratingService
+        ? await this.ratingService.submitRating({ rideId, raterPhone: connectionKey, rating, comment: review })
+        : await this.rideHistoryService.addRideFeedback(rideId, connectionKey, userType, rating, review);
       
       this.sendToUser(connectionKey, {
         type: 'FEEDBACK_ADDED_RESPONSE',
@@ -403,6 +453,70 @@ class BaseWebSocketServer {
     }
   }
   
+  // ==================== RATING HANDLERS ====================
+  
+  async handleSubmitRating(connectionKey, message) {
+    console.log(`⭐ [WEBSOCKET] Submitting rating from ${connectionKey}`);
+    
+    try {
+      if (!this.ratingService) {
+        this.sendToUser(connectionKey, {
+          type: 'ERROR',
+          data: { message: 'Rating service unavailable' }
+        });
+        return;
+      }
+      
+      const data = message.data || message;
+      const result = await this.ratingService.submitRating({
+        rideId: data.rideId,
+        raterPhone: connectionKey,
+        rating: data.rating,
+        tags: data.tags,
+        comment: data.comment
+      });
+      
+      this.sendToUser(connectionKey, {
+        type: 'RATING_SUBMITTED_RESPONSE',
+        data: { ...result, rideId: data.rideId }
+      });
+      
+    } catch (error) {
+      console.error(`❌ [WEBSOCKET] Submit rating error:`, error);
+      this.sendToUser(connectionKey, {
+        type: 'ERROR',
+        data: { message: 'Failed to submit rating', error: error.message }
+      });
+    }
+  }
+  
+  async handleGetRatingSummary(connectionKey, message) {
+    try {
+      if (!this.ratingService) {
+        this.sendToUser(connectionKey, {
+          type: 'ERROR',
+          data: { message: 'Rating service unavailable' }
+        });
+        return;
+      }
+      
+      const data = message.data || message;
+      const result = await this.ratingService.getRatingSummary(data.phoneNumber || connectionKey);
+      
+      this.sendToUser(connectionKey, {
+        type: 'RATING_SUMMARY_RESPONSE',
+        data: result
+      });
+      
+    } catch (error) {
+      console.error(`❌ [WEBSOCKET] Rating summary error:`, error);
+      this.sendToUser(connectionKey, {
+        type: 'ERROR',
+        data: { message: 'Failed to get rating summary', error: error.message }
+      });
+    }
+  }
+  
   // ==================== FCM TOKEN REGISTRATION HANDLER ====================
   /**
    * Handle FCM token registration from client
@@ -778,125 +892,208 @@ class BaseWebSocketServer {
     }
   }
   
-  async handleAuthRequest(connectionKey, message, action) {
+  // START_SCHEDULED_RIDE {} - driver only
+  // COMPLETE_SCHEDULED_RIDE { matchId? } - driver only; fares are the stored quoted shares
+  async handleRideLifecycle(connectionKey, message, action) {
+    if (!this.scheduledService?.handleCompleteScheduledRide) {
+      this.sendToUser(connectionKey, { type: 'ERROR', error: 'Service unavailable' });
+      return;
+    }
+    
+    const data = message.data || message;
+    
+    try {
+      const result = action === 'start'
+        ? await this.scheduledService.handleStartScheduledRide(connectionKey)
+        : await this.scheduledService.handleCompleteScheduledRide(connectionKey, { matchId: data.matchId });
+      
+      this.sendToUser(connectionKey, {
+        type: result.success ? `${message.type}_RESULT` : 'ERROR',
+        data: result,
+        ...(result.success ? {} : { error: result.error })
+      });
+    } catch (error) {
+      logger.error(this.options.logPrefix, `Ride ${action} error: ${error.message}`);
+      this.sendToUser(connectionKey, { type: 'ERROR', error: `Failed to ${action} ride` });
+    }
+  }
+  
+  // UPDATE_LOCATION { latitude, longitude, accuracy?, speed?, heading?, userType? } - feeds live sessions
+  async handleLocationUpdate(connectionKey, message, userInfo) {
+    if (!this.locationService) {
+      this.sendToUser(connectionKey, { type: 'ERROR', error: 'Location service unavailable' });
+      return;
+    }
+    
+    const data = message.data || message;
+    const latitude = Number(data.latitude);
+    const longitude = Number(data.longitude);
+    if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) {
+      this.sendToUser(connectionKey, { type: 'ERROR', error: 'latitude and longitude are required' });
+      return;
+    }
+    
+    const userType = data.userType || userInfo.role;
+    if (userType !== 'driver' && userType !== 'passenger') {
+      this.sendToUser(connectionKey, { type: 'ERROR', error: 'userType must be driver or passenger' });
+      return;
+    }
+    
+    try {
+      const updated = await this.locationService.updateLocation(connectionKey, {
+        latitude,
+        longitude,
+        accuracy: data.accuracy,
+        speed: data.speed,
+        heading: data.heading,
+        timestamp: data.timestamp
+      }, userType);
+      
+      this.sendToUser(connectionKey, { type: 'UPDATE_LOCATION_RESULT', data: { updated: !!updated } });
+    } catch (error) {
+      logger.error(this.options.logPrefix, `Location update error: ${error.message}`);
+      this.sendToUser(connectionKey, { type: 'ERROR', error: 'Failed to update location' });
+    }
+  }
+  
+  // RESCHEDULE { userType?, scheduledTime?, pickupLocation?, pickupName? }
+  // RESCHEDULE_RESPONSE { requestId, decision: 'accept'|'decline' }
+  // RESCHEDULE_WITHDRAW { requestId }
+  async handleReschedule(connectionKey, message, action) {
+    if (!this.rescheduleService) {
+      this.sendToUser(connectionKey, { type: 'ERROR', error: 'Reschedule service unavailable' });
+      return;
+    }
+    
+    const data = message.data || message;
+    const userInfo = this.connectedUsers.get(connectionKey);
+    
     try {
-      const data = message.data || message;
       let result;
+      if (action === 'request') {
+        const { scheduledTime, pickupLocation, pickupName } = data;
+        result = await this.rescheduleService.requestReschedule(
+          connectionKey,
+          data.userType || userInfo?.role,
+          { scheduledTime, pickupLocation, pickupName }
+        );
+      } else if (action === 'respond') {
+        result = await this.rescheduleService.respondToReschedule(connectionKey, data.requestId, data.decision);
+      } else {
+        result = await this.rescheduleService.withdrawReschedule(connectionKey, data.requestId);
+      }
       
-      switch(action) {
-        case 'login':
-          const { phoneNumber, password } = data;
-          if (!phoneNumber || !password) {
-            result = { success: false, error: 'Phone and password required' };
-            break;
-          }
-          
-          const authRef = this.db.collection('authentication').doc(formatPhoneNumber(phoneNumber));
-          const authDoc = await authRef.get();
-          
-          if (!authDoc.exists) {
-            result = { success: false, error: 'User not found' };
-          } else if (authDoc.data().password !== password) {
-            result = { success: false, error: 'Incorrect password' };
-          } else {
-            const userData = authDoc.data();
-            result = {
-              success: true,
-              data: {
-                userId: formatPhoneNumber(phoneNumber),
-                phoneNumber: formatPhoneNumber(phoneNumber),
-                role: userData.role,
-                isVerified: userData.isVerified || false,
-                timestamp: Date.now()
-              }
-            };
-          }
-          break;
-          
-        case 'register':
-          const { phoneNumber: regPhone, password: regPass, role, name } = data;
-          if (!regPhone || !regPass || !role || !name) {
-            result = { success: false, error: 'All fields required' };
-            break;
-          }
-          
-          const formattedPhone = formatPhoneNumber(regPhone);
-          const userRef = this.db.collection('authentication').doc(formattedPhone);
-          
-          if ((await userRef.get()).exists) {
-            result = { success: false, error: 'User already exists' };
-          } else {
-            await userRef.set({
-              phoneNumber: formattedPhone,
-              password: regPass,
-              role,
-              name,
-              isVerified: false,
-              verificationCode: Math.floor(100000 + Math.random() * 900000),
-              createdAt: new Date().toISOString(),
-              updatedAt: new Date().toISOString()
-            });
-            
-            result = {
-              success: true,
-              data: {
-                userId: formattedPhone,
-                phoneNumber: formattedPhone,
-                role,
-                message: 'Registration successful'
-              }
-            };
-          }
-          break;
-          
-        case 'verify':
-          const { phoneNumber: verifyPhone, verificationCode } = data;
-          if (!verifyPhone || !verificationCode) {
-            result = { success: false, error: 'Phone and code required' };
-            break;
-          }
-          
-          const verifyRef = this.db.collection('authentication').doc(formatPhoneNumber(verifyPhone));
-          const verifyDoc = await verifyRef.get();
-          
-          if (!verifyDoc.exists) {
-            result = { success: false, error: 'User not found' };
-          } else if (verifyDoc.data().verificationCode !== parseInt(verificationCode)) {
-            result = { success: false, error: 'Invalid code' };
-          } else {
-            await verifyRef.update({
-              isVerified: true,
-              verifiedAt: new Date().toISOString(),
-              updatedAt: new Date().toISOString()
-            });
-            
-            result = {
-              success: true,
-              data: {
-                phoneNumber: formatPhoneNumber(verifyPhone),
-                isVerified: true,
-                message: 'Verified successfully'
-              }
-            };
-          }
-          break;
+      this.sendToUser(connectionKey, {
+        type: result.success ? `${message.type}_RESULT` : 'ERROR',
+        data: result,
+        ...(result.success ? {} : { error: result.error })
+      });
+    } catch (error) {
+      logger.error(this.options.logPrefix, `Reschedule error: ${error.message}`);
+      this.sendToUser(connectionKey, { type: 'ERROR', error: 'Failed to reschedule' });
+    }
+  }
+  
+  async handleBlockRequest(connectionKey, message, action) {
+    if (!this.blockService) {
+      this.sendToUser(connectionKey, { type: 'ERROR', error: 'Block service unavailable' });
+      return;
+    }
+    
+    const data = message.data || message;
+    
+    try {
+      let result;
+      if (action === 'block') {
+        result = await this.blockService.blockUser(connectionKey, data.phone, data.reason);
+      } else if (action === 'unblock') {
+        result = await this.blockService.unblockUser(connectionKey, data.phone);
+      } else {
+        result = await this.blockService.listBlocks(connectionKey);
+      }
+      
+      this.sendToUser(connectionKey, {
+        type: result.success ? `${message.type}_RESULT` : 'ERROR',
+        data: result,
+        ...(result.success ? {} : { error: result.error })
+      });
+    } catch (error) {
+      logger.error(this.options.logPrefix, `Block list error: ${error.message}`);
+      this.sendToUser(connectionKey, { type: 'ERROR', error: 'Failed to update block list' });
+    }
+  }
+  
+  // Long-lived sockets swap in a new token before the current one expires.
+  // With data.token the client supplies a token (e.g. from POST /api/auth/refresh),
+  // without it the server issues one for the current session.
+  async handleTokenRefresh(connectionKey, message, userInfo) {
+    try {
+      const data = message.data || message;
+      let token = data.token;
+      let issued = false;
+      
+      if (!token) {
+        if (!this.authService) {
+          this.sendToUser(connectionKey, {
+            type: 'TOKEN_REFRESH_FAILED',
+            success: false,
+            error: 'Auth service unavailable, refresh via POST /api/auth/refresh'
+          });
+          return;
+        }
+        
+        const session = await this.authService.refreshSession(userInfo.auth);
+        if (!session.success) {
+          this.sendToUser(connectionKey, { type: 'TOKEN_REFRESH_FAILED', ...session });
+          return;
+        }
+        token = session.token;
+        issued = true;
+      }
+      
+      const result = refreshConnectionToken(userInfo, token);
+      if (!result.success) {
+        this.sendToUser(connectionKey, {
+          type: 'TOKEN_REFRESH_FAILED',
+          success: false,
+          error: result.error,
+          code: result.code
+        });
+        return;
       }
       
+      scheduleTokenExpiry(userInfo, (msg) => this.sendToUser(connectionKey, msg));
+      
       this.sendToUser(connectionKey, {
-        type: `${action.toUpperCase()}_RESPONSE`,
-        ...result
+        type: 'TOKEN_REFRESHED',
+        success: true,
+        data: {
+          ...(issued ? { token } : {}),
+          expiresAt: new Date(userInfo.auth.expiresAt).toISOString()
+        }
       });
       
+      logger.info(this.options.logPrefix, `Token refreshed for ${connectionKey}`);
     } catch (error) {
-      logger.error(this.options.logPrefix, `${action} error:`, error.message);
+      logger.error(this.options.logPrefix, `Token refresh error: ${error.message}`);
       this.sendToUser(connectionKey, {
-        type: `${action.toUpperCase()}_RESPONSE`,
+        type: 'TOKEN_REFRESH_FAILED',
         success: false,
-        error: `${action} failed`
+        error: 'Token refresh failed'
       });
     }
   }
   
+  // Password login over the socket is gone - sockets are already authenticated by the
+  // handshake token, and phone verification lives in the /api/auth OTP flow
+  async handleAuthRequest(connectionKey, message, action) {
+    this.sendToUser(connectionKey, {
+      type: `${action.toUpperCase()}_RESPONSE`,
+      success: false,
+      error: 'Use POST /api/auth/register, /api/auth/login and /api/auth/verify'
+    });
+  }
+  
   async handleProfileRequest(connectionKey, message, action) {
     try {
       const data = message.data || message;
@@ -941,20 +1138,40 @@ class BaseWebSocketServer {
         });
         
       } else if (action === 'update' && updates) {
-        const updateData = { ...updates, updatedAt: new Date().toISOString() };
+        if (formattedPhone !== connectionKey) {
+          this.sendToUser(connectionKey, {
+            type: 'UPDATE_USER_PROFILE_RESPONSE',
+            success: false,
+            error: 'Cannot update another user\'s profile'
+          });
+          return;
+        }
+        
         let success = false;
         let profileType = role;
         
-        if (role === 'driver') {
-          const driverRef = this.db.collection('driver_profiles').doc(formattedPhone);
-          if ((await driverRef.get()).exists) {
-            await driverRef.update(updateData);
-            success = true;
-          }
-        } else if (role === 'passenger') {
-          const passengerRef = this.db.collection('passenger_profiles').doc(formattedPhone);
-          if ((await passengerRef.get()).exists) {
-            await passengerRef.update(updateData);
+        if (role === 'driver' || role === 'passenger') {
+          const profileRef = this.db.collection(`${role}_profiles`).doc(formattedPhone);
+          const profileDoc = await profileRef.get();
+          if (profileDoc.exists) {
+            // Ride preferences and gender/smoker feed matching, so they are validated
+            const { updates: preferenceUpdates, error } = normalizeProfileUpdate(
+              role, updates, profileDoc.data().preferences
+            );
+            if (error) {
+              this.sendToUser(connectionKey, {
+                type: 'UPDATE_USER_PROFILE_RESPONSE',
+                success: false,
+                error
+              });
+              return;
+            }
+            
+            await profileRef.update({ ...updates, ...preferenceUpdates, updatedAt: new Date().toISOString() });
+            cache.del(`ride_preferences_${role}_${formattedPhone}`);
+            if (this.scheduledService) {
+              await this.scheduledService.refreshRidePreferences(role, formattedPhone);
+            }
             success = true;
           }
         }
@@ -980,7 +1197,13 @@ class BaseWebSocketServer {
     }
   }
   
-  handleDisconnection(connectionKey) {
+  handleDisconnection(connectionKey, ws = null) {
+    const userInfo = this.connectedUsers.get(connectionKey);
+    
+    // A replaced socket closing must not remove the user's newer connection
+    if (ws && userInfo && userInfo.ws !== ws) return;
+    
+    clearTokenExpiry(userInfo);
     this.connectedUsers.delete(connectionKey);
     logger.info(this.options.logPrefix, `User disconnected: ${connectionKey}`);
   }
@@ -1030,6 +1253,26 @@ class BaseWebSocketServer {
     this.rideHistoryService = service;
     logger.info(this.options.logPrefix, 'Linked with RideHistoryService');
   }
+  
+  setupRatingIntegration(service) {
+    this.ratingService = service;
+    logger.info(this.options.logPrefix, 'Linked with RatingService');
+  }
+  
+  setupRescheduleIntegration(service) {
+    this.rescheduleService = service;
+    logger.info(this.options.logPrefix, 'Linked with RescheduleService');
+  }
+  
+  setupBlockIntegration(service) {
+    this.blockService = service;
+    logger.info(this.options.logPrefix, 'Linked with BlockService');
+  }
+  
+  setupLocationIntegration(service) {
+    this.locationService = service;
+    logger.info(this.options.logPrefix, 'Linked with RealtimeLocationService');
+  }
 }
 
 // ==================== WEB SOCKET SERVERS ====================
@@ -1154,6 +1397,20 @@ async function initializeAllServices() {
     firestoreService.startBatchProcessor();
     logger.info('SERVICE', '✅ FirestoreService created and started');
     
+    // ========== STEP 2b: Create AuthService ==========
+    logger.info('SERVICE', 'Creating AuthService...');
+    const AuthService = require('./services/AuthService');
+    const { createSmsSender } = require('./services/SmsSender');
+    authService = new AuthService(firestoreService, createSmsSender());
+    logger.info('SERVICE', '✅ AuthService created');
+    
+    // ========== STEP 2c: Create AdminService ==========
+    logger.info('SERVICE', 'Creating AdminService...');
+    const AdminService = require('./services/AdminService');
+    adminService = new AdminService(firestoreService);
+    await adminService.seedFromEnv();
+    logger.info('SERVICE', '✅ AdminService created');
+    
     // ========== STEP 3: Create NotificationService ==========
     logger.info('SERVICE', 'Creating NotificationService...');
     
@@ -1241,6 +1498,7 @@ async function initializeAllServices() {
     const services = {
       firestoreService,
       notificationService,
+      authService,
       admin
     };
     
@@ -1342,6 +1600,37 @@ async function initializeAllServices() {
       scheduledWebsocketServer.setupRideHistoryIntegration(rideHistoryService);
     }
     
+    // ========== STEP 5b: Create RatingService ==========
+    logger.info('SERVICE', 'Creating RatingService...');
+    const RatingService = require('./services/RatingService');
+    ratingService = new RatingService(firestoreService, admin, rideHistoryService);
+    if (legacyWebsocketServer) {
+      legacyWebsocketServer.setupRatingIntegration(ratingService);
+    }
+    if (scheduledWebsocketServer) {
+      scheduledWebsocketServer.setupRatingIntegration(ratingService);
+    }
+    logger.info('SERVICE', '✅ RatingService created');
+    
+    // ========== STEP 5c: Create LedgerService ==========
+    logger.info('SERVICE', 'Creating LedgerService...');
+    const LedgerService = require('./services/LedgerService');
+    const { createPaymentProvider } = require('./services/PaymentProvider');
+    ledgerService = new LedgerService(firestoreService, admin, createPaymentProvider());
+    logger.info('SERVICE', '✅ LedgerService created');
+    
+    // ========== STEP 5d: Create CancellationPolicyService ==========
+    logger.info('SERVICE', 'Creating CancellationPolicyService...');
+    const CancellationPolicyService = require('./services/CancellationPolicyService');
+    cancellationPolicyService = new CancellationPolicyService(firestoreService, notificationService, ledgerService);
+    logger.info('SERVICE', '✅ CancellationPolicyService created');
+    
+    // ========== STEP 5e: Create ReminderService ==========
+    logger.info('SERVICE', 'Creating ReminderService...');
+    const ReminderService = require('./services/ReminderService');
+    reminderService = new ReminderService(firestoreService, notificationService);
+    logger.info('SERVICE', '✅ ReminderService created');
+    
     // ========== STEP 6: Create ScheduledService ==========
     logger.info('SERVICE', 'Creating ScheduledService...');
     
@@ -1491,6 +1780,106 @@ async function initializeAllServices() {
       logger.info('CONNECTION', '✅ Injected RideHistoryService into ScheduledService');
     }
     
+    // Completed scheduled rides post their fares to the ledger
+    if (scheduledService && ledgerService) {
+      scheduledService.ledgerService = ledgerService;
+      logger.info('CONNECTION', '✅ Injected LedgerService into ScheduledService');
+    }
+    
+    // Rating summaries feed scheduled match scoring
+    if (scheduledService && ratingService) {
+      scheduledService.ratingService = ratingService;
+      logger.info('CONNECTION', '✅ Injected RatingService into ScheduledService');
+    }
+    
+    // Cancellation fees/strikes on scheduled cancellations, cooldowns in matching
+    if (scheduledService && cancellationPolicyService) {
+      scheduledService.cancellationPolicy = cancellationPolicyService;
+      logger.info('CONNECTION', '✅ Injected CancellationPolicyService into ScheduledService');
+    }
+    
+    // Confirmed trips keep their ride reminders in sync
+    if (scheduledService && reminderService) {
+      scheduledService.reminderService = reminderService;
+      logger.info('CONNECTION', '✅ Injected ReminderService into ScheduledService');
+    }
+    
+    // ========== STEP 7b: Create RecurringRideService ==========
+    if (scheduledService) {
+      const RecurringRideService = require('./services/RecurringRideService');
+      recurringRideService = new RecurringRideService(firestoreService, scheduledService);
+      scheduledService.recurringRides = recurringRideService;
+      logger.info('SERVICE', '✅ RecurringRideService created and linked to ScheduledService');
+    }
+    
+    // ========== STEP 7c: Create RescheduleService ==========
+    if (scheduledService) {
+      const RescheduleService = require('./services/RescheduleService');
+      rescheduleService = new RescheduleService(firestoreService, scheduledService);
+      if (legacyWebsocketServer) {
+        legacyWebsocketServer.setupRescheduleIntegration(rescheduleService);
+      }
+      if (scheduledWebsocketServer) {
+        scheduledWebsocketServer.setupRescheduleIntegration(rescheduleService);
+      }
+      logger.info('SERVICE', '✅ RescheduleService created');
+    }
+    
+    // ========== STEP 7d: Create VehicleService ==========
+    if (scheduledService) {
+      const VehicleService = require('./services/VehicleService');
+      vehicleService = new VehicleService(firestoreService, scheduledService);
+      scheduledService.vehicleService = vehicleService;
+      logger.info('SERVICE', '✅ VehicleService created and linked to ScheduledService');
+    }
+    
+    // ========== STEP 7e: Create DriverVerificationService ==========
+    // Storage misconfiguration stops startup rather than leaving drivers unchecked
+    const { createDocumentStorage } = require('./services/DocumentStorage');
+    const documentStorage = createDocumentStorage();
+    try {
+      const DriverVerificationService = require('./services/DriverVerificationService');
+      driverVerificationService = new DriverVerificationService(firestoreService, documentStorage, scheduledService);
+      if (scheduledService) {
+        scheduledService.driverVerification = driverVerificationService;
+      }
+      logger.info('SERVICE', '✅ DriverVerificationService created');
+    } catch (error) {
+      logger.error('SERVICE', `DriverVerificationService failed: ${error.message}`);
+    }
+    
+    // ========== STEP 7f: Create BlockService ==========
+    const BlockService = require('./services/BlockService');
+    blockService = new BlockService(firestoreService, scheduledService);
+    if (scheduledService) {
+      scheduledService.blockService = blockService;
+    }
+    if (legacyWebsocketServer) {
+      legacyWebsocketServer.setupBlockIntegration(blockService);
+    }
+    if (scheduledWebsocketServer) {
+      scheduledWebsocketServer.setupBlockIntegration(blockService);
+    }
+    logger.info('SERVICE', '✅ BlockService created');
+    
+    // ========== STEP 7g: Create RealtimeLocationService + TripShareService ==========
+    const RealtimeLocationService = require('./services/realtimeLocationService');
+    locationService = new RealtimeLocationService(firestoreService, null, scheduledWebsocketServer, admin, blockService);
+    blockService.locationService = locationService;
+    if (scheduledService) {
+      scheduledService.locationService = locationService;
+    }
+    if (legacyWebsocketServer) {
+      legacyWebsocketServer.setupLocationIntegration(locationService);
+    }
+    if (scheduledWebsocketServer) {
+      scheduledWebsocketServer.setupLocationIntegration(locationService);
+    }
+    
+    const TripShareService = require('./services/TripShareService');
+    tripShareService = new TripShareService(firestoreService, locationService, createSmsSender());
+    logger.info('SERVICE', '✅ RealtimeLocationService and TripShareService created');
+    
     // ========== STEP 8: Create CleanupService ==========
     logger.info('SERVICE', 'Creating CleanupService...');
     
@@ -1542,6 +1931,9 @@ async function initializeAllServices() {
     
     // Create CleanupService instance
     cleanupService = new CleanupServiceClass(firestoreService, admin);
+    cleanupService.locationService = locationService;
+    cleanupService.documentStorage = documentStorage;
+    cleanupService.blockService = blockService;
     logger.info('SERVICE', '✅ CleanupService created');
     
     // ========== STEP 9: Start ScheduledService ==========
@@ -1553,7 +1945,37 @@ async function initializeAllServices() {
     // ========== STEP 10: Start CleanupService ==========
     if (cleanupService && typeof cleanupService.start === 'function') {
       cleanupService.start();
-      logger.info('SERVICE', '✅ CleanupService started (runs daily at 3 AM)');
+      logger.info('SERVICE', '✅ CleanupService started (runs daily at 3 AM, sweeps location sessions every 5 min)');
+    }
+    
+    // ========== STEP 10b: Start ReminderService ==========
+    if (reminderService) {
+      await reminderService.start();
+      logger.info('SERVICE', '✅ ReminderService started (pending reminders reloaded)');
+    }
+    
+    // ========== STEP 10c: Start RecurringRideService ==========
+    if (recurringRideService) {
+      await recurringRideService.start();
+      logger.info('SERVICE', '✅ RecurringRideService started (due occurrences generated)');
+    }
+    
+    // ========== STEP 10c2: Start RescheduleService ==========
+    if (rescheduleService) {
+      await rescheduleService.start();
+      logger.info('SERVICE', '✅ RescheduleService started (lapsed requests closed every minute)');
+    }
+    
+    // ========== STEP 10d: Start DriverVerificationService ==========
+    if (driverVerificationService) {
+      driverVerificationService.start();
+      logger.info('SERVICE', '✅ DriverVerificationService started (lapsed documents expire hourly)');
+    }
+    
+    // ========== STEP 10e: Start RealtimeLocationService ==========
+    if (locationService) {
+      locationService.start();
+      logger.info('SERVICE', '✅ RealtimeLocationService started');
     }
     
     // ========== STEP 11: Link everything together ==========
@@ -1599,23 +2021,28 @@ function setupUnifiedWebSocketUpgradeHandler() {
   server.removeAllListeners('upgrade');
   
   server.on('upgrade', (req, socket, head) => {
-    const parsedUrl = url.parse(req.url, true);
-    const pathname = parsedUrl.pathname;
-    
-    logger.debug('WEBSOCKET', `Upgrade: ${pathname}`);
-    
-    const handlers = {
-      '/ws': legacyWebsocketServer,
-      '/ws-scheduled': scheduledWebsocketServer
-    };
-    
-    const handler = handlers[pathname];
-    if (handler?.wss) {
-      handler.wss.handleUpgrade(req, socket, head, (ws) => {
-        handler.wss.emit('connection', ws, req);
-      });
-    } else {
-      socket.destroy();
+    try {
+      const parsedUrl = url.parse(req.url, true);
+      const pathname = parsedUrl.pathname;
+      
+      logger.debug('WEBSOCKET', `Upgrade: ${pathname}`);
+      
+      const handlers = {
+        '/ws': legacyWebsocketServer,
+        '/ws-scheduled': scheduledWebsocketServer
+      };
+      
+      const handler = handlers[pathname];
+      if (handler?.wss) {
+        // Verify the token before the socket exists; failures are closed with a
+        // WEBSOCKET.CLOSE_CODES code once upgraded so clients can tell why
+        upgradeAuthenticated(handler.wss, req, socket, head);
+      } else {
+        socket.destroy();
+      }
+    } catch (error) {
+      logger.error('WEBSOCKET', `Upgrade error: ${error.message}`);
+      rejectUpgrade(socket, 400);
     }
   });
   
@@ -1730,11 +2157,17 @@ try {
   });
 }
 
+// Import Auth routes (no fallback - auth must never silently degrade)
+const authRoutes = require('./routes/authRoutes')(() => authService);
+
+// Import Admin routes (principals + audit trail)
+const adminRoutes = require('./routes/adminRoutes')(() => adminService);
+
 // Import Ride History Routes
 let rideHistoryRoutes;
 try {
   const rideHistoryRoutesModule = require('./routes/rideHistoryRoutes');
-  rideHistoryRoutes = rideHistoryRoutesModule(rideHistoryService);
+  rideHistoryRoutes = rideHistoryRoutesModule(() => rideHistoryService, () => ratingService);
   logger.info('ROUTES', '✅ Ride History routes loaded');
 } catch (error) {
   logger.error('ROUTES', `Failed to load Ride History routes: ${error.message}`);
@@ -1744,11 +2177,36 @@ try {
   });
 }
 
+// Import Rating routes
+const ratingRoutes = require('./routes/ratingRoutes')(() => ratingService);
+
+// Import Payment routes
+const paymentRoutes = require('./routes/paymentRoutes')(() => ledgerService, () => adminService);
+
+// Import Cancellation policy routes
+const cancellationRoutes = require('./routes/cancellationRoutes')(() => cancellationPolicyService);
+
+// Import Recurring ride routes
+const recurringRideRoutes = require('./routes/recurringRideRoutes')(() => recurringRideService);
+
+// Import Vehicle registry routes
+const vehicleRoutes = require('./routes/vehicleRoutes')(() => vehicleService, () => adminService);
+
+// Import Driver document routes
+const driverDocumentRoutes = require('./routes/driverDocumentRoutes')(() => driverVerificationService, () => adminService);
+
+// Import Block list routes
+const blockRoutes = require('./routes/blockRoutes')(() => blockService);
+
+// Import Trip sharing routes (owner side + public link)
+const tripShareRoutes = require('./routes/tripShareRoutes')(() => tripShareService);
+const sharedTripRoutes = require('./routes/sharedTripRoutes')(() => tripShareService);
+
 // Import Cleanup Routes
 let cleanupRoutes;
 try {
   const cleanupRoutesModule = require('./routes/cleanupRoutes');
-  cleanupRoutes = cleanupRoutesModule(cleanupService);
+  cleanupRoutes = cleanupRoutesModule(() => cleanupService);
   logger.info('ROUTES', '✅ Cleanup routes loaded');
 } catch (error) {
   logger.error('ROUTES', `Failed to load Cleanup routes: ${error.message}`);
@@ -1760,6 +2218,10 @@ try {
 
 // ==================== MOUNT ROUTES ====================
 
+// Mount Auth routes
+app.use('/api/auth', authRoutes);
+logger.info('ROUTES', '✅ Auth routes mounted at /api/auth');
+
 // Mount FCM routes
 app.use('/api/fcm', fcmRoutes);
 logger.info('ROUTES', '✅ FCM routes mounted at /api/fcm');
@@ -1768,28 +2230,48 @@ logger.info('ROUTES', '✅ FCM routes mounted at /api/fcm');
 app.use('/api/rides', rideHistoryRoutes);
 logger.info('ROUTES', '✅ Ride History routes mounted at /api/rides');
 
+// Mount Rating routes
+app.use('/api/ratings', ratingRoutes);
+logger.info('ROUTES', '✅ Rating routes mounted at /api/ratings');
+
+// Mount Payment routes
+app.use('/api/payments', paymentRoutes);
+logger.info('ROUTES', '✅ Payment routes mounted at /api/payments');
+
+// Mount Cancellation policy routes
+app.use('/api/cancellations', cancellationRoutes);
+logger.info('ROUTES', '✅ Cancellation routes mounted at /api/cancellations');
+
+// Mount Recurring ride routes
+app.use('/api/recurring-rides', recurringRideRoutes);
+logger.info('ROUTES', '✅ Recurring ride routes mounted at /api/recurring-rides');
+
+// Mount Vehicle registry routes
+app.use('/api/vehicles', vehicleRoutes);
+logger.info('ROUTES', '✅ Vehicle routes mounted at /api/vehicles');
+
+// Mount Driver document routes
+app.use('/api/driver-documents', driverDocumentRoutes);
+logger.info('ROUTES', '✅ Driver document routes mounted at /api/driver-documents');
+
+// Mount Block list routes
+app.use('/api/blocks', blockRoutes);
+logger.info('ROUTES', '✅ Block routes mounted at /api/blocks');
+
+// Mount Trip sharing routes
+app.use('/api/trip-shares', tripShareRoutes);
+app.use('/share', sharedTripRoutes);
+logger.info('ROUTES', '✅ Trip sharing routes mounted at /api/trip-shares and /share');
+
 // Mount Cleanup routes (admin only)
-app.use('/api/admin/cleanup', cleanupRoutes);
+app.use('/api/admin/cleanup', requireAdmin(() => adminService), cleanupRoutes);
 logger.info('ROUTES', '✅ Cleanup routes mounted at /api/admin/cleanup');
 
-// ==================== HTTP ROUTES ====================
-
-// Authentication endpoints
-app.post('/api/auth/login', (req, res) => {
-  res.json({ 
-    success: true, 
-    message: 'Login endpoint ready', 
-    timestamp: new Date().toISOString() 
-  });
-});
+// Mount Admin routes
+app.use('/api/admin', adminRoutes);
+logger.info('ROUTES', '✅ Admin routes mounted at /api/admin');
 
-app.post('/api/auth/register', (req, res) => {
-  res.json({ 
-    success: true, 
-    message: 'Register endpoint ready', 
-    timestamp: new Date().toISOString() 
-  });
-});
+// ==================== HTTP ROUTES ====================
 
 // Health endpoint
 app.get('/api/health', (req, res) => {
@@ -1802,9 +2284,22 @@ app.get('/api/health', (req, res) => {
     version: '1.0.0',
     services: {
       firestore: !!firestoreService,
+      authService: !!authService,
+      adminService: !!adminService,
       notificationService: !!notificationService,
       scheduledService: !!scheduledService,
       rideHistoryService: !!rideHistoryService,
+      ratingService: !!ratingService,
+      ledgerService: !!ledgerService,
+      cancellationPolicyService: !!cancellationPolicyService,
+      reminderService: !!reminderService,
+      recurringRideService: !!recurringRideService,
+      rescheduleService: !!rescheduleService,
+      vehicleService: !!vehicleService,
+      driverVerificationService: !!driverVerificationService,
+      blockService: !!blockService,
+      locationService: !!locationService,
+      tripShareService: !!tripShareService,
       cleanupService: !!cleanupService,
       legacyWebsocket: !!legacyWebsocketServer,
       scheduledWebsocket: !!scheduledWebsocketServer
@@ -1820,6 +2315,15 @@ app.get('/api/health', (req, res) => {
       serviceDebug: '/api/test/service-debug',
       fcm: '/api/fcm/*',
       rides: '/api/rides/*',
+      ratings: '/api/ratings/*',
+      payments: '/api/payments/*',
+      cancellations: '/api/cancellations/*',
+      recurringRides: '/api/recurring-rides/*',
+      vehicles: '/api/vehicles/*',
+      driverDocuments: '/api/driver-documents/*',
+      blocks: '/api/blocks/*',
+      tripShares: '/api/trip-shares/*',
+      sharedTrip: 'GET /share/:token (+ /live, /stream)',
       admin: '/api/admin/*',
       
       // GROUP RIDE ENDPOINTS
@@ -1832,18 +2336,26 @@ app.get('/api/health', (req, res) => {
       // DRIVER CANCELLATION ENDPOINTS
       driverCancelAll: 'POST /api/driver/cancel-all',
       driverCancelPassenger: 'POST /api/driver/cancel-passenger',
+      driverStartRide: 'POST /api/driver/start-ride',
+      driverCompleteRide: 'POST /api/driver/complete-ride',
       driverAcceptedPassengers: 'GET /api/driver/accepted-passengers/:driverPhone',
       
       // PASSENGER CANCELLATION ENDPOINTS
       passengerCancelSchedule: 'POST /api/passenger/cancel-schedule',
       passengerMatchDecision: 'POST /api/passenger/match-decision',
-      passengerRideStatus: 'GET /api/passenger/ride-status/:passengerPhone'
+      passengerRideStatus: 'GET /api/passenger/ride-status/:passengerPhone',
+      
+      // RESCHEDULE ENDPOINTS
+      reschedule: 'POST /api/scheduled-search/reschedule',
+      rescheduleRespond: 'POST /api/scheduled-search/reschedule/respond',
+      rescheduleWithdraw: 'POST /api/scheduled-search/reschedule/withdraw',
+      reschedulePending: 'GET /api/scheduled-search/reschedule/:phoneNumber'
     }
   });
 });
 
 // Schedule endpoints
-app.post('/api/schedule/search', (req, res) => {
+app.post('/api/schedule/search', requireAuth, requireSelf('body.userId', 'body.phoneNumber'), (req, res) => {
   res.json({ 
     success: true, 
     message: 'Schedule search endpoint ready', 
@@ -1851,7 +2363,7 @@ app.post('/api/schedule/search', (req, res) => {
   });
 });
 
-app.get('/api/schedule/status/:phoneNumber', (req, res) => {
+app.get('/api/schedule/status/:phoneNumber', requireAuth, requireSelf('params.phoneNumber'), (req, res) => {
   res.json({ 
     success: true, 
     phoneNumber: req.params.phoneNumber,
@@ -1862,7 +2374,10 @@ app.get('/api/schedule/status/:phoneNumber', (req, res) => {
 
 // ==================== SCHEDULED SEARCH HTTP ENDPOINTS ====================
 
-app.post('/api/scheduled-search/create', async (req, res) => {
+app.post('/api/scheduled-search/create', requireAuth, requireSelf(
+  'body.userId', 'body.driverPhone', 'body.passengerPhone',
+  'body.data.userId', 'body.data.driverPhone', 'body.data.passengerPhone'
+), async (req, res) => {
   try {
     if (!scheduledService?.handleCreateScheduledSearch) {
       return res.status(503).json({ 
@@ -1915,7 +2430,7 @@ app.post('/api/scheduled-search/create', async (req, res) => {
   }
 });
 
-app.get('/api/scheduled-search/status/:phoneNumber', async (req, res) => {
+app.get('/api/scheduled-search/status/:phoneNumber', requireAuth, requireSelf('params.phoneNumber'), async (req, res) => {
   try {
     if (!scheduledService?.getScheduledSearchStatus) {
       return res.status(503).json({ 
@@ -1945,7 +2460,7 @@ app.get('/api/scheduled-search/status/:phoneNumber', async (req, res) => {
   }
 });
 
-app.post('/api/scheduled-search/cancel', async (req, res) => {
+app.post('/api/scheduled-search/cancel', requireAuth, requireSelf('body.phoneNumber'), async (req, res) => {
   try {
     if (!scheduledService?.cancelScheduledSearch) {
       return res.status(503).json({ 
@@ -1988,7 +2503,130 @@ app.post('/api/scheduled-search/cancel', async (req, res) => {
   }
 });
 
-app.get('/api/scheduled-search/stats', async (req, res) => {
+// ==================== RESCHEDULE ENDPOINTS ====================
+
+const rescheduleUnavailable = (res) => res.status(503).json({
+  success: false,
+  error: 'Reschedule service unavailable',
+  timestamp: new Date().toISOString()
+});
+
+/**
+ * POST /api/scheduled-search/reschedule
+ * Body: { phoneNumber, userType, scheduledTime?, pickupLocation?, pickupName? }
+ * Applied right away without a confirmed ride, otherwise sent to the other side to accept
+ */
+app.post('/api/scheduled-search/reschedule', requireAuth, requireSelf('body.phoneNumber'), async (req, res) => {
+  try {
+    if (!rescheduleService) return rescheduleUnavailable(res);
+    
+    const { phoneNumber, userType, scheduledTime, pickupLocation, pickupName } = req.body;
+    
+    if (!phoneNumber || !userType) {
+      return res.status(400).json({
+        success: false,
+        error: 'phoneNumber and userType are required',
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    logger.info('ENDPOINT', `Rescheduling ${userType} search for ${phoneNumber}`);
+    
+    const result = await rescheduleService.requestReschedule(phoneNumber, userType, { scheduledTime, pickupLocation, pickupName });
+    
+    res.status(result.success ? 200 : 400).json({
+      ...result,
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    logger.error('ENDPOINT', `Reschedule error: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * POST /api/scheduled-search/reschedule/respond
+ * Body: { phoneNumber, requestId, decision: 'accept'|'decline' }
+ */
+app.post('/api/scheduled-search/reschedule/respond', requireAuth, requireSelf('body.phoneNumber'), async (req, res) => {
+  try {
+    if (!rescheduleService) return rescheduleUnavailable(res);
+    
+    const { phoneNumber, requestId, decision } = req.body;
+    const result = await rescheduleService.respondToReschedule(phoneNumber, requestId, decision);
+    
+    res.status(result.success ? 200 : 400).json({
+      ...result,
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    logger.error('ENDPOINT', `Reschedule response error: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * POST /api/scheduled-search/reschedule/withdraw
+ * Body: { phoneNumber, requestId }
+ */
+app.post('/api/scheduled-search/reschedule/withdraw', requireAuth, requireSelf('body.phoneNumber'), async (req, res) => {
+  try {
+    if (!rescheduleService) return rescheduleUnavailable(res);
+    
+    const { phoneNumber, requestId } = req.body;
+    const result = await rescheduleService.withdrawReschedule(phoneNumber, requestId);
+    
+    res.status(result.success ? 200 : 400).json({
+      ...result,
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    logger.error('ENDPOINT', `Reschedule withdraw error: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * GET /api/scheduled-search/reschedule/:phoneNumber
+ * Pending requests the user made and the ones waiting for their answer
+ */
+app.get('/api/scheduled-search/reschedule/:phoneNumber', requireAuth, requireSelf('params.phoneNumber'), async (req, res) => {
+  try {
+    if (!rescheduleService) return rescheduleUnavailable(res);
+    
+    const result = await rescheduleService.listPending(req.params.phoneNumber);
+    
+    res.status(result.success ? 200 : 500).json({
+      ...result,
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    logger.error('ENDPOINT', `Reschedule list error: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+app.get('/api/scheduled-search/stats', requireAuth, async (req, res) => {
   try {
     if (!scheduledService?.getStats) {
       return res.status(503).json({ 
@@ -2018,7 +2656,7 @@ app.get('/api/scheduled-search/stats', async (req, res) => {
 });
 
 // Accept match endpoint
-app.post('/api/scheduled-matches/accept', async (req, res) => {
+app.post('/api/scheduled-matches/accept', requireAuth, requireSelf('body.userId'), async (req, res) => {
   try {
     if (!scheduledService?.acceptScheduledMatch) {
       return res.status(503).json({ 
@@ -2062,7 +2700,7 @@ app.post('/api/scheduled-matches/accept', async (req, res) => {
 /**
  * Get driver's accepted passenger list (for Flutter app)
  */
-app.get('/api/driver/passengers/:phone', async (req, res) => {
+app.get('/api/driver/passengers/:phone', requireAuth, requireSelf('params.phone'), async (req, res) => {
   try {
     if (!scheduledService?.getDriverPassengerList) {
       return res.status(503).json({ 
@@ -2095,7 +2733,7 @@ app.get('/api/driver/passengers/:phone', async (req, res) => {
 /**
  * Get passenger's match status
  */
-app.get('/api/passenger/status/:phone', async (req, res) => {
+app.get('/api/passenger/status/:phone', requireAuth, requireSelf('params.phone'), async (req, res) => {
   try {
     if (!scheduledService?.getPassengerMatchStatus) {
       return res.status(503).json({ 
@@ -2128,7 +2766,7 @@ app.get('/api/passenger/status/:phone', async (req, res) => {
 /**
  * Handle match decision (accept/reject)
  */
-app.post('/api/match/decision', async (req, res) => {
+app.post('/api/match/decision', requireAuth, requireSelf('body.userPhone'), async (req, res) => {
   try {
     if (!scheduledService?.handleMatchDecision) {
       return res.status(503).json({ 
@@ -2176,7 +2814,7 @@ app.post('/api/match/decision', async (req, res) => {
 /**
  * Get driver's available seats count
  */
-app.get('/api/driver/available-seats/:phone', async (req, res) => {
+app.get('/api/driver/available-seats/:phone', requireAuth, requireSelf('params.phone'), async (req, res) => {
   try {
     const phone = req.params.phone;
     
@@ -2220,7 +2858,7 @@ app.get('/api/driver/available-seats/:phone', async (req, res) => {
 /**
  * Get driver's pending proposals
  */
-app.get('/api/driver/pending-proposals/:phone', async (req, res) => {
+app.get('/api/driver/pending-proposals/:phone', requireAuth, requireSelf('params.phone'), async (req, res) => {
   try {
     const phone = req.params.phone;
     
@@ -2253,7 +2891,7 @@ app.get('/api/driver/pending-proposals/:phone', async (req, res) => {
 /**
  * Driver cancels entire trip (all accepted passengers)
  */
-app.post('/api/driver/cancel-all', async (req, res) => {
+app.post('/api/driver/cancel-all', requireAuth, requireSelf('body.driverPhone'), async (req, res) => {
   try {
     const { driverPhone, reason } = req.body;
     
@@ -2304,7 +2942,7 @@ app.post('/api/driver/cancel-all', async (req, res) => {
 /**
  * Driver cancels a specific passenger
  */
-app.post('/api/driver/cancel-passenger', async (req, res) => {
+app.post('/api/driver/cancel-passenger', requireAuth, requireSelf('body.driverPhone'), async (req, res) => {
   try {
     const { driverPhone, passengerPhone, reason } = req.body;
     
@@ -2353,10 +2991,88 @@ app.post('/api/driver/cancel-passenger', async (req, res) => {
   }
 });
 
+/**
+ * Driver sets off with every confirmed booking; passengers' live location sessions start
+ * Body: { driverPhone }
+ */
+app.post('/api/driver/start-ride', requireAuth, requireSelf('body.driverPhone'), async (req, res) => {
+  try {
+    const { driverPhone } = req.body;
+    
+    if (!driverPhone) {
+      return res.status(400).json({
+        success: false,
+        error: 'driverPhone is required',
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    if (!scheduledService?.handleStartScheduledRide) {
+      return res.status(503).json({
+        success: false,
+        error: 'Ride start service unavailable',
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    const result = await scheduledService.handleStartScheduledRide(driverPhone);
+    res.status(result.success ? 200 : 400).json({
+      ...result,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('ENDPOINT', `Driver start ride error: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * Driver finishes the trip, or one booking on it
+ * Body: { driverPhone, matchId? } - each passenger pays their stored quoted share
+ */
+app.post('/api/driver/complete-ride', requireAuth, requireSelf('body.driverPhone'), async (req, res) => {
+  try {
+    const { driverPhone, matchId } = req.body;
+    
+    if (!driverPhone) {
+      return res.status(400).json({
+        success: false,
+        error: 'driverPhone is required',
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    if (!scheduledService?.handleCompleteScheduledRide) {
+      return res.status(503).json({
+        success: false,
+        error: 'Ride completion service unavailable',
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    const result = await scheduledService.handleCompleteScheduledRide(driverPhone, { matchId });
+    res.status(result.success ? 200 : 400).json({
+      ...result,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('ENDPOINT', `Driver complete ride error: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
 /**
  * Get driver's accepted passengers list (simplified version)
  */
-app.get('/api/driver/accepted-passengers/:driverPhone', async (req, res) => {
+app.get('/api/driver/accepted-passengers/:driverPhone', requireAuth, requireSelf('params.driverPhone'), async (req, res) => {
   try {
     const { driverPhone } = req.params;
     
@@ -2406,7 +3122,7 @@ app.get('/api/driver/accepted-passengers/:driverPhone', async (req, res) => {
  * @route POST /api/passenger/cancel-schedule
  * @desc Cancel passenger's scheduled ride and notify driver
  */
-app.post('/api/passenger/cancel-schedule', async (req, res) => {
+app.post('/api/passenger/cancel-schedule', requireAuth, requireSelf('body.passengerPhone'), async (req, res) => {
   try {
     const { passengerPhone, reason } = req.body;
     
@@ -2518,7 +3234,7 @@ app.post('/api/passenger/cancel-schedule', async (req, res) => {
  * @route POST /api/passenger/match-decision
  * @desc Handle passenger's decision on match proposal
  */
-app.post('/api/passenger/match-decision', async (req, res) => {
+app.post('/api/passenger/match-decision', requireAuth, requireSelf('body.passengerPhone'), async (req, res) => {
   try {
     const { matchId, passengerPhone, decision } = req.body;
     
@@ -2571,7 +3287,7 @@ app.post('/api/passenger/match-decision', async (req, res) => {
  * @route GET /api/passenger/ride-status/:passengerPhone
  * @desc Get passenger's current ride status
  */
-app.get('/api/passenger/ride-status/:passengerPhone', async (req, res) => {
+app.get('/api/passenger/ride-status/:passengerPhone', requireAuth, requireSelf('params.passengerPhone'), async (req, res) => {
   try {
     const { passengerPhone } = req.params;
     
@@ -2627,8 +3343,8 @@ app.get('/api/passenger/ride-status/:passengerPhone', async (req, res) => {
   }
 });
 
-// Test endpoints
-app.post('/api/test/trigger-matching', async (req, res) => {
+// Test endpoints (ENABLE_TEST_ROUTES=true + admin only)
+app.post('/api/test/trigger-matching', requireTestRoutes, requireAdmin(() => adminService), async (req, res) => {
   try {
     if (!scheduledService?.performScheduledMatchingCycle) {
       throw new Error('Scheduled service unavailable');
@@ -2652,7 +3368,7 @@ app.post('/api/test/trigger-matching', async (req, res) => {
   }
 });
 
-app.get('/api/test/service-debug', (req, res) => {
+app.get('/api/test/service-debug', requireTestRoutes, requireAdmin(() => adminService), (req, res) => {
   const debugInfo = {
     services: {
       firestoreService: {
@@ -2718,6 +3434,7 @@ app.get('/api/test', (req, res) => {
       serviceDebug: '/api/test/service-debug',
       login: 'POST /api/auth/login',
       register: 'POST /api/auth/register',
+      verify: 'POST /api/auth/verify',
       fcm: '/api/fcm/*',
       rides: '/api/rides/*',
       admin: '/api/admin/*',
@@ -2732,6 +3449,8 @@ app.get('/api/test', (req, res) => {
       // DRIVER CANCELLATION ENDPOINTS
       driverCancelAll: 'POST /api/driver/cancel-all',
       driverCancelPassenger: 'POST /api/driver/cancel-passenger',
+      driverStartRide: 'POST /api/driver/start-ride',
+      driverCompleteRide: 'POST /api/driver/complete-ride',
       driverAcceptedPassengers: 'GET /api/driver/accepted-passengers/:driverPhone',
       
       // PASSENGER CANCELLATION ENDPOINTS
@@ -2810,6 +3529,31 @@ process.on('SIGINT', async () => {
   logger.info('SHUTDOWN', 'Shutting down...');
   
   // Stop services in reverse order
+  if (locationService) {
+    locationService.stop();
+    logger.info('SHUTDOWN', '✅ RealtimeLocationService stopped');
+  }
+  
+  if (driverVerificationService) {
+    driverVerificationService.stop();
+    logger.info('SHUTDOWN', '✅ DriverVerificationService stopped');
+  }
+  
+  if (recurringRideService) {
+    recurringRideService.stop();
+    logger.info('SHUTDOWN', '✅ RecurringRideService stopped');
+  }
+  
+  if (rescheduleService) {
+    rescheduleService.stop();
+    logger.info('SHUTDOWN', '✅ RescheduleService stopped');
+  }
+  
+  if (reminderService) {
+    reminderService.stop();
+    logger.info('SHUTDOWN', '✅ ReminderService stopped');
+  }
+  
   if (cleanupService && typeof cleanupService.stop === 'function') {
     try {
       cleanupService.stop();
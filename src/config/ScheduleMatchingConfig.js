@@ -11,7 +11,7 @@ const logger = require('../utils/Logger');
 // ==================== DEFAULT CONFIGURATION ====================
 const DEFAULT_CONFIG = {
   // ==================== SYSTEM MODES ====================
-  SYSTEM_MODE: 'PROGRESSIVE_MATCHING', // Options: PROGRESSIVE_MATCHING, AGGRESSIVE, CONSERVATIVE
+  SYSTEM_MODE: 'PROGRESSIVE_MATCHING', // Options: PROGRESSIVE_MATCHING, AGGRESSIVE, CONSERVATIVE, OPTIMAL_ASSIGNMENT
   ENABLED: true,
   DEBUG_MODE: false,
   
@@ -21,19 +21,29 @@ const DEFAULT_CONFIG = {
       description: 'Standard progressive matching with decreasing radius',
       matching_strategy: 'TIME_BASED_WINDOWS',
       window_behavior: 'DECREASING_RADIUS',
-      notification_strategy: 'PROGRESSIVE'
+      notification_strategy: 'PROGRESSIVE',
+      assignment_strategy: 'GREEDY' // GREEDY: first fit per driver, GLOBAL_OPTIMAL: max total score
     },
     AGGRESSIVE: {
       description: 'Match as early as possible, wider acceptance',
       matching_strategy: 'EARLY_MATCHING',
       window_behavior: 'CONSTANT_RADIUS',
-      notification_strategy: 'IMMEDIATE'
+      notification_strategy: 'IMMEDIATE',
+      assignment_strategy: 'GREEDY'
     },
     CONSERVATIVE: {
       description: 'Only match when very close, high compatibility required',
       matching_strategy: 'LAST_MINUTE',
       window_behavior: 'STRICT_RADIUS',
-      notification_strategy: 'MINIMAL'
+      notification_strategy: 'MINIMAL',
+      assignment_strategy: 'GREEDY'
+    },
+    OPTIMAL_ASSIGNMENT: {
+      description: 'Progressive matching, pairs chosen to maximize total match score across all drivers',
+      matching_strategy: 'TIME_BASED_WINDOWS',
+      window_behavior: 'DECREASING_RADIUS',
+      notification_strategy: 'PROGRESSIVE',
+      assignment_strategy: 'GLOBAL_OPTIMAL'
     }
   },
   
@@ -540,6 +550,24 @@ class ScheduleMatchingConfigManager {
     return window?.max_matches_per_window || 10;
   }
   
+  /**
+   * Window a ride departing at scheduledTime is currently in: the tightest enabled window
+   * whose hours_before it has entered. Null while it's still earlier than every window.
+   * Rides without a time, or already past their time, belong to the tightest window.
+   */
+  getWindowForTime(scheduledTime, now = Date.now()) {
+    const windows = Object.entries(this.getEnabledWindows())
+      .sort((a, b) => a[1].hours_before - b[1].hours_before);
+    if (windows.length === 0) return null;
+    
+    const departure = scheduledTime ? new Date(scheduledTime).getTime() : NaN;
+    if (!Number.isFinite(departure) || departure <= now) return windows[0][0];
+    
+    const hoursUntil = (departure - now) / (60 * 60 * 1000);
+    const current = windows.find(([_, window]) => hoursUntil <= window.hours_before);
+    return current ? current[0] : null;
+  }
+  
   calculateMatchScore(timeScore, distanceScore, routeScore, groupScore) {
     const weights = this.config.MATCHING_ALGORITHM.SCORING_WEIGHTS;
     
@@ -11,7 +11,37 @@ module.exports = {
     SCHEDULED_SEARCHES: 'scheduled_searches',
     SCHEDULED_MATCHES: 'scheduled_matches',
     LOCATION_HISTORY: 'location_history',
-    POTENTIAL_MATCHES: 'potential_matches'
+    POTENTIAL_MATCHES: 'potential_matches',
+    AUTHENTICATION: 'authentication',
+    AUTH_CODES: 'auth_codes',
+    ADMIN_PRINCIPALS: 'admin_principals',
+    ADMIN_AUDIT_LOG: 'admin_audit_log',
+    RIDE_HISTORY: 'ride_history',
+    FCM_TOKENS: 'fcm_tokens',
+    LOCATION_SESSIONS: 'location_sessions',
+    LOCATION_SESSION_SUMMARIES: 'location_session_summaries',
+    SCHEDULED_SEARCHES_DRIVER: 'scheduled_searches_driver',
+    SCHEDULED_SEARCHES_PASSENGER: 'scheduled_searches_passenger',
+    CLEANUP_RUNS: 'cleanup_runs',
+    RATINGS: 'ratings',
+    RATING_SUMMARIES: 'rating_summaries',
+    LEDGER_TRANSACTIONS: 'ledger_transactions',
+    LEDGER_ENTRIES: 'ledger_entries',
+    LEDGER_ACCOUNTS: 'ledger_accounts',
+    TRIP_CANCELLATIONS: 'trip_cancellations',
+    CANCELLATION_STANDING: 'cancellation_standing',
+    SCHEDULED_REMINDERS: 'scheduled_reminders',
+    RECURRING_RIDES: 'recurring_ride_templates',
+    SCHEDULED_RESCHEDULES: 'scheduled_reschedules',
+    DRIVER_VEHICLES: 'driver_vehicles',
+    DRIVER_DOCUMENTS: 'driver_documents',
+    DRIVER_VERIFICATIONS: 'driver_verifications',
+    DRIVER_PROFILES: 'driver_profiles',
+    PASSENGER_PROFILES: 'passenger_profiles',
+    USER_BLOCKS: 'user_blocks',
+    USER_BLOCK_LISTS: 'user_block_lists',
+    TRIP_SHARES: 'trip_shares',
+    TRUSTED_CONTACTS: 'trusted_contacts'
   },
   
   // Timeouts (in milliseconds)
@@ -26,12 +56,15 @@ module.exports = {
     
     // Location sharing constants
     LOCATION_SHARING_DURATION: 15 * 60 * 1000, // 15 minutes
+    RIDE_LOCATION_SHARING_DURATION: 3 * 60 * 60 * 1000, // started rides - ended early on completion
     LOCATION_UPDATE_INTERVAL: 10000, // 10 seconds
     LOCATION_SESSION_CLEANUP: 5 * 60 * 1000 // 5 minutes
   },
   
   // Test mode configuration
   TEST_MODE: process.env.TEST_MODE === 'true',
+  // Test/debug-only HTTP routes (force matching, auto-accept...) - never on in production
+  TEST_ROUTES_ENABLED: process.env.ENABLE_TEST_ROUTES === 'true' && process.env.NODE_ENV !== 'production',
   UNLIMITED_CAPACITY: process.env.UNLIMITED_CAPACITY === 'true',
   
   // Limits
@@ -51,7 +84,16 @@ module.exports = {
   // WebSocket settings
   WEBSOCKET: {
     HEARTBEAT_INTERVAL: 30000,
-    CONNECTION_TIMEOUT: 5000
+    CONNECTION_TIMEOUT: 5000,
+    TOKEN_EXPIRY_WARNING: 2 * 60 * 1000, // warn clients 2 minutes before their token expires
+    
+    // Close codes sent when the handshake token is rejected (keyed by ERROR_CODES)
+    CLOSE_CODES: {
+      AUTH_REQUIRED: 4001,
+      INVALID_TOKEN: 4002,
+      TOKEN_EXPIRED: 4003,
+      FORBIDDEN: 4004
+    }
   },
   
   // Firebase/Firestore settings
@@ -104,6 +146,252 @@ module.exports = {
     CANCELLED: 'cancelled'
   },
   
+  // Ride history
+  RIDE_HISTORY: {
+    DEFAULT_PAGE_SIZE: 20,
+    MAX_PAGE_SIZE: 100,
+    STATS_MAX_RECORDS: 2000 // cap on records scanned when computing totals
+  },
+  
+  // Ratings & reviews
+  RATINGS: {
+    MIN: 1,
+    MAX: 5,
+    SUBMISSION_WINDOW: 7 * 24 * 60 * 60 * 1000, // rate within 7 days of completion
+    MAX_COMMENT_LENGTH: 500,
+    MAX_TAGS: 5,
+    // Bayesian prior so a single 1-star (or 5-star) rating doesn't dominate matching
+    PRIOR_MEAN: 4.5,
+    PRIOR_WEIGHT: 5,
+    // Allowed tags, by the role of the user being rated
+    TAGS: {
+      driver: ['punctual', 'safe_driving', 'clean_vehicle', 'friendly', 'good_route', 'late', 'unsafe_driving', 'rude'],
+      passenger: ['punctual', 'friendly', 'respectful', 'ready_at_pickup', 'late', 'no_show', 'rude']
+    }
+  },
+  
+  // Payment ledger (LedgerService)
+  LEDGER: {
+    CURRENCY: 'ETB',
+    PLATFORM_COMMISSION_RATE: 0.1, // share of every fare / passenger fee kept by the platform
+    STATEMENT_PAGE_SIZE: 50,
+    MAX_STATEMENT_PAGE_SIZE: 200,
+    TRANSACTION_TYPES: {
+      RIDE_FARE: 'ride_fare',
+      PAYMENT: 'payment',
+      CASH_COLLECTED: 'cash_collected',
+      CANCELLATION_FEE: 'cancellation_fee',
+      ADJUSTMENT: 'adjustment',
+      PAYOUT: 'payout',
+      PAYOUT_REVERSAL: 'payout_reversal'
+    }
+  },
+  
+  // Cancellation fees, strikes and matching cooldowns (CancellationPolicyService)
+  CANCELLATION_POLICY: {
+    // Only cancelling a confirmed booking can cost anything
+    CHARGEABLE_MATCH_STATUSES: ['confirmed', 'accepted', 'scheduled', 'enroute', 'started', 'in_progress'],
+    GRACE_PERIOD: 5 * 60 * 1000, // free right after confirming, unless pickup is imminent
+    FREE_BEFORE: 2 * 60 * 60 * 1000, // free when more than 2h before scheduledTime
+    STRIKE_BEFORE: 15 * 60 * 1000, // within 15 min of scheduledTime (or later): fee + strike
+    FEES: {
+      passenger: { late: 50, veryLate: 100 },
+      driver: { late: 100, veryLate: 150 } // kept by the platform as a penalty
+    },
+    STRIKE_WINDOW: 30 * 24 * 60 * 60 * 1000, // strikes older than 30 days no longer count
+    // Highest tier reached applies; cooldown starts at the latest strike
+    COOLDOWNS: [
+      { strikes: 3, duration: 24 * 60 * 60 * 1000 },
+      { strikes: 5, duration: 3 * 24 * 60 * 60 * 1000 },
+      { strikes: 8, duration: 7 * 24 * 60 * 60 * 1000 }
+    ],
+    HISTORY_LIMIT: 100 // cancellation records read when computing standing
+  },
+  
+  // Ride reminders (ReminderService); offsets come from NOTIFICATIONS.REMINDER_SCHEDULE
+  REMINDERS: {
+    CHECK_INTERVAL: 30 * 1000, // how often due reminders are sent
+    LOAD_PAGE_SIZE: 500 // pending reminders are loaded on start this many per read
+  },
+  
+  // Recurring rides / commute templates (RecurringRideService)
+  RECURRING: {
+    GENERATE_INTERVAL: 10 * 60 * 1000, // how often templates are checked for due occurrences
+    LEAD_TIME: 24 * 60 * 60 * 1000, // occurrences become searches this long before departure (widest TIME_WINDOWS window)
+    SLOT_RELEASE_AFTER: 2 * 60 * 60 * 1000, // a past trip stops blocking the user's next search after this
+    DEFAULT_TIMEZONE: 'Africa/Addis_Ababa',
+    MAX_TEMPLATES_PER_USER: 5,
+    MAX_SKIP_DATES: 60,
+    PREVIEW_OCCURRENCES: 5,
+    LOAD_LIMIT: 500, // active templates checked per run
+    PREFERRED_PAIR_BONUS: 10 // match score bonus for last occurrence's driver/passengers
+  },
+  
+  // Rescheduling scheduled searches and confirmed rides (RescheduleService)
+  RESCHEDULE: {
+    MIN_NOTICE: 15 * 60 * 1000, // a new departure must be at least this far ahead
+    RESPONSE_TIMEOUT: 30 * 60 * 1000, // unanswered requests lapse (capped at the current departure)
+    EXPIRY_CHECK_INTERVAL: 60 * 1000, // how often lapsed requests are closed and requesters told
+    MAX_PER_SEARCH: 5 // reschedules of one search
+  },
+  
+  // Driver vehicle registry (VehicleService)
+  VEHICLES: {
+    MAX_PER_DRIVER: 3,
+    MIN_SEATS: 1,
+    MAX_SEATS: 8, // passenger seats, driver excluded
+    // Features a vehicle can list; passenger requirements must be a subset
+    FEATURES: ['luggage_space', 'air_conditioning', 'wheelchair_accessible', 'child_seat', 'pet_friendly'],
+    // Shorthand accepted in passenger requirements
+    REQUIREMENT_ALIASES: {
+      luggage: 'luggage_space',
+      ac: 'air_conditioning',
+      accessibility: 'wheelchair_accessible',
+      wheelchair: 'wheelchair_accessible',
+      pets: 'pet_friendly'
+    },
+    VERIFICATION_STATUSES: ['pending', 'verified', 'rejected'],
+    // Verification isn't enforced for searches yet; flip once vehicle checks are staffed
+    REQUIRE_VERIFIED: process.env.REQUIRE_VERIFIED_VEHICLES === 'true'
+  },
+  
+  // Driver onboarding documents (DriverVerificationService)
+  DRIVER_VERIFICATION: {
+    // Drivers need every required document approved and unexpired to search or be matched
+    ENFORCE: process.env.DRIVER_VERIFICATION_REQUIRED !== 'false',
+    DOCUMENT_TYPES: ['license', 'registration'],
+    ALLOWED_CONTENT_TYPES: ['image/jpeg', 'image/png', 'application/pdf'],
+    MAX_FILE_SIZE: 5 * 1024 * 1024, // bytes
+    EXPIRY_CHECK_INTERVAL: 60 * 60 * 1000, // how often lapsed verifications are marked expired
+    REVIEW_QUEUE_LIMIT: 100
+  },
+  
+  // Ride preferences on driver/passenger profiles (utils/ridePreferences.js)
+  RIDE_PREFERENCES: {
+    GENDERS: ['female', 'male', 'other'],
+    MAX_LUGGAGE_LIMIT: 10,
+    MAX_CO_RIDERS_LIMIT: 7,
+    PROFILE_CACHE_TTL: 60 * 1000, // immediate matching reads profiles through utils/cache
+    // Soft preferences feed MATCHING.SCORE_WEIGHTS.COMPATIBILITY (0..1)
+    COMPATIBILITY: {
+      NEUTRAL: 0.7,
+      SHARED: 1.0, // both sides asked for the same thing (e.g. a quiet ride)
+      CONFLICT: 0.4 // one side asked for it, the other said no
+    }
+  },
+  
+  // Block list between users (BlockService)
+  BLOCKS: {
+    MAX_PER_USER: 200,
+    MAX_REASON_LENGTH: 200,
+    CACHE_TTL: 60 * 1000 // matching reads block lists through utils/cache
+  },
+  
+  // Read-only live trip links for people without the app (TripShareService)
+  TRIP_SHARING: {
+    PUBLIC_BASE_URL: process.env.PUBLIC_BASE_URL || '', // required in production; empty: links use the request's host
+    DEFAULT_DURATION_MINUTES: 120,
+    MAX_DURATION_MINUTES: 12 * 60,
+    MAX_ACTIVE_SHARES: 5, // per passenger
+    MAX_TRUSTED_CONTACTS: 5,
+    MAX_CONTACT_NAME_LENGTH: 60,
+    MAX_ROUTE_POINTS: 100,
+    STREAM_INTERVAL: 5000, // SSE push interval
+    MAX_STREAMS_PER_SHARE: 5,
+    ETA_REFRESH: 30 * 1000 // re-route the ETA at most this often per share
+  },
+  
+  // Data retention (CleanupService)
+  RETENTION: {
+    RUN_HOUR: 3, // daily run, server local time
+    SESSION_SWEEP_INTERVAL: 5 * 60 * 1000, // ends in-memory location sessions past expiresAt
+    QUERY_BATCH_SIZE: 200,
+    MAX_BATCHES_PER_POLICY: 25, // cap per run so one backlog can't stall the rest
+    DRY_RUN_SAMPLE_SIZE: 10, // document ids listed per policy in dry-run reports
+    RUN_HISTORY_LIMIT: 50,
+    // dateType: 'iso' (ISO string), 'timestamp' (Firestore Timestamp/Date) or 'millis' (epoch ms)
+    POLICIES: {
+      scheduled_searches_driver: {
+        collection: 'scheduled_searches_driver',
+        dateField: 'scheduledTime',
+        dateType: 'iso',
+        maxAgeDays: 7,
+        statuses: ['completed', 'cancelled', 'expired']
+      },
+      scheduled_searches_passenger: {
+        collection: 'scheduled_searches_passenger',
+        dateField: 'scheduledTime',
+        dateType: 'iso',
+        maxAgeDays: 7,
+        statuses: ['completed', 'cancelled', 'expired']
+      },
+      scheduled_matches: {
+        collection: 'scheduled_matches',
+        dateField: 'createdAt',
+        dateType: 'iso',
+        maxAgeDays: 30,
+        statuses: ['expired', 'cancelled', 'declined']
+      },
+      notifications: {
+        collection: 'notifications',
+        dateField: 'createdAt',
+        dateType: 'iso',
+        maxAgeDays: 30
+      },
+      location_sessions: {
+        collection: 'location_sessions',
+        dateField: 'expiresAt',
+        dateType: 'timestamp',
+        maxAgeDays: 1
+      },
+      location_session_summaries: {
+        collection: 'location_session_summaries',
+        dateField: 'endedAt',
+        dateType: 'timestamp',
+        maxAgeDays: 90
+      },
+      auth_codes: {
+        collection: 'auth_codes',
+        dateField: 'expiresAt',
+        dateType: 'millis',
+        maxAgeDays: 1
+      },
+      admin_audit_log: {
+        collection: 'admin_audit_log',
+        dateField: 'timestamp',
+        dateType: 'iso',
+        maxAgeDays: 180
+      },
+      cleanup_runs: {
+        collection: 'cleanup_runs',
+        dateField: 'startedAt',
+        dateType: 'iso',
+        maxAgeDays: 90
+      },
+      scheduled_reminders: {
+        collection: 'scheduled_reminders',
+        dateField: 'sendAt',
+        dateType: 'iso',
+        maxAgeDays: 7,
+        statuses: ['sent', 'cancelled', 'skipped', 'failed']
+      },
+      scheduled_reschedules: {
+        collection: 'scheduled_reschedules',
+        dateField: 'createdAt',
+        dateType: 'iso',
+        maxAgeDays: 30,
+        statuses: ['applied', 'declined', 'expired', 'withdrawn']
+      },
+      // A day past expiry the link answers 'not found' instead of 'expired'
+      trip_shares: {
+        collection: 'trip_shares',
+        dateField: 'expiresAt',
+        dateType: 'iso',
+        maxAgeDays: 1
+      }
+    }
+  },
+  
   // Search types
   SEARCH_TYPES: {
     IMMEDIATE: 'immediate',
@@ -117,6 +405,12 @@ module.exports = {
     BOTH: 'both'
   },
   
+  // Admin roles (stored in admin_principals, not in session tokens)
+  ADMIN_ROLES: {
+    ADMIN: 'admin',
+    SUPERADMIN: 'superadmin' // can register/revoke other admins
+  },
+  
   // Cache keys
   CACHE_KEYS: {
     USER_LOCATION: (userId) => `user_location:${userId}`,
@@ -132,7 +426,11 @@ module.exports = {
     RIDE_CANCELLED: 'RIDE_CANCELLED',
     INVALID_LOCATION: 'INVALID_LOCATION',
     NETWORK_ERROR: 'NETWORK_ERROR',
-    DATABASE_ERROR: 'DATABASE_ERROR'
+    DATABASE_ERROR: 'DATABASE_ERROR',
+    AUTH_REQUIRED: 'AUTH_REQUIRED',
+    INVALID_TOKEN: 'INVALID_TOKEN',
+    TOKEN_EXPIRED: 'TOKEN_EXPIRED',
+    FORBIDDEN: 'FORBIDDEN'
   },
   
   // Geospatial settings
@@ -161,6 +459,15 @@ module.exports = {
     SESSION_TIMEOUT: 30 * 60 * 1000 // 30 minutes
   },
   
+  // Phone OTP authentication
+  AUTH: {
+    OTP_LENGTH: 6,
+    OTP_TTL: 5 * 60 * 1000, // 5 minutes
+    OTP_MAX_ATTEMPTS: 5,
+    OTP_RESEND_INTERVAL: process.env.TEST_MODE === 'true' ? 5000 : 60000, // 1 minute between codes
+    SESSION_TOKEN_TTL: 24 * 60 * 60 * 1000 // 24 hours
+  },
+  
   // Flutter compatibility message types
   FLUTTER_MESSAGE_TYPES: {
     CREATE_SCHEDULED_SEARCH: 'CREATE_SCHEDULED_SEARCH',
@@ -168,6 +475,9 @@ module.exports = {
     ACCEPT_SCHEDULED_MATCH: 'ACCEPT_SCHEDULED_MATCH',
     DECLINE_SCHEDULED_MATCH: 'DECLINE_SCHEDULED_MATCH',
     CANCEL_SCHEDULED_SEARCH: 'CANCEL_SCHEDULED_SEARCH',
+    RESCHEDULE: 'RESCHEDULE',
+    RESCHEDULE_RESPONSE: 'RESCHEDULE_RESPONSE',
+    RESCHEDULE_WITHDRAW: 'RESCHEDULE_WITHDRAW',
     SCHEDULED_MATCH_PROPOSAL: 'SCHEDULED_MATCH_PROPOSAL',
     SCHEDULED_DRIVER_FOUND: 'SCHEDULED_DRIVER_FOUND',
     SCHEDULED_DRIVER_ACCEPTED: 'SCHEDULED_DRIVER_ACCEPTED',
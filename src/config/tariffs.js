@@ -0,0 +1,62 @@
+/**
+ * 💰 TARIFF TABLES
+ * Versioned fare tables per region. Never edit a published version - add a new one with a
+ * later effectiveFrom so matches priced under the old version can still be explained.
+ *
+ * Time windows are local to the region's timezone; a window whose end is before its start
+ * wraps past midnight. Days use 0 = Sunday ... 6 = Saturday.
+ */
+
+const ADDIS_ABABA_BOUNDS = { minLat: 8.80, maxLat: 9.15, minLng: 38.60, maxLng: 38.95 };
+
+const TARIFFS = [
+  {
+    region: 'addis_ababa',
+    version: 'addis_ababa@2024-01',
+    effectiveFrom: '2024-01-01T00:00:00+03:00',
+    timezone: 'Africa/Addis_Ababa',
+    currency: 'ETB',
+    bounds: ADDIS_ABABA_BOUNDS,
+    baseFare: 50,
+    perKm: 15,
+    perMinute: 2,
+    minimumFare: 80,
+    timeOfDay: [
+      { name: 'morning_peak', days: [1, 2, 3, 4, 5], start: '07:00', end: '09:30', multiplier: 1.25 },
+      { name: 'evening_peak', days: [1, 2, 3, 4, 5], start: '17:00', end: '19:30', multiplier: 1.25 },
+      { name: 'night', start: '22:00', end: '05:00', multiplier: 1.15 }
+    ],
+    seats: {
+      additionalSeatRate: 0.8, // each extra seat booked by the same passenger
+      sharedRideDiscount: 0.15 // when the driver already carries other passengers
+    }
+  },
+  {
+    region: 'default',
+    version: 'default@2024-01',
+    effectiveFrom: '2024-01-01T00:00:00+03:00',
+    timezone: 'Africa/Addis_Ababa',
+    currency: 'ETB',
+    bounds: null, // fallback when no region matches
+    baseFare: 40,
+    perKm: 12,
+    perMinute: 1.5,
+    minimumFare: 60,
+    timeOfDay: [
+      { name: 'night', start: '22:00', end: '05:00', multiplier: 1.15 }
+    ],
+    seats: {
+      additionalSeatRate: 0.8,
+      sharedRideDiscount: 0.1
+    }
+  }
+];
+
+module.exports = {
+  TARIFFS,
+  DEFAULT_REGION: 'default',
+  // Straight-line distance -> road distance when no route distance is known
+  ROAD_DISTANCE_FACTOR: 1.3,
+  // Average speed used to estimate trip minutes from distance
+  AVERAGE_SPEED_KMH: 25
+};
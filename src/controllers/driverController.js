@@ -2,6 +2,11 @@
 const express = require('express');
 const router = express.Router();
 const { v4: uuidv4 } = require('uuid');
+const { requireAuth, requireSelf } = require('../middlewares/auth');
+const { normalizeProfileUpdate } = require('../utils/ridePreferences');
+
+// Every driver endpoint requires a session token
+router.use(requireAuth);
 
 // Services
 let services;
@@ -36,7 +41,7 @@ const init = (serviceContainer) => {
 };
 
 // ========== ✅ ENDPOINT 1: /api/driver/start-search ==========
-router.post('/start-search', async (req, res) => {
+router.post('/start-search', requireSelf('body.userId', 'body.driverId', 'body.driverPhone', 'body.phone'), async (req, res) => {
   try {
     console.log('🚗 === DRIVER START-SEARCH ENDPOINT ===');
     
@@ -265,7 +270,7 @@ router.post('/start-search', async (req, res) => {
 });
 
 // ========== ✅ NEW ENDPOINT: /api/driver/save-search ==========
-router.post('/save-search', async (req, res) => {
+router.post('/save-search', requireSelf('body.userId', 'body.driverId', 'body.driverPhone', 'body.phone'), async (req, res) => {
   try {
     console.log('💾 === DRIVER SAVE-SEARCH ENDPOINT ===');
     
@@ -305,7 +310,7 @@ router.post('/save-search', async (req, res) => {
 });
 
 // ========== ✅ ENDPOINT 2: /api/driver/stop-search ==========
-router.post('/stop-search', async (req, res) => {
+router.post('/stop-search', requireSelf('body.userId', 'body.driverId', 'body.driverPhone', 'body.phone'), async (req, res) => {
   try {
     console.log('🛑 === DRIVER STOP-SEARCH ENDPOINT ===');
     
@@ -378,7 +383,7 @@ router.post('/stop-search', async (req, res) => {
 });
 
 // ========== ✅ ENDPOINT 3: /api/driver/search-status/:driverId ==========
-router.get('/search-status/:driverId', async (req, res) => {
+router.get('/search-status/:driverId', requireSelf('params.driverId'), async (req, res) => {
   try {
     const { driverId } = req.params;
     
@@ -476,7 +481,7 @@ router.get('/search-status/:driverId', async (req, res) => {
 });
 
 // ========== ✅ ENDPOINT 4: /api/driver/update-location ==========
-router.post('/update-location', async (req, res) => {
+router.post('/update-location', requireSelf('body.userId', 'body.driverId', 'body.driverPhone', 'body.phone'), async (req, res) => {
   try {
     console.log('📍 === DRIVER UPDATE LOCATION ENDPOINT ===');
     
@@ -568,8 +573,11 @@ router.post('/update-location', async (req, res) => {
       lastUpdated: Date.now()
     });
 
-    // If driver has a passenger, update passenger's embedded driver location
-    if (driverData && driverData.matchedWith && driverData.passenger) {
+    // If driver has a passenger, update passenger's embedded driver location - unless either blocked the other
+    const blockedPair = driverData?.matchedWith && services.blockService
+      ? await services.blockService.isBlocked(actualDriverId, driverData.matchedWith)
+      : false;
+    if (driverData && driverData.matchedWith && driverData.passenger && !blockedPair) {
       await db.collection(ACTIVE_SEARCHES_PASSENGER_COLLECTION).doc(driverData.matchedWith).update({
         'driver.currentLocation': {
           latitude: location.lat,
@@ -609,7 +617,7 @@ router.post('/update-location', async (req, res) => {
       },
       address: address || '',
       timestamp: new Date().toISOString(),
-      passengerNotified: driverData && driverData.matchedWith ? true : false,
+      passengerNotified: driverData && driverData.matchedWith && !blockedPair ? true : false,
       note: `Use driverPhone '${responseDriverPhone}' for future calls`
     });
 
@@ -623,7 +631,7 @@ router.post('/update-location', async (req, res) => {
 });
 
 // ========== ✅ ENDPOINT 5: /api/driver/availability ==========
-router.post('/availability', async (req, res) => {
+router.post('/availability', requireSelf('body.userId', 'body.driverId', 'body.driverPhone', 'body.phone'), async (req, res) => {
   try {
     const { userId, driverId, driverPhone, phone, isAvailable } = req.body;
     
@@ -680,7 +688,7 @@ router.post('/availability', async (req, res) => {
 });
 
 // ========== ✅ ENDPOINT 6: /api/driver/accept-match ==========
-router.post('/accept-match', async (req, res) => {
+router.post('/accept-match', requireSelf('body.userId', 'body.driverId', 'body.driverPhone', 'body.phone'), async (req, res) => {
   try {
     console.log('✅ === DRIVER ACCEPT MATCH ENDPOINT ===');
     
@@ -941,7 +949,7 @@ router.post('/accept-match', async (req, res) => {
 });
 
 // ========== ✅ ENDPOINT 7: /api/driver/reject-match ==========
-router.post('/reject-match', async (req, res) => {
+router.post('/reject-match', requireSelf('body.userId', 'body.driverId', 'body.driverPhone', 'body.phone'), async (req, res) => {
   try {
     const { driverId, userId, driverPhone, phone, matchId, passengerId, passengerPhone, userType = 'driver' } = req.body;
     
@@ -1023,7 +1031,7 @@ router.post('/reject-match', async (req, res) => {
 });
 
 // ========== ✅ ENDPOINT 8: /api/driver/status/:driverId ==========
-router.get('/status/:driverId', async (req, res) => {
+router.get('/status/:driverId', requireSelf('params.driverId'), async (req, res) => {
   try {
     const { driverId } = req.params;
     
@@ -1194,6 +1202,54 @@ router.get('/find-by-phone/:phone', async (req, res) => {
   }
 });
 
+// ========== ✅ ENDPOINT 10: /api/driver/update-profile ==========
+// Ride preferences (maxLuggage, noPets, noSmoking, quietRide) and the attributes passengers'
+// preferences check (gender, smoker); a null preference clears it
+router.post('/update-profile', requireSelf('body.userId', 'body.driverId', 'body.driverPhone', 'body.phone'), async (req, res) => {
+  try {
+    const { userId, driverId, driverName, driverPhotoUrl, preferences, gender, smoker } = req.body;
+    const actualDriverId = driverId || userId;
+
+    if (!actualDriverId) {
+      return res.status(400).json({
+        success: false,
+        error: 'driverId or userId is required'
+      });
+    }
+
+    console.log(`👤 Updating driver profile: ${actualDriverId}`);
+
+    const existing = preferences !== undefined
+      ? await firestoreService.getProfile('driver', actualDriverId)
+      : null;
+    const { updates, error: preferenceError } = normalizeProfileUpdate(
+      'driver', { preferences, gender, smoker }, existing?.preferences
+    );
+    if (preferenceError) {
+      return res.status(400).json({ success: false, error: preferenceError });
+    }
+
+    const updateData = { ...updates };
+    if (driverName) updateData.driverName = driverName;
+    if (driverPhotoUrl) updateData.driverPhotoUrl = driverPhotoUrl;
+
+    const result = await firestoreService.updateDriverProfile(actualDriverId, updateData);
+
+    if (result.success && services.scheduledService) {
+      await services.scheduledService.refreshRidePreferences('driver', actualDriverId);
+    }
+
+    res.status(result.success ? 200 : 500).json(result);
+
+  } catch (error) {
+    console.error('❌ Error updating driver profile:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Internal server error'
+    });
+  }
+});
+
 module.exports = {
   router,
   init
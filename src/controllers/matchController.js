@@ -1,7 +1,13 @@
 const express = require('express');
 const router = express.Router();
+const { requireAuth, requireSelf } = require('../middlewares/auth');
+const { requireAdmin, requireTestRoutes } = require('../middlewares/admin');
+
+// Every match endpoint requires a session token
+router.use(requireAuth);
 
 let services = null;
+const getAdminService = () => services?.adminService;
 
 class MatchController {
   constructor(matchingService, firestoreService) {
@@ -278,7 +284,7 @@ const init = (injectedServices) => {
   );
   
   // Match search endpoint
-  router.post('/search', async (req, res) => {
+  router.post('/search', requireSelf('body.userId', 'body.driverPhone', 'body.passengerPhone'), async (req, res) => {
     try {
       const { 
         userId, 
@@ -413,22 +419,22 @@ const init = (injectedServices) => {
   });
   
   // Accept match endpoint using MatchController
-  router.post('/accept-match', (req, res) => matchController.acceptMatch(req, res));
+  router.post('/accept-match', requireSelf('body.userId'), (req, res) => matchController.acceptMatch(req, res));
   
   // Reject match endpoint using MatchController
-  router.post('/reject-match', (req, res) => matchController.rejectMatch(req, res));
+  router.post('/reject-match', requireSelf('body.userId'), (req, res) => matchController.rejectMatch(req, res));
   
   // NEW: Accept all passengers for a driver
-  router.post('/accept-all-passengers', (req, res) => matchController.acceptAllPassengers(req, res));
+  router.post('/accept-all-passengers', requireSelf('body.driverId'), (req, res) => matchController.acceptAllPassengers(req, res));
   
   // Get match details endpoint
   router.get('/match-details/:matchId', (req, res) => matchController.getMatchDetails(req, res));
   
   // NEW: Get driver's passenger configuration
-  router.get('/driver-passengers/:driverId', (req, res) => matchController.getDriverPassengers(req, res));
+  router.get('/driver-passengers/:driverId', requireSelf('params.driverId'), (req, res) => matchController.getDriverPassengers(req, res));
   
   // Get match status endpoint
-  router.get('/status/:userId', async (req, res) => {
+  router.get('/status/:userId', requireSelf('params.userId'), async (req, res) => {
     try {
       const { userId } = req.params;
       
@@ -496,7 +502,7 @@ const init = (injectedServices) => {
   });
   
   // Stop search endpoint
-  router.post('/stop-search', async (req, res) => {
+  router.post('/stop-search', requireSelf('body.userId'), async (req, res) => {
     try {
       const { userId, userType } = req.body;
       
@@ -543,7 +549,7 @@ const init = (injectedServices) => {
   });
   
   // Cleanup expired matches endpoint
-  router.post('/cleanup-expired', async (req, res) => {
+  router.post('/cleanup-expired', requireAdmin(getAdminService), async (req, res) => {
     try {
       console.log('🧹 Manual cleanup of expired matches');
       
@@ -567,7 +573,7 @@ const init = (injectedServices) => {
   });
   
   // Get search status endpoint
-  router.get('/search-status/:userId', async (req, res) => {
+  router.get('/search-status/:userId', requireSelf('params.userId'), async (req, res) => {
     try {
       const { userId } = req.params;
       
@@ -592,7 +598,7 @@ const init = (injectedServices) => {
   });
   
   // NEW: Force matching cycle (for testing)
-  router.post('/force-match-cycle', async (req, res) => {
+  router.post('/force-match-cycle', requireTestRoutes, requireAdmin(getAdminService), async (req, res) => {
     try {
       console.log('⚡ Forcing matching cycle...');
       
@@ -621,7 +627,7 @@ const init = (injectedServices) => {
   });
   
   // NEW: Auto-accept all proposed matches (for testing)
-  router.post('/auto-accept-all', async (req, res) => {
+  router.post('/auto-accept-all', requireTestRoutes, requireAdmin(getAdminService), async (req, res) => {
     try {
       console.log('🤖 Auto-accepting all proposed matches...');
       
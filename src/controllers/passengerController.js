@@ -1,5 +1,10 @@
 const express = require('express');
 const router = express.Router();
+const { requireAuth, requireSelf } = require('../middlewares/auth');
+const { normalizeProfileUpdate } = require('../utils/ridePreferences');
+
+// Every passenger endpoint requires a session token
+router.use(requireAuth);
 
 let services = null;
 let firestoreService = null;
@@ -18,7 +23,7 @@ const init = (injectedServices) => {
   }
   
   // Start passenger search endpoint (Fixed to ensure userId is always set)
-  router.post('/search', async (req, res) => {
+  router.post('/search', requireSelf('body.userId', 'body.passengerId', 'body.passengerPhone', 'body.phone'), async (req, res) => {
     try {
       const { userId, passengerName, passengerPhone, passengerPhotoUrl, passengerCount, rideType, ...otherData } = req.body;
       
@@ -74,7 +79,7 @@ const init = (injectedServices) => {
   });
   
   // Save passenger search endpoint (uses phone as ID)
-  router.post('/save-search', async (req, res) => {
+  router.post('/save-search', requireSelf('body.userId', 'body.passengerId', 'body.passengerPhone', 'body.phone'), async (req, res) => {
     try {
       const passengerData = req.body;
       const passengerPhone = passengerData.passengerPhone || passengerData.phone;
@@ -146,7 +151,7 @@ const init = (injectedServices) => {
   });
   
   // Cancel passenger search endpoint
-  router.post('/cancel-search', async (req, res) => {
+  router.post('/cancel-search', requireSelf('body.userId', 'body.passengerId', 'body.passengerPhone', 'body.phone'), async (req, res) => {
     try {
       const { userId, passengerId, reason } = req.body;
       
@@ -187,7 +192,7 @@ const init = (injectedServices) => {
   });
   
   // Passenger status endpoint
-  router.get('/status/:passengerId', async (req, res) => {
+  router.get('/status/:passengerId', requireSelf('params.passengerId'), async (req, res) => {
     try {
       const { passengerId } = req.params;
       
@@ -252,7 +257,7 @@ const init = (injectedServices) => {
   });
   
   // Passenger location update endpoint
-  router.post('/update-location', async (req, res) => {
+  router.post('/update-location', requireSelf('body.userId', 'body.passengerId', 'body.passengerPhone', 'body.phone'), async (req, res) => {
     try {
       const { 
         userId, 
@@ -329,7 +334,7 @@ const init = (injectedServices) => {
   });
   
   // Update passenger profile endpoint
-  router.post('/update-profile', async (req, res) => {
+  router.post('/update-profile', requireSelf('body.userId', 'body.passengerId', 'body.passengerPhone', 'body.phone'), async (req, res) => {
     try {
       const { 
         userId, 
@@ -337,7 +342,9 @@ const init = (injectedServices) => {
         passengerName,
         passengerPhone,
         passengerPhotoUrl,
-        preferences
+        preferences,
+        gender,
+        smoker
       } = req.body;
       
       const actualUserId = passengerId || userId;
@@ -351,14 +358,29 @@ const init = (injectedServices) => {
       
       console.log(`👤 Updating passenger profile: ${actualUserId}`);
       
-      const updateData = {};
+      // Ride preferences and the attributes drivers' preferences check (gender, smoker)
+      const existing = preferences !== undefined
+        ? await services.firestoreService.getProfile('passenger', actualUserId)
+        : null;
+      const { updates, error: preferenceError } = normalizeProfileUpdate(
+        'passenger', { preferences, gender, smoker }, existing?.preferences
+      );
+      if (preferenceError) {
+        return res.status(400).json({ success: false, error: preferenceError });
+      }
+      
+      const updateData = { ...updates };
       if (passengerName) updateData.passengerName = passengerName;
       if (passengerPhone) updateData.passengerPhone = passengerPhone;
       if (passengerPhotoUrl) updateData.passengerPhotoUrl = passengerPhotoUrl;
-      if (preferences) updateData.preferences = preferences;
       
       const result = await services.firestoreService.updatePassengerProfile(actualUserId, updateData);
       
+      // Waiting scheduled searches pick up the new preferences
+      if (result.success && services.scheduledService) {
+        await services.scheduledService.refreshRidePreferences('passenger', actualUserId);
+      }
+      
       // Notify via WebSocket if available
       if (services.wsService && result.success) {
         services.wsService.sendToUser(actualUserId, {
@@ -383,7 +405,7 @@ const init = (injectedServices) => {
   });
   
   // Get passenger search by phone (for the new save-search endpoint)
-  router.get('/search-by-phone/:phone', async (req, res) => {
+  router.get('/search-by-phone/:phone', requireSelf('params.phone'), async (req, res) => {
     try {
       const { phone } = req.params;
       
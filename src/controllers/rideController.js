@@ -1,15 +1,69 @@
 const express = require('express');
 const router = express.Router();
+const { requireAuth, requireSelf } = require('../middlewares/auth');
+const { requireAdmin, requireTestRoutes } = require('../middlewares/admin');
+const { formatPhoneNumber } = require('../utils/helpers');
+
+// Every ride endpoint requires a session token
+router.use(requireAuth);
 
 let services = null;
+const getAdminService = () => services?.adminService;
+
+const TERMINAL_TRIP_STATUSES = ['completed', 'cancelled'];
+
+// Immediate rides: write finished/cancelled rides from active_rides into ride history (and the fare into the ledger)
+const recordImmediateRideHistory = async (rideId, tripStatus, userId, userType, body) => {
+  if (!rideId || !services.rideHistoryService || !TERMINAL_TRIP_STATUSES.includes(tripStatus)) return;
+  
+  try {
+    const rideDoc = await services.firestoreService.getDocument('active_rides', rideId);
+    if (!rideDoc.exists) return;
+    
+    const participants = [rideDoc.data().driverPhone, rideDoc.data().passengerPhone].map(formatPhoneNumber);
+    if (!participants.includes(formatPhoneNumber(userId))) return;
+    
+    const ride = { ...rideDoc.data(), rideId, rideType: 'immediate' };
+    const now = new Date().toISOString();
+    
+    if (tripStatus === 'completed') {
+      // The quoted fare and the passenger's method, never what the client reports
+      await services.rideHistoryService.recordCompletedRide(ride, {
+        source: 'immediate',
+        paymentAmount: ride.estimatedFare,
+        paymentMethod: ride.paymentMethod,
+        completedAt: now
+      });
+      
+      if (services.ledgerService) {
+        await services.ledgerService.recordRideFare({
+          rideId,
+          driverPhone: ride.driverPhone,
+          passengerPhone: ride.passengerPhone,
+          amount: ride.estimatedFare,
+          paymentMethod: ride.paymentMethod
+        });
+      }
+    } else {
+      await services.rideHistoryService.recordCancelledRide(ride, {
+        source: 'immediate',
+        cancelledBy: userType,
+        reason: body.reason || 'user_cancelled',
+        cancelledAt: now
+      });
+    }
+  } catch (error) {
+    console.error(`❌ Error recording ride history for ${rideId}:`, error);
+  }
+};
 
 const init = (injectedServices) => {
   services = injectedServices;
   
   // Trip status update endpoint
-  router.post('/update-status', async (req, res) => {
+  router.post('/update-status', requireSelf('body.userId'), async (req, res) => {
     try {
-      const { userId, userType, tripStatus, location } = req.body;
+      const { userId, userType, tripStatus, location, rideId } = req.body;
       
       if (!userId) {
         return res.status(400).json({ 
@@ -41,6 +95,10 @@ const init = (injectedServices) => {
         location
       );
       
+      if (result?.success !== false) {
+        await recordImmediateRideHistory(rideId || result?.rideId, tripStatus, userId, userType, req.body);
+      }
+      
       res.json(result);
       
     } catch (error) {
@@ -53,15 +111,8 @@ const init = (injectedServices) => {
   });
   
   // Force activate scheduled searches (for testing)
-  router.post('/force-activate-scheduled', async (req, res) => {
+  router.post('/force-activate-scheduled', requireTestRoutes, requireAdmin(getAdminService), async (req, res) => {
     try {
-      if (!services.constants.TEST_MODE) {
-        return res.status(403).json({ 
-          success: false, 
-          error: 'This endpoint is only available in TEST_MODE' 
-        });
-      }
-      
       const activatedCount = await services.scheduledService.forceActivateAllScheduledSearches();
       
       res.json({
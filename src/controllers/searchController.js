@@ -1,13 +1,19 @@
 const express = require('express');
 const router = express.Router();
+const { requireAuth, requireSelf } = require('../middlewares/auth');
+const { requireAdmin } = require('../middlewares/admin');
+
+// Every search endpoint requires a session token
+router.use(requireAuth);
 
 let services = null;
+const getAdminService = () => services?.adminService;
 
 const init = (injectedServices) => {
   services = injectedServices;
   
   // Search status endpoint
-  router.get('/status/:userId', async (req, res) => {
+  router.get('/status/:userId', requireSelf('params.userId'), async (req, res) => {
     try {
       const { userId } = req.params;
       
@@ -26,6 +32,7 @@ const init = (injectedServices) => {
         immediateSearch: searchStatus.memorySearch,
         scheduledSearch: scheduledStatus,
         matches: searchStatus.matches,
+        nearbyCandidates: searchStatus.nearbyCandidates,
         timeout: searchStatus.timeout,
         websocketConnected: services.websocketServer ? services.websocketServer.isUserConnected(userId) : false,
         stats: searchStatus.stats
@@ -41,7 +48,7 @@ const init = (injectedServices) => {
   });
   
   // Driver schedule endpoint
-  router.post('/driver-schedule', async (req, res) => {
+  router.post('/driver-schedule', requireSelf('body.userId', 'body.driverId', 'body.driverPhone'), async (req, res) => {
     try {
       const { 
         userId, 
@@ -180,7 +187,7 @@ const init = (injectedServices) => {
   });
   
   // Get driver schedule endpoint
-  router.get('/driver-schedule/:driverId', async (req, res) => {
+  router.get('/driver-schedule/:driverId', requireSelf('params.driverId'), async (req, res) => {
     try {
       const { driverId } = req.params;
       
@@ -230,7 +237,7 @@ const init = (injectedServices) => {
   });
   
   // Debug endpoint
-  router.get('/debug/status', async (req, res) => {
+  router.get('/debug/status', requireAdmin(getAdminService), async (req, res) => {
     try {
       const memoryStats = services.searchService.getStats();
       const firestoreStats = services.firestoreService.getStats();
@@ -262,7 +269,7 @@ const init = (injectedServices) => {
   });
 
   // Start search endpoint
-  router.post('/start', async (req, res) => {
+  router.post('/start', requireSelf('body.userId', 'body.driverPhone', 'body.passengerPhone', 'body.phone'), async (req, res) => {
     try {
       const searchData = req.body;
       
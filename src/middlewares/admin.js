@@ -0,0 +1,84 @@
+// Admin and test-route guards
+const { requireAuth } = require('./auth');
+const { ADMIN_ROLES, ERROR_CODES, TEST_ROUTES_ENABLED } = require('../config/constants');
+
+const deny = (res, status, error, code) => {
+  return res.status(status).json({
+    success: false,
+    error,
+    code,
+    timestamp: new Date().toISOString()
+  });
+};
+
+const auditEntry = (req, extra) => ({
+  actor: req.auth?.phone || null,
+  action: `${req.method} ${req.originalUrl.split('?')[0]}`,
+  params: req.params,
+  query: req.query,
+  body: req.body,
+  ip: req.ip,
+  userAgent: req.headers['user-agent'],
+  ...extra
+});
+
+/**
+ * Only admins registered in admin_principals may pass; every call (allowed or denied)
+ * is written to the admin audit trail.
+ * @param {Function} getAdminService - returns the AdminService once services are initialized
+ * @param {string} role - minimum ADMIN_ROLES role
+ * @returns {Function[]} middleware chain (includes requireAuth)
+ */
+const requireAdmin = (getAdminService, role = ADMIN_ROLES.ADMIN) => [
+  requireAuth,
+  async (req, res, next) => {
+    const adminService = getAdminService();
+    if (!adminService) {
+      return deny(res, 503, 'Admin service not available');
+    }
+
+    try {
+      const admin = await adminService.getAdmin(req.auth.phone);
+
+      if (!adminService.hasRole(admin, role)) {
+        console.warn(`🛡️ [ADMIN] Denied ${req.method} ${req.originalUrl} for ${req.auth.phone}`);
+        adminService.recordAudit(auditEntry(req, {
+          actorRole: admin?.role || null,
+          outcome: 'denied',
+          statusCode: 403
+        }));
+        return deny(res, 403, 'Admin access required', ERROR_CODES.FORBIDDEN);
+      }
+
+      req.admin = admin;
+      const startedAt = Date.now();
+
+      res.on('finish', () => {
+        adminService.recordAudit(auditEntry(req, {
+          actorRole: admin.role,
+          outcome: res.statusCode < 400 ? 'success' : 'failed',
+          statusCode: res.statusCode,
+          durationMs: Date.now() - startedAt
+        }));
+      });
+
+      next();
+    } catch (error) {
+      console.error('❌ [ADMIN] Admin check failed:', error);
+      deny(res, 500, 'Admin check failed');
+    }
+  }
+];
+
+// Test-only routes answer 404 unless ENABLE_TEST_ROUTES=true (and not production)
+const requireTestRoutes = (req, res, next) => {
+  if (!TEST_ROUTES_ENABLED) {
+    return deny(res, 404, 'Route not found');
+  }
+  next();
+};
+
+module.exports = {
+  requireAdmin,
+  requireTestRoutes
+};
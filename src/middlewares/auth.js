@@ -0,0 +1,88 @@
+// Authentication middleware - session tokens and per-user ownership checks
+const { verifyToken } = require('../utils/sessionTokens');
+const { formatPhoneNumber } = require('../utils/helpers');
+const { ERROR_CODES } = require('../config/constants');
+
+const deny = (res, status, error, code) => {
+  return res.status(status).json({
+    success: false,
+    error,
+    code,
+    timestamp: new Date().toISOString()
+  });
+};
+
+// Resolve 'body.data.userId' style paths against the request
+const readPath = (req, path) => {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), req);
+};
+
+const extractToken = (req) => {
+  const header = req.headers.authorization || '';
+  if (header.startsWith('Bearer ')) {
+    return header.slice(7).trim();
+  }
+  return null;
+};
+
+/**
+ * Verify a session token and build the principal attached to requests/sockets
+ * @returns {{ success: boolean, principal?: Object, error?: string, code?: string }}
+ */
+const authenticateToken = (token) => {
+  if (!token) {
+    return { success: false, error: 'Authentication required', code: ERROR_CODES.AUTH_REQUIRED };
+  }
+
+  const result = verifyToken(token);
+  if (!result.valid) {
+    return { success: false, error: result.error, code: result.code };
+  }
+
+  return {
+    success: true,
+    principal: {
+      phone: result.claims.sub,
+      role: result.claims.role,
+      sessionId: result.claims.sid,
+      expiresAt: result.claims.exp
+    }
+  };
+};
+
+module.exports = {
+  authenticateToken,
+  extractToken,
+
+  // Require a valid session token, sets req.auth
+  requireAuth: (req, res, next) => {
+    const result = authenticateToken(extractToken(req));
+    if (!result.success) {
+      return deny(res, 401, result.error, result.code);
+    }
+
+    req.auth = result.principal;
+    next();
+  },
+
+  // Every identity present at the given paths must be the authenticated user.
+  // Usage: requireSelf('params.phone', 'body.driverPhone')
+  requireSelf: (...paths) => {
+    return (req, res, next) => {
+      if (!req.auth) {
+        return deny(res, 401, 'Authentication required', ERROR_CODES.AUTH_REQUIRED);
+      }
+
+      for (const path of paths) {
+        const value = readPath(req, path);
+        if (value === undefined || value === null || value === '') continue;
+
+        if (formatPhoneNumber(String(value)) !== req.auth.phone) {
+          return deny(res, 403, 'Not allowed to act on behalf of another user', ERROR_CODES.FORBIDDEN);
+        }
+      }
+
+      next();
+    };
+  }
+};
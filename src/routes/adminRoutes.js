@@ -0,0 +1,59 @@
+// routes/adminRoutes.js
+const express = require('express');
+const { requireAdmin } = require('../middlewares/admin');
+const { formatPhoneNumber } = require('../utils/helpers');
+const { ADMIN_ROLES } = require('../config/constants');
+
+/**
+ * Admin principal management + audit trail, mounted at /api/admin
+ * @param {Function} getAdminService - returns the AdminService once services are initialized
+ */
+module.exports = (getAdminService) => {
+  const router = express.Router();
+
+  const send = (res, result, failureStatus = 400) => {
+    res.status(result.success ? 200 : failureStatus).json({
+      ...result,
+      timestamp: new Date().toISOString()
+    });
+  };
+
+  /**
+   * GET /api/admin/principals
+   * List active admins
+   */
+  router.get('/principals', requireAdmin(getAdminService), async (req, res) => {
+    send(res, await getAdminService().listAdmins(), 500);
+  });
+
+  /**
+   * POST /api/admin/principals
+   * Body: { phoneNumber, role } - superadmin only
+   */
+  router.post('/principals', requireAdmin(getAdminService, ADMIN_ROLES.SUPERADMIN), async (req, res) => {
+    const { phoneNumber, role = ADMIN_ROLES.ADMIN } = req.body;
+    send(res, await getAdminService().registerAdmin(phoneNumber, role, req.auth.phone));
+  });
+
+  /**
+   * DELETE /api/admin/principals/:phone
+   * Revoke an admin - superadmin only
+   */
+  router.delete('/principals/:phone', requireAdmin(getAdminService, ADMIN_ROLES.SUPERADMIN), async (req, res) => {
+    if (formatPhoneNumber(req.params.phone) === req.auth.phone) {
+      return send(res, { success: false, error: 'Admins cannot revoke themselves' });
+    }
+    send(res, await getAdminService().revokeAdmin(req.params.phone, req.auth.phone), 404);
+  });
+
+  /**
+   * GET /api/admin/audit?actor=&action=&limit=
+   * Admin audit trail, newest first
+   */
+  router.get('/audit', requireAdmin(getAdminService), async (req, res) => {
+    const { actor, action, limit } = req.query;
+    send(res, await getAdminService().getAuditLog({ actor, action, limit }), 500);
+  });
+
+  return router;
+};
@@ -0,0 +1,101 @@
+// routes/authRoutes.js
+const express = require('express');
+const { requireAuth } = require('../middlewares/auth');
+
+const STATUS_BY_CODE = {
+  USER_EXISTS: 409,
+  USER_NOT_FOUND: 404,
+  OTP_RATE_LIMITED: 429,
+  OTP_NOT_FOUND: 400,
+  OTP_EXPIRED: 400,
+  OTP_INVALID: 401,
+  OTP_LOCKED: 429
+};
+
+/**
+ * Auth routes, mounted at /api/auth
+ * @param {Function} getAuthService - returns the AuthService once services are initialized
+ */
+module.exports = (getAuthService) => {
+  const router = express.Router();
+
+  const send = (res, result) => {
+    const status = result.success ? 200 : (STATUS_BY_CODE[result.code] || 400);
+    res.status(status).json({
+      ...result,
+      timestamp: new Date().toISOString()
+    });
+  };
+
+  // Resolve the service per request - it is created after routes are mounted
+  const withService = (handler) => async (req, res) => {
+    const authService = getAuthService();
+    if (!authService) {
+      return res.status(503).json({
+        success: false,
+        error: 'Auth service not available',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    try {
+      await handler(authService, req, res);
+    } catch (error) {
+      console.error('❌ [AUTH API] Error:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  };
+
+  /**
+   * POST /api/auth/register
+   * Body: { phoneNumber, name, role } - sends a verification code
+   */
+  router.post('/register', withService(async (authService, req, res) => {
+    const { phoneNumber, phone, name, role } = req.body;
+    send(res, await authService.register({ phoneNumber: phoneNumber || phone, name, role }));
+  }));
+
+  /**
+   * POST /api/auth/login
+   * Body: { phoneNumber } - sends a verification code to a registered user
+   */
+  router.post('/login', withService(async (authService, req, res) => {
+    const { phoneNumber, phone } = req.body;
+    send(res, await authService.login({ phoneNumber: phoneNumber || phone }));
+  }));
+
+  /**
+   * POST /api/auth/verify
+   * Body: { phoneNumber, code } - returns a session token
+   */
+  router.post('/verify', withService(async (authService, req, res) => {
+    const { phoneNumber, phone, code } = req.body;
+    send(res, await authService.verifyCode({ phoneNumber: phoneNumber || phone, code }));
+  }));
+
+  /**
+   * POST /api/auth/refresh
+   * Exchange a valid session token for a new one (same session)
+   */
+  router.post('/refresh', requireAuth, withService(async (authService, req, res) => {
+    send(res, await authService.refreshSession(req.auth));
+  }));
+
+  /**
+   * GET /api/auth/me
+   * Current user for the session token
+   */
+  router.get('/me', requireAuth, withService(async (authService, req, res) => {
+    const user = await authService.getSessionUser(req.auth.phone);
+    if (!user) {
+      return send(res, { success: false, error: 'User not found', code: 'USER_NOT_FOUND' });
+    }
+    send(res, { success: true, user, session: req.auth });
+  }));
+
+  return router;
+};
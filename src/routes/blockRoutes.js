@@ -0,0 +1,63 @@
+// routes/blockRoutes.js
+const express = require('express');
+const { requireAuth } = require('../middlewares/auth');
+
+/**
+ * Caller's block list, mounted at /api/blocks
+ * @param {Function} getBlockService - returns the BlockService once services are initialized
+ */
+module.exports = (getBlockService) => {
+  const router = express.Router();
+
+  router.use(requireAuth);
+
+  const withService = (handler, failureStatus = 400) => async (req, res) => {
+    const blockService = getBlockService();
+    if (!blockService) {
+      return res.status(503).json({
+        success: false,
+        error: 'Block service not available',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    try {
+      const result = await handler(blockService, req);
+      res.status(result.success === false ? failureStatus : 200).json({
+        ...result,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('❌ [BLOCKS API] Error:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  };
+
+  /**
+   * GET /api/blocks
+   * Users the caller blocked, newest first
+   */
+  router.get('/', withService((service, req) => service.listBlocks(req.auth.phone)));
+
+  /**
+   * POST /api/blocks
+   * Body: { phone, reason? } - the two are never matched again and open proposals between them are withdrawn
+   */
+  router.post('/', withService((service, req) =>
+    service.blockUser(req.auth.phone, req.body.phone, req.body.reason)
+  ));
+
+  /**
+   * DELETE /api/blocks/:phone
+   * Lifts the caller's block (not one the other user placed)
+   */
+  router.delete('/:phone', withService((service, req) =>
+    service.unblockUser(req.auth.phone, req.params.phone)
+  , 404));
+
+  return router;
+};
@@ -0,0 +1,70 @@
+// routes/cancellationRoutes.js
+const express = require('express');
+const { requireAuth } = require('../middlewares/auth');
+const { CANCELLATION_POLICY } = require('../config/constants');
+
+/**
+ * Cancellation policy and the caller's standing, mounted at /api/cancellations
+ * @param {Function} getCancellationPolicyService - returns the CancellationPolicyService once services are initialized
+ */
+module.exports = (getCancellationPolicyService) => {
+  const router = express.Router();
+
+  router.use(requireAuth);
+
+  /**
+   * GET /api/cancellations/policy
+   * Fees, strike rules and cooldown tiers
+   */
+  router.get('/policy', (req, res) => {
+    const minutes = (ms) => Math.round(ms / 60000);
+
+    res.json({
+      success: true,
+      policy: {
+        freeMoreThanMinutesBefore: minutes(CANCELLATION_POLICY.FREE_BEFORE),
+        strikeWithinMinutesBefore: minutes(CANCELLATION_POLICY.STRIKE_BEFORE),
+        gracePeriodMinutes: minutes(CANCELLATION_POLICY.GRACE_PERIOD),
+        fees: CANCELLATION_POLICY.FEES,
+        strikeWindowDays: minutes(CANCELLATION_POLICY.STRIKE_WINDOW) / (60 * 24),
+        cooldowns: CANCELLATION_POLICY.COOLDOWNS.map(t => ({
+          strikes: t.strikes,
+          hours: minutes(t.duration) / 60
+        }))
+      },
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  /**
+   * GET /api/cancellations/standing
+   * Caller's recent cancellations, strikes, fees and any active matching cooldown
+   */
+  router.get('/standing', async (req, res) => {
+    const service = getCancellationPolicyService();
+    if (!service) {
+      return res.status(503).json({
+        success: false,
+        error: 'Cancellation policy service not available',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    try {
+      const result = await service.getStanding(req.auth.phone);
+      res.status(result.success ? 200 : 500).json({
+        ...result,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('❌ [CANCELLATIONS API] Error:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,107 @@
+// routes/cleanupRoutes.js
+const express = require('express');
+
+/**
+ * Data retention routes, mounted at /api/admin/cleanup behind requireAdmin
+ * (every call lands in the admin audit trail)
+ * @param {Function} getCleanupService - returns the CleanupService once services are initialized
+ */
+module.exports = (getCleanupService) => {
+  const router = express.Router();
+
+  const toList = (value) => {
+    if (!value) return [];
+    return Array.isArray(value) ? value : String(value).split(',').map(v => v.trim()).filter(Boolean);
+  };
+
+  const withService = (handler, failureStatus = 400) => async (req, res) => {
+    const cleanupService = getCleanupService();
+    if (!cleanupService) {
+      return res.status(503).json({
+        success: false,
+        error: 'Cleanup service not available',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    try {
+      const result = await handler(cleanupService, req);
+      res.status(result.success === false ? failureStatus : 200).json({
+        ...result,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('❌ [CLEANUP API] Error:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  };
+
+  /**
+   * GET /api/admin/cleanup/policies
+   * Retention policies with the cutoff a run started now would use
+   */
+  router.get('/policies', withService((service) => ({
+    success: true,
+    policies: service.getPolicies(),
+    status: service.getStatus()
+  })));
+
+  /**
+   * POST /api/admin/cleanup/trigger
+   * Body: { dryRun, policies: ['notifications', ...] }
+   */
+  router.post('/trigger', withService((service, req) =>
+    service.performCleanup({
+      dryRun: req.body.dryRun === true || req.body.dryRun === 'true',
+      policies: toList(req.body.policies),
+      trigger: 'manual',
+      requestedBy: req.auth.phone
+    })
+  ));
+
+  /**
+   * POST /api/admin/cleanup/dry-run
+   * Body: { policies } - report what a run would delete, deletes nothing
+   */
+  router.post('/dry-run', withService((service, req) =>
+    service.performCleanup({
+      dryRun: true,
+      policies: toList(req.body.policies),
+      trigger: 'manual',
+      requestedBy: req.auth.phone
+    })
+  ));
+
+  /**
+   * POST /api/admin/cleanup/users/:phone/purge
+   * Body: { dryRun } - delete a user's data, anonymize their shared ride history
+   */
+  router.post('/users/:phone/purge', withService((service, req) =>
+    service.cleanupUserData(req.params.phone, {
+      dryRun: req.body.dryRun === true || req.body.dryRun === 'true',
+      requestedBy: req.auth.phone
+    })
+  ));
+
+  /**
+   * GET /api/admin/cleanup/runs?type=retention|user_purge&limit=
+   * Run history, newest first
+   */
+  router.get('/runs', withService((service, req) =>
+    service.getRunHistory({ type: req.query.type, limit: req.query.limit })
+  , 500));
+
+  /**
+   * GET /api/admin/cleanup/runs/:runId
+   * Full per-policy report of one run
+   */
+  router.get('/runs/:runId', withService((service, req) =>
+    service.getRun(req.params.runId)
+  , 404));
+
+  return router;
+};
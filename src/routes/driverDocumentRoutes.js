@@ -0,0 +1,120 @@
+// routes/driverDocumentRoutes.js
+const express = require('express');
+const { requireAuth } = require('../middlewares/auth');
+const { requireAdmin } = require('../middlewares/admin');
+const { DRIVER_VERIFICATION } = require('../config/constants');
+
+/**
+ * Driver onboarding documents and the admin review queue, mounted at /api/driver-documents
+ * @param {Function} getVerificationService - returns the DriverVerificationService once services are initialized
+ * @param {Function} getAdminService - returns the AdminService (admin-only routes)
+ */
+module.exports = (getVerificationService, getAdminService) => {
+  const router = express.Router();
+
+  // Files are sent as the raw request body (the app-wide JSON parser caps bodies at 500kb)
+  const parseDocument = express.raw({
+    type: DRIVER_VERIFICATION.ALLOWED_CONTENT_TYPES,
+    limit: DRIVER_VERIFICATION.MAX_FILE_SIZE
+  });
+
+  // Parser errors (too large, aborted) are the uploader's problem, not a 500
+  const rawDocument = (req, res, next) => parseDocument(req, res, (error) => {
+    if (!error) return next();
+    res.status(error.status || 400).json({
+      success: false,
+      error: error.type === 'entity.too.large'
+        ? `Document file is larger than ${DRIVER_VERIFICATION.MAX_FILE_SIZE / (1024 * 1024)} MB`
+        : error.message,
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  const unavailable = (res) => res.status(503).json({
+    success: false,
+    error: 'Driver verification service not available',
+    timestamp: new Date().toISOString()
+  });
+
+  const withService = (handler, failureStatus = 400) => async (req, res) => {
+    const verificationService = getVerificationService();
+    if (!verificationService) return unavailable(res);
+
+    try {
+      const result = await handler(verificationService, req);
+      res.status(result.success === false ? failureStatus : 200).json({
+        ...result,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('❌ [DRIVER DOCUMENTS API] Error:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  };
+
+  /**
+   * GET /api/driver-documents/review?limit= - admin only
+   * Pending uploads, oldest first
+   */
+  router.get('/review', requireAdmin(getAdminService), withService((service, req) =>
+    service.listReviewQueue(req.query.limit)
+  ));
+
+  /**
+   * GET /api/driver-documents/review/:documentId/file - admin only
+   * The uploaded file itself
+   */
+  router.get('/review/:documentId/file', requireAdmin(getAdminService), async (req, res) => {
+    const verificationService = getVerificationService();
+    if (!verificationService) return unavailable(res);
+
+    try {
+      const result = await verificationService.readDocumentFile(req.params.documentId);
+      if (!result.success) {
+        return res.status(404).json({ success: false, error: result.error, timestamp: new Date().toISOString() });
+      }
+
+      res.set('Content-Type', result.contentType);
+      res.set('Cache-Control', 'no-store');
+      res.send(result.buffer);
+    } catch (error) {
+      console.error('❌ [DRIVER DOCUMENTS API] Error:', error);
+      res.status(500).json({ success: false, error: error.message, timestamp: new Date().toISOString() });
+    }
+  });
+
+  /**
+   * POST /api/driver-documents/review/:documentId - admin only
+   * Body: { decision: 'approve'|'reject', expiresAt? (approve), note? (required to reject) }
+   */
+  router.post('/review/:documentId', requireAdmin(getAdminService), withService((service, req) => {
+    const { decision, expiresAt, note } = req.body;
+    return service.reviewDocument(req.params.documentId, decision, req.auth.phone, { expiresAt, note });
+  }));
+
+  /**
+   * GET /api/driver-documents
+   * Caller's verification status and uploads
+   */
+  router.get('/', requireAuth, withService((service, req) => service.getStatus(req.auth.phone)));
+
+  /**
+   * POST /api/driver-documents/:type?expiresAt=&documentNumber=
+   * :type is one of DRIVER_VERIFICATION.DOCUMENT_TYPES; body is the file
+   * (Content-Type image/jpeg, image/png or application/pdf)
+   */
+  router.post('/:type', requireAuth, rawDocument, withService((service, req) =>
+    service.uploadDocument(req.auth.phone, req.params.type, {
+      buffer: Buffer.isBuffer(req.body) ? req.body : null,
+      contentType: req.get('Content-Type'),
+      expiresAt: req.query.expiresAt,
+      documentNumber: req.query.documentNumber
+    })
+  ));
+
+  return router;
+};
@@ -0,0 +1,85 @@
+// routes/paymentRoutes.js
+const express = require('express');
+const { requireAuth } = require('../middlewares/auth');
+const { requireAdmin } = require('../middlewares/admin');
+
+/**
+ * Ledger balances, statements and admin adjustments/payouts, mounted at /api/payments
+ * @param {Function} getLedgerService - returns the LedgerService once services are initialized
+ * @param {Function} getAdminService - returns the AdminService (admin-only routes)
+ */
+module.exports = (getLedgerService, getAdminService) => {
+  const router = express.Router();
+
+  const withService = (handler, failureStatus = 400) => async (req, res) => {
+    const ledgerService = getLedgerService();
+    if (!ledgerService) {
+      return res.status(503).json({
+        success: false,
+        error: 'Ledger service not available',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    try {
+      const result = await handler(ledgerService, req);
+      res.status(result.success === false ? failureStatus : 200).json({
+        ...result,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('❌ [PAYMENTS API] Error:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  };
+
+  /**
+   * GET /api/payments/balance?role=driver|passenger
+   * Caller's balance: driver = earnings owed to them, passenger = amount they owe
+   */
+  router.get('/balance', requireAuth, withService((service, req) =>
+    service.getBalance(req.auth.phone, req.query.role || 'driver')
+  ));
+
+  /**
+   * GET /api/payments/statement?role=driver|passenger&from=&to=&limit=
+   * Caller's ledger lines, newest first, with totals by transaction type
+   */
+  router.get('/statement', requireAuth, withService((service, req) => {
+    const { role = 'driver', from, to, limit } = req.query;
+    return service.getStatement(req.auth.phone, { role, from, to, limit });
+  }));
+
+  /**
+   * POST /api/payments/adjustments - admin only
+   * Body: { phoneNumber, role, amount, reason, rideId } (positive amount = in the user's favour)
+   */
+  router.post('/adjustments', requireAdmin(getAdminService), withService((service, req) => {
+    const { phoneNumber, role, amount, reason, rideId } = req.body;
+    return service.recordAdjustment({ phone: phoneNumber, role, amount, reason, rideId, requestedBy: req.auth.phone });
+  }));
+
+  /**
+   * POST /api/payments/payouts/:phone - admin only
+   * Body: { amount } (defaults to the driver's full balance)
+   */
+  router.post('/payouts/:phone', requireAdmin(getAdminService), withService((service, req) =>
+    service.payoutDriver(req.params.phone, { amount: req.body.amount, requestedBy: req.auth.phone })
+  ));
+
+  /**
+   * GET /api/payments/transactions/:transactionId - admin only
+   */
+  router.get('/transactions/:transactionId', requireAdmin(getAdminService), withService(async (service, req) => {
+    const transaction = await service.getTransaction(req.params.transactionId);
+    return transaction
+      ? { success: true, transaction }
+      : { success: false, error: 'Transaction not found' };
+  }, 404));
+
+  return router;
+};
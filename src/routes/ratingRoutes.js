@@ -0,0 +1,89 @@
+// routes/ratingRoutes.js
+const express = require('express');
+const { requireAuth } = require('../middlewares/auth');
+const { RATINGS } = require('../config/constants');
+
+/**
+ * Ratings & reviews, mounted at /api/ratings
+ * @param {Function} getRatingService - returns the RatingService once services are initialized
+ */
+module.exports = (getRatingService) => {
+  const router = express.Router();
+
+  router.use(requireAuth);
+
+  const withService = (handler, failureStatus = 400) => async (req, res) => {
+    const ratingService = getRatingService();
+    if (!ratingService) {
+      return res.status(503).json({
+        success: false,
+        error: 'Rating service not available',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    try {
+      const result = await handler(ratingService, req);
+      res.status(result.success === false ? failureStatus : 200).json({
+        ...result,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('❌ [RATINGS API] Error:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  };
+
+  /**
+   * GET /api/ratings/tags
+   * Allowed tags by the role of the user being rated
+   */
+  router.get('/tags', (req, res) => {
+    res.json({
+      success: true,
+      tags: RATINGS.TAGS,
+      maxTags: RATINGS.MAX_TAGS,
+      maxCommentLength: RATINGS.MAX_COMMENT_LENGTH,
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  /**
+   * POST /api/ratings
+   * Body: { rideId, rating (1-5), tags, comment } - rates the other side of the ride
+   */
+  router.post('/', withService((service, req) => {
+    const { rideId, rating, tags, comment } = req.body;
+    return service.submitRating({ rideId, raterPhone: req.auth.phone, rating, tags, comment });
+  }));
+
+  /**
+   * GET /api/ratings/ride/:rideId
+   * Whether the caller already rated this ride / can still rate it
+   */
+  router.get('/ride/:rideId', withService((service, req) =>
+    service.getRideRatingStatus(req.params.rideId, req.auth.phone)
+  , 404));
+
+  /**
+   * GET /api/ratings/summary/:phone
+   * Averages, distribution and top tags as driver and as passenger
+   */
+  router.get('/summary/:phone', withService((service, req) =>
+    service.getRatingSummary(req.params.phone)
+  ));
+
+  /**
+   * GET /api/ratings/user/:phone?role=driver|passenger&limit=
+   * Reviews the user received (rater phone numbers are not included)
+   */
+  router.get('/user/:phone', withService((service, req) =>
+    service.getRatingsForUser(req.params.phone, { role: req.query.role, limit: req.query.limit })
+  ));
+
+  return router;
+};
@@ -0,0 +1,103 @@
+// routes/recurringRideRoutes.js
+const express = require('express');
+const { requireAuth } = require('../middlewares/auth');
+
+/**
+ * Recurring scheduled rides (commute templates), mounted at /api/recurring-rides
+ * Every route works on the caller's own templates.
+ * @param {Function} getRecurringRideService - returns the RecurringRideService once services are initialized
+ */
+module.exports = (getRecurringRideService) => {
+  const router = express.Router();
+
+  router.use(requireAuth);
+
+  const withService = (handler, failureStatus = 400) => async (req, res) => {
+    const recurringRideService = getRecurringRideService();
+    if (!recurringRideService) {
+      return res.status(503).json({
+        success: false,
+        error: 'Recurring ride service not available',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    try {
+      const result = await handler(recurringRideService, req);
+      res.status(result.success === false ? failureStatus : 200).json({
+        ...result,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('❌ [RECURRING API] Error:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  };
+
+  /**
+   * POST /api/recurring-rides
+   * Body: { role: 'driver'|'passenger',
+   *         rule: { daysOfWeek: ['MO'..'SU'], time: 'HH:MM', timezone?, startDate?, endDate?, skipDates? },
+   *         search: scheduled search body without scheduledTime }
+   */
+  router.post('/', withService((service, req) => {
+    const { role, rule, search } = req.body;
+    return service.createTemplate(req.auth.phone, { role, rule, search });
+  }));
+
+  /**
+   * GET /api/recurring-rides
+   * Caller's templates with their next occurrences
+   */
+  router.get('/', withService((service, req) => service.listTemplates(req.auth.phone)));
+
+  /**
+   * GET /api/recurring-rides/:templateId
+   */
+  router.get('/:templateId', withService((service, req) =>
+    service.getTemplate(req.auth.phone, req.params.templateId)
+  , 404));
+
+  /**
+   * PATCH /api/recurring-rides/:templateId
+   * Body: { rule?: partial rule, search?: partial search } - applies to occurrences not generated yet
+   */
+  router.patch('/:templateId', withService((service, req) => {
+    const { rule, search } = req.body;
+    return service.updateTemplate(req.auth.phone, req.params.templateId, { rule, search });
+  }));
+
+  /**
+   * POST /api/recurring-rides/:templateId/pause
+   * POST /api/recurring-rides/:templateId/resume
+   */
+  router.post('/:templateId/pause', withService((service, req) =>
+    service.setPaused(req.auth.phone, req.params.templateId, true)
+  ));
+
+  router.post('/:templateId/resume', withService((service, req) =>
+    service.setPaused(req.auth.phone, req.params.templateId, false)
+  ));
+
+  /**
+   * POST /api/recurring-rides/:templateId/skip
+   * Body: { date: 'YYYY-MM-DD' } - skip one occurrence (cancels it if it is already searching)
+   */
+  router.post('/:templateId/skip', withService((service, req) =>
+    service.skipOccurrence(req.auth.phone, req.params.templateId, req.body.date)
+  ));
+
+  /**
+   * DELETE /api/recurring-rides/:templateId
+   * Stops future occurrences; a generated search or booked ride is left as it is
+   */
+  router.delete('/:templateId', withService((service, req) =>
+    service.deleteTemplate(req.auth.phone, req.params.templateId)
+  , 404));
+
+  return router;
+};
@@ -0,0 +1,118 @@
+// routes/rideHistoryRoutes.js
+const express = require('express');
+const { requireAuth, requireSelf } = require('../middlewares/auth');
+
+/**
+ * Ride history routes, mounted at /api/rides
+ * Query filters: status, from, to (ISO dates), limit, cursor (last rideId of the previous page)
+ * @param {Function} getRideHistoryService - returns the RideHistoryService once services are initialized
+ * @param {Function} getRatingService - returns the RatingService (feedback is recorded as a rating)
+ */
+module.exports = (getRideHistoryService, getRatingService = () => null) => {
+  const router = express.Router();
+
+  router.use(requireAuth);
+
+  const filtersFrom = (query) => ({
+    status: query.status,
+    from: query.from,
+    to: query.to,
+    limit: query.limit,
+    cursor: query.cursor
+  });
+
+  const withService = (handler) => async (req, res) => {
+    const rideHistoryService = getRideHistoryService();
+    if (!rideHistoryService) {
+      return res.status(503).json({
+        success: false,
+        error: 'Ride history service not available',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    try {
+      const result = await handler(rideHistoryService, req, res);
+      if (result && !res.headersSent) {
+        res.status(result.success === false ? 400 : 200).json({
+          ...result,
+          timestamp: new Date().toISOString()
+        });
+      }
+    } catch (error) {
+      console.error('❌ [RIDE HISTORY API] Error:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  };
+
+  /**
+   * GET /api/rides/driver/:phone
+   */
+  router.get('/driver/:phone', requireSelf('params.phone'), withService((service, req) =>
+    service.getDriverRides(req.params.phone, filtersFrom(req.query))
+  ));
+
+  /**
+   * GET /api/rides/passenger/:phone
+   */
+  router.get('/passenger/:phone', requireSelf('params.phone'), withService((service, req) =>
+    service.getPassengerRides(req.params.phone, filtersFrom(req.query))
+  ));
+
+  /**
+   * GET /api/rides/user/:phone?role=driver|passenger|all
+   */
+  router.get('/user/:phone', requireSelf('params.phone'), withService((service, req) =>
+    service.getUserRides(req.params.phone, { ...filtersFrom(req.query), role: req.query.role || 'all' })
+  ));
+
+  /**
+   * GET /api/rides/stats/:phone?role=driver|passenger|all&from=&to=
+   * Totals: rides, distance, fares, co-riders
+   */
+  router.get('/stats/:phone', requireSelf('params.phone'), withService((service, req) =>
+    service.getUserRideStats(req.params.phone, req.query.role || 'all', { from: req.query.from, to: req.query.to })
+  ));
+
+  /**
+   * GET /api/rides/details/:rideId
+   * Only the ride's driver and passenger may read it
+   */
+  router.get('/details/:rideId', withService(async (service, req, res) => {
+    const ride = await service.getRideDetails(req.params.rideId);
+    if (!ride || !(ride.participantPhones || []).includes(req.auth.phone)) {
+      res.status(404).json({
+        success: false,
+        error: 'Ride not found',
+        timestamp: new Date().toISOString()
+      });
+      return null;
+    }
+    return { success: true, ride };
+  }));
+
+  /**
+   * POST /api/rides/:rideId/feedback
+   * Body: { rating, review, tags } - same as POST /api/ratings
+   */
+  router.post('/:rideId/feedback', withService((service, req) => {
+    const { rating, review, tags, userType } = req.body;
+    const ratingService = getRatingService();
+    if (ratingService) {
+      return ratingService.submitRating({
+        rideId: req.params.rideId,
+        raterPhone: req.auth.phone,
+        rating,
+        tags,
+        comment: review
+      });
+    }
+    return service.addRideFeedback(req.params.rideId, req.auth.phone, userType, rating, review);
+  }));
+
+  return router;
+};
@@ -0,0 +1,203 @@
+// routes/sharedTripRoutes.js
+// Public side of live trip links (TripShareService), mounted at /share. The token in the path is
+// the only credential: no session token, nothing writable, no phone numbers in any response.
+const express = require('express');
+const { TRIP_SHARING } = require('../config/constants');
+
+const GONE = ['expired', 'revoked'];
+
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, (ch) => ({
+  '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+}[ch]));
+
+const describeVehicle = (vehicle) => {
+  if (!vehicle) return 'Vehicle details not available';
+  const car = [vehicle.color, vehicle.make, vehicle.model].filter(Boolean).join(' ') || 'Car';
+  return vehicle.plate ? `${car} · ${vehicle.plate}` : car;
+};
+
+// Trip details are rendered server-side; the script only fills in position and ETA from the stream
+const renderTripPage = (snapshot) => {
+  const { trip } = snapshot;
+  const heading = trip.passengerName ? `${trip.passengerName}'s trip` : 'Shared trip';
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="robots" content="noindex">
+<title>${escapeHtml(heading)} · Shareway</title>
+<style>
+  body { font-family: system-ui, sans-serif; max-width: 32rem; margin: 2rem auto; padding: 0 1rem; color: #222; }
+  .card { border: 1px solid #ddd; border-radius: 8px; padding: 1rem; margin-bottom: 1rem; }
+  .muted { color: #777; font-size: 0.9rem; }
+  #status { font-weight: 600; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(heading)}</h1>
+<div class="card">
+  <div>Driver: ${escapeHtml(trip.driverName)}</div>
+  <div>${escapeHtml(describeVehicle(trip.vehicle))}</div>
+</div>
+<div class="card">
+  <div>From: ${escapeHtml(trip.pickupName || 'Pickup')}</div>
+  <div>To: ${escapeHtml(trip.destinationName || 'Destination')}</div>
+</div>
+<div class="card">
+  <div id="status">Connecting…</div>
+  <div id="eta"></div>
+  <div id="position" class="muted"></div>
+  <a id="map" href="#" target="_blank" rel="noopener noreferrer" hidden>Open map</a>
+</div>
+<p class="muted">Link valid until ${escapeHtml(new Date(snapshot.expiresAt).toUTCString())}</p>
+<script>
+  var STATUS = { live: 'On the way', waiting: 'Waiting for the driver\\'s location', ended: 'Trip ended', expired: 'This link has expired', revoked: 'This link was turned off' };
+  var byId = function (id) { return document.getElementById(id); };
+  var show = function (snap) {
+    byId('status').textContent = STATUS[snap.status] || snap.status;
+    byId('eta').textContent = snap.eta ? 'Arrives in about ' + Math.round(snap.eta.durationMin) + ' min (' + snap.eta.distanceKm.toFixed(1) + ' km)' : '';
+    var p = snap.driver && snap.driver.position;
+    byId('position').textContent = p ? 'Last seen ' + new Date(snap.driver.reportedAt).toLocaleTimeString() : '';
+    byId('map').hidden = !p;
+    if (p) byId('map').href = 'https://www.openstreetmap.org/?mlat=' + p.lat + '&mlon=' + p.lng + '#map=16/' + p.lat + '/' + p.lng;
+  };
+  var stream = new EventSource(location.pathname.replace(/\\/$/, '') + '/stream');
+  stream.addEventListener('location', function (e) { show(JSON.parse(e.data)); });
+  stream.addEventListener('ended', function (e) { show(JSON.parse(e.data)); stream.close(); });
+</script>
+</body>
+</html>`;
+};
+
+/**
+ * @param {Function} getTripShareService - returns the TripShareService once services are initialized
+ */
+module.exports = (getTripShareService) => {
+  const router = express.Router();
+
+  // Links carry the token - keep them out of caches, referrers and search engines
+  router.use((req, res, next) => {
+    res.set({
+      'Cache-Control': 'no-store',
+      'Referrer-Policy': 'no-referrer',
+      'X-Robots-Tag': 'noindex'
+    });
+    next();
+  });
+
+  // Resolves the snapshot or answers 503/404/410 itself
+  const loadSnapshot = async (req, res) => {
+    const tripShareService = getTripShareService();
+    if (!tripShareService) {
+      res.status(503).json({
+        success: false,
+        error: 'Trip sharing service not available',
+        timestamp: new Date().toISOString()
+      });
+      return null;
+    }
+
+    const snapshot = await tripShareService.getSnapshot(req.params.token);
+    if (!snapshot || GONE.includes(snapshot.status)) {
+      res.status(snapshot ? 410 : 404).json({
+        success: false,
+        error: snapshot ? `Trip link ${snapshot.status}` : 'Trip link not found',
+        timestamp: new Date().toISOString()
+      });
+      return null;
+    }
+    return snapshot;
+  };
+
+  const withErrors = (handler) => async (req, res) => {
+    try {
+      await handler(req, res);
+    } catch (error) {
+      console.error('❌ [SHARED TRIP] Error:', error);
+      if (!res.headersSent) {
+        res.status(500).json({ success: false, error: error.message, timestamp: new Date().toISOString() });
+      }
+    }
+  };
+
+  /**
+   * GET /share/:token
+   * Read-only trip page for someone without the app
+   */
+  router.get('/:token', withErrors(async (req, res) => {
+    const snapshot = await loadSnapshot(req, res);
+    if (!snapshot) return;
+
+    res.set('Content-Security-Policy', "default-src 'self'; script-src 'unsafe-inline'; style-src 'unsafe-inline'");
+    res.type('html').send(renderTripPage(snapshot));
+  }));
+
+  /**
+   * GET /share/:token/live
+   * Current snapshot: { status, expiresAt, trip, driver, eta }
+   */
+  router.get('/:token/live', withErrors(async (req, res) => {
+    const snapshot = await loadSnapshot(req, res);
+    if (!snapshot) return;
+
+    res.json({ success: true, ...snapshot, timestamp: new Date().toISOString() });
+  }));
+
+  /**
+   * GET /share/:token/stream
+   * Server-sent events: 'location' every STREAM_INTERVAL, then one 'ended' once the trip is over
+   * or the link expires or is turned off
+   */
+  router.get('/:token/stream', withErrors(async (req, res) => {
+    const snapshot = await loadSnapshot(req, res);
+    if (!snapshot) return;
+
+    const tripShareService = getTripShareService();
+    const { token } = req.params;
+    if (!tripShareService.openStream(token)) {
+      return res.status(429).json({
+        success: false,
+        error: 'Too many viewers on this trip link',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.set({ 'Content-Type': 'text/event-stream', Connection: 'keep-alive' });
+    res.flushHeaders();
+
+    let timer = null;
+    let closed = false;
+    const close = () => {
+      if (closed) return;
+      closed = true;
+      clearInterval(timer);
+      tripShareService.closeStream(token);
+    };
+
+    const push = (snap) => {
+      const over = ['ended', ...GONE].includes(snap.status);
+      res.write(`event: ${over ? 'ended' : 'location'}\ndata: ${JSON.stringify(snap)}\n\n`);
+      if (over) {
+        close();
+        res.end();
+      }
+    };
+
+    req.on('close', close);
+    push(snapshot);
+    if (closed) return;
+
+    timer = setInterval(async () => {
+      try {
+        const snap = await tripShareService.getSnapshot(token);
+        if (!closed) push(snap || { status: 'revoked' });
+      } catch (error) {
+        console.error('❌ [SHARED TRIP] Stream error:', error.message);
+      }
+    }, TRIP_SHARING.STREAM_INTERVAL);
+  }));
+
+  return router;
+};
@@ -0,0 +1,84 @@
+// routes/tripShareRoutes.js
+const express = require('express');
+const { requireAuth } = require('../middlewares/auth');
+
+/**
+ * Caller's trusted contacts and live trip links, mounted at /api/trip-shares
+ * @param {Function} getTripShareService - returns the TripShareService once services are initialized
+ */
+module.exports = (getTripShareService) => {
+  const router = express.Router();
+
+  router.use(requireAuth);
+
+  const withService = (handler, failureStatus = 400) => async (req, res) => {
+    const tripShareService = getTripShareService();
+    if (!tripShareService) {
+      return res.status(503).json({
+        success: false,
+        error: 'Trip sharing service not available',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    try {
+      const result = await handler(tripShareService, req);
+      res.status(result.success === false ? failureStatus : 200).json({
+        ...result,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('❌ [TRIP SHARE API] Error:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  };
+
+  /**
+   * GET /api/trip-shares/contacts
+   */
+  router.get('/contacts', withService((service, req) => service.listContacts(req.auth.phone)));
+
+  /**
+   * POST /api/trip-shares/contacts
+   * Body: { name, phone }
+   */
+  router.post('/contacts', withService((service, req) =>
+    service.addContact(req.auth.phone, req.body)
+  ));
+
+  /**
+   * DELETE /api/trip-shares/contacts/:contactId
+   */
+  router.delete('/contacts/:contactId', withService((service, req) =>
+    service.removeContact(req.auth.phone, req.params.contactId)
+  , 404));
+
+  /**
+   * GET /api/trip-shares
+   * Caller's trip links, newest first (without their tokens)
+   */
+  router.get('/', withService((service, req) => service.listShares(req.auth.phone)));
+
+  /**
+   * POST /api/trip-shares
+   * Body: { contactIds?, durationMinutes? } - needs an active location session with the driver.
+   * The returned url is the only copy of the link; the request's host is only used outside production.
+   */
+  router.post('/', withService((service, req) =>
+    service.createShare(req.auth.phone, req.body, `${req.protocol}://${req.get('host')}`)
+  ));
+
+  /**
+   * DELETE /api/trip-shares/:shareId
+   * The link stops working at once
+   */
+  router.delete('/:shareId', withService((service, req) =>
+    service.revokeShare(req.auth.phone, req.params.shareId)
+  , 404));
+
+  return router;
+};
@@ -0,0 +1,95 @@
+// routes/vehicleRoutes.js
+const express = require('express');
+const { requireAuth } = require('../middlewares/auth');
+const { requireAdmin } = require('../middlewares/admin');
+
+/**
+ * Driver vehicle registry and admin verification, mounted at /api/vehicles
+ * @param {Function} getVehicleService - returns the VehicleService once services are initialized
+ * @param {Function} getAdminService - returns the AdminService (admin-only routes)
+ */
+module.exports = (getVehicleService, getAdminService) => {
+  const router = express.Router();
+
+  const withService = (handler, failureStatus = 400) => async (req, res) => {
+    const vehicleService = getVehicleService();
+    if (!vehicleService) {
+      return res.status(503).json({
+        success: false,
+        error: 'Vehicle service not available',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    try {
+      const result = await handler(vehicleService, req);
+      res.status(result.success === false ? failureStatus : 200).json({
+        ...result,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('❌ [VEHICLES API] Error:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  };
+
+  /**
+   * GET /api/vehicles/review?status=pending|verified|rejected&limit= - admin only
+   * Declared before /:vehicleId so "review" isn't taken for an id
+   */
+  router.get('/review', requireAdmin(getAdminService), withService((service, req) =>
+    service.listForReview(req.query.status || 'pending', req.query.limit)
+  ));
+
+  /**
+   * POST /api/vehicles/:vehicleId/verification - admin only
+   * Body: { status: 'verified'|'rejected'|'pending', note? }
+   */
+  router.post('/:vehicleId/verification', requireAdmin(getAdminService), withService((service, req) =>
+    service.setVerification(req.params.vehicleId, req.body.status, req.auth.phone, req.body.note)
+  ));
+
+  /**
+   * POST /api/vehicles
+   * Body: { make, model, plate, color, seats, features?: VEHICLES.FEATURES[], year?, type? }
+   * New vehicles start with verificationStatus 'pending'
+   */
+  router.post('/', requireAuth, withService((service, req) =>
+    service.registerVehicle(req.auth.phone, req.body)
+  ));
+
+  /**
+   * GET /api/vehicles
+   * Caller's registered vehicles
+   */
+  router.get('/', requireAuth, withService((service, req) => service.listVehicles(req.auth.phone)));
+
+  /**
+   * GET /api/vehicles/:vehicleId
+   */
+  router.get('/:vehicleId', requireAuth, withService((service, req) =>
+    service.getVehicle(req.auth.phone, req.params.vehicleId)
+  , 404));
+
+  /**
+   * PATCH /api/vehicles/:vehicleId
+   * Body: any registration fields; plate/make/model/seats changes need verification again
+   */
+  router.patch('/:vehicleId', requireAuth, withService((service, req) =>
+    service.updateVehicle(req.auth.phone, req.params.vehicleId, req.body)
+  ));
+
+  /**
+   * DELETE /api/vehicles/:vehicleId
+   * Refused while an active scheduled ride uses the vehicle
+   */
+  router.delete('/:vehicleId', requireAuth, withService((service, req) =>
+    service.removeVehicle(req.auth.phone, req.params.vehicleId)
+  ));
+
+  return router;
+};
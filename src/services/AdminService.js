@@ -0,0 +1,197 @@
+// services/AdminService.js
+// Admin principals (who may call admin/debug routes) and the admin audit trail
+
+const logger = require('../utils/Logger');
+const { formatPhoneNumber } = require('../utils/helpers');
+const { ADMIN_ROLES, COLLECTIONS } = require('../config/constants');
+
+// Higher rank includes every permission of the lower ones
+const ROLE_RANK = {
+  [ADMIN_ROLES.ADMIN]: 1,
+  [ADMIN_ROLES.SUPERADMIN]: 2
+};
+
+// Never copy these into the audit trail
+const REDACTED_FIELDS = ['token', 'password', 'code', 'verificationCode', 'apiKey'];
+
+class AdminService {
+  constructor(firestoreService) {
+    console.log('🛡️ [ADMIN] Initializing AdminService');
+
+    this.firestoreService = firestoreService;
+
+    // Collection names
+    this.PRINCIPALS = COLLECTIONS.ADMIN_PRINCIPALS;
+    this.AUDIT_LOG = COLLECTIONS.ADMIN_AUDIT_LOG;
+
+    logger.info('ADMIN_SERVICE', '🛡️ Admin Service initialized');
+  }
+
+  // ========== PRINCIPALS ==========
+
+  /**
+   * Seed superadmins from ADMIN_PHONES (comma separated) so a fresh deployment has someone
+   * who can register the rest. Existing principals are left untouched.
+   */
+  async seedFromEnv(adminPhones = process.env.ADMIN_PHONES) {
+    if (!adminPhones) return 0;
+
+    let seeded = 0;
+    for (const raw of adminPhones.split(',').map(p => p.trim()).filter(Boolean)) {
+      try {
+        const existing = await this.getAdmin(raw);
+        if (existing) continue;
+
+        await this.registerAdmin(raw, ADMIN_ROLES.SUPERADMIN, 'env:ADMIN_PHONES');
+        seeded++;
+      } catch (error) {
+        logger.error('ADMIN_SERVICE', `Failed to seed admin ${raw}: ${error.message}`);
+      }
+    }
+
+    if (seeded > 0) {
+      logger.info('ADMIN_SERVICE', `🛡️ Seeded ${seeded} superadmin(s) from ADMIN_PHONES`);
+    }
+    return seeded;
+  }
+
+  async getAdmin(phoneNumber) {
+    const phone = formatPhoneNumber(phoneNumber);
+    if (!phone) return null;
+
+    const doc = await this.firestoreService.getDocument(this.PRINCIPALS, phone);
+    if (!doc.exists) return null;
+
+    const admin = { id: doc.id, ...doc.data() };
+    return admin.active === false ? null : admin;
+  }
+
+  hasRole(admin, requiredRole = ADMIN_ROLES.ADMIN) {
+    if (!admin) return false;
+    return (ROLE_RANK[admin.role] || 0) >= (ROLE_RANK[requiredRole] || Infinity);
+  }
+
+  async registerAdmin(phoneNumber, role = ADMIN_ROLES.ADMIN, grantedBy = null) {
+    try {
+      const phone = formatPhoneNumber(phoneNumber);
+      if (!phone) {
+        return { success: false, error: 'phoneNumber is required' };
+      }
+
+      if (!ROLE_RANK[role]) {
+        return { success: false, error: `Invalid admin role: ${role}` };
+      }
+
+      const now = new Date().toISOString();
+      const principal = {
+        phoneNumber: phone,
+        role,
+        active: true,
+        grantedBy,
+        grantedAt: now,
+        updatedAt: now
+      };
+
+      await this.firestoreService.setDocument(this.PRINCIPALS, phone, principal);
+      console.log(`🛡️ [ADMIN] ${phone} registered as ${role} by ${grantedBy || 'unknown'}`);
+
+      return { success: true, admin: { id: phone, ...principal } };
+    } catch (error) {
+      logger.error('ADMIN_SERVICE', `Failed to register admin ${phoneNumber}: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async revokeAdmin(phoneNumber, revokedBy = null) {
+    try {
+      const phone = formatPhoneNumber(phoneNumber);
+      const existing = await this.getAdmin(phone);
+      if (!existing) {
+        return { success: false, error: 'Admin not found' };
+      }
+
+      await this.firestoreService.updateDocument(this.PRINCIPALS, phone, {
+        active: false,
+        revokedBy,
+        revokedAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString()
+      });
+
+      console.log(`🛡️ [ADMIN] ${phone} revoked by ${revokedBy || 'unknown'}`);
+      return { success: true, phoneNumber: phone };
+    } catch (error) {
+      logger.error('ADMIN_SERVICE', `Failed to revoke admin ${phoneNumber}: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async listAdmins() {
+    try {
+      const admins = await this.firestoreService.queryCollection(this.PRINCIPALS, [
+        { field: 'active', operator: '==', value: true }
+      ]);
+      return { success: true, admins };
+    } catch (error) {
+      logger.error('ADMIN_SERVICE', `Failed to list admins: ${error.message}`);
+      return { success: false, error: error.message, admins: [] };
+    }
+  }
+
+  // ========== AUDIT TRAIL ==========
+
+  sanitize(value) {
+    if (!value || typeof value !== 'object') return value;
+    if (Array.isArray(value)) return value.map(v => this.sanitize(v));
+
+    const clean = {};
+    for (const [key, val] of Object.entries(value)) {
+      clean[key] = REDACTED_FIELDS.includes(key) ? '[redacted]' : this.sanitize(val);
+    }
+    return clean;
+  }
+
+  /**
+   * Record an admin call. Never throws - a failed audit write must not break the request.
+   */
+  async recordAudit(entry) {
+    try {
+      await this.firestoreService.addDocument(this.AUDIT_LOG, {
+        actor: entry.actor || null,
+        actorRole: entry.actorRole || null,
+        action: entry.action,
+        outcome: entry.outcome,
+        statusCode: entry.statusCode || null,
+        params: this.sanitize(entry.params || {}),
+        query: this.sanitize(entry.query || {}),
+        body: this.sanitize(entry.body || {}),
+        ip: entry.ip || null,
+        userAgent: entry.userAgent || null,
+        durationMs: entry.durationMs || 0,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('ADMIN_SERVICE', `Failed to write audit entry for ${entry.action}: ${error.message}`);
+    }
+  }
+
+  async getAuditLog({ actor, action, limit = 50 } = {}) {
+    try {
+      const constraints = [];
+      if (actor) constraints.push({ field: 'actor', operator: '==', value: formatPhoneNumber(actor) });
+      if (action) constraints.push({ field: 'action', operator: '==', value: action });
+      constraints.push({ field: 'timestamp', operator: 'orderBy', value: 'desc' });
+
+      const entries = await this.firestoreService.queryCollection(
+        this.AUDIT_LOG,
+        constraints,
+        Math.min(parseInt(limit) || 50, 500)
+      );
+      return { success: true, entries };
+    } catch (error) {
+      logger.error('ADMIN_SERVICE', `Failed to read audit log: ${error.message}`);
+      return { success: false, error: error.message, entries: [] };
+    }
+  }
+}
+
+module.exports = AdminService;
@@ -0,0 +1,259 @@
+// services/AuthService.js
+// Phone OTP authentication: register/login by SMS code, session tokens on verification
+
+const crypto = require('crypto');
+const logger = require('../utils/Logger');
+const { formatPhoneNumber } = require('../utils/helpers');
+const { signToken, hashSecret } = require('../utils/sessionTokens');
+const { AUTH, COLLECTIONS, USER_ROLES } = require('../config/constants');
+
+const PURPOSES = {
+  REGISTER: 'register',
+  LOGIN: 'login'
+};
+
+class AuthService {
+  constructor(firestoreService, smsSender) {
+    console.log('🔐 [AUTH] Initializing AuthService');
+
+    this.firestoreService = firestoreService;
+    this.smsSender = smsSender;
+
+    // Collection names
+    this.USERS = COLLECTIONS.AUTHENTICATION;
+    this.CODES = COLLECTIONS.AUTH_CODES;
+
+    logger.info('AUTH_SERVICE', `🔐 Auth Service initialized (SMS: ${smsSender?.name || 'none'})`);
+  }
+
+  // ========== USERS ==========
+
+  async getUser(phoneNumber) {
+    const phone = formatPhoneNumber(phoneNumber);
+    if (!phone) return null;
+
+    const doc = await this.firestoreService.getDocument(this.USERS, phone);
+    return doc.exists ? { id: doc.id, ...doc.data() } : null;
+  }
+
+  // Strip fields that must never leave the server
+  toPublicUser(user) {
+    if (!user) return null;
+    const { password, ...publicUser } = user;
+    return publicUser;
+  }
+
+  // ========== OTP FLOW ==========
+
+  /**
+   * Start registration - sends a verification code
+   * @param {Object} data - { phoneNumber, name, role }
+   */
+  async register({ phoneNumber, name, role = USER_ROLES.PASSENGER } = {}) {
+    try {
+      const phone = formatPhoneNumber(phoneNumber);
+      if (!phone) {
+        return { success: false, error: 'phoneNumber is required' };
+      }
+
+      if (!Object.values(USER_ROLES).includes(role)) {
+        return { success: false, error: `Invalid role: ${role}` };
+      }
+
+      const existing = await this.getUser(phone);
+      if (existing && existing.isVerified) {
+        return { success: false, error: 'User already exists', code: 'USER_EXISTS' };
+      }
+
+      return await this.sendCode(phone, PURPOSES.REGISTER, { name: name || '', role });
+    } catch (error) {
+      logger.error('AUTH_SERVICE', `Registration failed for ${phoneNumber}: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Start login - sends a verification code to a registered phone
+   */
+  async login({ phoneNumber } = {}) {
+    try {
+      const phone = formatPhoneNumber(phoneNumber);
+      if (!phone) {
+        return { success: false, error: 'phoneNumber is required' };
+      }
+
+      const user = await this.getUser(phone);
+      if (!user || !user.isVerified) {
+        return { success: false, error: 'User not found', code: 'USER_NOT_FOUND' };
+      }
+
+      return await this.sendCode(phone, PURPOSES.LOGIN);
+    } catch (error) {
+      logger.error('AUTH_SERVICE', `Login failed for ${phoneNumber}: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async sendCode(phone, purpose, profile = null) {
+    const now = Date.now();
+    const existing = await this.firestoreService.getDocument(this.CODES, phone);
+
+    if (existing.exists) {
+      const lastSentAt = existing.data().lastSentAt || 0;
+      const retryIn = lastSentAt + AUTH.OTP_RESEND_INTERVAL - now;
+      if (retryIn > 0) {
+        return {
+          success: false,
+          error: 'Verification code already sent, please wait before requesting another',
+          code: 'OTP_RATE_LIMITED',
+          retryAfterMs: retryIn
+        };
+      }
+    }
+
+    const code = crypto.randomInt(0, 10 ** AUTH.OTP_LENGTH).toString().padStart(AUTH.OTP_LENGTH, '0');
+
+    await this.firestoreService.setDocument(this.CODES, phone, {
+      phoneNumber: phone,
+      purpose,
+      profile,
+      codeHash: hashSecret(`${phone}:${code}`),
+      attempts: 0,
+      lastSentAt: now,
+      expiresAt: now + AUTH.OTP_TTL,
+      createdAt: new Date(now).toISOString()
+    });
+
+    const sms = await this.smsSender.send(phone, `Your ShareWay verification code is ${code}`);
+    if (!sms.success) {
+      await this.firestoreService.deleteDocument(this.CODES, phone);
+      return { success: false, error: `Could not send verification code: ${sms.error}` };
+    }
+
+    console.log(`🔐 [AUTH] ${purpose} code sent to ${phone}`);
+    return {
+      success: true,
+      phoneNumber: phone,
+      purpose,
+      expiresAt: new Date(now + AUTH.OTP_TTL).toISOString()
+    };
+  }
+
+  /**
+   * Verify an OTP code and issue a session token
+   */
+  async verifyCode({ phoneNumber, code } = {}) {
+    try {
+      const phone = formatPhoneNumber(phoneNumber);
+      if (!phone || !code) {
+        return { success: false, error: 'phoneNumber and code are required' };
+      }
+
+      const doc = await this.firestoreService.getDocument(this.CODES, phone);
+      if (!doc.exists) {
+        return { success: false, error: 'No pending verification for this phone', code: 'OTP_NOT_FOUND' };
+      }
+
+      const pending = doc.data();
+
+      if (Date.now() > pending.expiresAt) {
+        await this.firestoreService.deleteDocument(this.CODES, phone);
+        return { success: false, error: 'Verification code expired', code: 'OTP_EXPIRED' };
+      }
+
+      if (pending.attempts >= AUTH.OTP_MAX_ATTEMPTS) {
+        await this.firestoreService.deleteDocument(this.CODES, phone);
+        return { success: false, error: 'Too many attempts, request a new code', code: 'OTP_LOCKED' };
+      }
+
+      const expected = Buffer.from(pending.codeHash);
+      const actual = Buffer.from(hashSecret(`${phone}:${String(code).trim()}`));
+      if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+        const attempts = (pending.attempts || 0) + 1;
+        await this.firestoreService.updateDocument(this.CODES, phone, { attempts });
+        return {
+          success: false,
+          error: 'Invalid verification code',
+          code: 'OTP_INVALID',
+          attemptsRemaining: AUTH.OTP_MAX_ATTEMPTS - attempts
+        };
+      }
+
+      await this.firestoreService.deleteDocument(this.CODES, phone);
+
+      const user = await this.upsertVerifiedUser(phone, pending);
+      const session = this.issueSession(user);
+
+      console.log(`✅ [AUTH] ${phone} verified (${pending.purpose})`);
+      return {
+        success: true,
+        token: session.token,
+        expiresAt: session.expiresAt,
+        user: this.toPublicUser(user)
+      };
+    } catch (error) {
+      logger.error('AUTH_SERVICE', `Verification failed for ${phoneNumber}: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async upsertVerifiedUser(phone, pending) {
+    const now = new Date().toISOString();
+    const existing = await this.getUser(phone);
+
+    const updates = {
+      phoneNumber: phone,
+      isVerified: true,
+      lastLoginAt: now,
+      updatedAt: now
+    };
+
+    if (pending.purpose === PURPOSES.REGISTER && pending.profile) {
+      updates.name = pending.profile.name || existing?.name || '';
+      updates.role = pending.profile.role || existing?.role || USER_ROLES.PASSENGER;
+    }
+
+    if (!existing) {
+      updates.createdAt = now;
+      updates.role = updates.role || USER_ROLES.PASSENGER;
+    }
+
+    await this.firestoreService.setDocument(this.USERS, phone, updates, { merge: true });
+    return { ...(existing || {}), ...updates, id: phone };
+  }
+
+  // ========== SESSIONS ==========
+
+  issueSession(user, sessionId = null) {
+    return signToken({
+      sub: user.phoneNumber || user.id,
+      role: user.role || USER_ROLES.PASSENGER,
+      ...(sessionId ? { sid: sessionId } : {})
+    });
+  }
+
+  /**
+   * Issue a fresh token for a still-valid session (same session id)
+   * @param {Object} principal - req.auth / socket auth of the current token
+   */
+  async refreshSession(principal) {
+    try {
+      const user = await this.getUser(principal.phone);
+      if (!user || !user.isVerified) {
+        return { success: false, error: 'User not found', code: 'USER_NOT_FOUND' };
+      }
+
+      const session = this.issueSession(user, principal.sessionId);
+      return { success: true, token: session.token, expiresAt: session.expiresAt };
+    } catch (error) {
+      logger.error('AUTH_SERVICE', `Session refresh failed for ${principal?.phone}: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async getSessionUser(phone) {
+    return this.toPublicUser(await this.getUser(phone));
+  }
+}
+
+module.exports = AuthService;
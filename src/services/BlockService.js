@@ -0,0 +1,218 @@
+// services/BlockService.js
+// Block list between users. A block is recorded one way - user_blocks/{blocker}_{blocked}, listed
+// and lifted only by the blocker - but works both ways: each side's user_block_lists/{phone}
+// (utils/blockList.js) names the other, so every matcher skips the pair from either end.
+//
+// Blocking also ends what is already in flight between the two: open scheduled proposals are
+// withdrawn (the passenger goes back to matching without that driver), immediate match proposals
+// are withdrawn and any live location session they share is stopped. Neither side is told that a
+// block was the reason.
+//
+// Firestore queries: user_blocks where blocker == ... / where blocked == ...
+
+const logger = require('../utils/Logger');
+const { formatPhoneNumber } = require('../utils/helpers');
+const { loadBlockedWith, isPairBlocked, forgetBlockList } = require('../utils/blockList');
+const { COLLECTIONS, BLOCKS } = require('../config/constants');
+
+class BlockService {
+  constructor(firestoreService, scheduledService = null, locationService = null) {
+    console.log('🚫 [BLOCKS] Initializing BlockService');
+
+    this.firestoreService = firestoreService;
+    this.db = firestoreService?.db;
+    this.scheduledService = scheduledService;
+    this.locationService = locationService;
+
+    this.BLOCKS = COLLECTIONS.USER_BLOCKS;
+    this.BLOCK_LISTS = COLLECTIONS.USER_BLOCK_LISTS;
+
+    logger.info('BLOCKS', '🚫 Block Service initialized');
+  }
+
+  blockId(blocker, blocked) {
+    return `${blocker}_${blocked}`;
+  }
+
+  // ========== BLOCK / UNBLOCK ==========
+
+  async blockUser(phoneNumber, targetPhone, reason = null) {
+    try {
+      const blocker = formatPhoneNumber(phoneNumber);
+      const blocked = formatPhoneNumber(targetPhone);
+      if (!blocked) return { success: false, error: 'phone of the user to block is required' };
+      if (blocked === blocker) return { success: false, error: 'You cannot block yourself' };
+      if (reason !== null && reason !== undefined &&
+          (typeof reason !== 'string' || reason.length > BLOCKS.MAX_REASON_LENGTH)) {
+        return { success: false, error: `reason must be text of at most ${BLOCKS.MAX_REASON_LENGTH} characters` };
+      }
+
+      const id = this.blockId(blocker, blocked);
+      const existing = await this.db.collection(this.BLOCKS).doc(id).get();
+      if (existing.exists) {
+        return { success: true, alreadyBlocked: true, block: this.toPublicBlock(existing.data()) };
+      }
+
+      const { blocks } = await this.listBlocks(blocker);
+      if (blocks.length >= BLOCKS.MAX_PER_USER) {
+        return { success: false, error: `At most ${BLOCKS.MAX_PER_USER} blocked users` };
+      }
+
+      const block = {
+        id,
+        blocker,
+        blocked,
+        reason: reason?.trim() || null,
+        createdAt: new Date().toISOString()
+      };
+
+      await this.firestoreService.setDocument(this.BLOCKS, id, block);
+      await this.rebuildBlockLists([blocker, blocked]);
+      const hidden = await this.hideBetween(blocker, blocked);
+
+      console.log(`🚫 [BLOCKS] ${blocker} blocked ${blocked}`);
+      return { success: true, block: this.toPublicBlock(block), ...hidden };
+    } catch (error) {
+      logger.error('BLOCKS', `Failed to block ${targetPhone} for ${phoneNumber}: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Lifts the caller's own block; a block the other side placed stays in force
+  async unblockUser(phoneNumber, targetPhone) {
+    try {
+      const blocker = formatPhoneNumber(phoneNumber);
+      const blocked = formatPhoneNumber(targetPhone);
+      if (!blocked) return { success: false, error: 'phone of the user to unblock is required' };
+
+      const id = this.blockId(blocker, blocked);
+      const existing = await this.db.collection(this.BLOCKS).doc(id).get();
+      if (!existing.exists) return { success: false, error: 'User is not blocked' };
+
+      await this.firestoreService.deleteDocument(this.BLOCKS, id);
+      await this.rebuildBlockLists([blocker, blocked]);
+
+      console.log(`✅ [BLOCKS] ${blocker} unblocked ${blocked}`);
+      return { success: true, unblocked: blocked };
+    } catch (error) {
+      logger.error('BLOCKS', `Failed to unblock ${targetPhone} for ${phoneNumber}: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Users the caller blocked, newest first (not who blocked the caller)
+  async listBlocks(phoneNumber) {
+    try {
+      const blocks = await this.firestoreService.queryCollection(this.BLOCKS, [
+        { field: 'blocker', operator: '==', value: formatPhoneNumber(phoneNumber) }
+      ]);
+
+      return {
+        success: true,
+        blocks: blocks
+          .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)))
+          .map(block => this.toPublicBlock(block))
+      };
+    } catch (error) {
+      logger.error('BLOCKS', `Failed to list blocks for ${phoneNumber}: ${error.message}`);
+      return { success: false, error: error.message, blocks: [] };
+    }
+  }
+
+  toPublicBlock(block) {
+    return { phone: block.blocked, reason: block.reason || null, createdAt: block.createdAt };
+  }
+
+  // ========== CHECKS ==========
+
+  async isBlocked(phoneA, phoneB) {
+    return isPairBlocked(this.db, phoneA, phoneB);
+  }
+
+  /**
+   * Block lists of several users at once
+   * @returns {Map<string, Set<string>>} phone -> phones it must not be paired with (users with none left out)
+   */
+  async getBlockedWith(phoneNumbers) {
+    const phones = [...new Set(phoneNumbers.map(p => formatPhoneNumber(p)).filter(Boolean))];
+    const lists = new Map();
+
+    await Promise.all(phones.map(async (phone) => {
+      const blockedWith = await loadBlockedWith(this.db, phone);
+      if (blockedWith.size > 0) lists.set(phone, blockedWith);
+    }));
+
+    return lists;
+  }
+
+  // ========== INTERNALS ==========
+
+  // Recomputed from the records in both directions, so a lifted block never leaves a stale entry
+  async rebuildBlockLists(phones) {
+    for (const phone of phones) {
+      const [asBlocker, asBlocked] = await Promise.all([
+        this.firestoreService.queryCollection(this.BLOCKS, [{ field: 'blocker', operator: '==', value: phone }]),
+        this.firestoreService.queryCollection(this.BLOCKS, [{ field: 'blocked', operator: '==', value: phone }])
+      ]);
+      const blockedWith = [...new Set([
+        ...asBlocker.map(block => block.blocked),
+        ...asBlocked.map(block => block.blocker)
+      ])].sort();
+
+      await this.firestoreService.setDocument(this.BLOCK_LISTS, phone, {
+        phone,
+        blockedWith,
+        updatedAt: new Date().toISOString()
+      });
+      forgetBlockList(phone);
+    }
+  }
+
+  // Proposals and location sharing already open between the two
+  async hideBetween(phoneA, phoneB) {
+    const hidden = { proposalsWithdrawn: 0, locationSessionsStopped: 0 };
+
+    try {
+      if (this.scheduledService) {
+        hidden.proposalsWithdrawn += await this.scheduledService.withdrawProposalsBetween(phoneA, phoneB);
+      }
+      hidden.proposalsWithdrawn += await this.withdrawImmediateProposals(phoneA, phoneB);
+    } catch (error) {
+      logger.warn('BLOCKS', `Could not withdraw proposals between ${phoneA} and ${phoneB}: ${error.message}`);
+    }
+
+    try {
+      if (this.locationService) {
+        hidden.locationSessionsStopped = await this.locationService.stopSharingBetween(phoneA, phoneB);
+      }
+    } catch (error) {
+      logger.warn('BLOCKS', `Could not stop location sharing between ${phoneA} and ${phoneB}: ${error.message}`);
+    }
+
+    return hidden;
+  }
+
+  // Immediate matches (utils/routeMatching.js) nobody has answered yet; either side may be the driver
+  async withdrawImmediateProposals(phoneA, phoneB) {
+    let withdrawn = 0;
+
+    for (const [driverId, passengerId] of [[phoneA, phoneB], [phoneB, phoneA]]) {
+      const matches = await this.firestoreService.queryCollection(COLLECTIONS.POTENTIAL_MATCHES, [
+        { field: 'driverId', operator: '==', value: driverId },
+        { field: 'passengerId', operator: '==', value: passengerId }
+      ]);
+
+      for (const match of matches.filter(m => m.status === 'proposed')) {
+        await this.firestoreService.updateDocument(COLLECTIONS.POTENTIAL_MATCHES, match.id, {
+          status: 'withdrawn',
+          withdrawnAt: new Date().toISOString()
+        });
+        withdrawn++;
+      }
+    }
+
+    return withdrawn;
+  }
+}
+
+module.exports = BlockService;
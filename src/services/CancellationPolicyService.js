@@ -0,0 +1,171 @@
+// services/CancellationPolicyService.js
+// Applies the cancellation policy (utils/cancellationPolicy.js) to cancellation records:
+// fees go to the ledger, strikes add up to temporary matching cooldowns.
+//
+// The decision is stored on the trip_cancellations record as `policy`; a user's standing
+// (strike count, active cooldown) is recomputed from their records and cached in
+// cancellation_standing/{phone} so matching can check cooldowns cheaply.
+
+const logger = require('../utils/Logger');
+const { formatPhoneNumber } = require('../utils/helpers');
+const { evaluateCancellation, cooldownFor, OUTCOMES } = require('../utils/cancellationPolicy');
+const { COLLECTIONS, CANCELLATION_POLICY } = require('../config/constants');
+
+class CancellationPolicyService {
+  constructor(firestoreService, notificationService, ledgerService = null) {
+    console.log('⚖️ [CANCEL POLICY] Initializing CancellationPolicyService');
+
+    this.firestoreService = firestoreService;
+    this.notificationService = notificationService;
+    this.ledgerService = ledgerService;
+
+    // Collection names
+    this.CANCELLATIONS = COLLECTIONS.TRIP_CANCELLATIONS;
+    this.STANDING = COLLECTIONS.CANCELLATION_STANDING;
+
+    logger.info('CANCEL_POLICY', '⚖️ Cancellation Policy Service initialized');
+  }
+
+  // ========== APPLYING THE POLICY ==========
+
+  /**
+   * Decide and apply the outcome of a cancellation
+   * @param {Object} cancellation - { cancellationId, phone, role, scheduledTime, matchStatus, confirmedAt,
+   *                                  cancelledAt, bookings: [{ rideId, driverPhone, passengerPhone, paymentMethod }] }
+   *   bookings are the rides the cancellation affected; each is charged the fee once.
+   */
+  async applyCancellation({ cancellationId = null, phone, role, scheduledTime, matchStatus, confirmedAt, cancelledAt = new Date().toISOString(), bookings = [] }) {
+    try {
+      const canceller = formatPhoneNumber(phone);
+      const decision = evaluateCancellation({ role, scheduledTime, matchStatus, confirmedAt, cancelledAt });
+
+      let feeTotal = 0;
+      if (decision.fee > 0 && this.ledgerService) {
+        for (const booking of bookings) {
+          const result = await this.ledgerService.recordCancellationFee({
+            rideId: booking.rideId,
+            cancelledBy: role,
+            driverPhone: booking.driverPhone,
+            passengerPhone: booking.passengerPhone,
+            amount: decision.fee,
+            reason: decision.rule,
+            paymentMethod: booking.paymentMethod
+          });
+          if (result.success && !result.skipped) feeTotal += decision.fee;
+        }
+      }
+
+      const policy = { ...decision, feeTotal, evaluatedAt: new Date().toISOString() };
+
+      if (cancellationId) {
+        await this.firestoreService.updateDocument(this.CANCELLATIONS, cancellationId, { policy });
+      }
+
+      const standing = decision.strike ? await this.getStanding(canceller) : null;
+
+      console.log(`⚖️ [CANCEL POLICY] ${role} ${canceller}: ${decision.outcome} (${decision.rule}), fee ${feeTotal}`);
+      return { success: true, policy, standing };
+    } catch (error) {
+      logger.error('CANCEL_POLICY', `Failed to apply cancellation policy for ${phone}: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // ========== STANDING ==========
+
+  /**
+   * Strikes, fees and cooldown for a user, recomputed from their cancellation records
+   */
+  async getStanding(phoneNumber) {
+    const phone = formatPhoneNumber(phoneNumber);
+    if (!phone) {
+      return { success: false, error: 'phoneNumber is required' };
+    }
+    if (!this.notificationService) {
+      return { success: false, error: 'Cancellation records not available' };
+    }
+
+    try {
+      const records = await this.notificationService.getUserCancellations(phone, null, CANCELLATION_POLICY.HISTORY_LIMIT);
+      if (!records.success) {
+        return { success: false, error: records.error };
+      }
+
+      // Only cancellations this user made count against them
+      const own = records.cancellations.filter(c => formatPhoneNumber(String(c.cancelledBy || '')) === phone);
+      const now = Date.now();
+      const inWindow = own.filter(c => now - new Date(c.createdAt).getTime() <= CANCELLATION_POLICY.STRIKE_WINDOW);
+
+      const strikeTimes = inWindow.filter(c => c.policy?.strike).map(c => c.createdAt);
+      const cooldown = cooldownFor(strikeTimes, now);
+      const nextTier = CANCELLATION_POLICY.COOLDOWNS
+        .map(t => t.strikes)
+        .sort((a, b) => a - b)
+        .find(strikes => strikes > strikeTimes.length) || null;
+
+      const count = (outcome) => inWindow.filter(c => c.policy?.outcome === outcome).length;
+
+      const standing = {
+        phoneNumber: phone,
+        strikes: strikeTimes.length,
+        cooldownUntil: cooldown?.cooldownUntil || null,
+        updatedAt: new Date().toISOString()
+      };
+      await this.firestoreService.setDocument(this.STANDING, phone, standing);
+
+      return {
+        success: true,
+        phoneNumber: phone,
+        windowDays: Math.round(CANCELLATION_POLICY.STRIKE_WINDOW / (24 * 60 * 60 * 1000)),
+        cancellations: {
+          total: inWindow.length,
+          free: count(OUTCOMES.FREE),
+          charged: count(OUTCOMES.CHARGED),
+          strikes: strikeTimes.length
+        },
+        feesCharged: inWindow.reduce((sum, c) => sum + (c.policy?.feeTotal || 0), 0),
+        cooldown: {
+          active: !!cooldown,
+          until: standing.cooldownUntil
+        },
+        strikesUntilNextCooldown: nextTier ? nextTier - strikeTimes.length : null,
+        recent: own.slice(0, 10).map(c => ({
+          cancellationId: c.id,
+          cancellationType: c.cancellationType,
+          role: c.cancelledByRole,
+          createdAt: c.createdAt,
+          outcome: c.policy?.outcome || null,
+          rule: c.policy?.rule || null,
+          fee: c.policy?.feeTotal || 0
+        }))
+      };
+    } catch (error) {
+      logger.error('CANCEL_POLICY', `Failed to compute standing for ${phone}: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Users currently on a matching cooldown
+   * @returns {Map<string, string>} phone -> cooldownUntil
+   */
+  async getActiveCooldowns(phoneNumbers) {
+    const phones = [...new Set(phoneNumbers.map(p => formatPhoneNumber(p)).filter(Boolean))];
+    const cooldowns = new Map();
+    const now = Date.now();
+
+    await Promise.all(phones.map(async (phone) => {
+      try {
+        const doc = await this.firestoreService.getDocument(this.STANDING, phone);
+        const until = doc.exists ? doc.data().cooldownUntil : null;
+        if (until && new Date(until).getTime() > now) cooldowns.set(phone, until);
+      } catch (error) {
+        logger.warn('CANCEL_POLICY', `Could not load standing for ${phone}: ${error.message}`);
+      }
+    }));
+
+    return cooldowns;
+  }
+}
+
+module.exports = CancellationPolicyService;
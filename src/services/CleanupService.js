@@ -0,0 +1,519 @@
+// services/CleanupService.js
+// Data retention: per-collection policies (RETENTION.POLICIES), dry-run reports,
+// per-user purge and a run history in cleanup_runs. Also sweeps expired in-memory
+// location sessions, whose Firestore copies the location_sessions policy removes.
+//
+// Firestore composite indexes needed for policies with a status filter:
+//   scheduled_searches_driver / scheduled_searches_passenger: status ASC + scheduledTime ASC
+//   scheduled_matches: status ASC + createdAt ASC
+//   scheduled_reminders: status ASC + sendAt ASC
+//   scheduled_reschedules: status ASC + createdAt ASC
+// trip_shares needs only the single-field expiresAt index.
+
+const logger = require('../utils/Logger');
+const { formatPhoneNumber } = require('../utils/helpers');
+const { COLLECTIONS, RETENTION, BATCH_WRITE_LIMIT } = require('../config/constants');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Documents keyed by the user's phone number
+const USER_DOCUMENTS = [
+  COLLECTIONS.AUTHENTICATION,
+  COLLECTIONS.AUTH_CODES,
+  COLLECTIONS.FCM_TOKENS,
+  COLLECTIONS.ACTIVE_SEARCHES_DRIVER,
+  COLLECTIONS.ACTIVE_SEARCHES_PASSENGER,
+  COLLECTIONS.SCHEDULED_SEARCHES_DRIVER,
+  COLLECTIONS.SCHEDULED_SEARCHES_PASSENGER,
+  COLLECTIONS.RATING_SUMMARIES,
+  COLLECTIONS.CANCELLATION_STANDING,
+  COLLECTIONS.DRIVER_VERIFICATIONS,
+  COLLECTIONS.DRIVER_PROFILES,
+  COLLECTIONS.PASSENGER_PROFILES,
+  COLLECTIONS.USER_BLOCK_LISTS,
+  COLLECTIONS.TRUSTED_CONTACTS
+];
+
+// Documents that reference the user in a field. beforeDelete / afterDelete name methods run
+// on the matched documents (files kept outside Firestore, other users' derived documents)
+const USER_QUERIES = [
+  { collection: COLLECTIONS.NOTIFICATIONS, field: 'userId' },
+  { collection: COLLECTIONS.SCHEDULED_MATCHES, field: 'driverPhone' },
+  { collection: COLLECTIONS.SCHEDULED_MATCHES, field: 'passengerPhone' },
+  { collection: COLLECTIONS.LOCATION_SESSIONS, field: 'driverId' },
+  { collection: COLLECTIONS.LOCATION_SESSIONS, field: 'passengerId' },
+  { collection: COLLECTIONS.RATINGS, field: 'raterPhone' },
+  { collection: COLLECTIONS.RATINGS, field: 'rateePhone' },
+  { collection: COLLECTIONS.RECURRING_RIDES, field: 'phone' },
+  { collection: COLLECTIONS.DRIVER_VEHICLES, field: 'phone' },
+  { collection: COLLECTIONS.DRIVER_DOCUMENTS, field: 'phone', beforeDelete: 'removeStoredFiles' },
+  { collection: COLLECTIONS.USER_BLOCKS, field: 'blocker', afterDelete: 'rebuildCounterpartBlockLists' },
+  { collection: COLLECTIONS.USER_BLOCKS, field: 'blocked', afterDelete: 'rebuildCounterpartBlockLists' },
+  { collection: COLLECTIONS.TRIP_SHARES, field: 'owner' }
+];
+
+class CleanupService {
+  constructor(firestoreService, admin) {
+    console.log('🧹 [CLEANUP] Initializing CleanupService');
+
+    this.firestoreService = firestoreService;
+    this.db = firestoreService?.db;
+    this.admin = admin;
+
+    // Collection names
+    this.RUNS = COLLECTIONS.CLEANUP_RUNS;
+    this.HISTORY = COLLECTIONS.RIDE_HISTORY;
+
+    this.locationService = null; // injected by app.js, live location sessions
+    this.documentStorage = null; // injected by app.js, uploaded driver documents
+    this.blockService = null; // injected by app.js, rebuilds block lists of the other side
+
+    this.policies = { ...RETENTION.POLICIES };
+    this.timer = null;
+    this.sweepTimer = null;
+    this.isRunning = false;
+    this.lastRun = null;
+    this.lastSweep = null;
+
+    logger.info('CLEANUP', '🧹 Cleanup Service initialized');
+  }
+
+  // ========== SCHEDULING ==========
+
+  /**
+   * Run performCleanup every day at RETENTION.RUN_HOUR (server local time) and
+   * sweepExpiredSessions every RETENTION.SESSION_SWEEP_INTERVAL
+   */
+  start() {
+    if (this.timer) return;
+    this.scheduleNextRun();
+
+    this.sweepTimer = setInterval(() => this.sweepExpiredSessions(), RETENTION.SESSION_SWEEP_INTERVAL);
+    if (typeof this.sweepTimer.unref === 'function') this.sweepTimer.unref();
+
+    logger.info('CLEANUP', `🧹 Daily cleanup scheduled at ${RETENTION.RUN_HOUR}:00`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    if (this.sweepTimer) {
+      clearInterval(this.sweepTimer);
+      this.sweepTimer = null;
+    }
+    logger.info('CLEANUP', '🧹 Cleanup Service stopped');
+  }
+
+  scheduleNextRun() {
+    this.timer = setTimeout(async () => {
+      await this.performCleanup({ trigger: 'schedule' });
+      if (this.timer) this.scheduleNextRun();
+    }, this.msUntilNextRun());
+
+    // Never keep the process alive just for the daily run
+    if (typeof this.timer.unref === 'function') this.timer.unref();
+  }
+
+  msUntilNextRun(now = new Date()) {
+    const next = new Date(now);
+    next.setHours(RETENTION.RUN_HOUR, 0, 0, 0);
+    if (next <= now) next.setDate(next.getDate() + 1);
+    return next.getTime() - now.getTime();
+  }
+
+  // ========== POLICIES ==========
+
+  getPolicies(now = new Date()) {
+    return Object.entries(this.policies).map(([name, policy]) => ({
+      name,
+      ...policy,
+      statuses: policy.statuses || null,
+      cutoff: new Date(now.getTime() - policy.maxAgeDays * DAY_MS).toISOString()
+    }));
+  }
+
+  /**
+   * @param {string[]} names - policy names, all policies when empty
+   * @returns {{policies?: Array, error?: string}}
+   */
+  resolvePolicies(names) {
+    if (!names || names.length === 0) {
+      return { policies: Object.entries(this.policies) };
+    }
+
+    const unknown = names.filter(name => !this.policies[name]);
+    if (unknown.length > 0) {
+      return { error: `Unknown retention policies: ${unknown.join(', ')}` };
+    }
+    return { policies: names.map(name => [name, this.policies[name]]) };
+  }
+
+  cutoffValue(policy, now) {
+    const cutoff = now.getTime() - policy.maxAgeDays * DAY_MS;
+    if (policy.dateType === 'millis') return cutoff;
+    if (policy.dateType === 'timestamp') return new Date(cutoff);
+    return new Date(cutoff).toISOString();
+  }
+
+  buildPolicyQuery(policy, now) {
+    let query = this.db.collection(policy.collection)
+      .where(policy.dateField, '<', this.cutoffValue(policy, now));
+
+    if (policy.statuses && policy.statuses.length > 0) {
+      query = query.where('status', 'in', policy.statuses);
+    }
+    return query;
+  }
+
+  // ========== RETENTION RUNS ==========
+
+  /**
+   * Apply retention policies
+   * @param {Object} options
+   * @param {boolean} options.dryRun - only report what would be deleted
+   * @param {string[]} options.policies - subset of policy names (default: all)
+   * @param {string} options.trigger - 'schedule' | 'manual' | ...
+   * @param {string} options.requestedBy - admin phone for manual runs
+   */
+  async performCleanup({ dryRun = false, policies = [], trigger = 'manual', requestedBy = null } = {}) {
+    if (!this.db) {
+      return { success: false, error: 'Firestore not available' };
+    }
+
+    const resolved = this.resolvePolicies(policies);
+    if (resolved.error) {
+      return { success: false, error: resolved.error };
+    }
+
+    if (this.isRunning) {
+      return { success: false, error: 'A cleanup run is already in progress' };
+    }
+
+    this.isRunning = true;
+    const startedAt = new Date();
+    const runId = `cleanup_${startedAt.getTime()}`;
+    console.log(`🧹 [CLEANUP] ${dryRun ? 'Dry run' : 'Run'} ${runId} started (${trigger})`);
+
+    try {
+      const results = [];
+      for (const [name, policy] of resolved.policies) {
+        results.push(await this.applyPolicy(name, policy, { dryRun, now: startedAt }));
+      }
+
+      const run = {
+        runId,
+        type: 'retention',
+        dryRun,
+        trigger,
+        requestedBy,
+        status: results.some(r => r.error) ? 'partial' : 'completed',
+        totalMatched: results.reduce((sum, r) => sum + r.matched, 0),
+        totalDeleted: results.reduce((sum, r) => sum + r.deleted, 0),
+        results,
+        startedAt: startedAt.toISOString(),
+        finishedAt: new Date().toISOString(),
+        durationMs: Date.now() - startedAt.getTime()
+      };
+
+      await this.saveRun(run);
+      this.lastRun = { runId, dryRun, status: run.status, finishedAt: run.finishedAt };
+
+      logger.info('CLEANUP', `🧹 ${runId}: ${dryRun ? `${run.totalMatched} documents would be deleted` : `${run.totalDeleted} documents deleted`}`);
+      return { success: true, ...run };
+    } catch (error) {
+      logger.error('CLEANUP', `Cleanup run ${runId} failed: ${error.message}`);
+      return { success: false, error: error.message, runId };
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  /**
+   * Delete (or count, for dry runs) the documents one policy has expired.
+   * Failures are reported per policy so the other policies still run.
+   */
+  async applyPolicy(name, policy, { dryRun, now }) {
+    const result = {
+      policy: name,
+      collection: policy.collection,
+      cutoff: new Date(now.getTime() - policy.maxAgeDays * DAY_MS).toISOString(),
+      matched: 0,
+      deleted: 0,
+      truncated: false
+    };
+
+    try {
+      const query = this.buildPolicyQuery(policy, now);
+
+      if (dryRun) {
+        const sample = await query.limit(RETENTION.DRY_RUN_SAMPLE_SIZE).get();
+        result.sampleIds = sample.docs.map(doc => doc.id);
+        result.matched = await this.countQuery(query, sample.size);
+        return result;
+      }
+
+      for (let pass = 0; pass < RETENTION.MAX_BATCHES_PER_POLICY; pass++) {
+        const snapshot = await query.limit(RETENTION.QUERY_BATCH_SIZE).get();
+        if (snapshot.empty) break;
+
+        result.matched += snapshot.size;
+        result.deleted += await this.deleteDocuments(policy.collection, snapshot.docs.map(doc => doc.id));
+
+        if (snapshot.size < RETENTION.QUERY_BATCH_SIZE) break;
+        if (pass === RETENTION.MAX_BATCHES_PER_POLICY - 1) result.truncated = true;
+      }
+
+      if (result.deleted > 0) {
+        console.log(`🧹 [CLEANUP] ${name}: deleted ${result.deleted} documents older than ${result.cutoff}`);
+      }
+    } catch (error) {
+      logger.error('CLEANUP', `Policy ${name} failed: ${error.message}`);
+      result.error = error.message;
+    }
+
+    return result;
+  }
+
+  async countQuery(query, fallback = 0) {
+    try {
+      return (await query.count().get()).data().count;
+    } catch (e) {
+      // count() is unavailable on older SDKs - fall back to the sample size
+      return fallback;
+    }
+  }
+
+  async deleteDocuments(collection, ids) {
+    let deleted = 0;
+    for (let i = 0; i < ids.length; i += BATCH_WRITE_LIMIT) {
+      const batch = this.firestoreService.batch();
+      ids.slice(i, i + BATCH_WRITE_LIMIT).forEach(id => batch.delete(collection, id));
+      await this.firestoreService.commitBatch(batch);
+      deleted += batch.getCount();
+    }
+    return deleted;
+  }
+
+  // ========== LOCATION SESSIONS ==========
+
+  /**
+   * End live location sessions that are past their expiresAt. Ending a session stops
+   * the sharing and persists its summary; the Firestore documents are left to the
+   * location_sessions / location_session_summaries policies.
+   */
+  async sweepExpiredSessions(now = Date.now()) {
+    if (!this.locationService) return { success: true, ended: 0 };
+
+    try {
+      const ended = await this.locationService.cleanupExpiredSessions(now);
+      this.lastSweep = { ended, finishedAt: new Date().toISOString() };
+      return { success: true, ended };
+    } catch (error) {
+      logger.error('CLEANUP', `Location session sweep failed: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // ========== USER PURGE ==========
+
+  /**
+   * Remove a user's personal data. Private documents are deleted; shared ride history
+   * records are kept for the other participants with this user's phone/name removed.
+   * @param {string} phoneNumber
+   * @param {Object} options - { dryRun, requestedBy }
+   */
+  async cleanupUserData(phoneNumber, { dryRun = false, requestedBy = null } = {}) {
+    const phone = formatPhoneNumber(phoneNumber);
+    if (!phone) {
+      return { success: false, error: 'phoneNumber is required' };
+    }
+    if (!this.db) {
+      return { success: false, error: 'Firestore not available' };
+    }
+
+    const startedAt = new Date();
+    const runId = `purge_${startedAt.getTime()}`;
+
+    try {
+      const results = [];
+
+      for (const collection of USER_DOCUMENTS) {
+        const doc = await this.db.collection(collection).doc(phone).get();
+        const ids = doc.exists ? [phone] : [];
+        results.push({
+          collection,
+          matched: ids.length,
+          deleted: dryRun ? 0 : await this.deleteDocuments(collection, ids)
+        });
+      }
+
+      for (const { collection, field, beforeDelete, afterDelete } of USER_QUERIES) {
+        const docs = await this.firestoreService.queryCollection(collection, [
+          { field, operator: '==', value: phone }
+        ]);
+        const ids = docs.map(doc => doc.id);
+        if (!dryRun && beforeDelete) await this[beforeDelete](docs, phone);
+        results.push({
+          collection,
+          field,
+          matched: ids.length,
+          deleted: dryRun ? 0 : await this.deleteDocuments(collection, ids)
+        });
+        if (!dryRun && afterDelete && docs.length > 0) await this[afterDelete](docs, phone);
+      }
+
+      results.push(await this.anonymizeRideHistory(phone, dryRun));
+
+      const run = {
+        runId,
+        type: 'user_purge',
+        subject: phone,
+        dryRun,
+        trigger: 'manual',
+        requestedBy,
+        status: 'completed',
+        totalMatched: results.reduce((sum, r) => sum + r.matched, 0),
+        totalDeleted: results.reduce((sum, r) => sum + (r.deleted || 0), 0),
+        results,
+        startedAt: startedAt.toISOString(),
+        finishedAt: new Date().toISOString(),
+        durationMs: Date.now() - startedAt.getTime()
+      };
+
+      await this.saveRun(run);
+      console.log(`🧹 [CLEANUP] ${dryRun ? 'Dry-run purge' : 'Purged'} data for ${phone}: ${run.totalMatched} documents`);
+
+      return { success: true, ...run };
+    } catch (error) {
+      logger.error('CLEANUP', `Failed to purge data for ${phone}: ${error.message}`);
+      return { success: false, error: error.message, runId };
+    }
+  }
+
+  // Identity documents must not outlive their records; a file that can't be removed stops the purge
+  async removeStoredFiles(documents) {
+    const keys = documents.map(doc => doc.storageKey).filter(Boolean);
+    if (keys.length > 0 && !this.documentStorage) {
+      throw new Error('Document storage not available to remove uploaded files');
+    }
+
+    for (const key of keys) {
+      const removed = await this.documentStorage.remove(key);
+      if (!removed.success) throw new Error(`Could not remove stored document ${key}: ${removed.error}`);
+    }
+  }
+
+  // The other side's blockedWith is derived from the block records just deleted
+  async rebuildCounterpartBlockLists(blocks, phone) {
+    const counterparts = [...new Set(blocks.map(block => (block.blocker === phone ? block.blocked : block.blocker)))];
+    if (!this.blockService) {
+      throw new Error('Block service not available to rebuild block lists');
+    }
+    await this.blockService.rebuildBlockLists(counterparts);
+  }
+
+  async anonymizeRideHistory(phone, dryRun) {
+    const result = { collection: this.HISTORY, matched: 0, anonymized: 0 };
+    const FieldValue = this.admin?.firestore?.FieldValue;
+
+    const [asParticipant, asCoRider] = await Promise.all([
+      this.firestoreService.queryCollection(this.HISTORY, [
+        { field: 'participantPhones', operator: 'array-contains', value: phone }
+      ]),
+      this.firestoreService.queryCollection(this.HISTORY, [
+        { field: 'coRiderPhones', operator: 'array-contains', value: phone }
+      ])
+    ]);
+
+    const records = new Map();
+    [...asParticipant, ...asCoRider].forEach(record => records.set(record.id, record));
+    result.matched = records.size;
+    if (dryRun || records.size === 0) return result;
+
+    for (const record of records.values()) {
+      const updates = {
+        participantPhones: (record.participantPhones || []).filter(p => p !== phone),
+        coRiderPhones: (record.coRiderPhones || []).filter(p => p !== phone),
+        updatedAt: new Date().toISOString()
+      };
+
+      ['driver', 'passenger'].forEach(role => {
+        if (record[`${role}Phone`] === phone) {
+          updates[`${role}Phone`] = null;
+          updates[`${role}Name`] = null;
+        }
+        if (record.feedback?.[role]?.phone === phone && FieldValue) {
+          updates[`feedback.${role}.phone`] = FieldValue.delete();
+        }
+      });
+
+      await this.firestoreService.updateDocument(this.HISTORY, record.id, updates);
+      result.anonymized++;
+    }
+
+    return result;
+  }
+
+  // ========== RUN HISTORY ==========
+
+  async saveRun(run) {
+    try {
+      await this.firestoreService.setDocument(this.RUNS, run.runId, run);
+    } catch (error) {
+      // The cleanup itself already happened - losing the report must not fail it
+      logger.error('CLEANUP', `Failed to save run ${run.runId}: ${error.message}`);
+    }
+  }
+
+  async getRunHistory({ type, limit = RETENTION.RUN_HISTORY_LIMIT } = {}) {
+    try {
+      const constraints = [];
+      if (type) constraints.push({ field: 'type', operator: '==', value: type });
+      constraints.push({ field: 'startedAt', operator: 'orderBy', value: 'desc' });
+
+      const runs = await this.firestoreService.queryCollection(
+        this.RUNS,
+        constraints,
+        Math.min(parseInt(limit) || RETENTION.RUN_HISTORY_LIMIT, 500)
+      );
+
+      // Keep listings small - per-policy details are on GET /runs/:runId
+      return {
+        success: true,
+        runs: runs.map(({ results, ...summary }) => summary)
+      };
+    } catch (error) {
+      logger.error('CLEANUP', `Failed to read run history: ${error.message}`);
+      return { success: false, error: error.message, runs: [] };
+    }
+  }
+
+  async getRun(runId) {
+    try {
+      const doc = await this.firestoreService.getDocument(this.RUNS, runId);
+      if (!doc.exists) {
+        return { success: false, error: 'Cleanup run not found' };
+      }
+      return { success: true, run: { id: doc.id, ...doc.data() } };
+    } catch (error) {
+      logger.error('CLEANUP', `Failed to read run ${runId}: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  }
+
+  getStatus() {
+    return {
+      scheduled: !!this.timer,
+      isRunning: this.isRunning,
+      runHour: RETENTION.RUN_HOUR,
+      nextRunInMs: this.timer ? this.msUntilNextRun() : null,
+      lastRun: this.lastRun,
+      sessionSweepIntervalMs: RETENTION.SESSION_SWEEP_INTERVAL,
+      lastSweep: this.lastSweep
+    };
+  }
+}
+
+module.exports = CleanupService;
@@ -0,0 +1,142 @@
+// services/DocumentStorage.js
+// Pluggable storage for uploaded driver documents.
+// Every backend implements:
+//   async save(key, buffer, contentType) -> { success, key, size, error? }
+//   async read(key) -> { success, buffer, contentType?, error? }
+//   async remove(key) -> { success, error? }
+// Keys look like 'driver-documents/<phone>/<documentId>'.
+
+const fs = require('fs/promises');
+const path = require('path');
+const logger = require('../utils/Logger');
+
+const KEY_PATTERN = /^[A-Za-z0-9_-]+(\/[A-Za-z0-9_+.-]+)*$/;
+
+const checkKey = (key) => {
+  if (typeof key !== 'string' || !KEY_PATTERN.test(key) || key.split('/').some(part => /^\.+$/.test(part))) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+  return key;
+};
+
+/**
+ * Local filesystem backend - development and tests (DOCUMENT_STORAGE_DIR)
+ */
+class LocalDocumentStorage {
+  constructor(options = {}) {
+    this.name = 'local';
+    this.directory = path.resolve(options.directory || process.env.DOCUMENT_STORAGE_DIR || path.join(process.cwd(), 'storage'));
+  }
+
+  filePath(key) {
+    return path.join(this.directory, ...checkKey(key).split('/'));
+  }
+
+  async save(key, buffer, contentType) {
+    try {
+      const file = this.filePath(key);
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(file, buffer);
+      await fs.writeFile(`${file}.meta.json`, JSON.stringify({ contentType, size: buffer.length }));
+      return { success: true, key, size: buffer.length };
+    } catch (error) {
+      logger.error('DOCUMENT STORAGE', `Local save failed for ${key}: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async read(key) {
+    try {
+      const file = this.filePath(key);
+      const buffer = await fs.readFile(file);
+      const meta = JSON.parse(await fs.readFile(`${file}.meta.json`, 'utf8').catch(() => '{}'));
+      return { success: true, buffer, contentType: meta.contentType || null };
+    } catch (error) {
+      return { success: false, error: error.code === 'ENOENT' ? 'Document file not found' : error.message };
+    }
+  }
+
+  async remove(key) {
+    try {
+      const file = this.filePath(key);
+      await fs.rm(file, { force: true });
+      await fs.rm(`${file}.meta.json`, { force: true });
+      return { success: true };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+/**
+ * Google Cloud Storage backend (DOCUMENT_STORAGE_BUCKET); objects are private,
+ * admins read them through the API
+ */
+class GcsDocumentStorage {
+  constructor(options = {}) {
+    this.name = 'gcs';
+    const bucketName = options.bucket || process.env.DOCUMENT_STORAGE_BUCKET;
+
+    if (!bucketName) {
+      throw new Error('DOCUMENT_STORAGE_BUCKET environment variable is not set');
+    }
+
+    const { Storage } = require('@google-cloud/storage');
+    const storage = options.storage || new Storage();
+    this.bucket = storage.bucket(bucketName);
+  }
+
+  async save(key, buffer, contentType) {
+    try {
+      await this.bucket.file(checkKey(key)).save(buffer, { contentType, resumable: false });
+      return { success: true, key, size: buffer.length };
+    } catch (error) {
+      logger.error('DOCUMENT STORAGE', `GCS save failed for ${key}: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async read(key) {
+    try {
+      const file = this.bucket.file(checkKey(key));
+      const [[buffer], [metadata]] = await Promise.all([file.download(), file.getMetadata()]);
+      return { success: true, buffer, contentType: metadata.contentType || null };
+    } catch (error) {
+      return { success: false, error: error.code === 404 ? 'Document file not found' : error.message };
+    }
+  }
+
+  async remove(key) {
+    try {
+      await this.bucket.file(checkKey(key)).delete({ ignoreNotFound: true });
+      return { success: true };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+/**
+ * Build the backend selected by DOCUMENT_STORAGE_PROVIDER ('local' | 'gcs'); production
+ * instances have no persistent disk, so it must be 'gcs' there
+ */
+function createDocumentStorage(provider = process.env.DOCUMENT_STORAGE_PROVIDER, options = {}) {
+  if (process.env.NODE_ENV === 'production' && provider !== 'gcs') {
+    throw new Error('DOCUMENT_STORAGE_PROVIDER must be gcs in production');
+  }
+
+  switch (provider || 'local') {
+    case 'gcs':
+      return new GcsDocumentStorage(options);
+    case 'local':
+      return new LocalDocumentStorage(options);
+    default:
+      throw new Error(`Unknown document storage provider: ${provider}`);
+  }
+}
+
+module.exports = {
+  LocalDocumentStorage,
+  GcsDocumentStorage,
+  createDocumentStorage
+};
@@ -0,0 +1,400 @@
+// services/DriverVerificationService.js
+// Driver onboarding: drivers upload their license and vehicle registration, admins approve them
+// with an expiry date or reject them, and only drivers with every required document approved and
+// unexpired can start a search or be matched (utils/driverVerification.js decides the status).
+//
+// Files go through a DocumentStorage backend (local filesystem or Google Cloud Storage); Firestore
+// keeps one driver_documents entry per upload and a per-driver driver_verifications record.
+// Status changes are copied onto the driver's scheduled search (driverVerification) so matching
+// can check them without a read, and an hourly sweep marks lapsed verifications expired.
+//
+// Firestore queries: driver_documents where phone == ... / where status == 'pending';
+// driver_verifications where status == 'verified' (verifiedUntil checked in memory).
+
+const crypto = require('crypto');
+const logger = require('../utils/Logger');
+const { formatPhoneNumber } = require('../utils/helpers');
+const { STATUSES, summarizeVerification } = require('../utils/driverVerification');
+const { COLLECTIONS, DRIVER_VERIFICATION } = require('../config/constants');
+
+const DOCUMENT_LABELS = {
+  license: 'driving license',
+  registration: 'vehicle registration'
+};
+
+class DriverVerificationService {
+  constructor(firestoreService, storage, scheduledService = null) {
+    console.log('🪪 [DRIVER VERIFICATION] Initializing DriverVerificationService');
+
+    this.firestoreService = firestoreService;
+    this.db = firestoreService?.db;
+    this.storage = storage;
+    this.scheduledService = scheduledService;
+
+    this.DOCUMENTS = COLLECTIONS.DRIVER_DOCUMENTS;
+    this.VERIFICATIONS = COLLECTIONS.DRIVER_VERIFICATIONS;
+
+    this.timer = null;
+
+    logger.info('DRIVER VERIFICATION', `🪪 Driver Verification Service initialized (storage: ${storage?.name}, enforced: ${DRIVER_VERIFICATION.ENFORCE})`);
+  }
+
+  // ========== SCHEDULING ==========
+
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.expireLapsed(), DRIVER_VERIFICATION.EXPIRY_CHECK_INTERVAL);
+    if (typeof this.timer.unref === 'function') this.timer.unref();
+
+    this.expireLapsed();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    logger.info('DRIVER VERIFICATION', '🪪 Driver Verification Service stopped');
+  }
+
+  // ========== DRIVER ==========
+
+  /**
+   * Store an uploaded document; it waits for admin review
+   * @param {Object} upload - { buffer, contentType, expiresAt?, documentNumber? }
+   */
+  async uploadDocument(phoneNumber, type, { buffer, contentType, expiresAt, documentNumber } = {}) {
+    try {
+      const phone = formatPhoneNumber(phoneNumber);
+
+      if (!DRIVER_VERIFICATION.DOCUMENT_TYPES.includes(type)) {
+        return { success: false, error: `Document type must be one of: ${DRIVER_VERIFICATION.DOCUMENT_TYPES.join(', ')}` };
+      }
+      const mimeType = String(contentType || '').split(';')[0].trim().toLowerCase();
+      if (!DRIVER_VERIFICATION.ALLOWED_CONTENT_TYPES.includes(mimeType)) {
+        return { success: false, error: `File must be one of: ${DRIVER_VERIFICATION.ALLOWED_CONTENT_TYPES.join(', ')}` };
+      }
+      if (!Buffer.isBuffer(buffer) || buffer.length === 0) {
+        return { success: false, error: 'Document file is empty' };
+      }
+      if (buffer.length > DRIVER_VERIFICATION.MAX_FILE_SIZE) {
+        return { success: false, error: `Document file is larger than ${DRIVER_VERIFICATION.MAX_FILE_SIZE / (1024 * 1024)} MB` };
+      }
+      if (expiresAt && !(new Date(expiresAt).getTime() > Date.now())) {
+        return { success: false, error: 'expiresAt must be a future date' };
+      }
+
+      const documentId = this.db.collection(this.DOCUMENTS).doc().id;
+      const storageKey = `driver-documents/${this.storageFolder(phone)}/${documentId}`;
+      const stored = await this.storage.save(storageKey, buffer, mimeType);
+      if (!stored.success) return { success: false, error: 'Could not store the document, try again' };
+
+      const record = await this.loadRecord(phone);
+      const replaced = record.documents[type]?.pendingDocumentId || null;
+
+      const now = new Date().toISOString();
+      const document = {
+        id: documentId,
+        phone,
+        type,
+        status: 'pending',
+        storageKey,
+        contentType: mimeType,
+        size: buffer.length,
+        sha256: crypto.createHash('sha256').update(buffer).digest('hex'),
+        declaredExpiresAt: expiresAt ? new Date(expiresAt).toISOString() : null,
+        documentNumber: typeof documentNumber === 'string' ? documentNumber.trim().slice(0, 40) : null,
+        uploadedAt: now,
+        reviewedAt: null,
+        reviewedBy: null,
+        reviewNote: null,
+        expiresAt: null
+      };
+
+      await this.firestoreService.setDocument(this.DOCUMENTS, documentId, document);
+
+      // An upload still waiting for review is replaced by the new one; its file is never looked at
+      const replacedDocument = await this.loadDocument(replaced);
+      if (replacedDocument) {
+        await this.firestoreService.updateDocument(this.DOCUMENTS, replaced, { status: 'superseded', supersededBy: documentId });
+        await this.storage.remove(replacedDocument.storageKey);
+      }
+
+      const verification = await this.saveRecord(record, type, { pendingDocumentId: documentId });
+      console.log(`🪪 [DRIVER VERIFICATION] ${phone} uploaded ${type} ${documentId} (${buffer.length} bytes)`);
+
+      return { success: true, document: this.present(document), verification };
+    } catch (error) {
+      logger.error('DRIVER VERIFICATION', `Failed to upload ${type} for ${phoneNumber}: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Driver's verification status plus their uploads, newest first
+   */
+  async getStatus(phoneNumber) {
+    const phone = formatPhoneNumber(phoneNumber);
+    const record = await this.loadRecord(phone);
+    const documents = await this.firestoreService.queryCollection(this.DOCUMENTS, [
+      { field: 'phone', operator: '==', value: phone }
+    ], 50);
+
+    return {
+      success: true,
+      verification: this.summarize(record),
+      documents: documents
+        .filter(doc => doc.status !== 'superseded')
+        .sort((a, b) => new Date(b.uploadedAt) - new Date(a.uploadedAt))
+        .map(doc => this.present(doc))
+    };
+  }
+
+  /**
+   * Gate for starting a driver search
+   * @returns {Object} { allowed, status, verifiedUntil, missing, reason? }
+   */
+  async checkDriver(phoneNumber) {
+    const summary = this.summarize(await this.loadRecord(formatPhoneNumber(phoneNumber)));
+    if (!DRIVER_VERIFICATION.ENFORCE || summary.status === STATUSES.VERIFIED) {
+      return { allowed: true, ...summary };
+    }
+    return { allowed: false, ...summary, reason: this.describeBlock(summary) };
+  }
+
+  // ========== ADMIN REVIEW ==========
+
+  async listReviewQueue(limit = DRIVER_VERIFICATION.REVIEW_QUEUE_LIMIT) {
+    const documents = await this.firestoreService.queryCollection(this.DOCUMENTS, [
+      { field: 'status', operator: '==', value: 'pending' }
+    ], Math.min(Number(limit) || DRIVER_VERIFICATION.REVIEW_QUEUE_LIMIT, DRIVER_VERIFICATION.REVIEW_QUEUE_LIMIT));
+
+    // Oldest uploads first
+    return {
+      success: true,
+      documents: documents
+        .sort((a, b) => new Date(a.uploadedAt) - new Date(b.uploadedAt))
+        .map(doc => this.present(doc))
+    };
+  }
+
+  async readDocumentFile(documentId) {
+    const document = await this.loadDocument(documentId);
+    if (!document) return { success: false, error: 'Document not found' };
+
+    const file = await this.storage.read(document.storageKey);
+    if (!file.success) return { success: false, error: file.error };
+    return { success: true, buffer: file.buffer, contentType: file.contentType || document.contentType, document };
+  }
+
+  /**
+   * @param {string} decision - 'approve' | 'reject'
+   * @param {Object} options - { expiresAt (approve; defaults to the date the driver declared), note }
+   */
+  async reviewDocument(documentId, decision, adminPhone, { expiresAt, note } = {}) {
+    try {
+      if (!['approve', 'reject'].includes(decision)) {
+        return { success: false, error: 'decision must be approve or reject' };
+      }
+
+      const document = await this.loadDocument(documentId);
+      if (!document) return { success: false, error: 'Document not found' };
+      if (document.status !== 'pending') {
+        return { success: false, error: `Document was already ${document.status}` };
+      }
+
+      const reviewNote = typeof note === 'string' ? note.trim().slice(0, 500) || null : null;
+      const now = new Date().toISOString();
+      const record = await this.loadRecord(document.phone);
+      const current = record.documents[document.type] || {};
+      let updates;
+      let recordUpdates;
+
+      if (decision === 'approve') {
+        const expiry = expiresAt || document.declaredExpiresAt;
+        if (!expiry || !(new Date(expiry).getTime() > Date.now())) {
+          return { success: false, error: 'An expiry date in the future is required to approve a document' };
+        }
+
+        updates = { status: 'approved', expiresAt: new Date(expiry).toISOString() };
+        recordUpdates = {
+          approved: { documentId: document.id, expiresAt: updates.expiresAt, approvedAt: now },
+          pendingDocumentId: null,
+          rejected: null
+        };
+
+        // The document it replaces stops counting
+        if (current.approved?.documentId) {
+          await this.firestoreService.updateDocument(this.DOCUMENTS, current.approved.documentId, {
+            status: 'superseded',
+            supersededBy: document.id
+          });
+        }
+      } else {
+        if (!reviewNote) return { success: false, error: 'A note telling the driver what to fix is required to reject' };
+
+        updates = { status: 'rejected' };
+        recordUpdates = {
+          pendingDocumentId: null,
+          rejected: { documentId: document.id, note: reviewNote, at: now }
+        };
+      }
+
+      await this.firestoreService.updateDocument(this.DOCUMENTS, document.id, {
+        ...updates,
+        reviewedAt: now,
+        reviewedBy: formatPhoneNumber(adminPhone),
+        reviewNote
+      });
+
+      const verification = await this.saveRecord(record, document.type, recordUpdates);
+      console.log(`🪪 [DRIVER VERIFICATION] ${document.type} ${document.id} of ${document.phone} ${updates.status} by ${adminPhone} -> ${verification.status}`);
+
+      await this.notifyDriver(document, decision, reviewNote, verification);
+
+      return {
+        success: true,
+        document: this.present({ ...document, ...updates, reviewedAt: now, reviewedBy: formatPhoneNumber(adminPhone), reviewNote }),
+        verification
+      };
+    } catch (error) {
+      logger.error('DRIVER VERIFICATION', `Failed to review document ${documentId}: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // ========== EXPIRY ==========
+
+  async expireLapsed() {
+    const result = { checked: 0, expired: 0 };
+
+    try {
+      const records = await this.firestoreService.queryCollection(this.VERIFICATIONS, [
+        { field: 'status', operator: '==', value: STATUSES.VERIFIED }
+      ], 500);
+
+      for (const record of records) {
+        result.checked++;
+        if (new Date(record.verifiedUntil).getTime() > Date.now()) continue;
+
+        const verification = await this.saveRecord(record, null, null);
+        result.expired++;
+
+        await this.scheduledService?.sendNotification(record.phone, {
+          type: 'DRIVER_DOCUMENTS_EXPIRED',
+          title: 'Driver Documents Expired',
+          body: `Upload a renewed ${verification.missing.map(type => DOCUMENT_LABELS[type] || type).join(' and ')} to keep getting ride requests`,
+          data: { verificationStatus: verification.status, missing: verification.missing.join(',') }
+        }, { important: true });
+      }
+
+      if (result.expired > 0) {
+        logger.info('DRIVER VERIFICATION', `🪪 ${result.expired} driver verification(s) expired`);
+      }
+    } catch (error) {
+      logger.error('DRIVER VERIFICATION', `Expiry sweep failed: ${error.message}`);
+    }
+
+    return result;
+  }
+
+  // ========== HELPERS ==========
+
+  // Raw reads - getDocument is cached and reviews change these under it
+  async loadDocument(documentId) {
+    if (!documentId || typeof documentId !== 'string') return null;
+    const snapshot = await this.db.collection(this.DOCUMENTS).doc(documentId).get();
+    return snapshot.exists ? snapshot.data() : null;
+  }
+
+  async loadRecord(phone) {
+    const snapshot = await this.db.collection(this.VERIFICATIONS).doc(this.storageFolder(phone)).get();
+    return snapshot.exists ? snapshot.data() : { phone, documents: {} };
+  }
+
+  /**
+   * Apply one document type's changes, recompute the status and copy it to the driver's search
+   */
+  async saveRecord(record, type, changes) {
+    const documents = { ...(record.documents || {}) };
+    if (type) documents[type] = { ...(documents[type] || {}), ...changes };
+
+    const summary = summarizeVerification(documents);
+    const updated = {
+      phone: record.phone,
+      documents,
+      status: summary.status,
+      verifiedUntil: summary.verifiedUntil,
+      updatedAt: new Date().toISOString()
+    };
+
+    await this.firestoreService.setDocument(this.VERIFICATIONS, this.storageFolder(record.phone), updated);
+
+    if (summary.status !== record.status || summary.verifiedUntil !== record.verifiedUntil) {
+      await this.syncSearch(record.phone, summary);
+    }
+    return this.summarize(updated);
+  }
+
+  // Matching reads the status from the search; only an existing search is touched
+  async syncSearch(phone, summary) {
+    if (!this.scheduledService) return;
+    await this.scheduledService.updateSearchStatus('driver', phone, {
+      driverVerification: { status: summary.status, verifiedUntil: summary.verifiedUntil }
+    });
+  }
+
+  summarize(record) {
+    const summary = summarizeVerification(record.documents || {});
+    return {
+      status: summary.status,
+      verifiedUntil: summary.verifiedUntil,
+      missing: summary.missing,
+      documents: Object.fromEntries(DRIVER_VERIFICATION.DOCUMENT_TYPES.map(type => [type, {
+        status: summary.byType[type],
+        expiresAt: record.documents?.[type]?.approved?.expiresAt || null,
+        rejectionNote: record.documents?.[type]?.rejected?.note || null
+      }]))
+    };
+  }
+
+  describeBlock(summary) {
+    const labels = summary.missing.map(type => DOCUMENT_LABELS[type] || type).join(' and ');
+    const plural = summary.missing.length > 1;
+    switch (summary.status) {
+      case STATUSES.EXPIRED:
+        return `Your ${labels} expired - upload a renewed copy to drive`;
+      case STATUSES.REJECTED:
+        return `Your ${labels} ${plural ? 'were' : 'was'} rejected - upload a new copy to drive`;
+      case STATUSES.PENDING:
+        return `Your ${labels} ${plural ? 'are' : 'is'} waiting for review`;
+      default:
+        return `Upload your ${labels} to start driving`;
+    }
+  }
+
+  async notifyDriver(document, decision, note, verification) {
+    const label = DOCUMENT_LABELS[document.type] || document.type;
+    await this.scheduledService?.sendNotification(document.phone, {
+      type: 'DRIVER_DOCUMENT_REVIEWED',
+      title: decision === 'approve' ? 'Document Approved' : 'Document Rejected',
+      body: decision === 'approve'
+        ? (verification.status === STATUSES.VERIFIED ? `Your ${label} was approved - you're verified to drive` : `Your ${label} was approved`)
+        : `Your ${label} was rejected: ${note}`,
+      data: { documentId: document.id, documentType: document.type, verificationStatus: verification.status }
+    }, { important: true });
+  }
+
+  storageFolder(phone) {
+    return this.scheduledService ? this.scheduledService.sanitizePhoneNumber(phone) : formatPhoneNumber(phone);
+  }
+
+  // The storage key stays server-side
+  present(document) {
+    const { storageKey, ...rest } = document;
+    return rest;
+  }
+}
+
+module.exports = DriverVerificationService;
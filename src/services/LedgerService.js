@@ -0,0 +1,547 @@
+// services/LedgerService.js
+// Double-entry payment ledger: what passengers owe, what drivers earn, fees, adjustments
+// and payouts. Every transaction's debits equal its credits.
+//
+// Accounts (ledger_accounts/{accountId}):
+//   passenger:{phone}         receivable - positive balance = passenger owes
+//   driver:{phone}            payable    - positive balance = platform owes the driver
+//   platform:revenue          commission and driver penalties
+//   platform:adjustments      goodwill credits / corrections
+//   platform:clearing:{name}  money held by a payment provider
+//
+// Transactions (ledger_transactions/{transactionId}) have deterministic ids per ride/event,
+// so recording the same event twice is a no-op. Their lines are also stored one per
+// account in ledger_entries for statements. Each transaction, its entries and the account
+// totals are written in one Firestore transaction.
+
+const crypto = require('crypto');
+const logger = require('../utils/Logger');
+const { formatPhoneNumber } = require('../utils/helpers');
+const { COLLECTIONS, LEDGER } = require('../config/constants');
+
+const TYPES = LEDGER.TRANSACTION_TYPES;
+const ROLES = ['driver', 'passenger'];
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+class LedgerService {
+  constructor(firestoreService, admin, paymentProvider = null) {
+    console.log('📒 [LEDGER] Initializing LedgerService');
+
+    this.firestoreService = firestoreService;
+    this.db = firestoreService?.db;
+    this.admin = admin;
+    this.paymentProvider = paymentProvider;
+
+    // Collection names
+    this.TRANSACTIONS = COLLECTIONS.LEDGER_TRANSACTIONS;
+    this.ENTRIES = COLLECTIONS.LEDGER_ENTRIES;
+    this.ACCOUNTS = COLLECTIONS.LEDGER_ACCOUNTS;
+
+    logger.info('LEDGER', `📒 Ledger Service initialized (payments: ${paymentProvider?.name || 'none'})`);
+  }
+
+  // ========== ACCOUNTS ==========
+
+  userAccount(role, phone) {
+    return `${role}:${formatPhoneNumber(phone)}`;
+  }
+
+  clearingAccount() {
+    return `platform:clearing:${this.paymentProvider?.name || 'none'}`;
+  }
+
+  // Passenger receivables and provider clearing are assets (debit-normal), the rest credit-normal
+  accountInfo(accountId) {
+    const [kind, ...rest] = accountId.split(':');
+    if (kind === 'passenger' || kind === 'driver') {
+      return { type: kind, owner: rest.join(':'), normal: kind === 'passenger' ? 'debit' : 'credit' };
+    }
+    return { type: 'platform', owner: null, normal: rest[0] === 'clearing' || rest[0] === 'adjustments' ? 'debit' : 'credit' };
+  }
+
+  balanceOf(account) {
+    const debits = account?.debits || 0;
+    const credits = account?.credits || 0;
+    return round2(this.accountInfo(account.accountId).normal === 'debit' ? debits - credits : credits - debits);
+  }
+
+  // ========== POSTING ==========
+
+  /**
+   * Post a balanced transaction. Existing transaction ids are returned untouched.
+   * @param {Object} txn - { transactionId, type, rideId, description, lines: [{ accountId, debit, credit }], metadata }
+   * @param {Object} options - { precondition: async (transaction) => error message or null,
+   *   read inside the same Firestore transaction before anything is written }
+   */
+  async postTransaction({ transactionId, type, rideId = null, description, lines, metadata = {} }, { precondition = null } = {}) {
+    const postedLines = lines
+      .map(line => ({ accountId: line.accountId, debit: round2(line.debit || 0), credit: round2(line.credit || 0) }))
+      .filter(line => line.debit > 0 || line.credit > 0);
+
+    const totalDebits = round2(postedLines.reduce((sum, l) => sum + l.debit, 0));
+    const totalCredits = round2(postedLines.reduce((sum, l) => sum + l.credit, 0));
+
+    if (postedLines.length < 2 || totalDebits !== totalCredits) {
+      return { success: false, error: `Unbalanced transaction ${transactionId}: ${totalDebits} != ${totalCredits}` };
+    }
+
+    const FieldValue = this.admin.firestore.FieldValue;
+    const now = new Date().toISOString();
+
+    const transaction = {
+      transactionId,
+      type,
+      rideId,
+      description,
+      currency: LEDGER.CURRENCY,
+      amount: totalDebits,
+      lines: postedLines,
+      accountIds: [...new Set(postedLines.map(l => l.accountId))],
+      metadata,
+      createdAt: now
+    };
+
+    const transactionRef = this.db.collection(this.TRANSACTIONS).doc(transactionId);
+
+    const outcome = await this.firestoreService.runTransaction(async (tx) => {
+      const existing = await tx.get(transactionRef);
+      if (existing.exists) {
+        return { duplicate: true, transaction: existing.data() };
+      }
+
+      const rejected = precondition ? await precondition(tx) : null;
+      if (rejected) {
+        return { error: rejected };
+      }
+
+      tx.create(transactionRef, transaction);
+
+      postedLines.forEach((line, index) => {
+        const info = this.accountInfo(line.accountId);
+
+        tx.set(this.db.collection(this.ENTRIES).doc(`${transactionId}_${index}`), {
+          transactionId,
+          type,
+          rideId,
+          description,
+          accountId: line.accountId,
+          debit: line.debit,
+          credit: line.credit,
+          // Effect on the account's balance as its owner reads it
+          amount: info.normal === 'debit' ? round2(line.debit - line.credit) : round2(line.credit - line.debit),
+          createdAt: now
+        });
+
+        tx.set(this.db.collection(this.ACCOUNTS).doc(line.accountId), {
+          accountId: line.accountId,
+          ...info,
+          currency: LEDGER.CURRENCY,
+          debits: FieldValue.increment(line.debit),
+          credits: FieldValue.increment(line.credit),
+          updatedAt: now
+        }, { merge: true });
+      });
+
+      return { transaction };
+    });
+
+    if (outcome.error) {
+      return { success: false, error: outcome.error };
+    }
+    if (outcome.duplicate) {
+      return { success: true, duplicate: true, transaction: outcome.transaction };
+    }
+
+    console.log(`📒 [LEDGER] Posted ${type} ${transactionId}: ${totalDebits} ${LEDGER.CURRENCY}`);
+    return { success: true, transaction };
+  }
+
+  // Passenger charge split between the driver's earnings and platform commission
+  chargeLines(passengerPhone, driverPhone, amount) {
+    const commission = round2(amount * LEDGER.PLATFORM_COMMISSION_RATE);
+    return [
+      { accountId: this.userAccount('passenger', passengerPhone), debit: amount },
+      { accountId: this.userAccount('driver', driverPhone), credit: round2(amount - commission) },
+      { accountId: 'platform:revenue', credit: commission }
+    ];
+  }
+
+  // ========== RIDES ==========
+
+  /**
+   * Record a completed ride's fare and settle it: cash is collected by the driver,
+   * anything else is charged through the payment provider
+   * @param {Object} ride - { rideId, driverPhone, passengerPhone, amount, paymentMethod }
+   */
+  async recordRideFare({ rideId, driverPhone, passengerPhone, amount, paymentMethod = 'cash' }) {
+    try {
+      const fare = round2(Number(amount) || 0);
+      if (!rideId || !driverPhone || !passengerPhone) {
+        return { success: false, error: 'rideId, driverPhone and passengerPhone are required' };
+      }
+      if (fare <= 0) {
+        return { success: true, skipped: true, reason: 'No fare to record' };
+      }
+
+      const posted = await this.postTransaction({
+        transactionId: `ride_${rideId}`,
+        type: TYPES.RIDE_FARE,
+        rideId,
+        description: `Ride fare for ${rideId}`,
+        lines: this.chargeLines(passengerPhone, driverPhone, fare),
+        metadata: { paymentMethod }
+      });
+      if (!posted.success || posted.duplicate) return posted;
+
+      const settlement = await this.settle({
+        transactionId: `ride_${rideId}`,
+        rideId,
+        driverPhone,
+        passengerPhone,
+        amount: fare,
+        paymentMethod,
+        description: `Ride ${rideId}`
+      });
+
+      return { success: true, transaction: posted.transaction, settlement };
+    } catch (error) {
+      logger.error('LEDGER', `Failed to record fare for ${rideId}: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Collect what a passenger owes for a transaction
+   */
+  async settle({ transactionId, rideId, driverPhone, passengerPhone, amount, paymentMethod, description }) {
+    const passengerAccount = this.userAccount('passenger', passengerPhone);
+
+    if (paymentMethod === 'cash') {
+      // The driver holds the cash, so it comes off what the platform owes them
+      const cash = await this.postTransaction({
+        transactionId: `${transactionId}_cash`,
+        type: TYPES.CASH_COLLECTED,
+        rideId,
+        description: `Cash collected by driver - ${description}`,
+        lines: [
+          { accountId: this.userAccount('driver', driverPhone), debit: amount },
+          { accountId: passengerAccount, credit: amount }
+        ]
+      });
+      return { status: cash.success ? 'settled' : 'failed', method: 'cash', error: cash.error };
+    }
+
+    if (!this.paymentProvider) {
+      return { status: 'pending', method: paymentMethod, error: 'No payment provider configured' };
+    }
+
+    const charge = await this.paymentProvider.charge({
+      phone: formatPhoneNumber(passengerPhone),
+      amount,
+      currency: LEDGER.CURRENCY,
+      reference: transactionId,
+      description
+    });
+
+    if (!charge.success) {
+      // Stays on the passenger's receivable until collected
+      logger.warn('LEDGER', `Charge for ${transactionId} failed: ${charge.error}`);
+      return { status: 'failed', method: paymentMethod, error: charge.error };
+    }
+
+    const payment = await this.postTransaction({
+      transactionId: `${transactionId}_payment`,
+      type: TYPES.PAYMENT,
+      rideId,
+      description: `Payment via ${this.paymentProvider.name} - ${description}`,
+      lines: [
+        { accountId: this.clearingAccount(), debit: amount },
+        { accountId: passengerAccount, credit: amount }
+      ],
+      metadata: { provider: this.paymentProvider.name, providerTransactionId: charge.transactionId || null }
+    });
+
+    return {
+      status: payment.success ? 'settled' : 'failed',
+      method: paymentMethod,
+      providerTransactionId: charge.transactionId || null,
+      error: payment.error
+    };
+  }
+
+  /**
+   * Record a cancellation fee. Passenger fees compensate the driver (minus commission);
+   * driver fees are a penalty kept by the platform.
+   * @param {Object} fee - { rideId, cancelledBy: driver|passenger, driverPhone, passengerPhone, amount, reason, paymentMethod }
+   */
+  async recordCancellationFee({ rideId, cancelledBy, driverPhone, passengerPhone, amount, reason = null, paymentMethod = 'cash' }) {
+    try {
+      const fee = round2(Number(amount) || 0);
+      if (!rideId || !ROLES.includes(cancelledBy)) {
+        return { success: false, error: 'rideId and cancelledBy (driver|passenger) are required' };
+      }
+      if (fee <= 0) {
+        return { success: true, skipped: true, reason: 'No fee' };
+      }
+
+      const transactionId = `cancel_${rideId}_${cancelledBy}`;
+      const lines = cancelledBy === 'passenger'
+        ? this.chargeLines(passengerPhone, driverPhone, fee)
+        : [
+          { accountId: this.userAccount('driver', driverPhone), debit: fee },
+          { accountId: 'platform:revenue', credit: fee }
+        ];
+
+      const posted = await this.postTransaction({
+        transactionId,
+        type: TYPES.CANCELLATION_FEE,
+        rideId,
+        description: `Cancellation fee (${cancelledBy}) for ${rideId}`,
+        lines,
+        metadata: { cancelledBy, reason }
+      });
+      if (!posted.success) return posted;
+
+      // Cash passengers aren't charged now - the fee stays on their balance
+      if (posted.duplicate) return posted;
+
+      const settlement = cancelledBy === 'passenger' && paymentMethod !== 'cash'
+        ? await this.settle({ transactionId, rideId, driverPhone, passengerPhone, amount: fee, paymentMethod, description: `Cancellation fee ${rideId}` })
+        : { status: cancelledBy === 'driver' ? 'deducted_from_earnings' : 'outstanding' };
+
+      return { success: true, transaction: posted.transaction, settlement };
+    } catch (error) {
+      logger.error('LEDGER', `Failed to record cancellation fee for ${rideId}: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // ========== ADJUSTMENTS & PAYOUTS ==========
+
+  /**
+   * Manual correction. Positive amounts are in the user's favour (driver earns more /
+   * passenger owes less), negative amounts the opposite.
+   * @param {Object} adjustment - { phone, role, amount, reason, rideId, requestedBy }
+   */
+  async recordAdjustment({ phone, role, amount, reason, rideId = null, requestedBy = null }) {
+    try {
+      const value = round2(Number(amount) || 0);
+      if (!phone || !ROLES.includes(role)) {
+        return { success: false, error: 'phone and role (driver|passenger) are required' };
+      }
+      if (value === 0) {
+        return { success: false, error: 'amount must be a non-zero number' };
+      }
+      if (!reason) {
+        return { success: false, error: 'reason is required' };
+      }
+
+      const userAccount = this.userAccount(role, phone);
+      const size = Math.abs(value);
+      const favourable = value > 0;
+
+      return await this.postTransaction({
+        transactionId: `adj_${crypto.randomUUID()}`,
+        type: TYPES.ADJUSTMENT,
+        rideId,
+        description: `Adjustment: ${reason}`,
+        lines: [
+          { accountId: 'platform:adjustments', debit: favourable ? size : 0, credit: favourable ? 0 : size },
+          { accountId: userAccount, debit: favourable ? 0 : size, credit: favourable ? size : 0 }
+        ],
+        metadata: { reason, role, requestedBy }
+      });
+    } catch (error) {
+      logger.error('LEDGER', `Failed to record adjustment for ${phone}: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Pay out a driver's balance (or part of it) through the payment provider.
+   * The payout is posted first - balance check and posting in one transaction, so two
+   * payouts can't both spend the same balance - then sent to the provider. A declined
+   * payout is reversed; the provider's answer is stored on the payout transaction.
+   */
+  async payoutDriver(driverPhone, { amount, requestedBy = null } = {}) {
+    try {
+      if (!this.paymentProvider) {
+        return { success: false, error: 'No payment provider configured' };
+      }
+      if (amount !== undefined && !(round2(Number(amount)) > 0)) {
+        return { success: false, error: 'Payout amount must be greater than 0' };
+      }
+
+      const driverAccount = this.userAccount('driver', driverPhone);
+      const accountRef = this.db.collection(this.ACCOUNTS).doc(driverAccount);
+      const transactionId = `payout_${crypto.randomUUID()}`;
+      let value = amount === undefined ? null : round2(Number(amount));
+
+      // Full-balance payouts are sized from a plain read; the posting below re-checks it
+      if (value === null) {
+        const { balance } = await this.getBalance(driverPhone, 'driver');
+        value = balance;
+      }
+      if (!(value > 0)) {
+        return { success: false, error: 'No balance available to pay out' };
+      }
+
+      const posted = await this.postTransaction({
+        transactionId,
+        type: TYPES.PAYOUT,
+        description: `Payout via ${this.paymentProvider.name}`,
+        lines: [
+          { accountId: driverAccount, debit: value },
+          { accountId: this.clearingAccount(), credit: value }
+        ],
+        metadata: { provider: this.paymentProvider.name, providerStatus: 'pending', requestedBy }
+      }, {
+        precondition: async (tx) => {
+          const doc = await tx.get(accountRef);
+          const balance = this.balanceOf(doc.exists ? doc.data() : { accountId: driverAccount });
+          return value > balance ? `Payout must be between 0 and the available balance (${balance})` : null;
+        }
+      });
+      if (!posted.success) return posted;
+
+      let result;
+      try {
+        result = await this.paymentProvider.payout({
+          phone: formatPhoneNumber(driverPhone),
+          amount: value,
+          currency: LEDGER.CURRENCY,
+          reference: transactionId,
+          description: 'Driver earnings payout'
+        });
+      } catch (error) {
+        // Unknown outcome - the money may have moved, so the payout stays posted as pending
+        logger.error('LEDGER', `Payout ${transactionId} outcome unknown: ${error.message}`);
+        return { success: false, pending: true, transactionId, error: 'Payout outcome unknown - left pending for review' };
+      }
+
+      if (!result.success) {
+        const reversal = await this.postTransaction({
+          transactionId: `${transactionId}_reversal`,
+          type: TYPES.PAYOUT_REVERSAL,
+          description: `Declined payout via ${this.paymentProvider.name}`,
+          lines: [
+            { accountId: this.clearingAccount(), debit: value },
+            { accountId: driverAccount, credit: value }
+          ],
+          metadata: { provider: this.paymentProvider.name, reverses: transactionId, providerError: result.error || null }
+        });
+        if (!reversal.success) {
+          logger.error('LEDGER', `Payout ${transactionId} was declined but not reversed: ${reversal.error}`);
+        }
+        await this.recordProviderResult(transactionId, { providerStatus: 'declined', providerError: result.error || null });
+        return { success: false, transactionId, error: result.error };
+      }
+
+      await this.recordProviderResult(transactionId, {
+        providerStatus: 'paid',
+        providerTransactionId: result.transactionId || null
+      });
+
+      return {
+        success: true,
+        transaction: {
+          ...posted.transaction,
+          metadata: { ...posted.transaction.metadata, providerStatus: 'paid', providerTransactionId: result.transactionId || null }
+        }
+      };
+    } catch (error) {
+      logger.error('LEDGER', `Failed to pay out ${driverPhone}: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // The payout is already on the ledger - a failed status write is logged, not returned
+  async recordProviderResult(transactionId, result) {
+    try {
+      const updates = { updatedAt: new Date().toISOString() };
+      Object.entries(result).forEach(([key, value]) => {
+        updates[`metadata.${key}`] = value;
+      });
+      await this.db.collection(this.TRANSACTIONS).doc(transactionId).update(updates);
+    } catch (error) {
+      logger.error('LEDGER', `Failed to store provider result for ${transactionId} (${JSON.stringify(result)}): ${error.message}`);
+    }
+  }
+
+  // ========== QUERIES ==========
+
+  /**
+   * Current balance of a user's driver or passenger account
+   */
+  async getBalance(phoneNumber, role = 'driver') {
+    try {
+      if (!ROLES.includes(role)) {
+        return { success: false, error: `Invalid role: ${role}` };
+      }
+
+      const accountId = this.userAccount(role, phoneNumber);
+      const doc = await this.db.collection(this.ACCOUNTS).doc(accountId).get();
+      const account = doc.exists ? doc.data() : { accountId };
+
+      return {
+        success: true,
+        accountId,
+        role,
+        currency: LEDGER.CURRENCY,
+        balance: this.balanceOf(account),
+        totalDebits: round2(account.debits || 0),
+        totalCredits: round2(account.credits || 0),
+        updatedAt: account.updatedAt || null
+      };
+    } catch (error) {
+      logger.error('LEDGER', `Failed to read balance for ${phoneNumber}: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Ledger lines for a user's account, newest first
+   * @param {Object} options - { role, from, to, limit }
+   */
+  async getStatement(phoneNumber, { role = 'driver', from, to, limit } = {}) {
+    try {
+      const balance = await this.getBalance(phoneNumber, role);
+      if (!balance.success) return balance;
+
+      const constraints = [{ field: 'accountId', operator: '==', value: balance.accountId }];
+      if (from) constraints.push({ field: 'createdAt', operator: '>=', value: new Date(from).toISOString() });
+      if (to) constraints.push({ field: 'createdAt', operator: '<=', value: new Date(to).toISOString() });
+      constraints.push({ field: 'createdAt', operator: 'orderBy', value: 'desc' });
+
+      const pageSize = Math.min(parseInt(limit) || LEDGER.STATEMENT_PAGE_SIZE, LEDGER.MAX_STATEMENT_PAGE_SIZE);
+      const entries = await this.firestoreService.queryCollection(this.ENTRIES, constraints, pageSize);
+
+      const totals = entries.reduce((acc, entry) => {
+        acc[entry.type] = round2((acc[entry.type] || 0) + entry.amount);
+        return acc;
+      }, {});
+
+      return {
+        success: true,
+        accountId: balance.accountId,
+        role,
+        currency: LEDGER.CURRENCY,
+        balance: balance.balance,
+        period: { from: from || null, to: to || null },
+        totalsByType: totals,
+        entries: entries.map(({ id, ...entry }) => entry)
+      };
+    } catch (error) {
+      logger.error('LEDGER', `Failed to build statement for ${phoneNumber}: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async getTransaction(transactionId) {
+    const doc = await this.db.collection(this.TRANSACTIONS).doc(transactionId).get();
+    return doc.exists ? doc.data() : null;
+  }
+}
+
+module.exports = LedgerService;
@@ -1171,46 +1171,6 @@ class NotificationService {
     }
   }
 
-  /**
-   * Delete old notifications (cleanup)
-   */
-  async deleteOldNotifications(daysOld = 30) {
-    try {
-      const cutoffDate = new Date();
-      cutoffDate.setDate(cutoffDate.getDate() - daysOld);
-      
-      const constraints = [
-        { field: 'createdAt', operator: '<', value: cutoffDate.toISOString() }
-      ];
-      
-      const snapshot = await this.firestoreService.queryCollection(
-        this.NOTIFICATIONS,
-        constraints,
-        500
-      );
-      
-      if (snapshot.empty) {
-        return { success: true, count: 0 };
-      }
-      
-      const batch = this.firestoreService.batch();
-      let count = 0;
-      
-      snapshot.forEach(doc => {
-        batch.delete(this.NOTIFICATIONS, doc.id);
-        count++;
-      });
-      
-      await this.firestoreService.commitBatch(batch);
-      
-      console.log(`🧹 [NOTIFY] Deleted ${count} old notifications`);
-      return { success: true, count };
-    } catch (error) {
-      console.error('❌ [NOTIFY] Error deleting old notifications:', error.message);
-      return { success: false, error: error.message };
-    }
-  }
-
   // ========== CANCELLATION RECORDS ==========
 
   /**
@@ -1224,7 +1184,7 @@ class NotificationService {
         timestamp: Date.now()
       };
       
-      const docId = await this.firestoreService.addDocument(this.CANCELLATIONS, cancellationData);
+      const { id: docId } = await this.firestoreService.addDocument(this.CANCELLATIONS, cancellationData);
       
       // Broadcast via WebSocket
       if (this.websocketServer?.broadcast) {
@@ -1254,14 +1214,12 @@ class NotificationService {
           { field: 'createdAt', operator: 'orderBy', value: 'desc' }
         ];
         
-        const snapshot = await this.firestoreService.queryCollection(
+        const cancellations = await this.firestoreService.queryCollection(
           this.CANCELLATIONS,
           constraints,
           limit
         );
         
-        const cancellations = [];
-        snapshot.forEach(doc => cancellations.push({ id: doc.id, ...doc.data() }));
         return { success: true, cancellations };
       } 
       else if (role === 'passenger') {
@@ -1270,14 +1228,12 @@ class NotificationService {
           { field: 'createdAt', operator: 'orderBy', value: 'desc' }
         ];
         
-        const snapshot = await this.firestoreService.queryCollection(
+        const cancellations = await this.firestoreService.queryCollection(
           this.CANCELLATIONS,
           constraints,
           limit
         );
         
-        const cancellations = [];
-        snapshot.forEach(doc => cancellations.push({ id: doc.id, ...doc.data() }));
         return { success: true, cancellations };
       } 
       else {
@@ -1292,14 +1248,12 @@ class NotificationService {
           { field: 'createdAt', operator: 'orderBy', value: 'desc' }
         ];
         
-        const [driverSnapshot, passengerSnapshot] = await Promise.all([
+        const [asDriver, asPassenger] = await Promise.all([
           this.firestoreService.queryCollection(this.CANCELLATIONS, driverConstraints, limit),
           this.firestoreService.queryCollection(this.CANCELLATIONS, passengerConstraints, limit)
         ]);
         
-        const all = [];
-        driverSnapshot.forEach(d => all.push({ id: d.id, ...d.data() }));
-        passengerSnapshot.forEach(p => all.push({ id: p.id, ...p.data() }));
+        const all = [...asDriver, ...asPassenger];
         
         all.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
         
@@ -0,0 +1,156 @@
+// services/PaymentProvider.js
+// Pluggable payment provider adapters used by LedgerService.
+// Every provider implements:
+//   async charge({ phone, amount, currency, reference, description }) -> { success, transactionId?, error? }
+//   async payout({ phone, amount, currency, reference, description }) -> { success, transactionId?, error? }
+// `reference` is the ledger transaction id, so providers can de-duplicate retries.
+
+const crypto = require('crypto');
+const logger = require('../utils/Logger');
+
+/**
+ * In-process provider for local development and tests - every call succeeds
+ * unless a failure has been queued with failNext()
+ */
+class FakePaymentProvider {
+  constructor(options = {}) {
+    this.name = 'fake';
+    this.operations = [];
+    this.pendingFailures = [];
+    this.maxOperations = options.maxOperations || 500;
+  }
+
+  async charge(request) {
+    return this.record('charge', request);
+  }
+
+  async payout(request) {
+    return this.record('payout', request);
+  }
+
+  record(type, { phone, amount, currency, reference, description }) {
+    const failure = this.pendingFailures.shift();
+    if (failure) {
+      console.log(`💳 [FAKE PAYMENTS] ${type} ${amount} ${currency} for ${phone} failed: ${failure}`);
+      return { success: false, error: failure };
+    }
+
+    // Same reference -> same result, like a real gateway's idempotency key
+    const existing = this.operations.find(op => op.type === type && op.reference === reference);
+    if (existing) {
+      return { success: true, transactionId: existing.transactionId };
+    }
+
+    const operation = {
+      transactionId: `fake_${type}_${crypto.randomUUID()}`,
+      type,
+      phone,
+      amount,
+      currency,
+      reference,
+      description: description || null,
+      createdAt: new Date().toISOString()
+    };
+
+    this.operations.push(operation);
+    if (this.operations.length > this.maxOperations) {
+      this.operations.shift();
+    }
+
+    console.log(`💳 [FAKE PAYMENTS] ${type} ${amount} ${currency} for ${phone} (${reference})`);
+    return { success: true, transactionId: operation.transactionId };
+  }
+
+  /**
+   * Make the next charge/payout fail with the given error (testing helper)
+   */
+  failNext(error = 'Payment declined') {
+    this.pendingFailures.push(error);
+  }
+
+  clear() {
+    this.operations = [];
+    this.pendingFailures = [];
+  }
+}
+
+/**
+ * Generic HTTP gateway - POSTs JSON to {PAYMENT_GATEWAY_URL}/charges and /payouts
+ */
+class HttpPaymentProvider {
+  constructor(options = {}) {
+    this.name = 'http';
+    this.url = (options.url || process.env.PAYMENT_GATEWAY_URL || '').replace(/\/+$/, '');
+    this.apiKey = options.apiKey || process.env.PAYMENT_API_KEY;
+    this.timeout = options.timeout || 15000;
+
+    if (!this.url) {
+      throw new Error('PAYMENT_GATEWAY_URL environment variable is not set');
+    }
+  }
+
+  async charge(request) {
+    return this.post('charges', request);
+  }
+
+  async payout(request) {
+    return this.post('payouts', request);
+  }
+
+  async post(path, { phone, amount, currency, reference, description }) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.timeout);
+
+    try {
+      const response = await fetch(`${this.url}/${path}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Idempotency-Key': reference,
+          ...(this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {})
+        },
+        body: JSON.stringify({ phone, amount, currency, reference, description }),
+        signal: controller.signal
+      });
+
+      if (!response.ok) {
+        const text = await response.text().catch(() => '');
+        logger.error('PAYMENTS', `Gateway rejected ${path} ${reference}: ${response.status} ${text}`);
+        return { success: false, error: `Payment gateway responded with ${response.status}` };
+      }
+
+      const body = await response.json().catch(() => ({}));
+      return { success: true, transactionId: body.transactionId || body.id || null };
+    } catch (error) {
+      logger.error('PAYMENTS', `Failed to ${path} ${reference}: ${error.message}`);
+      return { success: false, error: error.message };
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+}
+
+/**
+ * Build the provider selected by PAYMENT_PROVIDER ('fake' | 'http').
+ * Production must name a real provider - the fake one approves every charge and payout.
+ */
+function createPaymentProvider(provider = process.env.PAYMENT_PROVIDER, options = {}) {
+  if (process.env.NODE_ENV === 'production' && (!provider || provider === 'fake')) {
+    throw new Error('PAYMENT_PROVIDER must be set to a real provider (e.g. http) in production');
+  }
+
+  switch (provider || 'fake') {
+    case 'http':
+      return new HttpPaymentProvider(options);
+    case 'fake':
+      return new FakePaymentProvider(options);
+    default:
+      throw new Error(`Unknown payment provider: ${provider}`);
+  }
+}
+
+module.exports = {
+  FakePaymentProvider,
+  HttpPaymentProvider,
+  createPaymentProvider
+};
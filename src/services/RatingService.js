@@ -0,0 +1,300 @@
+// services/RatingService.js
+// Driver/passenger ratings (1-5, tags, comment) after a completed ride, and per-user
+// rating summaries used by matching.
+//
+// One rating per rater per ride: ratings/{rideId}_{raterPhone}
+// Aggregates per user and role: rating_summaries/{phone} { driver: {...}, passenger: {...} }
+
+const logger = require('../utils/Logger');
+const { formatPhoneNumber } = require('../utils/helpers');
+const { smoothedRating } = require('../utils/ratingScore');
+const { COLLECTIONS, RATINGS, RIDE_STATUS } = require('../config/constants');
+
+const ROLES = ['driver', 'passenger'];
+
+class RatingService {
+  constructor(firestoreService, admin, rideHistoryService = null) {
+    console.log('⭐ [RATINGS] Initializing RatingService');
+
+    this.firestoreService = firestoreService;
+    this.admin = admin;
+    this.rideHistoryService = rideHistoryService;
+
+    // Collection names
+    this.RATINGS = COLLECTIONS.RATINGS;
+    this.SUMMARIES = COLLECTIONS.RATING_SUMMARIES;
+
+    logger.info('RATINGS', '⭐ Rating Service initialized');
+  }
+
+  // ========== SUBMISSION ==========
+
+  validateInput(rating, tags, comment, rateeRole) {
+    const value = Number(rating);
+    if (!Number.isInteger(value) || value < RATINGS.MIN || value > RATINGS.MAX) {
+      return { error: `rating must be a whole number between ${RATINGS.MIN} and ${RATINGS.MAX}` };
+    }
+
+    const tagList = [...new Set(Array.isArray(tags) ? tags : [])];
+    if (tagList.length > RATINGS.MAX_TAGS) {
+      return { error: `At most ${RATINGS.MAX_TAGS} tags allowed` };
+    }
+
+    const invalidTags = tagList.filter(tag => !RATINGS.TAGS[rateeRole].includes(tag));
+    if (invalidTags.length > 0) {
+      return { error: `Invalid tags for a ${rateeRole}: ${invalidTags.join(', ')}` };
+    }
+
+    const text = typeof comment === 'string' ? comment.trim() : '';
+    if (text.length > RATINGS.MAX_COMMENT_LENGTH) {
+      return { error: `comment must be at most ${RATINGS.MAX_COMMENT_LENGTH} characters` };
+    }
+
+    return { value, tags: tagList, comment: text };
+  }
+
+  /**
+   * Rate the other side of a completed ride
+   * @param {Object} params - { rideId, raterPhone, rating, tags, comment }
+   */
+  async submitRating({ rideId, raterPhone, rating, tags = [], comment = '' }) {
+    try {
+      const rater = formatPhoneNumber(raterPhone);
+      if (!rideId || !rater) {
+        return { success: false, error: 'rideId and raterPhone are required' };
+      }
+
+      if (!this.rideHistoryService) {
+        return { success: false, error: 'Ride history not available' };
+      }
+
+      const ride = await this.rideHistoryService.getRideDetails(rideId);
+      if (!ride || !(ride.participantPhones || []).includes(rater)) {
+        return { success: false, error: 'Ride not found' };
+      }
+
+      if (ride.status !== RIDE_STATUS.COMPLETED) {
+        return { success: false, error: 'Only completed rides can be rated' };
+      }
+
+      const completedAt = new Date(ride.completedAt || ride.rideDate).getTime();
+      if (Date.now() - completedAt > RATINGS.SUBMISSION_WINDOW) {
+        return { success: false, error: 'Rating window for this ride has closed' };
+      }
+
+      const raterRole = rater === ride.driverPhone ? 'driver' : 'passenger';
+      const rateeRole = raterRole === 'driver' ? 'passenger' : 'driver';
+      const ratee = ride[`${rateeRole}Phone`];
+      if (!ratee) {
+        return { success: false, error: `This ride has no ${rateeRole} to rate` };
+      }
+
+      const input = this.validateInput(rating, tags, comment, rateeRole);
+      if (input.error) {
+        return { success: false, error: input.error };
+      }
+
+      const ratingId = `${ride.rideId || rideId}_${rater}`;
+      const record = {
+        ratingId,
+        rideId: ride.rideId || rideId,
+        tripKey: ride.tripKey || null,
+        raterPhone: rater,
+        raterRole,
+        rateePhone: ratee,
+        rateeRole,
+        rating: input.value,
+        tags: input.tags,
+        comment: input.comment,
+        createdAt: new Date().toISOString()
+      };
+
+      // The rating and its summary counts commit together, so a double submit counts once
+      const db = this.firestoreService.db;
+      const ratingRef = db.collection(this.RATINGS).doc(ratingId);
+      const created = await this.firestoreService.runTransaction(async (transaction) => {
+        if ((await transaction.get(ratingRef)).exists) return false;
+
+        transaction.create(ratingRef, record);
+        transaction.set(db.collection(this.SUMMARIES).doc(ratee), this.buildSummaryUpdate(record), { merge: true });
+        return true;
+      }, [[this.RATINGS, ratingId], [this.SUMMARIES, ratee]]);
+
+      if (!created) {
+        return { success: false, error: 'You already rated this ride' };
+      }
+
+      // Keep the ride history record's feedback in sync
+      await this.rideHistoryService.addRideFeedback(record.rideId, rater, raterRole, input.value, input.comment);
+
+      console.log(`⭐ [RATINGS] ${rater} rated ${rateeRole} ${ratee} ${input.value}/5 for ${record.rideId}`);
+      return { success: true, rating: record };
+    } catch (error) {
+      logger.error('RATINGS', `Failed to submit rating for ${rideId}: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Merge payload adding one rating to the ratee's role aggregates
+   */
+  buildSummaryUpdate(record) {
+    const FieldValue = this.admin.firestore.FieldValue;
+
+    const stats = {
+      count: FieldValue.increment(1),
+      total: FieldValue.increment(record.rating),
+      distribution: { [record.rating]: FieldValue.increment(1) },
+      lastRatedAt: record.createdAt
+    };
+    // An empty map would replace the stored tag counts rather than merge into them
+    if (record.tags.length > 0) {
+      stats.tags = Object.fromEntries(record.tags.map(tag => [tag, FieldValue.increment(1)]));
+    }
+
+    return {
+      phoneNumber: record.rateePhone,
+      [record.rateeRole]: stats,
+      updatedAt: record.createdAt
+    };
+  }
+
+  // ========== SUMMARIES ==========
+
+  formatRoleStats(stats = {}) {
+    const count = stats.count || 0;
+    const total = stats.total || 0;
+
+    return {
+      count,
+      total,
+      average: count > 0 ? Math.round((total / count) * 100) / 100 : null,
+      smoothed: Math.round(smoothedRating(stats) * 100) / 100,
+      distribution: { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0, ...(stats.distribution || {}) },
+      topTags: Object.entries(stats.tags || {})
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, 5)
+        .map(([tag, tagCount]) => ({ tag, count: tagCount })),
+      lastRatedAt: stats.lastRatedAt || null
+    };
+  }
+
+  /**
+   * Rating summary for a user as driver and as passenger
+   */
+  async getRatingSummary(phoneNumber) {
+    const phone = formatPhoneNumber(phoneNumber);
+    if (!phone) {
+      return { success: false, error: 'phoneNumber is required' };
+    }
+
+    try {
+      const doc = await this.firestoreService.getDocument(this.SUMMARIES, phone);
+      const data = doc.exists ? doc.data() : {};
+
+      const driver = this.formatRoleStats(data.driver);
+      const passenger = this.formatRoleStats(data.passenger);
+      const count = driver.count + passenger.count;
+
+      return {
+        success: true,
+        phoneNumber: phone,
+        summary: {
+          driver,
+          passenger,
+          overall: {
+            count,
+            average: count > 0
+              ? Math.round(((driver.total + passenger.total) / count) * 100) / 100
+              : null
+          }
+        }
+      };
+    } catch (error) {
+      logger.error('RATINGS', `Failed to read rating summary for ${phone}: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Raw aggregates for many users at once (matching). Missing users are left out.
+   * @returns {Map<string, Object>} phone -> { driver, passenger }
+   */
+  async getRatingStats(phoneNumbers) {
+    const phones = [...new Set(phoneNumbers.map(p => formatPhoneNumber(p)).filter(Boolean))];
+    const stats = new Map();
+
+    await Promise.all(phones.map(async (phone) => {
+      try {
+        const doc = await this.firestoreService.getDocument(this.SUMMARIES, phone);
+        if (doc.exists) stats.set(phone, doc.data());
+      } catch (error) {
+        logger.warn('RATINGS', `Could not load ratings for ${phone}: ${error.message}`);
+      }
+    }));
+
+    return stats;
+  }
+
+  /**
+   * Ratings a user received, newest first
+   * @param {Object} options - { role: driver|passenger, limit }
+   */
+  async getRatingsForUser(phoneNumber, { role, limit = 20 } = {}) {
+    try {
+      const phone = formatPhoneNumber(phoneNumber);
+      if (role && !ROLES.includes(role)) {
+        return { success: false, error: `Invalid role: ${role}` };
+      }
+
+      const constraints = [{ field: 'rateePhone', operator: '==', value: phone }];
+      if (role) constraints.push({ field: 'rateeRole', operator: '==', value: role });
+      constraints.push({ field: 'createdAt', operator: 'orderBy', value: 'desc' });
+
+      const ratings = await this.firestoreService.queryCollection(
+        this.RATINGS,
+        constraints,
+        Math.min(parseInt(limit) || 20, 100)
+      );
+
+      // Reviews are shown to the rated user without the rater's phone number
+      return {
+        success: true,
+        ratings: ratings.map(({ raterPhone, id, ...rating }) => rating)
+      };
+    } catch (error) {
+      logger.error('RATINGS', `Failed to read ratings for ${phoneNumber}: ${error.message}`);
+      return { success: false, error: error.message, ratings: [] };
+    }
+  }
+
+  /**
+   * Which sides of a ride the user has already rated / can still rate
+   */
+  async getRideRatingStatus(rideId, phoneNumber) {
+    try {
+      const phone = formatPhoneNumber(phoneNumber);
+      const ride = this.rideHistoryService ? await this.rideHistoryService.getRideDetails(rideId) : null;
+      if (!ride || !(ride.participantPhones || []).includes(phone)) {
+        return { success: false, error: 'Ride not found' };
+      }
+
+      const doc = await this.firestoreService.getDocument(this.RATINGS, `${ride.rideId || rideId}_${phone}`);
+      const completedAt = new Date(ride.completedAt || ride.rideDate).getTime();
+
+      return {
+        success: true,
+        rideId: ride.rideId || rideId,
+        rated: doc.exists,
+        rating: doc.exists ? doc.data() : null,
+        canRate: !doc.exists && ride.status === RIDE_STATUS.COMPLETED &&
+          Date.now() - completedAt <= RATINGS.SUBMISSION_WINDOW
+      };
+    } catch (error) {
+      logger.error('RATINGS', `Failed to read rating status for ${rideId}: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+module.exports = RatingService;
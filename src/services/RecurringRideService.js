@@ -0,0 +1,446 @@
+// services/RecurringRideService.js
+// Recurring scheduled rides (commute templates): a weekly rule (utils/recurrence.js) plus the
+// search a user would otherwise create by hand each day.
+//
+// A user has one scheduled search per role (the search document is keyed by phone), so each
+// template turns its next occurrence into a scheduled search RECURRING.LEAD_TIME ahead, as soon as
+// the user's previous trip no longer holds the slot. Pausing or editing a template applies to
+// occurrences not generated yet; skipping an occurrence that is already searching cancels it.
+//
+// After a confirmed match the counterpart is remembered on the template, and the next
+// occurrence prefers the same driver/passengers in matching (RECURRING.PREFERRED_PAIR_BONUS).
+//
+// Firestore queries: recurring_ride_templates where phone == ... / where status == 'active'.
+
+const logger = require('../utils/Logger');
+const { formatPhoneNumber } = require('../utils/helpers');
+const { normalizeRule, nextOccurrence, upcomingOccurrences, isValidDate } = require('../utils/recurrence');
+const { COLLECTIONS, RECURRING } = require('../config/constants');
+
+const ROLES = ['driver', 'passenger'];
+
+// Fields of the stored search that the template controls per occurrence
+const OCCURRENCE_FIELDS = ['scheduledTime', 'departureTime', 'userId', 'userType', 'recurrence'];
+
+class RecurringRideService {
+  constructor(firestoreService, scheduledService) {
+    console.log('🔁 [RECURRING] Initializing RecurringRideService');
+
+    this.firestoreService = firestoreService;
+    this.db = firestoreService?.db;
+    this.scheduledService = scheduledService;
+
+    // Collection names
+    this.TEMPLATES = COLLECTIONS.RECURRING_RIDES;
+    this.DRIVER_SEARCHES = COLLECTIONS.SCHEDULED_SEARCHES_DRIVER;
+    this.PASSENGER_SEARCHES = COLLECTIONS.SCHEDULED_SEARCHES_PASSENGER;
+
+    this.timer = null;
+    this.isGenerating = false;
+    this.lastRun = null;
+
+    logger.info('RECURRING', '🔁 Recurring Ride Service initialized');
+  }
+
+  // ========== SCHEDULING ==========
+
+  /**
+   * Generate due occurrences now and every RECURRING.GENERATE_INTERVAL
+   */
+  async start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.generateAll(), RECURRING.GENERATE_INTERVAL);
+    if (typeof this.timer.unref === 'function') this.timer.unref();
+
+    await this.generateAll();
+    logger.info('RECURRING', `🔁 Recurring rides checked every ${RECURRING.GENERATE_INTERVAL / 60000} min`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    logger.info('RECURRING', '🔁 Recurring Ride Service stopped');
+  }
+
+  // ========== TEMPLATES ==========
+
+  validateSearch(search) {
+    if (!search || typeof search !== 'object' || Array.isArray(search)) {
+      return { error: 'search must be an object with the scheduled search details' };
+    }
+
+    const cleaned = { ...search };
+    OCCURRENCE_FIELDS.forEach(field => delete cleaned[field]);
+    if (cleaned.rideDetails && typeof cleaned.rideDetails === 'object') {
+      cleaned.rideDetails = { ...cleaned.rideDetails };
+      delete cleaned.rideDetails.scheduledTime;
+    }
+    return { search: cleaned };
+  }
+
+  /**
+   * @param {string} phoneNumber - template owner
+   * @param {Object} params - { role: 'driver'|'passenger', rule, search } where search is the body of a
+   *                          scheduled search without its scheduledTime
+   */
+  async createTemplate(phoneNumber, { role, rule, search } = {}) {
+    try {
+      const phone = formatPhoneNumber(phoneNumber);
+      if (!ROLES.includes(role)) return { success: false, error: 'role must be driver or passenger' };
+
+      const normalized = normalizeRule(rule, { defaultTimezone: RECURRING.DEFAULT_TIMEZONE, maxSkipDates: RECURRING.MAX_SKIP_DATES });
+      if (normalized.error) return { success: false, error: normalized.error };
+
+      const validated = this.validateSearch(search);
+      if (validated.error) return { success: false, error: validated.error };
+
+      const existing = await this.listTemplates(phone);
+      if (existing.templates.length >= RECURRING.MAX_TEMPLATES_PER_USER) {
+        return { success: false, error: `At most ${RECURRING.MAX_TEMPLATES_PER_USER} recurring rides per user` };
+      }
+
+      const now = new Date().toISOString();
+      const ref = this.db.collection(this.TEMPLATES).doc();
+      const template = {
+        id: ref.id,
+        phone,
+        role,
+        status: 'active',
+        rule: normalized.rule,
+        search: validated.search,
+        nextOccurrence: nextOccurrence(normalized.rule),
+        lastGenerated: null,
+        lastMatchedWith: null,
+        createdAt: now,
+        updatedAt: now
+      };
+
+      await this.firestoreService.setDocument(this.TEMPLATES, template.id, template);
+      console.log(`🔁 [RECURRING] ${role} ${phone} created template ${template.id} (${template.rule.daysOfWeek.join(',')} ${template.rule.time})`);
+
+      const generation = await this.generateDue(template);
+      return { success: true, template: this.present(template), generation };
+    } catch (error) {
+      logger.error('RECURRING', `Failed to create template for ${phoneNumber}: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async listTemplates(phoneNumber) {
+    const templates = await this.firestoreService.queryCollection(this.TEMPLATES, [
+      { field: 'phone', operator: '==', value: formatPhoneNumber(phoneNumber) }
+    ], RECURRING.MAX_TEMPLATES_PER_USER * 4);
+
+    return {
+      success: true,
+      templates: templates.filter(t => t.status !== 'deleted').map(t => this.present(t))
+    };
+  }
+
+  // Raw read - getDocument is cached and templates change on every generation
+  async loadTemplate(phoneNumber, templateId) {
+    if (!templateId || typeof templateId !== 'string') return null;
+
+    const snapshot = await this.db.collection(this.TEMPLATES).doc(templateId).get();
+    if (!snapshot.exists) return null;
+
+    const template = snapshot.data();
+    // Other users' templates are reported as missing
+    if (template.phone !== formatPhoneNumber(phoneNumber) || template.status === 'deleted') return null;
+    return template;
+  }
+
+  async getTemplate(phoneNumber, templateId) {
+    const template = await this.loadTemplate(phoneNumber, templateId);
+    if (!template) return { success: false, error: 'Recurring ride not found' };
+    return { success: true, template: this.present(template) };
+  }
+
+  /**
+   * Change the rule and/or search details; applies from the next generated occurrence
+   * @param {Object} changes - { rule: partial rule, search: partial search }
+   */
+  async updateTemplate(phoneNumber, templateId, { rule, search } = {}) {
+    try {
+      const template = await this.loadTemplate(phoneNumber, templateId);
+      if (!template) return { success: false, error: 'Recurring ride not found' };
+
+      const updates = {};
+
+      if (rule) {
+        const normalized = normalizeRule({ ...template.rule, ...rule }, { maxSkipDates: RECURRING.MAX_SKIP_DATES });
+        if (normalized.error) return { success: false, error: normalized.error };
+        updates.rule = normalized.rule;
+      }
+
+      if (search) {
+        const validated = this.validateSearch({ ...template.search, ...search });
+        if (validated.error) return { success: false, error: validated.error };
+        updates.search = validated.search;
+      }
+
+      if (Object.keys(updates).length === 0) return { success: false, error: 'Nothing to update' };
+
+      return await this.saveTemplate(template, updates, true);
+    } catch (error) {
+      logger.error('RECURRING', `Failed to update template ${templateId}: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async setPaused(phoneNumber, templateId, paused) {
+    try {
+      const template = await this.loadTemplate(phoneNumber, templateId);
+      if (!template) return { success: false, error: 'Recurring ride not found' };
+      if (template.status === 'ended') return { success: false, error: 'Recurring ride has ended' };
+
+      return await this.saveTemplate(template, { status: paused ? 'paused' : 'active' }, !paused);
+    } catch (error) {
+      logger.error('RECURRING', `Failed to ${paused ? 'pause' : 'resume'} template ${templateId}: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Skip one occurrence by its local date. If that occurrence is already searching, its
+   * search is cancelled; a confirmed ride has to be cancelled through the normal flow.
+   */
+  async skipOccurrence(phoneNumber, templateId, date) {
+    try {
+      if (!isValidDate(date)) return { success: false, error: 'date must be YYYY-MM-DD' };
+
+      const template = await this.loadTemplate(phoneNumber, templateId);
+      if (!template) return { success: false, error: 'Recurring ride not found' };
+      if (template.rule.skipDates.includes(date)) return { success: true, template: this.present(template), alreadySkipped: true };
+      if (template.rule.skipDates.length >= RECURRING.MAX_SKIP_DATES) {
+        return { success: false, error: `At most ${RECURRING.MAX_SKIP_DATES} skip dates allowed` };
+      }
+
+      let cancelledSearch = false;
+      if (template.lastGenerated?.date === date) {
+        const search = await this.loadSearch(template);
+
+        if (search?.recurrence?.templateId === template.id && search.recurrence.occurrenceDate === date) {
+          if (search.status !== 'actively_matching' && !this.isSlotFree(search)) {
+            return { success: false, error: 'This occurrence already has a ride - cancel the ride instead' };
+          }
+          if (search.status === 'actively_matching') {
+            const cancelled = await this.scheduledService.cancelScheduledSearch(template.phone, template.role, 'recurring_occurrence_skipped');
+            if (!cancelled.success) return cancelled;
+            cancelledSearch = true;
+          }
+        }
+      }
+
+      const rule = { ...template.rule, skipDates: [...template.rule.skipDates, date].sort() };
+      const result = await this.saveTemplate(template, { rule }, false);
+      return result.success ? { ...result, cancelledSearch } : result;
+    } catch (error) {
+      logger.error('RECURRING', `Failed to skip ${date} of template ${templateId}: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Stops generating; an occurrence that is already searching or booked is left alone
+  async deleteTemplate(phoneNumber, templateId) {
+    try {
+      const template = await this.loadTemplate(phoneNumber, templateId);
+      if (!template) return { success: false, error: 'Recurring ride not found' };
+
+      await this.firestoreService.updateDocument(this.TEMPLATES, template.id, {
+        status: 'deleted',
+        nextOccurrence: null,
+        deletedAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString()
+      });
+      return { success: true, templateId: template.id };
+    } catch (error) {
+      logger.error('RECURRING', `Failed to delete template ${templateId}: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async saveTemplate(template, updates, generate) {
+    const updated = { ...template, ...updates, updatedAt: new Date().toISOString() };
+    updated.nextOccurrence = updated.status === 'active' ? this.followingOccurrence(updated) : null;
+
+    await this.firestoreService.updateDocument(this.TEMPLATES, template.id, {
+      ...updates,
+      nextOccurrence: updated.nextOccurrence,
+      updatedAt: updated.updatedAt
+    });
+
+    const generation = generate ? await this.generateDue(updated) : null;
+    return { success: true, template: this.present(updated), generation };
+  }
+
+  // Next occurrence after now and after the last one generated
+  followingOccurrence(template) {
+    const lastAt = template.lastGenerated ? new Date(template.lastGenerated.at).getTime() : 0;
+    return nextOccurrence(template.rule, Math.max(Date.now(), lastAt));
+  }
+
+  present(template) {
+    return {
+      ...template,
+      upcoming: template.status === 'active'
+        ? upcomingOccurrences(template.rule, Math.max(Date.now(), new Date(template.lastGenerated?.at || 0).getTime()), RECURRING.PREVIEW_OCCURRENCES)
+        : []
+    };
+  }
+
+  // ========== GENERATION ==========
+
+  async generateAll() {
+    const result = { checked: 0, generated: 0, waiting: 0, failed: 0 };
+    if (this.isGenerating) return result;
+    this.isGenerating = true;
+
+    try {
+      const templates = await this.firestoreService.queryCollection(this.TEMPLATES, [
+        { field: 'status', operator: '==', value: 'active' }
+      ], RECURRING.LOAD_LIMIT);
+
+      for (const template of templates) {
+        result.checked++;
+        const generation = await this.generateDue(template);
+        if (generation.generated) result.generated++;
+        else if (generation.error) result.failed++;
+        else result.waiting++;
+      }
+
+      this.lastRun = { ...result, at: new Date().toISOString() };
+      if (result.generated || result.failed) {
+        console.log(`🔁 [RECURRING] ${result.generated} occurrences generated, ${result.failed} failed (${result.checked} templates)`);
+      }
+      return result;
+    } catch (error) {
+      logger.error('RECURRING', `Generation run failed: ${error.message}`);
+      return { ...result, error: error.message };
+    } finally {
+      this.isGenerating = false;
+    }
+  }
+
+  /**
+   * Turn the template's next occurrence into a scheduled search if it is within
+   * RECURRING.LEAD_TIME and the user's search slot is free
+   * @returns {Object} { generated, occurrence?, reason?, error? }
+   */
+  async generateDue(template) {
+    try {
+      if (template.status !== 'active') return { generated: false, reason: template.status };
+      if (!this.scheduledService) return { generated: false, error: 'Scheduled service unavailable' };
+
+      const occurrence = this.followingOccurrence(template);
+
+      if (!occurrence) {
+        await this.firestoreService.updateDocument(this.TEMPLATES, template.id, {
+          status: 'ended',
+          nextOccurrence: null,
+          updatedAt: new Date().toISOString()
+        });
+        return { generated: false, reason: 'ended' };
+      }
+
+      if (new Date(occurrence.at).getTime() - Date.now() > RECURRING.LEAD_TIME) {
+        return { generated: false, reason: 'not_due', occurrence };
+      }
+
+      const current = await this.loadSearch(template);
+      if (!this.isSlotFree(current)) {
+        return { generated: false, reason: 'search_slot_busy', occurrence };
+      }
+
+      const search = { ...template.search, scheduledTime: occurrence.at };
+      if (search.rideDetails) search.rideDetails = { ...search.rideDetails, scheduledTime: occurrence.at };
+
+      const result = await this.scheduledService.handleCreateScheduledSearch(search, template.phone, template.role, {
+        recurrence: {
+          templateId: template.id,
+          occurrenceDate: occurrence.date,
+          preferredMatchPhones: template.lastMatchedWith?.phones || []
+        }
+      });
+
+      if (!result.success) {
+        logger.warn('RECURRING', `Template ${template.id} occurrence ${occurrence.date} not created: ${result.error}`);
+        return { generated: false, error: result.error, occurrence };
+      }
+
+      const lastGenerated = { ...occurrence, searchId: result.searchId, generatedAt: new Date().toISOString() };
+      await this.firestoreService.updateDocument(this.TEMPLATES, template.id, {
+        lastGenerated,
+        nextOccurrence: nextOccurrence(template.rule, occurrence.at),
+        updatedAt: new Date().toISOString()
+      });
+
+      console.log(`🔁 [RECURRING] Template ${template.id}: ${template.role} search for ${occurrence.date} created`);
+      return { generated: true, occurrence };
+    } catch (error) {
+      logger.error('RECURRING', `Failed to generate occurrence for template ${template.id}: ${error.message}`);
+      return { generated: false, error: error.message };
+    }
+  }
+
+  async loadSearch(template) {
+    const collection = template.role === 'driver' ? this.DRIVER_SEARCHES : this.PASSENGER_SEARCHES;
+    const snapshot = await this.db.collection(collection).doc(this.scheduledService.sanitizePhoneNumber(template.phone)).get();
+    return snapshot.exists ? snapshot.data() : null;
+  }
+
+  // A user's search document can take a new trip once the last one is over
+  isSlotFree(search) {
+    if (!search) return true;
+    if (['completed', 'expired'].includes(search.status) || String(search.status).startsWith('cancelled')) return true;
+
+    const departure = new Date(search.scheduledTime).getTime();
+    return Number.isFinite(departure) && Date.now() - departure > RECURRING.SLOT_RELEASE_AFTER;
+  }
+
+  // ========== MATCH PREFERENCE ==========
+
+  /**
+   * Remember who an occurrence was matched with so the next one prefers them
+   * @param {Object} pair - { driverRecurrence, passengerRecurrence, driverPhone, passengerPhone }
+   */
+  async recordMatchedPair({ driverRecurrence = null, passengerRecurrence = null, driverPhone, passengerPhone }) {
+    const updates = [
+      [driverRecurrence, passengerPhone],
+      [passengerRecurrence, driverPhone]
+    ].filter(([recurrence]) => recurrence?.templateId);
+
+    for (const [recurrence, counterpart] of updates) {
+      try {
+        const snapshot = await this.db.collection(this.TEMPLATES).doc(recurrence.templateId).get();
+        if (!snapshot.exists) continue;
+
+        // A driver's occurrence collects every passenger it carried
+        const previous = snapshot.data().lastMatchedWith;
+        const phones = previous?.date === recurrence.occurrenceDate ? previous.phones : [];
+
+        await this.firestoreService.updateDocument(this.TEMPLATES, recurrence.templateId, {
+          lastMatchedWith: {
+            date: recurrence.occurrenceDate,
+            phones: [...new Set([...phones, formatPhoneNumber(counterpart)])]
+          },
+          updatedAt: new Date().toISOString()
+        });
+      } catch (error) {
+        logger.error('RECURRING', `Failed to record matched pair on template ${recurrence.templateId}: ${error.message}`);
+      }
+    }
+  }
+
+  getStats() {
+    return {
+      running: !!this.timer,
+      lastRun: this.lastRun
+    };
+  }
+}
+
+module.exports = RecurringRideService;
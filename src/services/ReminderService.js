@@ -0,0 +1,306 @@
+// services/ReminderService.js
+// Reminders for confirmed scheduled rides, sent to the driver and every accepted passenger at
+// the NOTIFICATIONS.REMINDER_SCHEDULE offsets before departure (FCM + WebSocket).
+//
+// Reminders are stored so they survive restarts: scheduled_reminders/{matchId}_passenger_{offset}
+// and scheduled_reminders/{driverPhone}_driver_{offset}. Pending ones are loaded on start() and
+// sent by a periodic check. syncTrip() lines a driver's trip up with its reminders - passengers
+// added, removed or cancelled, the trip cancelled, or the departure time changed.
+//
+// Firestore query on start: scheduled_reminders where status == 'pending' (single-field index),
+// read REMINDERS.LOAD_PAGE_SIZE at a time.
+
+const logger = require('../utils/Logger');
+const { reminderTimes, describeOffset } = require('../utils/reminderSchedule');
+const { getScheduleMatchingConfigManager } = require('../config/ScheduleMatchingConfig');
+const { COLLECTIONS, REMINDERS } = require('../config/constants');
+
+// Driver trips in these states get no reminders
+const ENDED_TRIP_STATUSES = ['cancelled', 'completed', 'expired'];
+
+class ReminderService {
+  constructor(firestoreService, notificationService) {
+    console.log('⏰ [REMINDERS] Initializing ReminderService');
+
+    this.firestoreService = firestoreService;
+    this.db = firestoreService?.db;
+    this.notificationService = notificationService;
+
+    // Collection names
+    this.REMINDERS = COLLECTIONS.SCHEDULED_REMINDERS;
+    this.DRIVER_SEARCHES = COLLECTIONS.SCHEDULED_SEARCHES_DRIVER;
+
+    this.pending = new Map(); // reminder id -> reminder document
+    this.timer = null;
+    this.isChecking = false;
+    this.stats = { scheduled: 0, moved: 0, sent: 0, cancelled: 0, skipped: 0, failed: 0 };
+
+    logger.info('REMINDERS', '⏰ Reminder Service initialized');
+  }
+
+  // ========== SCHEDULING ==========
+
+  /**
+   * Load pending reminders and check for due ones every REMINDERS.CHECK_INTERVAL
+   */
+  async start() {
+    if (this.timer) return;
+
+    await this.loadPending();
+    this.timer = setInterval(() => this.checkDueReminders(), REMINDERS.CHECK_INTERVAL);
+    if (typeof this.timer.unref === 'function') this.timer.unref();
+
+    logger.info('REMINDERS', `⏰ Reminder checks every ${REMINDERS.CHECK_INTERVAL / 1000}s, ${this.pending.size} pending`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    logger.info('REMINDERS', '⏰ Reminder Service stopped');
+  }
+
+  async loadPending() {
+    try {
+      const reminders = await this.firestoreService.queryAllPages(this.REMINDERS, [
+        { field: 'status', operator: '==', value: 'pending' }
+      ], REMINDERS.LOAD_PAGE_SIZE);
+
+      this.pending.clear();
+      reminders.forEach(reminder => this.pending.set(reminder.id, reminder));
+      return this.pending.size;
+    } catch (error) {
+      logger.error('REMINDERS', `Failed to load pending reminders: ${error.message}`);
+      return 0;
+    }
+  }
+
+  getSettings() {
+    const notifications = getScheduleMatchingConfigManager().getConfig().NOTIFICATIONS || {};
+    return {
+      enabled: notifications.NOTIFY_ON_SCHEDULE_REMINDER !== false,
+      schedule: notifications.REMINDER_SCHEDULE || {}
+    };
+  }
+
+  // ========== TRIP SYNC ==========
+
+  /**
+   * Bring a driver's trip reminders in line with the trip as stored
+   * @param {string} driverPhone - driver search document id
+   * @param {Object} driverDoc - the driver search document, loaded when omitted (null = gone)
+   */
+  async syncTrip(driverPhone, driverDoc) {
+    try {
+      const trip = driverDoc === undefined ? await this.loadDriverTrip(driverPhone) : driverDoc;
+      const active = !!trip && !ENDED_TRIP_STATUSES.includes(trip.status);
+      const passengers = active
+        ? (trip.acceptedPassengers || []).filter(p => p.matchId && !['cancelled', 'completed'].includes(p.status))
+        : [];
+
+      // Every reminder this trip should have, by document id
+      const wanted = new Map();
+      const settings = this.getSettings();
+
+      if (settings.enabled && passengers.length > 0) {
+        const scheduledTime = new Date(trip.scheduledTime).toISOString();
+        const base = { driverPhone, scheduledTime };
+
+        reminderTimes(trip.scheduledTime, settings.schedule).forEach(({ offset, sendAtMs }) => {
+          wanted.set(`${driverPhone}_driver_${offset}`, {
+            ...base, offset, sendAtMs, role: 'driver', recipientPhone: driverPhone, matchId: null, passengerPhone: null
+          });
+          passengers.forEach(p => {
+            wanted.set(`${p.matchId}_passenger_${offset}`, {
+              ...base, offset, sendAtMs, role: 'passenger', recipientPhone: p.passengerPhone, matchId: p.matchId, passengerPhone: p.passengerPhone
+            });
+          });
+        });
+      }
+
+      const result = { success: true, scheduled: 0, moved: 0, cancelled: 0 };
+      const now = Date.now();
+
+      for (const reminder of [...this.pending.values()]) {
+        if (reminder.driverPhone !== driverPhone || wanted.has(reminder.id)) continue;
+        await this.closeReminder(reminder, 'cancelled', active ? 'not_on_trip' : 'trip_ended');
+        result.cancelled++;
+      }
+
+      for (const [id, fields] of wanted) {
+        const existing = this.pending.get(id);
+        if (existing && existing.scheduledTime === fields.scheduledTime) continue;
+
+        // Offsets already behind us are only sent if they were pending for this departure time
+        if (fields.sendAtMs <= now) {
+          if (existing) {
+            await this.closeReminder(existing, 'cancelled', 'departure_changed');
+            result.cancelled++;
+          }
+          continue;
+        }
+
+        await this.saveReminder(id, fields);
+        result[existing ? 'moved' : 'scheduled']++;
+      }
+
+      this.stats.scheduled += result.scheduled;
+      this.stats.moved += result.moved;
+
+      if (result.scheduled || result.moved || result.cancelled) {
+        console.log(`⏰ [REMINDERS] Trip ${driverPhone}: ${result.scheduled} scheduled, ${result.moved} moved, ${result.cancelled} cancelled`);
+      }
+      return result;
+    } catch (error) {
+      logger.error('REMINDERS', `Failed to sync reminders for trip ${driverPhone}: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Raw read - getDocument is cached and the trip may have changed a moment ago
+  async loadDriverTrip(driverPhone) {
+    const snapshot = await this.db.collection(this.DRIVER_SEARCHES).doc(driverPhone).get();
+    return snapshot.exists ? snapshot.data() : null;
+  }
+
+  async saveReminder(id, fields) {
+    const now = new Date().toISOString();
+    const reminder = {
+      id,
+      ...fields,
+      sendAt: new Date(fields.sendAtMs).toISOString(),
+      status: 'pending',
+      createdAt: this.pending.get(id)?.createdAt || now,
+      updatedAt: now
+    };
+
+    await this.firestoreService.setDocument(this.REMINDERS, id, reminder);
+    this.pending.set(id, reminder);
+    return reminder;
+  }
+
+  async closeReminder(reminder, status, reason, extra = {}) {
+    this.pending.delete(reminder.id);
+    this.stats[status] = (this.stats[status] || 0) + 1;
+
+    try {
+      await this.firestoreService.updateDocument(this.REMINDERS, reminder.id, {
+        status,
+        reason,
+        ...extra,
+        closedAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('REMINDERS', `Failed to mark reminder ${reminder.id} ${status}: ${error.message}`);
+    }
+  }
+
+  // ========== SENDING ==========
+
+  /**
+   * Send every reminder that is due. Each trip is re-synced first so a cancellation or time
+   * change made elsewhere wins over a stale reminder.
+   */
+  async checkDueReminders() {
+    const result = { sent: 0, skipped: 0, failed: 0 };
+    if (this.isChecking) return result;
+    this.isChecking = true;
+
+    try {
+      const now = Date.now();
+      const dueTrips = new Set([...this.pending.values()].filter(r => r.sendAtMs <= now).map(r => r.driverPhone));
+      if (dueTrips.size === 0) return result;
+
+      for (const driverPhone of dueTrips) {
+        await this.syncTrip(driverPhone);
+      }
+
+      // After downtime several offsets can be due at once - only the one closest to departure goes out
+      const byRecipient = new Map();
+      [...this.pending.values()].filter(r => r.sendAtMs <= now).forEach(reminder => {
+        const key = `${reminder.role}:${reminder.matchId || reminder.driverPhone}`;
+        if (!byRecipient.has(key)) byRecipient.set(key, []);
+        byRecipient.get(key).push(reminder);
+      });
+
+      for (const reminders of byRecipient.values()) {
+        const [latest, ...older] = reminders.sort((a, b) => b.sendAtMs - a.sendAtMs);
+
+        for (const reminder of older) {
+          await this.closeReminder(reminder, 'skipped', 'superseded');
+          result.skipped++;
+        }
+
+        if (new Date(latest.scheduledTime).getTime() <= now) {
+          await this.closeReminder(latest, 'skipped', 'departed');
+          result.skipped++;
+          continue;
+        }
+
+        result[(await this.sendReminder(latest)) ? 'sent' : 'failed']++;
+      }
+
+      if (result.sent || result.failed) {
+        console.log(`⏰ [REMINDERS] Sent ${result.sent} reminders (${result.failed} failed, ${result.skipped} skipped)`);
+      }
+      return result;
+    } catch (error) {
+      logger.error('REMINDERS', `Reminder check failed: ${error.message}`);
+      return { ...result, error: error.message };
+    } finally {
+      this.isChecking = false;
+    }
+  }
+
+  async sendReminder(reminder) {
+    const within = describeOffset(reminder.offset);
+    const notification = {
+      type: 'SCHEDULED_RIDE_REMINDER',
+      title: reminder.role === 'driver' ? 'Trip Reminder' : 'Ride Reminder',
+      body: reminder.role === 'driver'
+        ? `Your scheduled trip starts in ${within}`
+        : `Your scheduled ride leaves in ${within}`,
+      data: {
+        role: reminder.role,
+        offset: reminder.offset,
+        matchId: reminder.matchId,
+        driverPhone: reminder.driverPhone,
+        scheduledTime: reminder.scheduledTime,
+        // Distinct per reminder so NotificationService doesn't treat it as a duplicate
+        status: `reminder_${reminder.offset}`,
+        timestamp: reminder.sendAt
+      }
+    };
+
+    try {
+      if (!this.notificationService) throw new Error('Notification service unavailable');
+
+      const delivery = await this.notificationService.sendNotification(reminder.recipientPhone, notification, { important: true });
+      await this.closeReminder(reminder, 'sent', delivery?.success ? 'delivered' : 'not_delivered', {
+        sentAt: new Date().toISOString(),
+        delivery: delivery?.methods || null
+      });
+      return true;
+    } catch (error) {
+      logger.error('REMINDERS', `Failed to send reminder ${reminder.id}: ${error.message}`);
+      await this.closeReminder(reminder, 'failed', error.message);
+      return false;
+    }
+  }
+
+  // ========== STATS ==========
+
+  getStats() {
+    const upcoming = [...this.pending.values()].sort((a, b) => a.sendAtMs - b.sendAtMs)[0];
+    return {
+      running: !!this.timer,
+      pending: this.pending.size,
+      nextSendAt: upcoming?.sendAt || null,
+      ...this.stats
+    };
+  }
+}
+
+module.exports = ReminderService;
@@ -0,0 +1,850 @@
+// services/RescheduleService.js
+// Changing the departure time or pickup of a scheduled search without cancelling it.
+//
+// A search with no confirmed ride is edited in place and keeps matching. A confirmed ride needs
+// the other side's consent, so a request is stored in scheduled_reschedules and sent to them:
+//   - passenger -> their driver: accepted, the passenger's booking takes the new details;
+//     declined, the passenger leaves the trip and goes back to matching with the new details
+//   - driver -> every accepted passenger: each one accepts or declines (decliners go back to
+//     matching with their own details); the trip changes once everyone has answered
+// Proposed times must stay within THRESHOLDS.MAX_TIME_DIFFERENCE of the counterpart's time.
+// A request nobody answers lapses after RESCHEDULE.RESPONSE_TIMEOUT and the booking stands; a
+// periodic sweep closes lapsed requests and tells the requester.
+// The answer that leaves nobody waiting moves the request to 'applying' in its transaction, and
+// every later status change is a compare-and-set, so a withdrawal or expiry can't close a request
+// whose booking is already being changed.
+//
+// Firestore queries: scheduled_reschedules where driverPhone == ... and status == 'pending',
+// requesterPhone == ... / responderPhones array-contains ... / status == 'pending'
+// (single-field indexes).
+
+const logger = require('../utils/Logger');
+const { formatPhoneNumber } = require('../utils/helpers');
+const { getScheduleMatchingConfigManager } = require('../config/ScheduleMatchingConfig');
+const { COLLECTIONS, RESCHEDULE } = require('../config/constants');
+
+// Search states that can be rescheduled, per role
+const RESCHEDULABLE = {
+  driver: ['actively_matching', 'fully_booked'],
+  passenger: ['actively_matching', 'matched_confirmed']
+};
+
+const ACTIVE_PASSENGER = (p) => p.matchId && !['cancelled', 'completed'].includes(p.status);
+
+class RescheduleService {
+  constructor(firestoreService, scheduledService) {
+    console.log('🔄 [RESCHEDULE] Initializing RescheduleService');
+
+    this.firestoreService = firestoreService;
+    this.db = firestoreService?.db;
+    this.scheduledService = scheduledService;
+
+    // Collection names
+    this.REQUESTS = COLLECTIONS.SCHEDULED_RESCHEDULES;
+    this.DRIVER_SEARCHES = COLLECTIONS.SCHEDULED_SEARCHES_DRIVER;
+    this.PASSENGER_SEARCHES = COLLECTIONS.SCHEDULED_SEARCHES_PASSENGER;
+    this.MATCHES = COLLECTIONS.SCHEDULED_MATCHES;
+
+    this.stats = { changedDirectly: 0, requested: 0, applied: 0, declined: 0, expired: 0, withdrawn: 0 };
+    this.timer = null;
+
+    logger.info('RESCHEDULE', '🔄 Reschedule Service initialized');
+  }
+
+  /**
+   * Close lapsed requests every RESCHEDULE.EXPIRY_CHECK_INTERVAL
+   */
+  async start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.expireLapsed(), RESCHEDULE.EXPIRY_CHECK_INTERVAL);
+    if (typeof this.timer.unref === 'function') this.timer.unref();
+
+    await this.expireLapsed();
+    logger.info('RESCHEDULE', `🔄 Lapsed reschedules checked every ${RESCHEDULE.EXPIRY_CHECK_INTERVAL / 60000} min`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    logger.info('RESCHEDULE', '🔄 Reschedule Service stopped');
+  }
+
+  async expireLapsed() {
+    try {
+      const requests = await this.firestoreService.queryAllPages(this.REQUESTS, [
+        { field: 'status', operator: '==', value: 'pending' }
+      ]);
+
+      let expired = 0;
+      for (const request of requests.filter(r => this.isExpired(r))) {
+        if ((await this.resolve(request, 'expired')).resolved) expired++;
+      }
+
+      if (expired > 0) console.log(`⌛ [RESCHEDULE] ${expired} lapsed reschedule request(s) closed`);
+      return expired;
+    } catch (error) {
+      logger.error('RESCHEDULE', `Expiring lapsed reschedules failed: ${error.message}`);
+      return 0;
+    }
+  }
+
+  // ========== REQUESTS ==========
+
+  /**
+   * Reschedule the caller's scheduled search
+   * @param {string} phoneNumber - search owner
+   * @param {string} role - 'driver' | 'passenger'
+   * @param {Object} changes - { scheduledTime?, pickupLocation?, pickupName? }
+   * @returns {Promise<Object>} { success, applied: true } when changed right away,
+   *                            { success, applied: false, request } when waiting for the other side
+   */
+  async requestReschedule(phoneNumber, role, changes = {}) {
+    try {
+      if (!RESCHEDULABLE[role]) return { success: false, error: 'userType must be driver or passenger' };
+
+      const phone = this.scheduledService.sanitizePhoneNumber(phoneNumber);
+      const search = await this.loadSearch(role, phone);
+      if (!search) return { success: false, error: 'No scheduled search found' };
+
+      if (role === 'passenger' && search.status === 'pending_driver_approval') {
+        return { success: false, error: 'A match proposal is waiting for the driver, reschedule once it is answered' };
+      }
+      if (role === 'driver' && search.pendingMatchWith) {
+        return { success: false, error: 'A match proposal is waiting for your decision, answer it before rescheduling' };
+      }
+      if (!RESCHEDULABLE[role].includes(search.status)) {
+        return { success: false, error: `A ${search.status} search cannot be rescheduled` };
+      }
+      if ((search.rescheduleCount || 0) >= RESCHEDULE.MAX_PER_SEARCH) {
+        return { success: false, error: `A search can be rescheduled at most ${RESCHEDULE.MAX_PER_SEARCH} times` };
+      }
+
+      const parsed = this.parseChanges(search, changes);
+      if (parsed.error) return { success: false, error: parsed.error };
+
+      const driverPhone = role === 'driver' ? phone : search.matchedWith;
+      if (await this.hasPendingRequest(driverPhone)) {
+        return { success: false, error: 'A reschedule of this ride is already waiting for an answer' };
+      }
+
+      if (role === 'passenger') {
+        if (search.status !== 'matched_confirmed' || !search.matchedWith) {
+          return await this.applyToOpenSearch(role, phone, search, parsed.proposed);
+        }
+        return await this.requestFromDriver(phone, search, parsed);
+      }
+
+      const passengers = (search.acceptedPassengers || []).filter(ACTIVE_PASSENGER);
+      if (passengers.length === 0) {
+        return await this.applyToOpenSearch(role, phone, search, parsed.proposed);
+      }
+      return await this.requestFromPassengers(phone, search, passengers, parsed);
+    } catch (error) {
+      logger.error('RESCHEDULE', `Reschedule by ${role} ${phoneNumber} failed: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Validate the requested changes against the stored search
+   * @returns {{proposed?: Object, previous?: Object, error?: string}} only the fields that change
+   */
+  parseChanges(search, { scheduledTime, pickupLocation, pickupName } = {}) {
+    const proposed = {};
+    const previous = {};
+
+    if (scheduledTime !== undefined) {
+      const at = new Date(scheduledTime);
+      if (isNaN(at.getTime())) return { error: 'Invalid scheduled time format' };
+      if (at.getTime() < Date.now() + RESCHEDULE.MIN_NOTICE) {
+        return { error: `The new time must be at least ${RESCHEDULE.MIN_NOTICE / 60000} minutes from now` };
+      }
+      if (at.toISOString() !== new Date(search.scheduledTime).toISOString()) {
+        proposed.scheduledTime = at.toISOString();
+        previous.scheduledTime = search.scheduledTime;
+      }
+    }
+
+    if (pickupLocation !== undefined) {
+      const location = this.scheduledService.extractLocation({ pickupLocation }, 'pickupLocation');
+      if (!location || !Number.isFinite(Number(location.latitude)) || !Number.isFinite(Number(location.longitude))) {
+        return { error: 'pickupLocation must have lat/lng coordinates' };
+      }
+      proposed.pickupLocation = pickupLocation;
+      previous.pickupLocation = search.pickupLocation || null;
+    }
+
+    if (pickupName !== undefined && pickupName !== search.pickupName) {
+      if (typeof pickupName !== 'string' || !pickupName.trim()) return { error: 'pickupName must be a non-empty string' };
+      proposed.pickupName = pickupName.trim();
+      previous.pickupName = search.pickupName || null;
+    }
+
+    if (Object.keys(proposed).length === 0) return { error: 'Nothing to change - send scheduledTime, pickupLocation or pickupName' };
+    return { proposed, previous };
+  }
+
+  // Departure gap the counterpart has to tolerate, in minutes
+  getToleranceMinutes() {
+    return getScheduleMatchingConfigManager().getThresholds().MAX_TIME_DIFFERENCE ?? 30;
+  }
+
+  outsideTolerance(time, otherTime) {
+    if (!time || !otherTime) return false;
+    return Math.abs(new Date(time).getTime() - new Date(otherTime).getTime()) > this.getToleranceMinutes() * 60000;
+  }
+
+  async requestFromDriver(passengerPhone, search, { proposed, previous }) {
+    const driverPhone = search.matchedWith;
+    const driver = await this.loadSearch('driver', driverPhone);
+    if (!driver) return { success: false, error: 'Driver schedule not found' };
+
+    if (proposed.scheduledTime && this.outsideTolerance(proposed.scheduledTime, driver.scheduledTime)) {
+      return {
+        success: false,
+        error: `The new time is more than ${this.getToleranceMinutes()} minutes from your driver's departure - cancel this ride and schedule a new one instead`
+      };
+    }
+
+    const request = await this.createRequest({
+      requesterPhone: passengerPhone,
+      requesterRole: 'passenger',
+      driverPhone,
+      proposed,
+      previous,
+      responders: [{ phone: driverPhone, matchId: search.matchId }],
+      departure: driver.scheduledTime
+    });
+
+    await this.scheduledService.sendNotification(driverPhone, {
+      type: 'RESCHEDULE_REQUESTED',
+      title: 'Passenger Wants To Reschedule',
+      body: `${search.passengerName || 'A passenger'} asked to change ${this.describeChanges(proposed)}`,
+      data: this.notificationData(request, { passengerPhone, passengerName: search.passengerName || 'Passenger' })
+    }, { important: true });
+
+    return { success: true, applied: false, request: this.present(request) };
+  }
+
+  async requestFromPassengers(driverPhone, search, passengers, { proposed, previous }) {
+    const phones = passengers.map(p => this.scheduledService.sanitizePhoneNumber(p.passengerPhone));
+    const passengerSearches = await Promise.all(phones.map(phone => this.loadSearch('passenger', phone)));
+
+    if (proposed.scheduledTime) {
+      const tooFar = phones.filter((phone, i) => this.outsideTolerance(proposed.scheduledTime, passengerSearches[i]?.scheduledTime));
+      if (tooFar.length > 0) {
+        return {
+          success: false,
+          error: `The new time is more than ${this.getToleranceMinutes()} minutes from the time ${tooFar.length} of your passengers booked`,
+          passengers: tooFar
+        };
+      }
+    }
+
+    const request = await this.createRequest({
+      requesterPhone: driverPhone,
+      requesterRole: 'driver',
+      driverPhone,
+      proposed,
+      previous,
+      responders: passengers.map((p, i) => ({ phone: phones[i], matchId: p.matchId })),
+      departure: search.scheduledTime
+    });
+
+    for (const phone of phones) {
+      await this.scheduledService.sendNotification(phone, {
+        type: 'RESCHEDULE_REQUESTED',
+        title: 'Driver Wants To Reschedule',
+        body: `${search.driverName || 'Your driver'} asked to change ${this.describeChanges(proposed)}`,
+        data: this.notificationData(request, { driverName: search.driverName || 'Driver' })
+      }, { important: true });
+    }
+
+    return { success: true, applied: false, request: this.present(request) };
+  }
+
+  async createRequest({ requesterPhone, requesterRole, driverPhone, proposed, previous, responders, departure }) {
+    const now = new Date().toISOString();
+    const ref = this.db.collection(this.REQUESTS).doc();
+    const expiresAtMs = Math.min(Date.now() + RESCHEDULE.RESPONSE_TIMEOUT, new Date(departure).getTime() || Infinity);
+
+    const request = {
+      id: ref.id,
+      requesterPhone,
+      requesterRole,
+      driverPhone,
+      proposed,
+      previous,
+      responderPhones: responders.map(r => r.phone),
+      responses: Object.fromEntries(responders.map(r => [r.phone, { status: 'pending', matchId: r.matchId || null, respondedAt: null }])),
+      status: 'pending',
+      expiresAt: new Date(expiresAtMs).toISOString(),
+      createdAt: now,
+      updatedAt: now,
+      resolvedAt: null
+    };
+
+    await this.firestoreService.setDocument(this.REQUESTS, ref.id, request);
+    await this.scheduledService.updateSearchStatus(requesterRole, requesterPhone, {
+      pendingReschedule: { requestId: ref.id, expiresAt: request.expiresAt }
+    });
+
+    this.stats.requested++;
+    console.log(`🔄 [RESCHEDULE] ${requesterRole} ${requesterPhone} asked ${request.responderPhones.length} to accept ${this.describeChanges(proposed)} (${ref.id})`);
+    return request;
+  }
+
+  // ========== RESPONSES ==========
+
+  /**
+   * Accept or decline a reschedule request sent to the caller
+   * @param {string} phoneNumber - a responder of the request
+   * @param {string} requestId
+   * @param {string} decision - 'accept' | 'decline'
+   */
+  async respondToReschedule(phoneNumber, requestId, decision) {
+    try {
+      if (!['accept', 'decline'].includes(decision)) return { success: false, error: 'decision must be accept or decline' };
+
+      const phone = this.scheduledService.sanitizePhoneNumber(phoneNumber);
+      if (!requestId) return { success: false, error: 'Reschedule request not found' };
+
+      // Passengers of one trip answer concurrently: each writes only its own response, and the
+      // read-check-write is one transaction so exactly one answer sees nobody left waiting
+      const ref = this.db.collection(this.REQUESTS).doc(requestId);
+      const outcome = await this.firestoreService.runTransaction(async (tx) => {
+        const snapshot = await tx.get(ref);
+        const request = snapshot.exists ? { id: snapshot.id, ...snapshot.data() } : null;
+        const response = request?.responses?.[phone];
+        if (!response) return { error: 'Reschedule request not found' };
+
+        if (request.status === 'pending' && this.isExpired(request)) return { request, expired: true };
+        if (request.status !== 'pending' || response.status !== 'pending') {
+          return { error: `This reschedule request was already ${request.status === 'pending' ? 'answered' : request.status}` };
+        }
+
+        response.status = decision === 'accept' ? 'accepted' : 'declined';
+        response.respondedAt = new Date().toISOString();
+        const updates = {
+          [`responses.${phone}.status`]: response.status,
+          [`responses.${phone}.respondedAt`]: response.respondedAt,
+          updatedAt: response.respondedAt
+        };
+        // The last answer claims the request before the booking moves
+        if (!Object.values(request.responses).some(r => r.status === 'pending')) {
+          request.status = updates.status = 'applying';
+        }
+        tx.update(ref, updates);
+        return { request };
+      }, [[this.REQUESTS, requestId]]);
+
+      if (outcome.error) return { success: false, error: outcome.error };
+      const request = outcome.request;
+
+      if (outcome.expired) {
+        await this.resolve(request, 'expired');
+        return { success: false, error: 'This reschedule request has expired' };
+      }
+
+      return request.requesterRole === 'passenger'
+        ? await this.completePassengerRequest(request, decision)
+        : await this.continueDriverRequest(request, phone, decision);
+    } catch (error) {
+      logger.error('RESCHEDULE', `Response to ${requestId} by ${phoneNumber} failed: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async completePassengerRequest(request, decision) {
+    const passengerPhone = request.requesterPhone;
+
+    if (decision === 'accept') {
+      const search = await this.loadSearch('passenger', passengerPhone);
+      await this.scheduledService.updateSearchStatus('passenger', passengerPhone, this.searchUpdates('passenger', search, request.proposed));
+      await this.updateBooking(request.driverPhone, passengerPhone, request);
+      await this.resolve(request, 'applied');
+
+      await this.scheduledService.sendNotification(passengerPhone, {
+        type: 'RESCHEDULE_ACCEPTED',
+        title: 'Reschedule Accepted',
+        body: `Your driver accepted the new ${this.describeChanges(request.proposed)}`,
+        data: this.notificationData(request)
+      }, { important: true });
+
+      return { success: true, requestId: request.id, status: 'applied' };
+    }
+
+    await this.releasePassenger(request.driverPhone, passengerPhone, request, request.proposed);
+    await this.resolve(request, 'declined');
+
+    await this.scheduledService.sendNotification(passengerPhone, {
+      type: 'RESCHEDULE_DECLINED',
+      title: 'Reschedule Declined',
+      body: 'Your driver could not make the change - we are looking for another ride at your new time',
+      data: this.notificationData(request, { backToMatching: true })
+    }, { important: true });
+
+    return { success: true, requestId: request.id, status: 'declined', passengerBackToMatching: true };
+  }
+
+  async continueDriverRequest(request, passengerPhone, decision) {
+    if (decision === 'decline') {
+      // The passenger keeps their own time and pickup and looks for another driver
+      await this.releasePassenger(request.driverPhone, passengerPhone, request, {});
+
+      await this.scheduledService.sendNotification(passengerPhone, {
+        type: 'RESCHEDULE_DECLINED',
+        title: 'Looking For Another Ride',
+        body: 'You declined the new trip details - we are looking for another driver at your time',
+        data: this.notificationData(request, { backToMatching: true })
+      }, { important: true });
+    }
+
+    const waiting = Object.values(request.responses).filter(r => r.status === 'pending').length;
+    if (waiting > 0) {
+      return { success: true, requestId: request.id, status: 'pending', waitingFor: waiting };
+    }
+
+    return await this.applyDriverRequest(request);
+  }
+
+  // Every passenger answered - move the trip and tell everyone still on it
+  async applyDriverRequest(request) {
+    const driverPhone = request.driverPhone;
+    const driver = await this.loadSearch('driver', driverPhone);
+    if (!driver) {
+      await this.resolve(request, 'expired');
+      return { success: false, error: 'Driver schedule not found' };
+    }
+
+    const acceptedPhones = Object.entries(request.responses).filter(([, r]) => r.status === 'accepted').map(([phone]) => phone);
+    const updates = this.searchUpdates('driver', driver, request.proposed);
+
+    if (request.proposed.scheduledTime) {
+      updates.acceptedPassengers = (driver.acceptedPassengers || []).map(p => ({
+        ...p,
+        scheduledTime: updates.scheduledTime,
+        scheduledTimestamp: updates.scheduledTimestamp
+      }));
+    }
+
+    await this.scheduledService.updateSearchStatus('driver', driverPhone, updates);
+    this.refreshCache('driver', driverPhone, { ...driver, ...updates });
+
+    for (const phone of acceptedPhones) {
+      // The passenger's own search follows the trip's new departure; their pickup is their own
+      if (request.proposed.scheduledTime) {
+        const passenger = await this.loadSearch('passenger', phone);
+        if (passenger) {
+          await this.scheduledService.updateSearchStatus('passenger', phone, {
+            scheduledTime: updates.scheduledTime,
+            scheduledTimestamp: updates.scheduledTimestamp,
+            rideDetails: { ...(passenger.rideDetails || {}), scheduledTime: updates.scheduledTime, scheduledTimestamp: updates.scheduledTimestamp }
+          });
+        }
+      }
+
+      const matchId = request.responses[phone].matchId;
+      if (!matchId) continue;
+      await this.firestoreService.updateDocument(this.MATCHES, matchId, {
+        ...(request.proposed.scheduledTime ? { scheduledTime: updates.scheduledTime, scheduledTimestamp: updates.scheduledTimestamp } : {}),
+        ...(request.proposed.pickupLocation ? { pickupLocation: this.scheduledService.extractLocation(request.proposed, 'pickupLocation') } : {}),
+        rescheduleRequestId: request.id,
+        rescheduledAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString()
+      });
+    }
+
+    await this.scheduledService.recomputeCostSplit(driverPhone, 'trip_rescheduled');
+    await this.scheduledService.syncRideReminders(driverPhone);
+    await this.resolve(request, 'applied');
+
+    for (const phone of acceptedPhones) {
+      await this.scheduledService.sendNotification(phone, {
+        type: 'RIDE_RESCHEDULED',
+        title: 'Ride Rescheduled',
+        body: `Your ride now has a new ${this.describeChanges(request.proposed)}`,
+        data: this.notificationData(request)
+      }, { important: true });
+    }
+
+    const declined = Object.keys(request.responses).length - acceptedPhones.length;
+    await this.scheduledService.sendNotification(driverPhone, {
+      type: 'RESCHEDULE_COMPLETED',
+      title: 'Trip Rescheduled',
+      body: declined > 0
+        ? `${acceptedPhones.length} passenger(s) accepted the change, ${declined} left the trip`
+        : 'All your passengers accepted the change',
+      data: this.notificationData(request, { accepted: acceptedPhones, declinedCount: declined })
+    }, { important: true });
+
+    console.log(`✅ [RESCHEDULE] Trip ${driverPhone} rescheduled: ${acceptedPhones.length} accepted, ${declined} declined`);
+    return { success: true, requestId: request.id, status: 'applied', accepted: acceptedPhones.length, declined };
+  }
+
+  /**
+   * Withdraw the caller's own pending request
+   */
+  async withdrawReschedule(phoneNumber, requestId) {
+    try {
+      const phone = this.scheduledService.sanitizePhoneNumber(phoneNumber);
+      const request = await this.loadRequest(requestId);
+      if (!request || request.requesterPhone !== phone) return { success: false, error: 'Reschedule request not found' };
+      if (request.status !== 'pending') return { success: false, error: `This reschedule request was already ${request.status}` };
+
+      const { resolved, status } = await this.resolve(request, 'withdrawn');
+      if (!resolved) return { success: false, error: `This reschedule request was already ${status}` };
+
+      for (const [responder, response] of Object.entries(request.responses)) {
+        if (response.status !== 'pending') continue;
+        await this.scheduledService.sendNotification(responder, {
+          type: 'RESCHEDULE_WITHDRAWN',
+          title: 'Reschedule Withdrawn',
+          body: 'The change to your ride was withdrawn, nothing changes',
+          data: this.notificationData(request)
+        });
+      }
+
+      return { success: true, requestId: request.id, status: 'withdrawn' };
+    } catch (error) {
+      logger.error('RESCHEDULE', `Withdrawing ${requestId} failed: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Pending requests the caller made or has to answer
+   */
+  async listPending(phoneNumber) {
+    try {
+      const phone = this.scheduledService.sanitizePhoneNumber(phoneNumber);
+      const [made, received] = await Promise.all([
+        this.firestoreService.queryCollection(this.REQUESTS, [{ field: 'requesterPhone', operator: '==', value: phone }], 50),
+        this.firestoreService.queryCollection(this.REQUESTS, [{ field: 'responderPhones', operator: 'array-contains', value: phone }], 50)
+      ]);
+
+      const pending = async (requests) => {
+        const open = [];
+        for (const request of requests.filter(r => r.status === 'pending')) {
+          if (this.isExpired(request)) await this.resolve(request, 'expired');
+          else open.push(this.present(request));
+        }
+        return open;
+      };
+
+      return {
+        success: true,
+        made: await pending(made),
+        toAnswer: (await pending(received)).filter(r => r.responses[phone]?.status === 'pending')
+      };
+    } catch (error) {
+      logger.error('RESCHEDULE', `Listing reschedules for ${phoneNumber} failed: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // ========== SEARCH UPDATES ==========
+
+  // Fields of a search document that carry the proposed changes
+  searchUpdates(role, search, proposed) {
+    const updates = {
+      rescheduleCount: (search?.rescheduleCount || 0) + 1,
+      lastRescheduledAt: new Date().toISOString(),
+      pendingReschedule: null
+    };
+    const rideDetails = { ...(search?.rideDetails || {}) };
+
+    if (proposed.scheduledTime) {
+      updates.scheduledTime = proposed.scheduledTime;
+      updates.scheduledTimestamp = new Date(proposed.scheduledTime).getTime();
+      rideDetails.scheduledTime = updates.scheduledTime;
+      rideDetails.scheduledTimestamp = updates.scheduledTimestamp;
+
+      if (role === 'driver') {
+        updates.nextCheckTime = this.scheduledService._calculateNextCheckTime(proposed.scheduledTime);
+      }
+    }
+    if (proposed.pickupLocation) {
+      updates.pickupLocation = proposed.pickupLocation;
+      rideDetails.pickupLocation = proposed.pickupLocation;
+    }
+    if (proposed.pickupName) {
+      updates.pickupName = proposed.pickupName;
+      rideDetails.pickupName = proposed.pickupName;
+    }
+
+    if (role === 'passenger') updates.rideDetails = rideDetails;
+    return updates;
+  }
+
+  // No confirmed ride - change the search and let matching carry on with the new details
+  async applyToOpenSearch(role, phone, search, proposed) {
+    const updates = this.searchUpdates(role, search, proposed);
+
+    await this.scheduledService.updateSearchStatus(role, phone, updates);
+    this.refreshCache(role, phone, { ...search, ...updates });
+    await this.scheduledService.triggerMatching(role, phone);
+
+    this.stats.changedDirectly++;
+    console.log(`✅ [RESCHEDULE] ${role} ${phone} rescheduled: ${this.describeChanges(proposed)}`);
+    return { success: true, applied: true, searchId: phone, changes: proposed };
+  }
+
+  // The driver accepted the passenger's change - their entry on the trip follows it
+  async updateBooking(driverPhone, passengerPhone, request) {
+    const driver = await this.loadSearch('driver', driverPhone);
+    if (!driver) return;
+
+    // The trip keeps the driver's departure; the passenger's own time is shown next to it
+    const { scheduledTime, pickupLocation, pickupName } = request.proposed;
+    const acceptedPassengers = (driver.acceptedPassengers || []).map(p => {
+      if (this.scheduledService.sanitizePhoneNumber(p.passengerPhone) !== passengerPhone) return p;
+      return {
+        ...p,
+        ...(scheduledTime ? { passengerScheduledTime: scheduledTime } : {}),
+        ...(pickupName ? { pickupName } : {}),
+        ...(pickupLocation ? { passengerPickupLocation: this.scheduledService.extractLocation(request.proposed, 'pickupLocation') } : {})
+      };
+    });
+    await this.scheduledService.updateSearchStatus('driver', driverPhone, { acceptedPassengers });
+
+    const matchId = request.responses[driverPhone]?.matchId;
+    if (matchId) {
+      await this.firestoreService.updateDocument(this.MATCHES, matchId, {
+        ...(pickupName ? { pickupName } : {}),
+        rescheduleRequestId: request.id,
+        rescheduledAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString()
+      });
+    }
+
+    if (pickupLocation) {
+      await this.scheduledService.recomputeCostSplit(driverPhone, 'passenger_rescheduled');
+    }
+  }
+
+  /**
+   * Take a passenger off the driver's trip after a declined reschedule and send them back to
+   * matching - nobody is at fault, so no cancellation policy applies. The driver is excluded
+   * from the passenger's next matches.
+   */
+  async releasePassenger(driverPhone, passengerPhone, request, proposed) {
+    const [driver, passenger] = await Promise.all([
+      this.loadSearch('driver', driverPhone),
+      this.loadSearch('passenger', passengerPhone)
+    ]);
+    const now = new Date().toISOString();
+    const batch = this.db.batch();
+
+    const accepted = driver?.acceptedPassengers || [];
+    const index = accepted.findIndex(p => this.scheduledService.sanitizePhoneNumber(p.passengerPhone) === passengerPhone);
+    const released = index === -1 ? null : accepted[index];
+    let driverUpdates = null;
+
+    if (released) {
+      const remaining = accepted.filter((_, i) => i !== index);
+      const seats = (driver.availableSeats || 0) + (released.passengerCount || 1);
+
+      driverUpdates = {
+        acceptedPassengers: remaining,
+        acceptedPassengersSummary: (driver.acceptedPassengersSummary || []).filter(p => p.matchId !== released.matchId),
+        availableSeats: seats,
+        capacity: seats,
+        passengerCount: remaining.reduce((sum, p) => sum + (p.passengerCount || 1), 0),
+        status: driver.status === 'fully_booked' && seats > 0 ? 'actively_matching' : driver.status,
+        cancelledPassengersHistory: [
+          ...(driver.cancelledPassengersHistory || []),
+          { passenger: released, cancelledAt: now, cancelledBy: 'reschedule', reason: 'reschedule_declined', requestId: request.id }
+        ],
+        updatedAt: now,
+        lastUpdated: Date.now()
+      };
+      batch.update(this.db.collection(this.DRIVER_SEARCHES).doc(driverPhone), driverUpdates);
+
+      if (released.matchId) {
+        batch.update(this.db.collection(this.MATCHES).doc(released.matchId), {
+          status: 'reschedule_declined',
+          finalStatus: 'cancelled',
+          cancellationReason: 'reschedule_declined',
+          rescheduleRequestId: request.id,
+          cancelledAt: now,
+          updatedAt: now
+        });
+      }
+    }
+
+    const excludedDrivers = [...new Set([...(passenger?.excludedDrivers || []), formatPhoneNumber(driverPhone)])];
+    const passengerUpdates = {
+      ...(Object.keys(proposed).length > 0 ? this.searchUpdates('passenger', passenger, proposed) : { pendingReschedule: null }),
+      status: 'actively_matching',
+      matchId: null,
+      matchedWith: null,
+      matchStatus: null,
+      driverAccepted: false,
+      driverDetails: null,
+      excludedDrivers,
+      lastActivityAt: now,
+      lastActivityType: 'reschedule_declined',
+      updatedAt: now,
+      lastUpdated: Date.now()
+    };
+    if (passenger) {
+      batch.update(this.db.collection(this.PASSENGER_SEARCHES).doc(passengerPhone), passengerUpdates);
+    }
+
+    await batch.commit();
+
+    if (driverUpdates) {
+      this.refreshCache('driver', driverPhone, { ...driver, ...driverUpdates });
+      await this.scheduledService.recomputeCostSplit(driverPhone, 'passenger_removed');
+      await this.scheduledService.syncRideReminders(driverPhone);
+    }
+    if (passenger) {
+      this.refreshCache('passenger', passengerPhone, { ...passenger, ...passengerUpdates });
+      await this.scheduledService.triggerMatching('passenger', passengerPhone);
+    }
+
+    console.log(`↩️ [RESCHEDULE] Passenger ${passengerPhone} left trip ${driverPhone} and is matching again`);
+  }
+
+  // Keep ScheduledService's in-memory searches in step with what was just written
+  refreshCache(role, phone, data) {
+    const cache = role === 'driver' ? this.scheduledService.activeDrivers : this.scheduledService.activePassengers;
+    if (!cache) return;
+
+    if (data.status === 'actively_matching') {
+      cache.set(phone, { data, timestamp: Date.now() });
+    } else {
+      cache.delete(phone);
+    }
+  }
+
+  // ========== HELPERS ==========
+
+  // Raw reads - getDocument is cached and these documents change under concurrent decisions
+  async loadSearch(role, phone) {
+    if (!phone) return null;
+    const collection = role === 'driver' ? this.DRIVER_SEARCHES : this.PASSENGER_SEARCHES;
+    const snapshot = await this.db.collection(collection).doc(phone).get();
+    return snapshot.exists ? { id: snapshot.id, ...snapshot.data() } : null;
+  }
+
+  async loadRequest(requestId) {
+    if (!requestId) return null;
+    const snapshot = await this.db.collection(this.REQUESTS).doc(requestId).get();
+    return snapshot.exists ? { id: snapshot.id, ...snapshot.data() } : null;
+  }
+
+  // Pending requests for one trip; lapsed ones are closed on the way
+  async hasPendingRequest(driverPhone) {
+    if (!driverPhone) return false;
+
+    const requests = await this.firestoreService.queryCollection(this.REQUESTS, [
+      { field: 'driverPhone', operator: '==', value: driverPhone },
+      { field: 'status', operator: '==', value: 'pending' }
+    ], 20);
+
+    let pending = false;
+    for (const request of requests) {
+      if (!this.isExpired(request) || !(await this.resolve(request, 'expired')).resolved) pending = true;
+    }
+    return pending;
+  }
+
+  isExpired(request) {
+    return new Date(request.expiresAt).getTime() <= Date.now();
+  }
+
+  /**
+   * Move a request on from the status the caller read, only if it still has that status
+   * @returns {Promise<{resolved: boolean, status: string}>} status is the stored one when not resolved
+   */
+  async resolve(request, status) {
+    const now = new Date().toISOString();
+    const ref = this.db.collection(this.REQUESTS).doc(request.id);
+    const current = await this.firestoreService.runTransaction(async (tx) => {
+      const snapshot = await tx.get(ref);
+      const stored = snapshot.exists ? snapshot.data().status : null;
+      if (stored !== request.status) return stored;
+
+      tx.update(ref, { status, resolvedAt: now, updatedAt: now });
+      return status;
+    }, [[this.REQUESTS, request.id]]);
+
+    if (current !== status) {
+      console.log(`⚠️ [RESCHEDULE] ${request.id} not ${status}: already ${current}`);
+      return { resolved: false, status: current };
+    }
+
+    request.status = status;
+    this.stats[status]++;
+
+    // Applied and declined requests cleared the requester's pointer with their search update
+    if (status === 'expired' || status === 'withdrawn') {
+      const requester = await this.loadSearch(request.requesterRole, request.requesterPhone);
+      if (requester?.pendingReschedule?.requestId === request.id) {
+        await this.scheduledService.updateSearchStatus(request.requesterRole, request.requesterPhone, { pendingReschedule: null });
+      }
+    }
+
+    if (status === 'expired') {
+      await this.scheduledService.sendNotification(request.requesterPhone, {
+        type: 'RESCHEDULE_EXPIRED',
+        title: 'Reschedule Not Answered',
+        body: `Nobody answered your change to the ${this.describeChanges(request.proposed)} in time - your ride stays as booked`,
+        data: this.notificationData(request)
+      }, { important: true });
+    }
+
+    return { resolved: true, status };
+  }
+
+  describeChanges(proposed) {
+    const parts = [];
+    if (proposed.scheduledTime) parts.push('departure time');
+    if (proposed.pickupLocation || proposed.pickupName) parts.push('pickup');
+    return parts.join(' and ');
+  }
+
+  notificationData(request, extra = {}) {
+    return {
+      requestId: request.id,
+      requestedBy: request.requesterRole,
+      requesterPhone: request.requesterPhone,
+      driverPhone: request.driverPhone,
+      proposed: request.proposed,
+      previous: request.previous,
+      expiresAt: request.expiresAt,
+      // Distinct per step so NotificationService doesn't treat it as a duplicate
+      status: request.status,
+      timestamp: new Date().toISOString(),
+      ...extra
+    };
+  }
+
+  present(request) {
+    return {
+      id: request.id,
+      requestedBy: request.requesterRole,
+      requesterPhone: request.requesterPhone,
+      driverPhone: request.driverPhone,
+      proposed: request.proposed,
+      previous: request.previous,
+      responses: request.responses,
+      status: request.status,
+      expiresAt: request.expiresAt,
+      createdAt: request.createdAt
+    };
+  }
+
+  // ========== STATS ==========
+
+  getStats() {
+    return { ...this.stats };
+  }
+}
+
+module.exports = RescheduleService;
@@ -0,0 +1,352 @@
+// services/RideHistoryService.js
+// Completed and cancelled rides (scheduled + immediate), paginated history and per-user totals.
+// One history record per driver/passenger ride; pooled rides share a tripKey.
+//
+// Firestore composite indexes needed for the filtered queries:
+//   ride_history: driverPhone ASC + rideDate DESC, passengerPhone ASC + rideDate DESC,
+//   participantPhones ARRAY + rideDate DESC (each optionally with status ASC)
+
+const logger = require('../utils/Logger');
+const { formatPhoneNumber } = require('../utils/helpers');
+const { COLLECTIONS, RIDE_HISTORY, RIDE_STATUS } = require('../config/constants');
+
+const ROLES = ['driver', 'passenger', 'all'];
+
+class RideHistoryService {
+  constructor(firestoreService, admin) {
+    console.log('📜 [RIDE HISTORY] Initializing RideHistoryService');
+
+    this.firestoreService = firestoreService;
+    this.db = firestoreService?.db;
+    this.admin = admin;
+
+    // Collection names
+    this.HISTORY = COLLECTIONS.RIDE_HISTORY;
+
+    logger.info('RIDE_HISTORY', '📜 Ride History Service initialized');
+  }
+
+  // ========== RECORDING ==========
+
+  /**
+   * Build a history record from a ride/match document (scheduled or immediate)
+   */
+  buildRecord(ride, status, details = {}) {
+    const driverPhone = formatPhoneNumber(ride.driverPhone || ride.driverId || '');
+    const passengerPhone = formatPhoneNumber(ride.passengerPhone || ride.passengerId || '');
+    const now = new Date().toISOString();
+    const rideDate = details.completedAt || details.cancelledAt || now;
+
+    const fare = Number(details.paymentAmount ?? ride.paymentAmount ?? ride.finalFare ??
+      ride.proposedFare ?? ride.estimatedFare ?? 0) || 0;
+
+    return {
+      rideId: details.rideId || ride.rideId || ride.matchId,
+      matchId: ride.matchId || null,
+      source: details.source || (ride.rideType === 'scheduled' ? 'scheduled' : 'immediate'),
+      status,
+
+      // Rides that shared the same driver trip (pooling)
+      tripKey: ride.tripId || ride.driverSearchId ||
+        `${driverPhone}_${ride.scheduledTime || ride.acceptedAt || rideDate}`,
+
+      driverPhone,
+      driverName: ride.driverName || null,
+      passengerPhone,
+      passengerName: ride.passengerName || null,
+      passengerCount: ride.passengerCount || 1,
+      participantPhones: [driverPhone, passengerPhone].filter(Boolean),
+
+      pickupName: ride.pickupName || null,
+      destinationName: ride.destinationName || null,
+      pickupLocation: ride.pickupLocation || null,
+      destinationLocation: ride.destinationLocation || null,
+      distanceKm: Number(ride.distanceKm ?? ride.distance ?? 0) || 0,
+      durationMin: Number(ride.durationMin ?? ride.duration ?? 0) || 0,
+      vehicleInfo: ride.vehicleInfo || null,
+
+      fare: status === RIDE_STATUS.COMPLETED ? fare : 0,
+      paymentMethod: details.paymentMethod || ride.paymentMethod || null,
+
+      scheduledTime: ride.scheduledTime || null,
+      startedAt: ride.rideStartedAt || null,
+      completedAt: details.completedAt || null,
+      cancelledAt: details.cancelledAt || null,
+      cancelledBy: details.cancelledBy || null,
+      cancellationReason: details.reason || null,
+
+      coRiderPhones: [],
+      feedback: {},
+      rideDate,
+      createdAt: now
+    };
+  }
+
+  /**
+   * Save a history record and link co-riders that share the trip
+   */
+  async recordRide(ride, status, details = {}) {
+    try {
+      const record = this.buildRecord(ride, status, details);
+      if (!record.rideId) {
+        return { success: false, error: 'rideId is required' };
+      }
+
+      // Passengers of the same trip that were already recorded
+      const tripmates = await this.firestoreService.queryCollection(this.HISTORY, [
+        { field: 'tripKey', operator: '==', value: record.tripKey }
+      ]);
+
+      const others = tripmates.filter(r => r.rideId !== record.rideId && r.passengerPhone !== record.passengerPhone);
+      record.coRiderPhones = [...new Set(others.map(r => r.passengerPhone).filter(Boolean))];
+
+      await this.firestoreService.setDocument(this.HISTORY, record.rideId, record);
+
+      if (record.passengerPhone && others.length > 0 && this.admin) {
+        const batch = this.db.batch();
+        for (const other of others) {
+          batch.update(this.db.collection(this.HISTORY).doc(other.id), {
+            coRiderPhones: this.admin.firestore.FieldValue.arrayUnion(record.passengerPhone)
+          });
+        }
+        await batch.commit();
+      }
+
+      console.log(`📜 [RIDE HISTORY] Recorded ${status} ride ${record.rideId} (${record.source})`);
+      return { success: true, rideId: record.rideId };
+    } catch (error) {
+      logger.error('RIDE_HISTORY', `Failed to record ride: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async recordCompletedRide(ride, details = {}) {
+    return this.recordRide(ride, RIDE_STATUS.COMPLETED, {
+      completedAt: new Date().toISOString(),
+      ...details
+    });
+  }
+
+  async recordCancelledRide(ride, details = {}) {
+    return this.recordRide(ride, RIDE_STATUS.CANCELLED, {
+      cancelledAt: new Date().toISOString(),
+      ...details
+    });
+  }
+
+  /**
+   * Record a ride straight from a match + the two search documents
+   */
+  async createRideFromMatch(matchId, matchData, driverData = {}, passengerData = {}) {
+    const status = matchData.status === RIDE_STATUS.CANCELLED || String(matchData.status || '').startsWith('cancelled')
+      ? RIDE_STATUS.CANCELLED
+      : RIDE_STATUS.COMPLETED;
+
+    const ride = {
+      ...passengerData,
+      ...driverData,
+      ...matchData,
+      matchId,
+      rideId: matchData.rideId || `RIDE_${matchId}`
+    };
+
+    return status === RIDE_STATUS.CANCELLED
+      ? this.recordCancelledRide(ride, { reason: matchData.cancellationReason })
+      : this.recordCompletedRide(ride);
+  }
+
+  // ========== QUERIES ==========
+
+  /**
+   * Paginated history
+   * @param {string} phoneNumber
+   * @param {Object} options - { role: driver|passenger|all, status, from, to, limit, cursor }
+   */
+  async getUserRides(phoneNumber, options = {}) {
+    try {
+      const phone = formatPhoneNumber(phoneNumber);
+      const role = options.role || 'all';
+      if (!ROLES.includes(role)) {
+        return { success: false, error: `Invalid role: ${role}` };
+      }
+
+      const limit = Math.min(
+        parseInt(options.limit) || RIDE_HISTORY.DEFAULT_PAGE_SIZE,
+        RIDE_HISTORY.MAX_PAGE_SIZE
+      );
+
+      let query = this.buildUserQuery(phone, role, options);
+
+      let total = null;
+      try {
+        total = (await query.count().get()).data().count;
+      } catch (e) {
+        // count() is unavailable on older SDKs - pagination still works without it
+      }
+
+      query = query.orderBy('rideDate', 'desc');
+
+      if (options.cursor) {
+        const cursorDoc = await this.db.collection(this.HISTORY).doc(options.cursor).get();
+        if (cursorDoc.exists) {
+          query = query.startAfter(cursorDoc);
+        }
+      }
+
+      const snapshot = await query.limit(limit + 1).get();
+      const docs = snapshot.docs.slice(0, limit);
+      const rides = docs.map(doc => ({ id: doc.id, ...doc.data() }));
+      const hasMore = snapshot.docs.length > limit;
+
+      return {
+        success: true,
+        rides,
+        pagination: {
+          total,
+          returned: rides.length,
+          hasMore,
+          nextCursor: hasMore ? docs[docs.length - 1].id : null
+        }
+      };
+    } catch (error) {
+      logger.error('RIDE_HISTORY', `Failed to get rides for ${phoneNumber}: ${error.message}`);
+      return { success: false, error: error.message, rides: [] };
+    }
+  }
+
+  buildUserQuery(phone, role, options = {}) {
+    let query = this.db.collection(this.HISTORY);
+
+    if (role === 'driver') {
+      query = query.where('driverPhone', '==', phone);
+    } else if (role === 'passenger') {
+      query = query.where('passengerPhone', '==', phone);
+    } else {
+      query = query.where('participantPhones', 'array-contains', phone);
+    }
+
+    if (options.status) {
+      query = query.where('status', '==', options.status);
+    }
+    if (options.from) {
+      query = query.where('rideDate', '>=', new Date(options.from).toISOString());
+    }
+    if (options.to) {
+      query = query.where('rideDate', '<=', new Date(options.to).toISOString());
+    }
+
+    return query;
+  }
+
+  async getDriverRides(phoneNumber, options = {}) {
+    return this.getUserRides(phoneNumber, { ...options, role: 'driver' });
+  }
+
+  async getPassengerRides(phoneNumber, options = {}) {
+    return this.getUserRides(phoneNumber, { ...options, role: 'passenger' });
+  }
+
+  async getRideDetails(rideId) {
+    const doc = await this.firestoreService.getDocument(this.HISTORY, rideId);
+    return doc.exists ? { id: doc.id, ...doc.data() } : null;
+  }
+
+  /**
+   * Totals for a user: rides, distance, fares, co-riders
+   * @param {string} userType - driver | passenger | all
+   */
+  async getUserRideStats(phoneNumber, userType = 'all', options = {}) {
+    try {
+      const phone = formatPhoneNumber(phoneNumber);
+      const role = ROLES.includes(userType) ? userType : 'all';
+
+      const snapshot = await this.buildUserQuery(phone, role, options)
+        .limit(RIDE_HISTORY.STATS_MAX_RECORDS)
+        .get();
+      const records = snapshot.docs.map(doc => doc.data());
+
+      const completed = records.filter(r => r.status === RIDE_STATUS.COMPLETED);
+      const asDriver = completed.filter(r => r.driverPhone === phone);
+      const asPassenger = completed.filter(r => r.passengerPhone === phone);
+
+      // A pooled trip is driven once - count the driver's distance per trip
+      const driverTrips = new Map();
+      asDriver.forEach(r => driverTrips.set(r.tripKey, Math.max(driverTrips.get(r.tripKey) || 0, r.distanceKm || 0)));
+
+      const sum = (list, field) => Math.round(list.reduce((total, r) => total + (r[field] || 0), 0) * 100) / 100;
+
+      const coRiders = new Set();
+      asPassenger.forEach(r => (r.coRiderPhones || []).forEach(p => p !== phone && coRiders.add(p)));
+
+      const passengersCarried = new Set(asDriver.map(r => r.passengerPhone).filter(Boolean));
+
+      return {
+        success: true,
+        stats: {
+          phoneNumber: phone,
+          role,
+          totalRides: records.length,
+          completedRides: completed.length,
+          cancelledRides: records.filter(r => r.status === RIDE_STATUS.CANCELLED).length,
+          driver: {
+            completedRides: asDriver.length,
+            trips: driverTrips.size,
+            totalDistanceKm: Math.round([...driverTrips.values()].reduce((a, b) => a + b, 0) * 100) / 100,
+            totalEarnings: sum(asDriver, 'fare'),
+            uniquePassengers: passengersCarried.size
+          },
+          passenger: {
+            completedRides: asPassenger.length,
+            totalDistanceKm: sum(asPassenger, 'distanceKm'),
+            totalSpent: sum(asPassenger, 'fare'),
+            pooledRides: asPassenger.filter(r => (r.coRiderPhones || []).length > 0).length,
+            uniqueCoRiders: coRiders.size
+          },
+          truncated: records.length >= RIDE_HISTORY.STATS_MAX_RECORDS
+        }
+      };
+    } catch (error) {
+      logger.error('RIDE_HISTORY', `Failed to get stats for ${phoneNumber}: ${error.message}`);
+      return { success: false, error: error.message, stats: {} };
+    }
+  }
+
+  // ========== FEEDBACK ==========
+
+  async addRideFeedback(rideId, userPhone, userType, rating, review = '') {
+    try {
+      const ride = await this.getRideDetails(rideId);
+      if (!ride) {
+        return { success: false, error: 'Ride not found' };
+      }
+
+      const phone = formatPhoneNumber(userPhone);
+      if (!ride.participantPhones.includes(phone)) {
+        return { success: false, error: 'Not a participant of this ride' };
+      }
+
+      const value = Number(rating);
+      if (!Number.isFinite(value) || value < 1 || value > 5) {
+        return { success: false, error: 'rating must be between 1 and 5' };
+      }
+
+      const role = phone === ride.driverPhone ? 'driver' : 'passenger';
+      await this.firestoreService.updateDocument(this.HISTORY, rideId, {
+        [`feedback.${role}`]: {
+          phone,
+          userType: userType || role,
+          rating: value,
+          review: review || '',
+          createdAt: new Date().toISOString()
+        }
+      });
+
+      return { success: true, rideId };
+    } catch (error) {
+      logger.error('RIDE_HISTORY', `Failed to add feedback for ${rideId}: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+module.exports = RideHistoryService;
@@ -0,0 +1,209 @@
+// services/RoutingProvider.js
+// Pluggable road-routing providers used for detours and ETAs.
+// Every provider implements:
+//   async route(points) -> { success, distanceKm, durationMin, source, error? }
+// where points is an ordered list of { lat, lng } (or { latitude, longitude }).
+//
+// getRouter() returns the shared RouteClient, which follows
+// MATCHING_ALGORITHM.ROUTE_CALCULATION in ScheduleMatchingConfig: OSRM when USE_OSRM_API,
+// Haversine when it is off or (with FALLBACK_TO_HAVERSINE) when OSRM fails, and a route
+// cache kept for CACHE_DURATION.
+
+const logger = require('../utils/Logger');
+const { calculateHaversineDistance } = require('../utils/helpers');
+const { getScheduleMatchingConfigManager } = require('../config/ScheduleMatchingConfig');
+
+const DEFAULT_ROUTE_SETTINGS = {
+  USE_OSRM_API: false,
+  FALLBACK_TO_HAVERSINE: true,
+  CACHE_DURATION: 3600000,
+  MAX_WAYPOINTS: 10
+};
+
+const round3 = (value) => Math.round(value * 1000) / 1000;
+
+const toLatLng = (point) => {
+  if (!point) return null;
+  const lat = Number(point.lat ?? point.latitude);
+  const lng = Number(point.lng ?? point.longitude);
+  return Number.isFinite(lat) && Number.isFinite(lng) ? { lat, lng } : null;
+};
+
+// Keep the endpoints and evenly spaced intermediate points
+const limitWaypoints = (points, max) => {
+  if (!max || points.length <= max) return points;
+  if (max < 2) return [points[0], points[points.length - 1]];
+
+  const step = (points.length - 1) / (max - 1);
+  return Array.from({ length: max }, (_, i) => points[Math.round(i * step)]);
+};
+
+/**
+ * Straight-line distances between consecutive points - no network calls
+ */
+class HaversineRoutingProvider {
+  constructor(options = {}) {
+    this.name = 'haversine';
+    this.averageSpeedKmh = options.averageSpeedKmh || 40;
+  }
+
+  async route(points) {
+    const coords = (points || []).map(toLatLng);
+    if (coords.length < 2 || coords.some(c => !c)) {
+      return { success: false, error: 'At least two valid points are required' };
+    }
+
+    let distanceKm = 0;
+    for (let i = 1; i < coords.length; i++) {
+      distanceKm += calculateHaversineDistance(coords[i - 1].lat, coords[i - 1].lng, coords[i].lat, coords[i].lng);
+    }
+
+    return {
+      success: true,
+      distanceKm: round3(distanceKm),
+      durationMin: Math.round((distanceKm / this.averageSpeedKmh) * 60 * 10) / 10,
+      source: this.name
+    };
+  }
+}
+
+/**
+ * OSRM HTTP API (/route/v1/{profile}/{lng,lat;...}) - any OSRM-compatible server
+ */
+class OsrmRoutingProvider {
+  constructor(options = {}) {
+    this.name = 'osrm';
+    this.url = (options.url || process.env.OSRM_URL || 'https://router.project-osrm.org').replace(/\/+$/, '');
+    this.profile = options.profile || process.env.OSRM_PROFILE || 'driving';
+    this.timeout = options.timeout || 5000;
+  }
+
+  async route(points) {
+    const coords = (points || []).map(toLatLng);
+    if (coords.length < 2 || coords.some(c => !c)) {
+      return { success: false, error: 'At least two valid points are required' };
+    }
+
+    const path = coords.map(c => `${c.lng},${c.lat}`).join(';');
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.timeout);
+
+    try {
+      const response = await fetch(`${this.url}/route/v1/${this.profile}/${path}?overview=false`, {
+        signal: controller.signal
+      });
+
+      const body = await response.json().catch(() => ({}));
+      if (!response.ok || body.code !== 'Ok' || !body.routes?.length) {
+        return { success: false, error: `OSRM responded with ${response.status} ${body.code || ''}`.trim() };
+      }
+
+      const [best] = body.routes;
+      return {
+        success: true,
+        distanceKm: round3(best.distance / 1000),
+        durationMin: Math.round((best.duration / 60) * 10) / 10,
+        source: this.name
+      };
+    } catch (error) {
+      logger.warn('ROUTING', `OSRM request failed: ${error.message}`);
+      return { success: false, error: error.message };
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+}
+
+/**
+ * Routes through the configured provider with Haversine fallback and an expiring cache
+ */
+class RouteClient {
+  constructor(options = {}) {
+    this.name = 'route_client';
+    this.osrm = options.osrm || new OsrmRoutingProvider(options.osrmOptions);
+    this.haversine = options.haversine || new HaversineRoutingProvider(options.haversineOptions);
+    this.getSettings = options.getSettings || (() => ({
+      ...DEFAULT_ROUTE_SETTINGS,
+      ...(getScheduleMatchingConfigManager().getConfig().MATCHING_ALGORITHM?.ROUTE_CALCULATION || {})
+    }));
+    this.maxCacheEntries = options.maxCacheEntries || 1000;
+    this.cache = new Map(); // key -> { result, expiresAt }
+    this.stats = { hits: 0, misses: 0, fallbacks: 0 };
+  }
+
+  cacheKey(points, source) {
+    return `${source}:${points.map(p => `${p.lat.toFixed(5)},${p.lng.toFixed(5)}`).join(';')}`;
+  }
+
+  async route(points) {
+    const settings = this.getSettings();
+    const provider = settings.USE_OSRM_API ? this.osrm : this.haversine;
+    const valid = (points || []).map(toLatLng).filter(Boolean);
+    // Waypoint limit only matters for the HTTP provider
+    const coords = provider === this.haversine ? valid : limitWaypoints(valid, settings.MAX_WAYPOINTS);
+    if (coords.length < 2) {
+      return { success: false, error: 'At least two valid points are required' };
+    }
+
+    const key = this.cacheKey(coords, provider.name);
+    const cached = this.cache.get(key);
+
+    if (cached && cached.expiresAt > Date.now()) {
+      this.stats.hits++;
+      return { ...cached.result, cached: true };
+    }
+    this.stats.misses++;
+
+    const result = await provider.route(coords);
+
+    if (!result.success && provider !== this.haversine && settings.FALLBACK_TO_HAVERSINE) {
+      this.stats.fallbacks++;
+      logger.warn('ROUTING', `Falling back to Haversine: ${result.error}`);
+      // Fallback results aren't cached so OSRM is retried on the next call
+      return await this.haversine.route(valid);
+    }
+
+    if (result.success) {
+      this.remember(key, result, settings.CACHE_DURATION);
+    }
+
+    return result;
+  }
+
+  remember(key, result, ttl) {
+    this.cache.delete(key);
+    this.cache.set(key, { result, expiresAt: Date.now() + ttl });
+
+    // Map keeps insertion order - drop the oldest entries first
+    while (this.cache.size > this.maxCacheEntries) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+  }
+
+  clearCache() {
+    this.cache.clear();
+  }
+
+  getStats() {
+    return { ...this.stats, cacheSize: this.cache.size };
+  }
+}
+
+let routerInstance = null;
+
+/**
+ * Shared RouteClient used by matching, detours and ETAs
+ */
+function getRouter() {
+  if (!routerInstance) {
+    routerInstance = new RouteClient();
+  }
+  return routerInstance;
+}
+
+module.exports = {
+  HaversineRoutingProvider,
+  OsrmRoutingProvider,
+  RouteClient,
+  getRouter
+};
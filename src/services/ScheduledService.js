@@ -2,6 +2,26 @@
 // COMPLETE FULL SCRIPT - No minimized code, all functionality included
 
 const logger = require('../utils/Logger');
+const { formatPhoneNumber, calculateHaversineDistance } = require('../utils/helpers');
+const { ratingScore, pairRatingScore, smoothedRating } = require('../utils/ratingScore');
+const { COLLECTIONS, MATCHING, RECURRING, TIMEOUTS, VEHICLES, DRIVER_VERIFICATION } = require('../config/constants');
+const { calculateFare } = require('../utils/fareEngine');
+const { splitTripCost } = require('../utils/costSplit');
+const { SpatiallyIndexedMap } = require('../utils/spatialIndex');
+const { solveAssignment, summarizeAssignment } = require('../utils/assignment');
+const { planStops } = require('../utils/stopPlanner');
+const { calculateDetourDistance } = require('../utils/enhancedMatching');
+const { STEPS, levelForFailures, relaxationFor, pairLimits } = require('../utils/matchingFallback');
+const { normalizeRequirements, meetsRequirements } = require('../utils/vehicles');
+const { isDriverCleared } = require('../utils/driverVerification');
+const { profileSnapshot, evaluatePreferences } = require('../utils/ridePreferences');
+const { getScheduleMatchingConfigManager } = require('../config/ScheduleMatchingConfig');
+
+// Bookings on a driver's trip that can still be completed
+const COMPLETABLE_BOOKING_STATUSES = ['confirmed', 'in_progress'];
+
+// Match statuses of a proposal nobody has answered yet
+const PENDING_PROPOSAL_STATUSES = ['awaiting_driver_approval', 'awaiting_passenger_approval'];
 
 class ScheduledService {
   constructor(firestoreService, websocketServer, admin, notificationService) {
@@ -11,6 +31,16 @@ class ScheduledService {
     this.websocketServer = websocketServer;
     this.admin = admin;
     this.notification = notificationService;
+    this.rideHistory = null; // injected by app.js, per-user completed/cancelled rides
+    this.ratingService = null; // injected by app.js, feeds match scoring
+    this.ledgerService = null; // injected by app.js, fares of completed rides
+    this.cancellationPolicy = null; // injected by app.js, fees/strikes + matching cooldowns
+    this.reminderService = null; // injected by app.js, reminders before confirmed rides
+    this.recurringRides = null; // injected by app.js, commute templates (matched pair memory)
+    this.vehicleService = null; // injected by app.js, registered vehicles for driver searches
+    this.driverVerification = null; // injected by app.js, license/registration checks for drivers
+    this.blockService = null; // injected by app.js, users who must never be paired
+    this.locationService = null; // injected by app.js, live driver positions during started rides
     
     try {
       if (firestoreService && firestoreService.db) {
@@ -32,17 +62,41 @@ class ScheduledService {
     this.PASSENGER_SEARCHES = 'scheduled_searches_passenger';
     this.MATCHES = 'scheduled_matches';
     
-    this.MATCH_EXPIRY = 30 * 60 * 1000;
-    this.PENDING_EXPIRY = 15 * 60 * 1000;
+    // Open proposals: matchId -> { driverId, passengerId, seats, expiresAt, timer }
+    this.proposalHolds = new Map();
+    this.proposalStats = { scheduled: 0, expired: 0 };
     
     this.activeDrivers = new Map();
-    this.activePassengers = new Map();
+    // Indexed by pickup location so each driver only scores nearby passengers
+    this.activePassengers = new SpatiallyIndexedMap(cached => cached?.data?.pickupLocation);
     this.processingMatches = new Set();
+    this.assignmentMetrics = {
+      strategy: null,
+      cycles: 0,
+      greedy: { totalScore: 0, matches: 0, seatsFilled: 0 },
+      optimal: { totalScore: 0, matches: 0, seatsFilled: 0 },
+      lastCycle: null
+    };
     this.userTTL = 30 * 60 * 1000;
     
     this.lastTriggerTime = 0;
     this.MIN_TRIGGER_INTERVAL = 2000;
     
+    // Progressive matching: one timer per TIME_WINDOWS entry, at its check_interval
+    this.windowTimers = new Map();
+    this.runningWindows = new Set();
+    // Windows triggered mid-run: each gets one more run when the current one ends
+    this.queuedWindows = new Set();
+    this.windowStats = {};
+    
+    // FALLBACK_MECHANISMS: per-search failed cycles live on cached.data.fallback
+    this.fallbackStats = {
+      relaxations: 0,
+      tightenings: 0,
+      matchesSinceRecovery: 0,
+      lastRecoveryAt: null
+    };
+    
     this.cleanupInterval = setInterval(() => this.cleanup(), 300000);
     
     logger.info('SCHEDULED_SERVICE', '🚀 COMPLETE FULL Scheduled Service initialized');
@@ -51,7 +105,7 @@ class ScheduledService {
   
   async start() {
     console.log('🚀 [SCHEDULED] Starting COMPLETE FULL service...');
-    console.log('📊 Settings: Event-driven only, 5min cleanup');
+    console.log('📊 Settings: Event-driven + TIME_WINDOWS cycles, 5min cleanup');
     console.log('✅ All methods are fully implemented');
     
     try {
@@ -66,6 +120,9 @@ class ScheduledService {
       console.error('❌ [SCHEDULED] Firestore error:', error.message);
     }
     
+    await this.startWindowScheduler();
+    await this.loadPendingProposals();
+    
     console.log('✅ [SCHEDULED] Service ready');
     return true;
   }
@@ -131,9 +188,11 @@ class ScheduledService {
     throw new Error('No database access method available');
   }
   
+  // Resolves to the new document's id
   async addDocument(collection, data) {
     if (this.firestoreService && this.firestoreService.addDocument) {
-      return await this.firestoreService.addDocument(collection, data);
+      const created = await this.firestoreService.addDocument(collection, data);
+      return created.id;
     } else if (this.db) {
       const docRef = await this.db.collection(collection).add(data);
       return docRef.id;
@@ -379,7 +438,56 @@ class ScheduledService {
     }
   }
   
-  async handleCreateScheduledSearch(data, userId, userType) {
+  // { status, verifiedUntil } kept on the driver's search for matching; null without the service
+  async checkDriverVerification(driverPhone) {
+    if (!this.driverVerification) return null;
+
+    const check = await this.driverVerification.checkDriver(driverPhone);
+    if (!check.allowed) throw new Error(check.reason);
+    return { status: check.status, verifiedUntil: check.verifiedUntil };
+  }
+
+  // Verification can lapse or be revoked while a search is open
+  isDriverMatchable(data) {
+    if (!this.driverVerification || !DRIVER_VERIFICATION.ENFORCE) return true;
+    return isDriverCleared(data.driverVerification);
+  }
+
+  // Raw read - profiles change outside this service and getDocument is cached
+  async loadRidePreferences(userType, phone) {
+    try {
+      const collection = userType === 'driver' ? COLLECTIONS.DRIVER_PROFILES : COLLECTIONS.PASSENGER_PROFILES;
+      const snapshot = await this.db.collection(collection).doc(formatPhoneNumber(phone)).get();
+      return profileSnapshot(userType, snapshot.exists ? snapshot.data() : null);
+    } catch (error) {
+      console.log(`⚠️ [SCHEDULED] Could not load ride preferences for ${phone}: ${error.message}`);
+      return profileSnapshot(userType, null);
+    }
+  }
+
+  // After a profile update, so an open search is matched on the new preferences
+  async refreshRidePreferences(userType, phone) {
+    return this.updateSearchStatus(userType, phone, {
+      ridePreferences: await this.loadRidePreferences(userType, phone)
+    });
+  }
+
+  // Snapshot of the registered vehicle a driver search points at, null for free-form vehicle details
+  async resolveSearchVehicle(driverPhone, vehicleId) {
+    if (!vehicleId) {
+      if (VEHICLES.REQUIRE_VERIFIED) throw new Error('A verified registered vehicle is required to offer rides');
+      return null;
+    }
+    if (!this.vehicleService) throw new Error('Vehicle registry not available');
+
+    const result = await this.vehicleService.getVehicleForSearch(driverPhone, vehicleId);
+    if (!result.success) throw new Error(result.error);
+    return result.vehicle;
+  }
+
+  // options.recurrence: { templateId, occurrenceDate, preferredMatchPhones } when RecurringRideService
+  // creates the search for a template occurrence (never taken from the client's payload)
+  async handleCreateScheduledSearch(data, userId, userType, options = {}) {
     console.log('📝 [SCHEDULED] handleCreateScheduledSearch called for', userType, userId);
     
     try {
@@ -453,14 +561,36 @@ class ScheduledService {
         lastUpdated: Date.now()
       };
       
+      if (options.recurrence) {
+        scheduledSearchData.recurrence = options.recurrence;
+      }
+      
+      // Profile ride preferences (female driver only, no smoking, ...) travel with the search
+      scheduledSearchData.ridePreferences = await this.loadRidePreferences(userType, userId);
+      
       if (userType === 'driver') {
         const nextCheckTime = this._calculateNextCheckTime(timeString);
         
+        // Unverified or expired drivers can't offer rides
+        const verification = await this.checkDriverVerification(userId);
+        
+        // A registered vehicle decides seats and vehicle details; the free-form fields are the legacy path
+        const vehicle = await this.resolveSearchVehicle(userId, sourceData.vehicleId);
+        const seats = vehicle
+          ? Math.min(Number(sourceData.availableSeats || sourceData.capacity) || vehicle.seats, vehicle.seats)
+          : sourceData.availableSeats || sourceData.capacity || 4;
+        const vehicleSource = vehicle
+          ? { vehicleType: vehicle.type, vehicleModel: `${vehicle.make} ${vehicle.model}`, vehicleColor: vehicle.color, licensePlate: vehicle.plate }
+          : sourceData;
+        
         scheduledSearchData = {
           ...scheduledSearchData,
-          capacity: sourceData.availableSeats || sourceData.capacity || 4,
-          availableSeats: sourceData.availableSeats || sourceData.capacity || 4,
-          initialSeats: sourceData.availableSeats || sourceData.capacity || 4,
+          capacity: seats,
+          availableSeats: seats,
+          initialSeats: seats,
+          vehicleId: vehicle ? vehicle.id : null,
+          vehicle: vehicle,
+          driverVerification: verification,
           driverName: sourceData.driverName || sourceData.name || 'Driver',
           name: sourceData.driverName || sourceData.name || 'Driver',
           driverPhone: userId,
@@ -468,10 +598,10 @@ class ScheduledService {
           destinationLocation: sourceData.destinationLocation || null,
           pickupName: sourceData.pickupName || 'Pickup location',
           destinationName: sourceData.destinationName || 'Destination',
-          vehicleType: sourceData.vehicleType || 'Car',
-          vehicleModel: sourceData.vehicleModel || 'Standard',
-          vehicleColor: sourceData.vehicleColor || 'Not specified',
-          licensePlate: sourceData.licensePlate || 'Not specified',
+          vehicleType: vehicleSource.vehicleType || 'Car',
+          vehicleModel: vehicleSource.vehicleModel || 'Standard',
+          vehicleColor: vehicleSource.vehicleColor || 'Not specified',
+          licensePlate: vehicleSource.licensePlate || 'Not specified',
           profilePhoto: sourceData.profilePhoto || sourceData.driverPhoto || null,
           photoUrl: sourceData.profilePhoto || sourceData.driverPhoto || null,
           driverRating: sourceData.rating || sourceData.driverRating || 5.0,
@@ -492,11 +622,11 @@ class ScheduledService {
         };
         
         scheduledSearchData.vehicleInfo = {
-          type: sourceData.vehicleType || 'Car',
-          model: sourceData.vehicleModel || 'Standard',
-          color: sourceData.vehicleColor || 'Not specified',
-          plate: sourceData.licensePlate || 'Not specified',
-          capacity: sourceData.availableSeats || sourceData.capacity || 4,
+          type: vehicleSource.vehicleType || 'Car',
+          model: vehicleSource.vehicleModel || 'Standard',
+          color: vehicleSource.vehicleColor || 'Not specified',
+          plate: vehicleSource.licensePlate || 'Not specified',
+          capacity: seats,
           driverName: scheduledSearchData.driverName,
           driverPhone: userId,
           driverRating: scheduledSearchData.driverRating,
@@ -515,8 +645,13 @@ class ScheduledService {
       }
       
       if (userType === 'passenger') {
+        // Vehicle features the driver must have (luggage space, wheelchair access, ...)
+        const { requirements, error: requirementsError } = normalizeRequirements(sourceData.requirements);
+        if (requirementsError) throw new Error(requirementsError);
+        
         scheduledSearchData = {
           ...scheduledSearchData,
+          requirements: requirements,
           passengerInfo: passengerInfo,
           passengerPhotoUrl: passengerPhotoUrl,
           passengerName: passengerInfo?.name || 'Passenger',
@@ -527,6 +662,7 @@ class ScheduledService {
           pickupName: sourceData.pickupName || 'Pickup location',
           destinationName: sourceData.destinationName || 'Destination',
           luggageCount: sourceData.luggageCount || 0,
+          withPet: sourceData.withPet === true,
           specialRequests: sourceData.specialRequests || '',
           paymentMethod: sourceData.paymentMethod || 'cash',
           estimatedFare: sourceData.estimatedFare || 0,
@@ -562,7 +698,8 @@ class ScheduledService {
       
       const exists = await this.documentExists(collectionName, sanitizedPhone);
       
-      if (exists) {
+      // A recurring occurrence is a new trip, not an edit of the previous one
+      if (exists && !options.recurrence) {
         const docSnapshot = await this.getDocument(collectionName, sanitizedPhone);
         let existingData = null;
         
@@ -601,9 +738,18 @@ class ScheduledService {
         
         await this.updateDocument(collectionName, sanitizedPhone, updateData);
         console.log('✅ [SCHEDULED] Updated existing document:', sanitizedPhone);
+        
+        // Accepted passengers carry over - their reminders follow a changed departure time
+        if (userType === 'driver') {
+          await this.syncRideReminders(sanitizedPhone);
+        }
       } else {
         await this.setDocument(collectionName, sanitizedPhone, scheduledSearchData);
         console.log('✅ [SCHEDULED] Created new document:', sanitizedPhone);
+        
+        if (exists && userType === 'driver') {
+          await this.syncRideReminders(sanitizedPhone);
+        }
       }
       
       if (userType === 'driver') {
@@ -649,15 +795,148 @@ class ScheduledService {
     
     console.log(`⚡ [TRIGGER] New ${triggeredByType} added: ${triggeredById}`);
     
+    // Match right away, but only within the window the new search is in
+    const cache = triggeredByType === 'driver' ? this.activeDrivers : this.activePassengers;
+    const windowName = getScheduleMatchingConfigManager().getWindowForTime(cache.get(triggeredById)?.data?.scheduledTime);
+    
+    if (!windowName) {
+      console.log(`🕰️ [TRIGGER] ${triggeredById} is not in a matching window yet`);
+      return;
+    }
+    
     setTimeout(() => {
-      this.performMatching().catch(err => 
+      this.performScheduledMatchingCycle(windowName).catch(err => 
         console.error('❌ [TRIGGER] Matching error:', err.message)
       );
     }, 100);
   }
   
-  async performMatching() {
-    console.log('🤝 [SCHEDULED] ========== PERFORMING MATCHING ==========');
+  // ==================== TIME WINDOWS ====================
+  
+  async startWindowScheduler() {
+    const configManager = getScheduleMatchingConfigManager();
+    
+    if (!configManager.initialized) {
+      await configManager.initialize();
+    }
+    
+    if (!this.onMatchingConfigChange) {
+      this.onMatchingConfigChange = () => this.scheduleWindowTimers();
+      configManager.addConfigListener(this.onMatchingConfigChange);
+    }
+    
+    this.scheduleWindowTimers();
+  }
+  
+  scheduleWindowTimers() {
+    this.clearWindowTimers();
+    
+    const configManager = getScheduleMatchingConfigManager();
+    
+    for (const windowName of Object.keys(configManager.getEnabledWindows())) {
+      const interval = configManager.calculateWindowCheckInterval(windowName);
+      
+      const timer = setInterval(() => {
+        this.performScheduledMatchingCycle(windowName).catch(err =>
+          console.error(`❌ [WINDOWS] ${windowName} cycle error:`, err.message)
+        );
+      }, interval);
+      timer.unref?.();
+      
+      this.windowTimers.set(windowName, timer);
+    }
+    
+    console.log(`🕰️ [WINDOWS] Scheduled ${this.windowTimers.size} matching windows: ${[...this.windowTimers.keys()].join(', ')}`);
+  }
+  
+  clearWindowTimers() {
+    for (const timer of this.windowTimers.values()) {
+      clearInterval(timer);
+    }
+    this.windowTimers.clear();
+  }
+  
+  /**
+   * One matching pass for the searches currently in windowName, at its radius and match cap
+   */
+  async performScheduledMatchingCycle(windowName) {
+    const configManager = getScheduleMatchingConfigManager();
+    const config = configManager.getConfig();
+    const window = config.TIME_WINDOWS?.[windowName];
+    
+    if (!window) {
+      return { success: false, window: windowName, error: `Unknown time window: ${windowName}` };
+    }
+    if (!window.enabled) {
+      return { success: false, window: windowName, error: `Time window ${windowName} is disabled` };
+    }
+    if (!config.ENABLED || config.ADMIN_CONTROLS?.PAUSE_MATCHING || config.ADMIN_CONTROLS?.EMERGENCY_STOP) {
+      return { success: true, window: windowName, skipped: 'matching_paused', matched: 0, checked: 0 };
+    }
+    
+    const stats = this.windowStats[windowName] || (this.windowStats[windowName] = {
+      name: window.name,
+      runs: 0,
+      queuedWhileRunning: 0,
+      matchesCreated: 0,
+      cappedPairs: 0,
+      lastRunAt: null,
+      lastDurationMs: null,
+      lastRun: null
+    });
+    
+    // A search added mid-run may have missed it, so run once more afterwards
+    if (this.runningWindows.has(windowName)) {
+      stats.queuedWhileRunning++;
+      this.queuedWindows.add(windowName);
+      return { success: true, window: windowName, queued: true, matched: 0, checked: 0 };
+    }
+    
+    this.runningWindows.add(windowName);
+    const startedAt = Date.now();
+    
+    try {
+      const result = await this.performMatching({
+        windowName,
+        radiusMeters: configManager.calculateWindowRadius(windowName),
+        maxMatches: configManager.calculateMaxMatchesForWindow(windowName)
+      });
+      
+      stats.runs++;
+      stats.matchesCreated += result.matched;
+      stats.cappedPairs += result.capped;
+      stats.lastRunAt = new Date(startedAt).toISOString();
+      stats.lastDurationMs = Date.now() - startedAt;
+      stats.lastRun = result;
+      
+      return { success: true, window: windowName, ...result };
+    } finally {
+      this.runningWindows.delete(windowName);
+      
+      if (this.queuedWindows.delete(windowName)) {
+        setImmediate(() => {
+          this.performScheduledMatchingCycle(windowName).catch(err =>
+            console.error(`❌ [WINDOWS] ${windowName} follow-up cycle error:`, err.message)
+          );
+        });
+      }
+    }
+  }
+  
+  getWindowStats() {
+    return {
+      scheduled: [...this.windowTimers.keys()],
+      running: [...this.runningWindows],
+      queued: [...this.queuedWindows],
+      windows: this.windowStats
+    };
+  }
+  
+  // Without a windowName this is one global pass over every active search
+  async performMatching({ windowName = null, radiusMeters = MATCHING.MAX_DISTANCE_FOR_INITIAL_FILTER, maxMatches = Infinity } = {}) {
+    console.log(`🤝 [SCHEDULED] ========== PERFORMING MATCHING${windowName ? ` (${windowName} window)` : ''} ==========`);
+    
+    const summary = { drivers: 0, passengers: 0, candidatePairs: 0, matched: 0, capped: 0 };
     
     try {
       let drivers = [];
@@ -705,7 +984,7 @@ class ScheduledService {
         
         if (dbDrivers.length === 0 || dbPassengers.length === 0) {
           console.log('💤 No active users in Firestore - sleeping');
-          return;
+          return summary;
         }
         
         console.log(`📊 Firestore: ${dbDrivers.length} drivers, ${dbPassengers.length} passengers`);
@@ -732,92 +1011,914 @@ class ScheduledService {
         passengers = dbPassengers;
       }
       
+      // Progressive matching: only searches whose departure falls in this window
+      if (windowName) {
+        const configManager = getScheduleMatchingConfigManager();
+        const inWindow = (entry) => entry?.data && configManager.getWindowForTime(entry.data.scheduledTime) === windowName;
+        drivers = drivers.filter(inWindow);
+        passengers = passengers.filter(inWindow);
+      }
+      
+      summary.drivers = drivers.length;
+      summary.passengers = passengers.length;
       console.log(`🎯 Final: ${drivers.length} drivers, ${passengers.length} passengers ready`);
       
+      if (drivers.length === 0 || passengers.length === 0) {
+        return summary;
+      }
+      
+      // Better-rated drivers pick first, and get the best-rated passengers
+      const ratings = await this.loadMatchRatings(drivers, passengers);
+      const driverPhoneOf = (d) => d.data.userId || d.data.driverPhone || d.id;
+      const passengerPhoneOf = (p) => p.data.userId || p.data.passengerPhone || p.id;
+      
+      // Repeat cancellers sit out matching until their cooldown ends
+      const cooldowns = await this.loadMatchingCooldowns(drivers, passengers);
+      if (cooldowns.size > 0) {
+        const onCooldown = (phone) => cooldowns.has(formatPhoneNumber(phone));
+        drivers = drivers.filter(d => d && d.data && !onCooldown(driverPhoneOf(d)));
+        passengers = passengers.filter(p => p && p.data && !onCooldown(passengerPhoneOf(p)));
+        console.log(`⏳ [SCHEDULED] ${cooldowns.size} users on cancellation cooldown skipped`);
+      }
+      
+      drivers = drivers.filter(d => d && d.data).sort((a, b) =>
+        ratingScore(this.getRoleRating(ratings, driverPhoneOf(b), 'driver')) -
+        ratingScore(this.getRoleRating(ratings, driverPhoneOf(a), 'driver'))
+      );
+      passengers = passengers.filter(p => p && p.data).sort((a, b) =>
+        ratingScore(this.getRoleRating(ratings, passengerPhoneOf(b), 'passenger')) -
+        ratingScore(this.getRoleRating(ratings, passengerPhoneOf(a), 'passenger'))
+      );
+      
+      // Blocked pairs - lists are symmetric, so the drivers' lists cover both directions
+      const blockLists = await this.loadBlockLists(drivers.map(driverPhoneOf));
+      
+      // Pairs to propose this cycle - greedy first-fit or a global assignment, per SYSTEM_MODE
+      const strategy = this.getAssignmentStrategy();
+      const candidates = this.buildMatchCandidates(drivers, passengers, ratings, driverPhoneOf, passengerPhoneOf, radiusMeters, blockLists);
+      const greedyPlan = this.planGreedyAssignment(candidates);
+      const optimalPlan = solveAssignment(candidates);
+      const plan = strategy === 'GLOBAL_OPTIMAL' ? optimalPlan : greedyPlan;
+      
+      this.recordAssignmentMetrics(strategy, candidates, greedyPlan, optimalPlan);
+      console.log(`🧮 [SCHEDULED] ${strategy}: ${plan.pairs.length} pairs, score ${plan.totalScore} ` +
+        `(greedy ${greedyPlan.totalScore}, optimal ${optimalPlan.totalScore})`);
+      
+      // Window match cap - the best-scoring pairs go first
+      const pairs = [...plan.pairs].sort((a, b) => b.score - a.score).slice(0, maxMatches);
+      summary.candidatePairs = candidates.edges.length;
+      summary.capped = plan.pairs.length - pairs.length;
+      if (summary.capped > 0) {
+        console.log(`🚧 [SCHEDULED] Match cap ${maxMatches} reached, ${summary.capped} pairs left for the next cycle`);
+      }
+      
       let matchesCreated = 0;
-      const processedPairs = new Set();
+      const seatsLeft = candidates.seats.slice();
       
-      for (const driver of drivers) {
-        if (!driver || !driver.data) continue;
-        
+      for (const pair of pairs) {
+        const { driver, phone: driverPhone } = candidates.drivers[pair.driver];
+        const { passenger, phone: passengerPhone } = candidates.passengers[pair.passenger];
         const driverData = driver.data;
-        const availableSeats = this.extractCapacity(driverData);
+        const passengerCount = candidates.sizes[pair.passenger];
+        const pairKey = `${driver.id}:${passenger.id}`;
         
-        if (availableSeats <= 0) continue;
+        console.log(`✅ MATCHING: Driver ${driver.id} ↔ Passenger ${passenger.id} (${passengerCount} pax, score ${pair.score})`);
         
-        console.log(`👨‍✈️ Driver ${driver.id} has ${availableSeats} seats`);
+        this.processingMatches.add(pairKey);
         
-        for (const passenger of passengers) {
-          if (!passenger || !passenger.data) continue;
-          
-          const passengerData = passenger.data;
-          const pairKey = `${driver.id}:${passenger.id}`;
-          
-          if (processedPairs.has(pairKey)) continue;
-          
-          processedPairs.add(pairKey);
-          
-          if (this.processingMatches.has(pairKey)) {
-            console.log(`  ⚙️ Already processing: ${pairKey}, skipping for now`);
-            continue;
-          }
-          
-          const passengerCount = passengerData.passengerCount || 1;
-          
-          if (passengerCount > availableSeats) {
-            console.log(`  ❌ Passenger needs ${passengerCount} seats, driver only has ${availableSeats}`);
-            continue;
-          }
-          
-          console.log(`✅ MATCHING: Driver ${driver.id} ↔ Passenger ${passenger.id} (${passengerCount} pax)`);
-          
-          this.processingMatches.add(pairKey);
-          
-          await this.processMatch({
-            driverId: driver.id,
-            passengerId: passenger.id,
-            driverPhone: driverData.userId || driverData.driverPhone || driver.id,
-            passengerPhone: passengerData.userId || passengerData.passengerPhone || passenger.id,
-            driverData: driverData,
-            passengerData: passengerData,
-            passengerCount: passengerCount,
-            availableSeats: availableSeats,
-            pairKey: pairKey
-          });
-          
-          matchesCreated++;
-          
-          const newSeats = availableSeats - passengerCount;
-          driverData.availableSeats = newSeats;
-          driverData.capacity = newSeats;
-          
-          this.activeDrivers.set(driver.id, {
-            data: driverData,
-            timestamp: Date.now()
-          });
-          
-          this.activePassengers.delete(passenger.id);
-          
-          if (newSeats <= 0) {
-            this.activeDrivers.delete(driver.id);
-          }
-          
-          break;
+        await this.processMatch({
+          driverId: driver.id,
+          passengerId: passenger.id,
+          driverPhone,
+          passengerPhone,
+          matchScore: pair.score,
+          driverData: driverData,
+          passengerData: passenger.data,
+          passengerCount: passengerCount,
+          availableSeats: seatsLeft[pair.driver],
+          pairKey: pairKey
+        });
+        
+        matchesCreated++;
+        
+        const newSeats = seatsLeft[pair.driver] - passengerCount;
+        seatsLeft[pair.driver] = newSeats;
+        driverData.availableSeats = newSeats;
+        driverData.capacity = newSeats;
+        
+        this.activeDrivers.set(driver.id, {
+          data: driverData,
+          timestamp: Date.now()
+        });
+        
+        this.activePassengers.delete(passenger.id);
+        
+        if (newSeats <= 0) {
+          this.activeDrivers.delete(driver.id);
         }
       }
       
-      console.log(`🎯 [SCHEDULED] Created ${matchesCreated} matches this cycle`);
+      console.log(`🎯 [SCHEDULED] Created ${matchesCreated} matches this cycle`);
+      summary.matched = matchesCreated;
+      
+      if (windowName) {
+        summary.fallback = await this.recordFallbackCycle(candidates, plan.pairs, matchesCreated, radiusMeters);
+      }
+      
+      const unlockTimer = setTimeout(() => {
+        this.processingMatches.clear();
+        console.log('🧹 [SCHEDULED] Cleared processing locks');
+      }, 10000);
+      if (typeof unlockTimer.unref === 'function') unlockTimer.unref();
+      
+      return summary;
+      
+    } catch (error) {
+      console.error('❌ [SCHEDULED] Matching error:', error.message);
+      return { ...summary, error: error.message };
+    }
+  }
+  
+  // ==================== RIDE HISTORY ====================
+  
+  // One booking on a driver's trip, in the shape RideHistoryService.buildRecord reads
+  toHistoryRide(driverDoc, passenger, driverPhone) {
+    return {
+      rideId: passenger.matchId,
+      matchId: passenger.matchId,
+      rideType: 'scheduled',
+      tripId: `${this.sanitizePhoneNumber(driverPhone)}_${driverDoc.scheduledTime}`,
+      driverPhone,
+      driverName: driverDoc.driverName || null,
+      passengerPhone: passenger.passengerPhone,
+      passengerName: passenger.passengerName || null,
+      passengerCount: passenger.passengerCount || 1,
+      pickupName: passenger.pickupName || null,
+      destinationName: passenger.destinationName || null,
+      pickupLocation: passenger.passengerPickupLocation || passenger.pickupLocation || null,
+      destinationLocation: passenger.passengerDestinationLocation || passenger.destinationLocation || null,
+      vehicleInfo: driverDoc.vehicle || driverDoc.vehicleInfo || null,
+      estimatedFare: passenger.fareShare ?? passenger.estimatedFare ?? 0,
+      distanceKm: passenger.distanceKm || 0,
+      durationMin: passenger.durationMin || 0,
+      paymentMethod: passenger.paymentMethod || null,
+      scheduledTime: passenger.scheduledTime || driverDoc.scheduledTime || null,
+      rideStartedAt: passenger.rideStartedAt || driverDoc.rideStartedAt || null
+    };
+  }
+  
+  // History is a record of what happened - a failed write never undoes the ride change itself
+  async recordRideHistory(status, driverDoc, passenger, driverPhone, details = {}) {
+    if (!this.rideHistory || !passenger?.matchId) return null;
+    
+    const ride = this.toHistoryRide(driverDoc, passenger, driverPhone);
+    const result = status === 'completed'
+      ? await this.rideHistory.recordCompletedRide(ride, { source: 'scheduled', ...details })
+      : await this.rideHistory.recordCancelledRide(ride, { source: 'scheduled', ...details });
+    
+    if (!result.success) {
+      logger.warn('SCHEDULED_SERVICE', `Ride history not recorded for ${passenger.matchId}: ${result.error}`);
+    }
+    return result;
+  }
+  
+  // Road km a passenger adds to the driver's own route (OSRM or Haversine per ROUTE_CALCULATION),
+  // null when either trip has no coordinates
+  async estimateDetourKm(driverData, passengerData) {
+    const toPoint = (location) => {
+      const lat = Number(location?.lat ?? location?.latitude);
+      const lng = Number(location?.lng ?? location?.longitude);
+      return Number.isFinite(lat) && Number.isFinite(lng) ? { lat, lng } : null;
+    };
+    
+    const routePoints = (driverData?.routePoints || []).map(toPoint);
+    const driverRoute = routePoints.length >= 2 && routePoints.every(Boolean)
+      ? routePoints
+      : [toPoint(driverData?.pickupLocation), toPoint(driverData?.destinationLocation)];
+    const pickup = toPoint(passengerData?.pickupLocation);
+    const dropoff = toPoint(passengerData?.destinationLocation);
+    
+    if (!pickup || !dropoff || driverRoute.some(point => !point)) return null;
+    return Math.round((await calculateDetourDistance(driverRoute, pickup, dropoff)) * 10) / 10;
+  }
+  
+  // ==================== ASSIGNMENT ====================
+  
+  // PROFILES[SYSTEM_MODE].assignment_strategy: GREEDY (first fit) or GLOBAL_OPTIMAL
+  getAssignmentStrategy() {
+    try {
+      const config = getScheduleMatchingConfigManager().getConfig();
+      return config.PROFILES?.[config.SYSTEM_MODE]?.assignment_strategy || 'GREEDY';
+    } catch {
+      return 'GREEDY';
+    }
+  }
+  
+  // Feasible driver/passenger pairs with their scores, as indexes into drivers/passengers
+  buildMatchCandidates(drivers, passengers, ratings, driverPhoneOf, passengerPhoneOf, radiusMeters = MATCHING.MAX_DISTANCE_FOR_INITIAL_FILTER, blockLists = new Map()) {
+    const passengerRank = new Map(passengers.map((p, i) => [p.id, i]));
+    const candidates = {
+      drivers: drivers.map(driver => ({ driver, phone: driverPhoneOf(driver) })),
+      passengers: passengers.map(passenger => ({ passenger, phone: passengerPhoneOf(passenger) })),
+      seats: drivers.map(driver => this.extractCapacity(driver.data)),
+      sizes: passengers.map(passenger => passenger.data.passengerCount || 1),
+      // maxCoRiders is re-checked on the whole set of groups a driver gets in one cycle
+      coRiders: drivers.map(driver => this._calculateTotalPassengers(driver.data)),
+      maxCoRiders: passengers.map(passenger => passenger.data.ridePreferences?.preferences?.maxCoRiders),
+      edges: [] // per driver, in passenger rating order (preferred recurring pairs first)
+    };
+    
+    // Radius and departure-gap limits per search - wider for searches under FALLBACK_MECHANISMS
+    const relaxationOf = this.getSearchRelaxation();
+    const driverRelaxation = drivers.map(driver => relaxationOf(driver.data));
+    const passengerRelaxation = passengers.map(passenger => relaxationOf(passenger.data));
+    const widestPassengerMultiplier = passengerRelaxation.reduce((max, r) => Math.max(max, r.radiusMultiplier), 1);
+    
+    // Recurring occurrences prefer whoever they were matched with last time
+    const prefers = (data, phone) => (data.recurrence?.preferredMatchPhones || []).includes(formatPhoneNumber(phone));
+    
+    drivers.forEach((driver, d) => {
+      if (candidates.seats[d] <= 0 || !this.isDriverMatchable(driver.data)) return;
+      
+      const driverEdges = [];
+      const blockedWith = blockLists.get(formatPhoneNumber(candidates.drivers[d].phone));
+      const driverRating = this.getRoleRating(ratings, candidates.drivers[d].phone, 'driver');
+      const driverSide = {
+        ...driver.data.ridePreferences,
+        rating: driverRating?.count ? smoothedRating(driverRating) : Number(driver.data.driverRating || driver.data.rating) || null,
+        coRiders: candidates.coRiders[d]
+      };
+      const queryRadius = radiusMeters * Math.max(driverRelaxation[d].radiusMultiplier, widestPassengerMultiplier);
+      
+      for (const passenger of this.getNearbyPassengers(driver.data, passengers, passengerRank, queryRadius)) {
+        const p = passengerRank.get(passenger.id);
+        
+        if (this.processingMatches.has(`${driver.id}:${passenger.id}`)) {
+          console.log(`  ⚙️ Already processing: ${driver.id}:${passenger.id}, skipping for now`);
+          continue;
+        }
+        if (candidates.sizes[p] > candidates.seats[d]) continue;
+        // Either side blocked the other
+        if (blockedWith?.has(formatPhoneNumber(candidates.passengers[p].phone))) continue;
+        // Drivers this search is not offered again: declined reschedules, expired proposals
+        if ((passenger.data.excludedDrivers || []).includes(formatPhoneNumber(candidates.drivers[d].phone))) continue;
+        // Passenger requirements need a registered vehicle with those features
+        if (!meetsRequirements(driver.data.vehicle, passenger.data.requirements)) continue;
+        // Hard ride preferences rule the pair out; soft ones feed compatibility
+        const preferenceFit = evaluatePreferences(driverSide, {
+          ...passenger.data.ridePreferences,
+          luggageCount: passenger.data.luggageCount || 0,
+          withPet: passenger.data.withPet === true
+        });
+        if (!preferenceFit.allowed) continue;
+        
+        // Unknown distance/time can't be ruled out, same as unlocated passengers
+        const fit = this.getPairFit(driver.data, passenger.data);
+        const limits = pairLimits(driverRelaxation[d], passengerRelaxation[p]);
+        if (fit.pickupDistanceKm !== null && fit.pickupDistanceKm * 1000 > radiusMeters * limits.radiusMultiplier) continue;
+        if (fit.timeDifferenceMs !== null && fit.timeDifferenceMs > limits.maxTimeDifferenceMinutes * 60000) continue;
+        
+        const score = this.calculateScheduledMatchScore(
+          driverRating,
+          this.getRoleRating(ratings, candidates.passengers[p].phone, 'passenger'),
+          { ...fit, compatibility: preferenceFit.compatibility }
+        );
+        const preferred = prefers(driver.data, candidates.passengers[p].phone) || prefers(passenger.data, candidates.drivers[d].phone);
+        
+        driverEdges.push({
+          driver: d,
+          passenger: p,
+          score: preferred ? Math.min(100, score + RECURRING.PREFERRED_PAIR_BONUS) : score,
+          preferred
+        });
+      }
+      
+      // Greedy first-fit takes the first edge - a preferred pair goes ahead of rating order
+      candidates.edges.push(...driverEdges.sort((a, b) => Number(b.preferred) - Number(a.preferred)));
+    });
+    
+    return candidates;
+  }
+  
+  // First fit: each driver (best rated first) takes the first nearby passenger that fits, one per cycle
+  planGreedyAssignment({ seats, sizes, edges }) {
+    const taken = new Set();
+    const pairs = [];
+    
+    seats.forEach((_, d) => {
+      const pick = edges.find(e => e.driver === d && !taken.has(e.passenger) && sizes[e.passenger] <= seats[d]);
+      if (pick) {
+        taken.add(pick.passenger);
+        pairs.push(pick);
+      }
+    });
+    
+    return { pairs, ...summarizeAssignment(pairs, sizes) };
+  }
+  
+  recordAssignmentMetrics(strategy, candidates, greedyPlan, optimalPlan) {
+    const metrics = this.assignmentMetrics;
+    const totals = (plan) => ({ totalScore: plan.totalScore, matches: plan.matches, seatsFilled: plan.seatsFilled });
+    
+    metrics.strategy = strategy;
+    metrics.cycles++;
+    metrics.greedy.totalScore += greedyPlan.totalScore;
+    metrics.greedy.matches += greedyPlan.matches;
+    metrics.greedy.seatsFilled += greedyPlan.seatsFilled;
+    metrics.optimal.totalScore += optimalPlan.totalScore;
+    metrics.optimal.matches += optimalPlan.matches;
+    metrics.optimal.seatsFilled += optimalPlan.seatsFilled;
+    metrics.lastCycle = {
+      at: new Date().toISOString(),
+      drivers: candidates.drivers.length,
+      passengers: candidates.passengers.length,
+      candidatePairs: candidates.edges.length,
+      components: optimalPlan.components,
+      greedy: totals(greedyPlan),
+      optimal: totals(optimalPlan)
+    };
+  }
+  
+  getAssignmentMetrics() {
+    const { greedy, optimal } = this.assignmentMetrics;
+    const round = (value) => Math.round(value * 10) / 10;
+    
+    return {
+      ...this.assignmentMetrics,
+      greedy: { ...greedy, totalScore: round(greedy.totalScore) },
+      optimal: { ...optimal, totalScore: round(optimal.totalScore) },
+      scoreGainOverGreedy: round(optimal.totalScore - greedy.totalScore),
+      scoreGainPercent: greedy.totalScore > 0
+        ? round(((optimal.totalScore - greedy.totalScore) / greedy.totalScore) * 100)
+        : null
+    };
+  }
+  
+  // ==================== CANDIDATE FILTERING ====================
+  
+  // Passengers whose pickup is within radiusMeters of the driver's, in rating order.
+  // Passengers without coordinates can't be ruled out, so they stay candidates.
+  getNearbyPassengers(driverData, passengers, passengerRank, radiusMeters = MATCHING.MAX_DISTANCE_FOR_INITIAL_FILTER) {
+    const driverPickup = this.extractLocation(driverData, 'pickupLocation');
+    if (!driverPickup) return passengers;
+    
+    return this.activePassengers
+      .nearbyKeys(driverPickup, radiusMeters, { includeUnlocated: true })
+      .filter(id => passengerRank.has(id))
+      .sort((a, b) => passengerRank.get(a) - passengerRank.get(b))
+      .map(id => passengers[passengerRank.get(id)]);
+  }
+  
+  // ==================== FALLBACK MECHANISMS ====================
+  
+  // search data -> { level, steps, radiusMultiplier, maxTimeDifferenceMinutes } in force for it
+  getSearchRelaxation() {
+    const configManager = getScheduleMatchingConfigManager();
+    const fallbackConfig = configManager.getFallbackConfig();
+    const baseMaxTimeDifference = configManager.getThresholds().MAX_TIME_DIFFERENCE ?? Infinity;
+    
+    return (data) => relaxationFor(data?.fallback?.level || 0, fallbackConfig, baseMaxTimeDifference);
+  }
+  
+  // After a window cycle: searches left out of the plan count a failed cycle and are widened a
+  // level every ACTIVATE_AFTER_FAILED_CYCLES; planned ones start counting again from their level
+  async recordFallbackCycle(candidates, plannedPairs, matchesCreated, radiusMeters) {
+    const result = { failed: 0, widened: 0, tightened: 0 };
+    const fallbackConfig = getScheduleMatchingConfigManager().getFallbackConfig();
+    if (!fallbackConfig.ENABLED) return result;
+    
+    const every = Math.max(1, fallbackConfig.ACTIVATE_AFTER_FAILED_CYCLES || 1);
+    const relaxationOf = this.getSearchRelaxation();
+    const plannedDrivers = new Set(plannedPairs.map(e => e.driver));
+    const plannedPassengers = new Set(plannedPairs.map(e => e.passenger));
+    
+    const searches = [
+      ...candidates.drivers.map(({ driver, phone }, i) => ({ userType: 'driver', entry: driver, phone, planned: plannedDrivers.has(i) })),
+      ...candidates.passengers.map(({ passenger, phone }, i) => ({ userType: 'passenger', entry: passenger, phone, planned: plannedPassengers.has(i) }))
+    ];
+    
+    for (const { userType, entry, phone, planned } of searches) {
+      const fallback = entry.data.fallback || { level: 0, failedCycles: 0, history: [] };
+      const level = fallback.level || 0;
+      
+      if (planned) {
+        entry.data.fallback = { ...fallback, failedCycles: level * every };
+        continue;
+      }
+      
+      result.failed++;
+      const failedCycles = (fallback.failedCycles || 0) + 1;
+      const nextLevel = levelForFailures(failedCycles, fallbackConfig);
+      entry.data.fallback = { ...fallback, failedCycles };
+      
+      if (nextLevel <= level) continue;
+      
+      const relaxation = relaxationOf({ fallback: { level: nextLevel } });
+      const relaxedAt = new Date().toISOString();
+      const widened = {
+        ...fallback,
+        failedCycles,
+        level: relaxation.level,
+        steps: relaxation.steps,
+        radiusMultiplier: relaxation.radiusMultiplier,
+        maxTimeDifferenceMinutes: Number.isFinite(relaxation.maxTimeDifferenceMinutes) ? relaxation.maxTimeDifferenceMinutes : null,
+        relaxedAt,
+        history: [...(fallback.history || []), { action: 'widened', level: relaxation.level, failedCycles, at: relaxedAt }].slice(-10)
+      };
+      
+      entry.data.fallback = widened;
+      await this.updateSearchStatus(userType, entry.id, { fallback: widened });
+      result.widened++;
+      this.fallbackStats.relaxations++;
+      
+      console.log(`🪜 [SCHEDULED] Widened ${userType} ${entry.id} to fallback level ${widened.level} (${widened.steps.join(', ')}) after ${failedCycles} failed cycles`);
+      
+      const radiusKm = Math.round((radiusMeters * widened.radiusMultiplier) / 10) / 100;
+      const widenedTo = [
+        widened.steps.includes(STEPS.EXPAND_RADIUS) && `pickups up to ${radiusKm} km away`,
+        widened.steps.includes(STEPS.RELAX_TIME) && `departures up to ${widened.maxTimeDifferenceMinutes} min apart`
+      ].filter(Boolean).join(', ');
+      
+      await this.sendRealtimeUpdate(phone, {
+        type: 'SEARCH_WIDENED',
+        title: 'Search Widened',
+        body: `No match yet, so we widened your search: ${widenedTo}`,
+        data: {
+          userType,
+          level: widened.level,
+          steps: widened.steps,
+          radiusKm,
+          maxTimeDifferenceMinutes: widened.maxTimeDifferenceMinutes
+        }
+      }).catch(error => {
+        console.error(`❌ [SCHEDULED] Could not notify ${phone} about widened search:`, error.message);
+      });
+    }
+    
+    this.fallbackStats.matchesSinceRecovery += matchesCreated;
+    result.tightened = await this.applyFallbackRecovery(fallbackConfig);
+    
+    return result;
+  }
+  
+  // AUTO_RECOVERY: once RESET_AFTER_SUCCESSFUL_MATCHES matches have been made, relaxed searches
+  // step back one level (GRADUAL_TIGHTENING) or straight to normal limits
+  async applyFallbackRecovery(fallbackConfig) {
+    const recovery = fallbackConfig.AUTO_RECOVERY || {};
+    const threshold = recovery.RESET_AFTER_SUCCESSFUL_MATCHES || 0;
+    if (!recovery.ENABLED || threshold <= 0 || this.fallbackStats.matchesSinceRecovery < threshold) return 0;
+    
+    const every = Math.max(1, fallbackConfig.ACTIVATE_AFTER_FAILED_CYCLES || 1);
+    const relaxationOf = this.getSearchRelaxation();
+    let tightened = 0;
+    
+    const relaxed = [
+      ...[...this.activeDrivers.entries()].map(([id, cached]) => ({ userType: 'driver', id, cached })),
+      ...[...this.activePassengers.entries()].map(([id, cached]) => ({ userType: 'passenger', id, cached }))
+    ].filter(({ cached }) => cached?.data?.fallback?.level > 0);
+    
+    for (const { userType, id, cached } of relaxed) {
+      const fallback = cached.data.fallback;
+      const level = recovery.GRADUAL_TIGHTENING ? fallback.level - 1 : 0;
+      const relaxation = relaxationOf({ fallback: { level } });
+      const at = new Date().toISOString();
+      
+      const tightenedFallback = {
+        ...fallback,
+        failedCycles: level * every,
+        level,
+        steps: relaxation.steps,
+        radiusMultiplier: relaxation.radiusMultiplier,
+        maxTimeDifferenceMinutes: Number.isFinite(relaxation.maxTimeDifferenceMinutes) ? relaxation.maxTimeDifferenceMinutes : null,
+        history: [...(fallback.history || []), { action: 'tightened', level, at }].slice(-10)
+      };
+      
+      cached.data.fallback = tightenedFallback;
+      await this.updateSearchStatus(userType, id, { fallback: tightenedFallback });
+      tightened++;
+    }
+    
+    this.fallbackStats.matchesSinceRecovery = 0;
+    this.fallbackStats.tightenings += tightened;
+    this.fallbackStats.lastRecoveryAt = new Date().toISOString();
+    
+    if (tightened > 0) {
+      console.log(`🔧 [SCHEDULED] Auto-recovery tightened ${tightened} relaxed searches`);
+    }
+    return tightened;
+  }
+  
+  getFallbackStats() {
+    let relaxedSearches = 0;
+    for (const cache of [this.activeDrivers, this.activePassengers]) {
+      for (const cached of cache.values()) {
+        if (cached?.data?.fallback?.level > 0) relaxedSearches++;
+      }
+    }
+    return { ...this.fallbackStats, relaxedSearches };
+  }
+  
+  // ==================== STOP PLANNING ====================
+  
+  // Pickup/dropoff order with ETAs for every accepted passenger (null when nothing to plan)
+  async planDriverStops(driverDoc) {
+    const accepted = (driverDoc.acceptedPassengers || []).filter(p => !['cancelled', 'completed'].includes(p.status));
+    if (accepted.length === 0) return null;
+    
+    try {
+      const thresholds = getScheduleMatchingConfigManager().getThresholds();
+      
+      return await planStops({
+        driverRoute: {
+          pickupLocation: driverDoc.pickupLocation,
+          destinationLocation: driverDoc.destinationLocation,
+          routePoints: driverDoc.routePoints,
+          pickupName: driverDoc.pickupName,
+          destinationName: driverDoc.destinationName
+        },
+        passengers: accepted.map(p => ({
+          phone: p.passengerPhone,
+          name: p.passengerName,
+          passengerCount: p.passengerCount || 1,
+          pickupLocation: p.passengerPickupLocation,
+          destinationLocation: p.passengerDestinationLocation,
+          pickupName: p.pickupName,
+          destinationName: p.destinationName
+        })),
+        capacity: driverDoc.initialSeats || (driverDoc.availableSeats || 0) + this._calculateTotalPassengers(driverDoc),
+        departureTime: driverDoc.scheduledTime || new Date(),
+        maxDetourPercentage: thresholds.MAX_DETOUR_PERCENTAGE
+      });
+    } catch (error) {
+      console.error('❌ [SCHEDULED] Failed to plan driver stops:', error.message);
+      return null;
+    }
+  }
+  
+  // ==================== CANCELLATION POLICY ====================
+  
+  async loadMatchingCooldowns(drivers, passengers) {
+    if (!this.cancellationPolicy) return new Map();
+    
+    const phones = [
+      ...drivers.map(d => d?.data?.userId || d?.data?.driverPhone || d?.id),
+      ...passengers.map(p => p?.data?.userId || p?.data?.passengerPhone || p?.id)
+    ].filter(Boolean);
+    
+    try {
+      return await this.cancellationPolicy.getActiveCooldowns(phones);
+    } catch (error) {
+      console.error('❌ [SCHEDULED] Failed to load cancellation cooldowns:', error.message);
+      return new Map();
+    }
+  }
+  
+  async loadBlockLists(phones) {
+    if (!this.blockService) return new Map();
+    
+    try {
+      return await this.blockService.getBlockedWith(phones.filter(Boolean));
+    } catch (error) {
+      console.error('❌ [SCHEDULED] Failed to load block lists:', error.message);
+      return new Map();
+    }
+  }
+  
+  // Fee/strike for a cancellation that was just recorded in trip_cancellations
+  async applyCancellationPolicy(cancellation) {
+    if (!this.cancellationPolicy) return null;
+    
+    const result = await this.cancellationPolicy.applyCancellation(cancellation);
+    return result.success ? result.policy : null;
+  }
+  
+  // ==================== PROPOSAL EXPIRY ====================
+  
+  /**
+   * How long a proposal waits for an answer: NOTIFICATIONS.PROPOSAL_EXPIRY minutes for the
+   * departure's time window (TIMEOUTS.MATCH_PROPOSAL outside the windows), never past departure
+   */
+  getProposalExpiryMs(scheduledTime) {
+    const configManager = getScheduleMatchingConfigManager();
+    const windowName = configManager.getWindowForTime(scheduledTime);
+    const minutes = configManager.getConfig().NOTIFICATIONS?.PROPOSAL_EXPIRY?.[windowName];
+    const expiryMs = minutes > 0 ? minutes * 60000 : TIMEOUTS.MATCH_PROPOSAL;
+    
+    const untilDeparture = new Date(scheduledTime).getTime() - Date.now();
+    return untilDeparture > 0 ? Math.min(expiryMs, untilDeparture) : expiryMs;
+  }
+  
+  // Expire the proposal exactly at expiresAt; the driver's seats stay held until then
+  scheduleProposalExpiry(matchId, { driverId, passengerId, seats, expiresAt }) {
+    this.clearProposalHold(matchId);
+    
+    const delay = Math.max(0, new Date(expiresAt).getTime() - Date.now());
+    const timer = setTimeout(() => {
+      this.expireProposal(matchId).catch(error =>
+        console.error(`❌ [SCHEDULED] Proposal expiry error for ${matchId}:`, error.message)
+      );
+    }, delay);
+    if (typeof timer.unref === 'function') timer.unref();
+    
+    this.proposalHolds.set(matchId, { driverId, passengerId, seats, expiresAt, timer });
+    this.proposalStats.scheduled++;
+  }
+  
+  clearProposalHold(matchId) {
+    const hold = this.proposalHolds.get(matchId);
+    if (!hold) return null;
+    
+    clearTimeout(hold.timer);
+    this.proposalHolds.delete(matchId);
+    return hold;
+  }
+  
+  // Driver fields that drop one open proposal; pendingMatch* then show the newest one left
+  pendingProposalCleared(driverDoc, matchId) {
+    const [latest] = Object.values(driverDoc?.pendingMatches || {})
+      .filter(proposal => proposal.matchId !== matchId)
+      .sort((a, b) => new Date(b.proposedAt) - new Date(a.proposedAt));
+    
+    return {
+      [`pendingMatches.${matchId}`]: this.admin.firestore.FieldValue.delete(),
+      pendingMatchId: latest || null,
+      pendingMatchWith: latest?.passengerPhone || null,
+      pendingMatchStatus: latest?.status || null
+    };
+  }
+  
+  // Timers for proposals still open in Firestore, after a restart
+  async loadPendingProposals() {
+    try {
+      const matches = await this.firestoreService.queryAllPages(this.MATCHES, [
+        { field: 'status', operator: 'in', value: PENDING_PROPOSAL_STATUSES }
+      ]);
+      
+      matches.forEach(match => this.scheduleProposalExpiry(match.id, {
+        driverId: this.sanitizePhoneNumber(match.driverPhone),
+        passengerId: this.sanitizePhoneNumber(match.passengerPhone),
+        seats: match.matchDetails?.passengerCount || 1,
+        expiresAt: match.expiresAt || new Date(new Date(match.proposedAt).getTime() + TIMEOUTS.MATCH_PROPOSAL).toISOString()
+      }));
+      
+      if (matches.length > 0) {
+        console.log(`⏳ [SCHEDULED] Tracking ${matches.length} open match proposals`);
+      }
+      return matches.length;
+    } catch (error) {
+      console.error('❌ [SCHEDULED] Failed to load open proposals:', error.message);
+      return 0;
+    }
+  }
+  
+  /**
+   * Expire an unanswered proposal: release the driver's held seats, tell both sides and put
+   * the passenger straight back into matching without this driver.
+   * options.reason is recorded on the match ('timeout' by default); both sides are told it expired.
+   */
+  async expireProposal(matchId, options = {}) {
+    const hold = this.clearProposalHold(matchId);
+    const matchRef = this.db.collection(this.MATCHES).doc(matchId);
+    const now = new Date().toISOString();
+    let driverId = hold?.driverId;
+    let passengerId = hold?.passengerId;
+    const written = [[this.MATCHES, matchId]];
+    
+    // The status is re-checked inside the transaction so a confirm or reject that lands
+    // between the timer firing and the write is never overwritten
+    const outcome = await this.firestoreService.runTransaction(async (tx) => {
+      const matchDoc = await tx.get(matchRef);
+      if (!matchDoc.exists) return { error: 'Match not found' };
+      
+      const matchData = matchDoc.data();
+      if (!PENDING_PROPOSAL_STATUSES.includes(matchData.status)) {
+        return { error: `Match is ${matchData.status}` };
+      }
+      
+      driverId = hold?.driverId || this.sanitizePhoneNumber(matchData.driverPhone);
+      passengerId = hold?.passengerId || this.sanitizePhoneNumber(matchData.passengerPhone);
+      const driverRef = this.db.collection(this.DRIVER_SEARCHES).doc(driverId);
+      const passengerRef = this.db.collection(this.PASSENGER_SEARCHES).doc(passengerId);
+      const driverSnapshot = await tx.get(driverRef);
+      const passengerSnapshot = await tx.get(passengerRef);
+      written.push([this.DRIVER_SEARCHES, driverId], [this.PASSENGER_SEARCHES, passengerId]);
+      
+      tx.update(matchRef, {
+        status: 'expired',
+        finalStatus: 'expired',
+        expiryReason: options.reason || 'timeout',
+        expiredAt: now,
+        updatedAt: now
+      });
       
-      setTimeout(() => {
-        this.processingMatches.clear();
-        console.log('🧹 [SCHEDULED] Cleared processing locks');
-      }, 10000);
+      const driverDoc = driverSnapshot.exists ? driverSnapshot.data() : null;
+      if (driverDoc && (driverDoc.pendingMatches?.[matchId] || driverDoc.pendingMatchWith === matchData.passengerPhone)) {
+        tx.update(driverRef, {
+          ...this.pendingProposalCleared(driverDoc, matchId),
+          updatedAt: now,
+          lastUpdated: Date.now()
+        });
+      }
+      
+      const passengerDoc = passengerSnapshot.exists ? passengerSnapshot.data() : null;
+      let passengerUpdates = null;
+      
+      // Only a passenger still waiting on this proposal goes back to matching
+      if (passengerDoc && passengerDoc.matchId === matchId && passengerDoc.status === 'pending_driver_approval') {
+        passengerUpdates = {
+          status: 'actively_matching',
+          matchId: null,
+          matchedWith: null,
+          matchStatus: null,
+          excludedDrivers: [...new Set([...(passengerDoc.excludedDrivers || []), formatPhoneNumber(matchData.driverPhone)])],
+          lastActivityAt: now,
+          lastActivityType: 'match_expired',
+          updatedAt: now,
+          lastUpdated: Date.now()
+        };
+        tx.update(passengerRef, passengerUpdates);
+      }
       
+      return { matchData, passengerDoc, passengerUpdates };
+    }, written);
+    
+    if (outcome.error) return { success: false, error: outcome.error };
+    const { matchData, passengerDoc, passengerUpdates } = outcome;
+    this.proposalStats.expired++;
+    
+    this.processingMatches.delete(`${driverId}:${passengerId}`);
+    await this.releaseProposalSeats(driverId);
+    
+    if (passengerUpdates) {
+      this.activePassengers.set(passengerId, {
+        data: { ...passengerDoc, ...passengerUpdates },
+        timestamp: Date.now()
+      });
+    }
+    
+    console.log(`⌛ [SCHEDULED] Proposal ${matchId} expired (driver ${driverId}, passenger ${passengerId})`);
+    
+    const expiredData = {
+      matchId,
+      driverPhone: matchData.driverPhone,
+      passengerPhone: matchData.passengerPhone,
+      scheduledTime: matchData.scheduledTime,
+      status: 'expired',
+      expiredAt: now
+    };
+    
+    await this.sendNotification(matchData.driverPhone, {
+      type: 'SCHEDULED_MATCH_EXPIRED',
+      title: 'Match Request Expired',
+      body: `The request from ${matchData.passengerName || 'a passenger'} expired before you answered`,
+      data: { ...expiredData, passengerName: matchData.passengerName || 'Passenger' }
+    });
+    
+    await this.sendNotification(matchData.passengerPhone, {
+      type: 'SCHEDULED_MATCH_EXPIRED',
+      title: 'Still Looking For A Driver',
+      body: 'The driver did not answer in time - we are matching you with another driver',
+      data: { ...expiredData, backToMatching: !!passengerUpdates }
+    });
+    
+    if (passengerUpdates) {
+      await this.triggerMatching('passenger', passengerId);
+    }
+    
+    return { success: true, matchId, passengerBackToMatching: !!passengerUpdates };
+  }
+  
+  // A block ends every proposal still open between the two users, whichever of them is the driver
+  async withdrawProposalsBetween(phoneA, phoneB) {
+    const pair = [formatPhoneNumber(phoneA), formatPhoneNumber(phoneB)];
+    // Matches keep the phone as the search stored it, so ask for the given and normalized forms
+    const forms = (phone) => [...new Set([phone, formatPhoneNumber(phone)])];
+    const queries = [];
+    [[phoneA, phoneB], [phoneB, phoneA]].forEach(([driver, passenger]) => {
+      forms(passenger).forEach(passengerPhone => queries.push(this.queryCollection(this.MATCHES, [
+        { field: 'driverPhone', operator: 'in', value: forms(driver) },
+        { field: 'passengerPhone', operator: '==', value: passengerPhone }
+      ], 100)));
+    });
+    
+    const found = new Map((await Promise.all(queries)).flat().map(match => [match.id, match]));
+    const matches = [...found.values()].filter(match => PENDING_PROPOSAL_STATUSES.includes(match.status));
+    
+    let withdrawn = 0;
+    for (const match of matches) {
+      const result = await this.expireProposal(match.id, { reason: 'blocked' });
+      if (result.success) withdrawn++;
+    }
+    
+    if (withdrawn > 0) {
+      console.log(`🚫 [SCHEDULED] Withdrew ${withdrawn} open proposals between ${pair[0]} and ${pair[1]}`);
+    }
+    return withdrawn;
+  }
+  
+  /**
+   * Recompute a driver's free seats in the matching cache: stored seats minus those held by
+   * proposals still open
+   */
+  async releaseProposalSeats(driverId) {
+    try {
+      const snapshot = await this.db.collection(this.DRIVER_SEARCHES).doc(driverId).get();
+      if (!snapshot.exists) return;
+      
+      const driverDoc = snapshot.data();
+      const held = [...this.proposalHolds.values()]
+        .filter(hold => hold.driverId === driverId)
+        .reduce((sum, hold) => sum + hold.seats, 0);
+      const seats = Math.max(0, (driverDoc.availableSeats ?? this.extractCapacity(driverDoc)) - held);
+      
+      if (driverDoc.status === 'actively_matching' && seats > 0) {
+        this.activeDrivers.set(driverId, {
+          data: { ...driverDoc, availableSeats: seats, capacity: seats },
+          timestamp: Date.now()
+        });
+      } else {
+        this.activeDrivers.delete(driverId);
+      }
     } catch (error) {
-      console.error('❌ [SCHEDULED] Matching error:', error.message);
+      console.error(`❌ [SCHEDULED] Failed to release seats for ${driverId}:`, error.message);
+    }
+  }
+  
+  // ==================== REMINDERS ====================
+  
+  // Keeps a trip's ride reminders in line after bookings, cancellations and time changes
+  async syncRideReminders(driverPhone) {
+    if (!this.reminderService) return null;
+    return await this.reminderService.syncTrip(this.sanitizePhoneNumber(driverPhone));
+  }
+  
+  // ==================== RECURRING RIDES ====================
+  
+  // Confirmed pair from recurring occurrences - the next occurrence prefers the same people
+  async recordRecurringPair(driverDoc, matchData, driverPhone, passengerPhone) {
+    const driverRecurrence = driverDoc?.recurrence || null;
+    const passengerRecurrence = matchData?.passengerData?.recurrence || null;
+    if (!this.recurringRides || (!driverRecurrence && !passengerRecurrence)) return;
+    
+    await this.recurringRides.recordMatchedPair({ driverRecurrence, passengerRecurrence, driverPhone, passengerPhone });
+  }
+  
+  // ==================== RATINGS ====================
+  
+  async loadMatchRatings(drivers, passengers) {
+    if (!this.ratingService) return new Map();
+    
+    const phones = [
+      ...drivers.map(d => d?.data?.userId || d?.data?.driverPhone || d?.id),
+      ...passengers.map(p => p?.data?.userId || p?.data?.passengerPhone || p?.id)
+    ].filter(Boolean);
+    
+    try {
+      return await this.ratingService.getRatingStats(phones);
+    } catch (error) {
+      console.error('❌ [SCHEDULED] Failed to load ratings:', error.message);
+      return new Map();
     }
   }
   
+  getRoleRating(ratings, phone, role) {
+    return ratings.get(formatPhoneNumber(phone))?.[role] || null;
+  }
+  
+  // Scheduled matches all pass the same route/time filter, so ratings are what differ:
+  // 70 base blended with both sides' ratings using MATCHING.SCORE_WEIGHTS.RATING
+  // fit: { pickupDistanceKm, timeDifferenceMs } from getPairFit plus ride preference compatibility;
+  // unknown parts score a neutral 0.7
+  calculateScheduledMatchScore(driverRating = null, passengerRating = null, fit = {}) {
+    const weights = MATCHING.SCORE_WEIGHTS;
+    const closeness = (value, max) => (Number.isFinite(value) ? Math.max(0, 1 - value / max) : 0.7);
+    
+    const score = 100 * (
+      weights.DISTANCE * closeness(fit.pickupDistanceKm, MATCHING.MAX_DISTANCE_FOR_INITIAL_FILTER / 1000) +
+      weights.TIME * closeness(fit.timeDifferenceMs, MATCHING.MAX_TIME_DIFFERENCE) +
+      weights.COMPATIBILITY * (Number.isFinite(fit.compatibility) ? fit.compatibility : 0.7) +
+      weights.RATING * pairRatingScore(driverRating, passengerRating)
+    );
+    return Math.round(score * 10) / 10;
+  }
+  
+  // How well a passenger's trip lines up with a driver's: pickup distance and departure gap
+  getPairFit(driverData, passengerData) {
+    const driverPickup = this.extractLocation(driverData, 'pickupLocation');
+    const passengerPickup = this.extractLocation(passengerData, 'pickupLocation');
+    const driverTime = new Date(driverData.scheduledTime).getTime();
+    const passengerTime = new Date(passengerData.scheduledTime).getTime();
+    
+    return {
+      pickupDistanceKm: driverPickup && passengerPickup
+        ? calculateHaversineDistance(driverPickup.latitude, driverPickup.longitude, passengerPickup.latitude, passengerPickup.longitude)
+        : null,
+      timeDifferenceMs: Number.isFinite(driverTime) && Number.isFinite(passengerTime)
+        ? Math.abs(driverTime - passengerTime)
+        : null
+    };
+  }
+  
   async getActiveScheduledSearches(userType) {
     const collectionName = userType === 'driver' ? this.DRIVER_SEARCHES : this.PASSENGER_SEARCHES;
     
@@ -879,6 +1980,19 @@ class ScheduledService {
       const pickupName = match.passengerData?.pickupName || match.passengerData?.rideDetails?.pickupName || 'Pickup location';
       const destinationName = match.passengerData?.destinationName || match.passengerData?.rideDetails?.destinationName || 'Destination';
       
+      // Priced from the passenger's stored coordinates; client fares and distances are ignored
+      const fareQuote = calculateFare({
+        pickupLocation: this.extractLocation(match.passengerData, 'pickupLocation'),
+        destinationLocation: this.extractLocation(match.passengerData, 'destinationLocation'),
+        seats: match.passengerCount,
+        shared: (match.driverData?.passengerCount || 0) > 0,
+        at: match.passengerData?.scheduledTime || match.driverData?.scheduledTime
+      });
+      const detourKm = await this.estimateDetourKm(match.driverData, match.passengerData);
+      
+      const scheduledTime = match.driverData?.scheduledTime || match.passengerData?.scheduledTime;
+      const expiresAt = new Date(Date.now() + this.getProposalExpiryMs(scheduledTime)).toISOString();
+      
       const matchData = {
         driverId: match.driverId,
         passengerId: match.passengerId,
@@ -888,10 +2002,11 @@ class ScheduledService {
         passengerName: passengerDetails.name,
         driverDetails: driverDetails,
         passengerDetails: passengerDetails,
+        matchScore: match.matchScore ?? this.calculateScheduledMatchScore(),
         status: 'awaiting_driver_approval',
         approvalStep: 1,
         proposedAt: new Date().toISOString(),
-        expiresAt: new Date(Date.now() + this.MATCH_EXPIRY).toISOString(),
+        expiresAt: expiresAt,
         driverDecision: null,
         passengerDecision: null,
         createdAt: new Date().toISOString(),
@@ -907,37 +2022,55 @@ class ScheduledService {
         matchDetails: {
           driverCapacity: match.availableSeats,
           passengerCount: match.passengerCount,
-          estimatedFare: match.passengerData?.estimatedFare || match.driverData?.estimatedFare || 0,
-          estimatedDistance: match.passengerData?.estimatedDistance || match.driverData?.estimatedDistance || 0
-        }
+          estimatedFare: fareQuote.total,
+          fareCurrency: fareQuote.currency,
+          estimatedDistance: fareQuote.breakdown.distanceKm,
+          estimatedDetourKm: detourKm
+        },
+        fareBreakdown: fareQuote.breakdown,
+        tariffRegion: fareQuote.region,
+        tariffVersion: fareQuote.tariffVersion
       };
       
       const matchId = await this.addDocument(this.MATCHES, matchData);
       
       console.log(`✅ [FIRESTORE] Added document to ${this.MATCHES}: ${matchId}`);
       
+      // One cycle can propose several passengers to a driver: each open proposal is kept under
+      // pendingMatches, the single pendingMatch* fields show the latest for older clients
+      const pendingProposal = {
+        approvalStep: 1,
+        createdAt: new Date().toISOString(),
+        destinationLocation: matchData.destinationLocation,
+        destinationName: destinationName,
+        driverData: match.driverData,
+        matchDetails: matchData.matchDetails,
+        passengerData: match.passengerData,
+        passengerId: match.passengerId,
+        passengerName: passengerDetails.name,
+        pickupLocation: matchData.pickupLocation,
+        pickupName: pickupName,
+        proposedAt: matchData.proposedAt,
+        expiresAt: expiresAt,
+        scheduledTime: match.driverData?.scheduledTime || match.passengerData?.scheduledTime,
+        scheduledTimestamp: match.driverData?.scheduledTimestamp || match.passengerData?.scheduledTimestamp,
+        status: 'awaiting_driver_approval'
+      };
+      
+      this.scheduleProposalExpiry(matchId, {
+        driverId: match.driverId,
+        passengerId: match.passengerId,
+        seats: match.passengerCount || 1,
+        expiresAt
+      });
+      
       await this.updateSearchStatus('driver', match.driverPhone, {
         status: 'actively_matching',
-        pendingMatchId: {
-          approvalStep: 1,
-          createdAt: new Date().toISOString(),
-          destinationLocation: matchData.destinationLocation,
-          destinationName: destinationName,
-          driverData: match.driverData,
-          matchDetails: matchData.matchDetails,
-          passengerData: match.passengerData,
-          passengerId: match.passengerId,
-          passengerName: passengerDetails.name,
-          pickupLocation: matchData.pickupLocation,
-          pickupName: pickupName,
-          proposedAt: matchData.proposedAt,
-          scheduledTime: match.driverData?.scheduledTime || match.passengerData?.scheduledTime,
-          scheduledTimestamp: match.driverData?.scheduledTimestamp || match.passengerData?.scheduledTimestamp,
-          status: 'awaiting_driver_approval'
-        },
+        [`pendingMatches.${matchId}`]: { ...pendingProposal, matchId, passengerPhone: match.passengerPhone },
+        pendingMatchId: pendingProposal,
         pendingMatchWith: match.passengerPhone,
         pendingMatchStatus: 'awaiting_driver_approval',
-        matchScore: 70
+        matchScore: matchData.matchScore
       });
       
       await this.updateSearchStatus('passenger', match.passengerPhone, {
@@ -962,12 +2095,13 @@ class ScheduledService {
           passengerPhoto: passengerDetails.profilePhoto || '',
           pickupName: pickupName,
           destinationName: destinationName,
-          estimatedFare: (match.passengerData?.estimatedFare || 0).toString(),
+          estimatedFare: fareQuote.total.toString(),
+          detourKm: detourKm === null ? '' : detourKm.toString(),
           passengerCount: (match.passengerCount || 1).toString(),
           scheduledTime: match.passengerData?.scheduledTime || '',
           timestamp: new Date().toISOString(),
-          approvalDeadline: new Date(Date.now() + this.PENDING_EXPIRY).toISOString(),
-          expiresAt: new Date(Date.now() + this.MATCH_EXPIRY).toISOString(),
+          approvalDeadline: expiresAt,
+          expiresAt: expiresAt,
           
           // Keep nested for backward compatibility
           passengerDetails: passengerDetails,
@@ -976,17 +2110,18 @@ class ScheduledService {
             destinationName: destinationName,
             scheduledTime: match.passengerData?.scheduledTime,
             passengerCount: match.passengerCount,
-            estimatedFare: match.passengerData?.estimatedFare,
+            estimatedFare: fareQuote.total,
             paymentMethod: match.passengerData?.paymentMethod || 'cash'
           }
         }
       }, { important: true });
       
-      setTimeout(() => {
+      const releaseTimer = setTimeout(() => {
         if (match.pairKey) {
           this.processingMatches.delete(match.pairKey);
         }
       }, 15000);
+      if (typeof releaseTimer.unref === 'function') releaseTimer.unref();
       
     } catch (error) {
       console.error('❌ [SCHEDULED] Error processing match:', error.message);
@@ -1042,6 +2177,10 @@ class ScheduledService {
         return { success: false, error: 'Unauthorized' };
       }
       
+      if (matchData.status === 'expired') {
+        return { success: false, error: 'This match proposal has expired' };
+      }
+      
       if (matchData.status === 'confirmed' || matchData.status === 'matched_confirmed') {
         console.log(`⚠️ [SCHEDULED] Match is already confirmed. For cancellations, use dedicated cancel endpoints.`);
         
@@ -1052,8 +2191,15 @@ class ScheduledService {
         }
       }
       
+      // Answered in time - the expiry timer no longer applies
+      const hold = this.clearProposalHold(matchId);
+      
       if (userType === 'driver') {
-        return await this._handleDriverMatchDecisionInternal(matchId, userPhone, decision, reason, matchData);
+        const result = await this._handleDriverMatchDecisionInternal(matchId, userPhone, decision, reason, matchData);
+        if (hold && result.success && result.decision === 'reject') {
+          await this.releaseProposalSeats(hold.driverId);
+        }
+        return result;
       } else {
         return await this._handlePassengerMatchDecisionInternal(matchId, userPhone, decision, reason, matchData);
       }
@@ -1110,6 +2256,9 @@ class ScheduledService {
           destinationName: matchData.destinationName || 'Destination',
           scheduledTime: matchData.scheduledTime || null,
           scheduledTimestamp: matchData.scheduledTimestamp || null,
+          // The passenger's own trip as proposed, for ride history
+          distanceKm: matchData.matchDetails?.estimatedDistance || 0,
+          durationMin: matchData.fareBreakdown?.durationMin || matchData.passengerData?.estimatedDuration || 0,
           paymentMethod: matchData.passengerDetails?.paymentMethod || 'cash',
           luggageCount: matchData.passengerData?.luggageCount || 0,
           specialRequests: matchData.passengerData?.specialRequests || '',
@@ -1127,7 +2276,11 @@ class ScheduledService {
             pickup: matchData.pickupLocation || null,
             destination: matchData.destinationLocation || null
           },
-          estimatedFare: matchData.matchDetails?.estimatedFare || 0
+          estimatedFare: matchData.matchDetails?.estimatedFare || 0,
+          tariffVersion: matchData.tariffVersion || null,
+          // pickupLocation above is the driver's; the cost split needs the passenger's own trip
+          passengerPickupLocation: this.extractLocation(matchData.passengerData || {}, 'pickupLocation'),
+          passengerDestinationLocation: this.extractLocation(matchData.passengerData || {}, 'destinationLocation')
         };
         
         console.log(`👤 [SCHEDULED] Adding passenger to driver's accepted list:`, {
@@ -1166,9 +2319,7 @@ class ScheduledService {
           passengerCount: totalPassengerCount,
           lastAcceptedAt: new Date().toISOString(),
           lastConfirmedAt: new Date().toISOString(),
-          pendingMatchId: null,
-          pendingMatchWith: null,
-          pendingMatchStatus: null,
+          ...this.pendingProposalCleared(driverDoc, matchId),
           lastActivityAt: new Date().toISOString(),
           lastActivityType: 'confirmed_match',
           updatedAt: new Date().toISOString(),
@@ -1244,6 +2395,10 @@ class ScheduledService {
           this.activeDrivers.delete(driverPhone);
         }
         
+        await this.recomputeCostSplit(driverPhone, 'passenger_added');
+        await this.syncRideReminders(driverPhone);
+        await this.recordRecurringPair(driverDoc, matchData, driverPhone, passengerPhone);
+        
         await this.sendNotification(driverPhone, {
           type: 'SCHEDULED_MATCH_CONFIRMED',
           title: 'Passenger Confirmed!',
@@ -1296,11 +2451,10 @@ class ScheduledService {
         });
         
         const driverDocRef = this.db.collection(this.DRIVER_SEARCHES).doc(driverPhone);
+        const driverSnapshot = await driverDocRef.get();
         
         batch.update(driverDocRef, {
-          pendingMatchId: null,
-          pendingMatchWith: null,
-          pendingMatchStatus: null,
+          ...this.pendingProposalCleared(driverSnapshot.data(), matchId),
           updatedAt: new Date().toISOString(),
           lastUpdated: Date.now()
         });
@@ -1398,11 +2552,10 @@ class ScheduledService {
         });
         
         const driverDocRef = this.db.collection(this.DRIVER_SEARCHES).doc(matchData.driverPhone);
+        const driverSnapshot = await driverDocRef.get();
         
         await driverDocRef.update({
-          pendingMatchId: null,
-          pendingMatchWith: null,
-          pendingMatchStatus: null,
+          ...this.pendingProposalCleared(driverSnapshot.data(), matchId),
           updatedAt: new Date().toISOString()
         });
         
@@ -1612,6 +2765,28 @@ class ScheduledService {
       console.log(`✅ [SCHEDULED] Removed passenger ${passengerPhone} from driver ${driverPhone}`);
       console.log(`💺 [SCHEDULED] Seats restored: ${restoredSeats} (was ${currentAvailableSeats})`);
       console.log(`👥 [SCHEDULED] Driver now has ${updatedAccepted.length} passengers remaining`);
+      await this.recordRideHistory('cancelled', driverDoc, cancelledPassenger, driverPhone, {
+        cancelledBy: 'driver',
+        reason
+      });
+      
+      await this.recomputeCostSplit(driverPhone, 'passenger_removed');
+      await this.syncRideReminders(driverPhone);
+      
+      const cancellationPolicy = await this.applyCancellationPolicy({
+        cancellationId: cancellationRef.id,
+        phone: driverPhone,
+        role: 'driver',
+        scheduledTime: cancelledPassenger.scheduledTime || driverDoc.scheduledTime,
+        matchStatus: cancelledPassenger.status || 'confirmed',
+        confirmedAt: cancelledPassenger.confirmedAt,
+        bookings: [{
+          rideId: cancelledPassenger.matchId,
+          driverPhone,
+          passengerPhone,
+          paymentMethod: cancelledPassenger.paymentMethod
+        }]
+      });
       
       await this.sendNotification(passengerPhone, {
         type: 'DRIVER_CANCELLED_YOUR_RIDE',
@@ -1648,6 +2823,7 @@ class ScheduledService {
         availableSeats: restoredSeats,
         capacity: restoredSeats,
         passengerCount: totalPassengerCount,
+        cancellationPolicy,
         message: `Cancelled ride for ${cancelledPassenger.passengerName}`
       };
       
@@ -1763,6 +2939,7 @@ class ScheduledService {
         acceptedPassengersSummary: [],
         totalAcceptedPassengers: 0,
         passengerCount: 0,
+        costSplit: null,
         cancelledPassengersHistory: [
           ...(driverDoc.cancelledPassengersHistory || []),
           cancellationHistoryEntry
@@ -1818,6 +2995,28 @@ class ScheduledService {
       
       console.log(`✅ [SCHEDULED] Driver ${driverPhone} cancelled all ${acceptedPassengers.length} passengers`);
       console.log(`💺 [SCHEDULED] Seats restored to: ${driverDoc.initialSeats || 4}`);
+      for (const passenger of acceptedPassengers) {
+        await this.recordRideHistory('cancelled', driverDoc, passenger, driverPhone, { cancelledBy: 'driver', reason });
+      }
+      
+      await this.syncRideReminders(driverPhone);
+      
+      // One decision for the whole trip; the fee applies to every booking it cancelled
+      const confirmations = acceptedPassengers.map(p => p.confirmedAt).filter(Boolean).sort();
+      const cancellationPolicy = await this.applyCancellationPolicy({
+        cancellationId: cancellationRef.id,
+        phone: driverPhone,
+        role: 'driver',
+        scheduledTime: driverDoc.scheduledTime,
+        matchStatus: 'confirmed',
+        confirmedAt: confirmations[0],
+        bookings: acceptedPassengers.map(p => ({
+          rideId: p.matchId,
+          driverPhone,
+          passengerPhone: p.passengerPhone,
+          paymentMethod: p.paymentMethod
+        }))
+      });
       
       return {
         success: true,
@@ -1826,6 +3025,7 @@ class ScheduledService {
         availableSeats: driverDoc.initialSeats || 4,
         capacity: driverDoc.initialSeats || 4,
         passengerCount: 0,
+        cancellationPolicy,
         message: `Cancelled trip and notified ${acceptedPassengers.length} passengers via FCM`
       };
       
@@ -2009,6 +3209,28 @@ class ScheduledService {
       console.log(`✅ [SCHEDULED] Passenger ${passengerPhone} cancelled ride with driver ${driverPhone}`);
       console.log(`💺 [SCHEDULED] Driver seats restored: ${restoredSeats}`);
       console.log(`👥 [SCHEDULED] Driver now has ${updatedAccepted.length} passengers remaining`);
+      await this.recordRideHistory('cancelled', driverDoc, {
+        ...cancelledPassenger,
+        scheduledTime: cancelledPassenger.scheduledTime || passengerDoc.scheduledTime
+      }, driverPhone, { cancelledBy: 'passenger', reason });
+      
+      await this.recomputeCostSplit(driverPhone, 'passenger_removed');
+      await this.syncRideReminders(driverPhone);
+      
+      const cancellationPolicy = await this.applyCancellationPolicy({
+        cancellationId: cancellationRef.id,
+        phone: passengerPhone,
+        role: 'passenger',
+        scheduledTime: cancelledPassenger.scheduledTime || passengerDoc.scheduledTime,
+        matchStatus: cancelledPassenger.status || 'confirmed',
+        confirmedAt: cancelledPassenger.confirmedAt,
+        bookings: [{
+          rideId: cancelledPassenger.matchId,
+          driverPhone,
+          passengerPhone,
+          paymentMethod: cancelledPassenger.paymentMethod
+        }]
+      });
       
       await this.sendNotification(driverPhone, {
         type: 'PASSENGER_CANCELLED_RIDE',
@@ -2075,6 +3297,7 @@ class ScheduledService {
           availableSeats: restoredSeats,
           capacity: restoredSeats
         },
+        cancellationPolicy,
         message: `Ride cancelled successfully. FCM sent to both parties.`
       };
       
@@ -2084,7 +3307,353 @@ class ScheduledService {
       return { success: false, error: error.message };
     }
   }
-  
+
+  // ==================== RIDE START ====================
+
+  /**
+   * Driver sets off: confirmed bookings go in progress and each passenger gets a live
+   * location session, which trip share links read from.
+   * @param {string} driverPhone
+   * @returns {Promise<Object>} { success, started: [{ matchId, passengerPhone, sessionId }] }
+   */
+  async handleStartScheduledRide(driverPhone) {
+    try {
+      const driverRef = this.db.collection(this.DRIVER_SEARCHES).doc(this.sanitizePhoneNumber(driverPhone));
+      const driverSnapshot = await driverRef.get();
+      if (!driverSnapshot.exists) {
+        return { success: false, error: 'Driver schedule not found' };
+      }
+      const driverDoc = driverSnapshot.data();
+      
+      const acceptedPassengers = driverDoc.acceptedPassengers || [];
+      const starting = acceptedPassengers.filter(p => (p.status || 'confirmed') === 'confirmed');
+      if (starting.length === 0) {
+        return { success: false, error: 'No confirmed passengers to start' };
+      }
+      
+      const now = new Date().toISOString();
+      const startedIds = new Set(starting.map(p => p.matchId));
+      const batch = this.db.batch();
+      
+      batch.update(driverRef, {
+        acceptedPassengers: acceptedPassengers.map(p => startedIds.has(p.matchId)
+          ? { ...p, status: 'in_progress', rideStartedAt: now }
+          : p),
+        rideStartedAt: driverDoc.rideStartedAt || now,
+        updatedAt: now,
+        lastUpdated: Date.now()
+      });
+      starting.forEach(p => {
+        batch.update(this.db.collection(this.MATCHES).doc(p.matchId), {
+          status: 'in_progress',
+          rideStartedAt: now,
+          updatedAt: now
+        });
+      });
+      
+      await batch.commit();
+      
+      const started = [];
+      for (const p of starting) {
+        // Ids as the WebSocket and auth layers know them, so the driver's updates find the session
+        const sessionId = this.locationService
+          ? await this.locationService.startRealtimeLocationSharing(
+            p.matchId,
+            formatPhoneNumber(driverPhone),
+            formatPhoneNumber(p.passengerPhone),
+            'passenger',
+            TIMEOUTS.RIDE_LOCATION_SHARING_DURATION
+          )
+          : null;
+        
+        await this.sendNotification(p.passengerPhone, {
+          type: 'SCHEDULED_RIDE_STARTED',
+          title: 'Ride Started',
+          body: `${driverDoc.driverName || 'Your driver'} is on the way.`,
+          data: { matchId: p.matchId, driverPhone, rideStartedAt: now, sessionId }
+        });
+        
+        started.push({ matchId: p.matchId, passengerPhone: p.passengerPhone, sessionId });
+      }
+      
+      console.log(`🚗 [SCHEDULED] Driver ${driverPhone} started the ride with ${started.length} booking(s)`);
+      return { success: true, started };
+      
+    } catch (error) {
+      console.error('❌ [SCHEDULED] Error in handleStartScheduledRide:', error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // ==================== RIDE COMPLETION ====================
+
+  /**
+   * Driver finishes the trip (or one booking on it): matches and passenger searches become
+   * completed, each booking goes to ride history and its fare to the ledger.
+   * Each passenger pays their stored quoted share by the method they booked with; the driver
+   * never sets either - corrections go through the admin ledger adjustments.
+   * @param {string} driverPhone
+   * @param {Object} options - { matchId? (one booking, default all) }
+   */
+  async handleCompleteScheduledRide(driverPhone, options = {}) {
+    try {
+      // Read straight from Firestore: a cached copy would let a booking be completed twice
+      const driverRef = this.db.collection(this.DRIVER_SEARCHES).doc(this.sanitizePhoneNumber(driverPhone));
+      const driverSnapshot = await driverRef.get();
+      if (!driverSnapshot.exists) {
+        return { success: false, error: 'Driver schedule not found' };
+      }
+      const driverDoc = driverSnapshot.data();
+      
+      const acceptedPassengers = driverDoc.acceptedPassengers || [];
+      const completing = acceptedPassengers.filter(p =>
+        COMPLETABLE_BOOKING_STATUSES.includes(p.status || 'confirmed') &&
+        (!options.matchId || p.matchId === options.matchId)
+      );
+      
+      if (completing.length === 0) {
+        return { success: false, error: options.matchId ? 'Booking not found on this trip' : 'No confirmed passengers to complete' };
+      }
+      
+      const now = new Date().toISOString();
+      const fareOf = (p) => Number(p.fareShare ?? p.estimatedFare ?? 0) || 0;
+      const completedIds = new Set(completing.map(p => p.matchId));
+      
+      const updatedAccepted = acceptedPassengers.map(p => completedIds.has(p.matchId)
+        ? { ...p, status: 'completed', completedAt: now, paymentAmount: fareOf(p), paymentMethod: p.paymentMethod || 'cash' }
+        : p);
+      const tripCompleted = updatedAccepted.every(p => !COMPLETABLE_BOOKING_STATUSES.includes(p.status || 'confirmed'));
+      
+      const passengerRefs = completing.map(p => this.db.collection(this.PASSENGER_SEARCHES).doc(this.sanitizePhoneNumber(p.passengerPhone)));
+      const passengerSnapshots = await Promise.all(passengerRefs.map(ref => ref.get()));
+      
+      const batch = this.db.batch();
+      
+      batch.update(driverRef, {
+        acceptedPassengers: updatedAccepted,
+        acceptedPassengersSummary: (driverDoc.acceptedPassengersSummary || []).map(p =>
+          completedIds.has(p.matchId) ? { ...p, status: 'completed' } : p),
+        ...(tripCompleted ? { status: 'completed', completedAt: now } : {}),
+        updatedAt: now,
+        lastUpdated: Date.now()
+      });
+      
+      completing.forEach((p, i) => {
+        const completed = updatedAccepted.find(u => u.matchId === p.matchId);
+        batch.update(this.db.collection(this.MATCHES).doc(p.matchId), {
+          status: 'completed',
+          finalStatus: 'completed',
+          completedAt: now,
+          paymentAmount: completed.paymentAmount,
+          paymentMethod: completed.paymentMethod,
+          updatedAt: now
+        });
+        
+        // The passenger may have moved on to a new search since
+        if (passengerSnapshots[i].exists && passengerSnapshots[i].data().matchId === p.matchId) {
+          batch.update(passengerRefs[i], {
+            status: 'completed',
+            matchStatus: 'completed',
+            completedAt: now,
+            updatedAt: now,
+            lastUpdated: Date.now()
+          });
+        }
+      });
+      
+      await batch.commit();
+      
+      if (tripCompleted) {
+        this.activeDrivers.delete(this.sanitizePhoneNumber(driverPhone));
+      }
+      await this.syncRideReminders(driverPhone);
+      
+      const completed = [];
+      for (const p of completing) {
+        const booking = updatedAccepted.find(u => u.matchId === p.matchId);
+        await this.recordRideHistory('completed', driverDoc, booking, driverPhone, {
+          paymentAmount: booking.paymentAmount,
+          paymentMethod: booking.paymentMethod,
+          completedAt: now
+        });
+        await this.recordRideFare(booking, driverPhone);
+        await this.locationService?.stopRealtimeLocationSharing(`loc_${p.matchId}`);
+        
+        await this.sendNotification(p.passengerPhone, {
+          type: 'SCHEDULED_RIDE_COMPLETED',
+          title: 'Ride Completed',
+          body: 'Your ride is complete! Rate your experience.',
+          data: {
+            matchId: p.matchId,
+            rideId: p.matchId,
+            driverPhone,
+            driverName: driverDoc.driverName || 'Driver',
+            paymentAmount: booking.paymentAmount,
+            paymentMethod: booking.paymentMethod,
+            completedAt: now
+          }
+        });
+        
+        completed.push({ matchId: p.matchId, passengerPhone: p.passengerPhone, paymentAmount: booking.paymentAmount });
+      }
+      
+      console.log(`🏁 [SCHEDULED] Driver ${driverPhone} completed ${completed.length} booking(s)${tripCompleted ? ' - trip finished' : ''}`);
+      return { success: true, completed, tripCompleted };
+      
+    } catch (error) {
+      console.error('❌ [SCHEDULED] Error in handleCompleteScheduledRide:', error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // The ledger de-duplicates by rideId, so a retried completion can't charge twice
+  async recordRideFare(booking, driverPhone) {
+    if (!this.ledgerService) return;
+    
+    const result = await this.ledgerService.recordRideFare({
+      rideId: booking.matchId,
+      driverPhone,
+      passengerPhone: booking.passengerPhone,
+      amount: booking.paymentAmount,
+      paymentMethod: booking.paymentMethod
+    });
+    if (!result.success) {
+      console.warn(`⚠️ [SCHEDULED] Fare for ${booking.matchId} not posted to the ledger: ${result.error}`);
+    }
+  }
+
+  // ==================== COST SPLITTING ====================
+
+  /**
+   * Re-split the driver's pooled trip cost across the current accepted passengers,
+   * store each passenger's share and push the changed shares over WebSocket.
+   * Called whenever a passenger joins or leaves the trip.
+   */
+  async recomputeCostSplit(driverPhone, reason = 'passengers_changed') {
+    try {
+      const sanitizedDriver = this.sanitizePhoneNumber(driverPhone);
+      // Read straight from Firestore: the accept/cancel paths write through raw refs
+      const driverSnapshot = await this.db.collection(this.DRIVER_SEARCHES).doc(sanitizedDriver).get();
+
+      if (!driverSnapshot.exists) {
+        return { success: false, error: 'Driver document not found' };
+      }
+
+      const driverDoc = driverSnapshot.data();
+      const accepted = driverDoc.acceptedPassengers || [];
+
+      if (accepted.length === 0) {
+        await this.updateSearchStatus('driver', sanitizedDriver, { costSplit: null });
+        return { success: true, costSplit: null };
+      }
+
+      const costSplit = splitTripCost({
+        route: {
+          pickupLocation: driverDoc.pickupLocation,
+          destinationLocation: driverDoc.destinationLocation,
+          routePoints: driverDoc.routePoints
+        },
+        riders: accepted.map(p => ({
+          phone: p.passengerPhone,
+          pickupLocation: p.passengerPickupLocation || p.pickupLocation,
+          destinationLocation: p.passengerDestinationLocation || p.destinationLocation,
+          seats: p.passengerCount || 1
+        })),
+        at: driverDoc.scheduledTime
+      });
+      costSplit.reason = reason;
+
+      const sharesByPhone = new Map(costSplit.shares.map(s => [s.phone, s]));
+
+      const updatedAccepted = accepted.map(p => {
+        const share = sharesByPhone.get(p.passengerPhone);
+        return {
+          ...p,
+          previousFareShare: p.fareShare ?? null,
+          fareShare: share.share
+        };
+      });
+
+      await this.updateSearchStatus('driver', sanitizedDriver, {
+        acceptedPassengers: updatedAccepted.map(({ previousFareShare, ...p }) => p),
+        costSplit
+      });
+
+      console.log(`💰 [SCHEDULED] Cost split for ${sanitizedDriver} (${reason}): ${costSplit.totalCollected} ${costSplit.currency} across ${accepted.length} passengers`);
+
+      for (const passenger of updatedAccepted) {
+        const share = sharesByPhone.get(passenger.passengerPhone);
+        const passengerSplit = {
+          share: share.share,
+          soloFare: share.soloFare,
+          savings: share.savings,
+          sharedKm: share.sharedKm,
+          rideKm: share.rideKm,
+          method: share.method,
+          currency: costSplit.currency,
+          tariffVersion: costSplit.tariffVersion,
+          coRiders: accepted.length - 1,
+          computedAt: costSplit.computedAt
+        };
+
+        await this.updateSearchStatus('passenger', passenger.passengerPhone, {
+          fareShare: share.share,
+          costSplit: passengerSplit
+        });
+
+        if (passenger.matchId) {
+          await this.updateDocument(this.MATCHES, passenger.matchId, {
+            fareShare: share.share,
+            costSplit: passengerSplit,
+            updatedAt: new Date().toISOString()
+          }).catch(error => {
+            console.error(`❌ [SCHEDULED] Could not store fare share on match ${passenger.matchId}:`, error.message);
+          });
+        }
+
+        if (passenger.previousFareShare === share.share) continue;
+
+        await this.sendRealtimeUpdate(passenger.passengerPhone, {
+          type: 'FARE_SHARE_UPDATED',
+          title: 'Fare Updated',
+          body: `Your share of the trip is now ${share.share} ${costSplit.currency}`,
+          data: {
+            driverPhone: sanitizedDriver,
+            matchId: passenger.matchId || null,
+            previousShare: passenger.previousFareShare,
+            reason,
+            ...passengerSplit
+          }
+        });
+      }
+
+      await this.sendRealtimeUpdate(sanitizedDriver, {
+        type: 'TRIP_COST_SPLIT_UPDATED',
+        title: 'Trip Fares Updated',
+        body: `Passengers now pay ${costSplit.totalCollected} ${costSplit.currency} in total`,
+        data: { reason, costSplit }
+      });
+
+      return { success: true, costSplit };
+
+    } catch (error) {
+      console.error('❌ [SCHEDULED] Error recomputing cost split:', error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // WebSocket first (user is in the app), push notification when they aren't connected
+  async sendRealtimeUpdate(userId, message) {
+    const payload = { ...message, timestamp: new Date().toISOString() };
+
+    if (this.websocketServer && typeof this.websocketServer.sendToUser === 'function') {
+      const delivered = await this.websocketServer.sendToUser(formatPhoneNumber(userId), payload);
+      if (delivered) return { success: true, method: 'websocket' };
+    }
+
+    return await this.sendNotification(userId, payload);
+  }
+
   async getUserScheduledSearch(userType, phoneNumber) {
     if (!phoneNumber) return null;
     
@@ -2198,6 +3767,7 @@ class ScheduledService {
         destinationName: passenger.destinationName,
         scheduledTime: passenger.scheduledTime,
         estimatedFare: passenger.estimatedFare,
+        fareShare: passenger.fareShare ?? null,
         status: passenger.status || 'confirmed',
         matchId: passenger.matchId,
         acceptedAt: passenger.acceptedAt,
@@ -2205,15 +3775,18 @@ class ScheduledService {
       }));
       
       const totalPassengerCount = enhancedPassengers.reduce((sum, p) => sum + (p.passengerCount || 1), 0);
+      const stopPlan = await this.planDriverStops(driverDoc);
       
       return {
         success: true,
         passengers: enhancedPassengers,
+        stopPlan: stopPlan,
         summary: summary,
         totalPassengers: enhancedPassengers.length,
         totalPassengerCount: totalPassengerCount,
         availableSeats: driverDoc.availableSeats || 0,
         capacity: driverDoc.capacity || driverDoc.availableSeats || 0,
+        costSplit: driverDoc.costSplit || null,
         driverStatus: driverDoc.status,
         driverName: driverDoc.driverName,
         driverPhone: driverPhone,
@@ -2314,6 +3887,7 @@ class ScheduledService {
       
       if (userType === 'driver') {
         this.activeDrivers.delete(sanitizedPhone);
+        await this.syncRideReminders(sanitizedPhone);
       } else {
         this.activePassengers.delete(sanitizedPhone);
       }
@@ -2353,6 +3927,11 @@ class ScheduledService {
   
   extractCapacity(data) {
     try {
+      // Registered vehicle: seats left on the search (0 included), never more than the vehicle has
+      if (data.vehicle?.seats) {
+        const seats = Number(data.availableSeats ?? data.capacity ?? data.vehicle.seats);
+        return Math.max(0, Math.min(Number.isFinite(seats) ? seats : data.vehicle.seats, data.vehicle.seats));
+      }
       return data.capacity || data.availableSeats || data.seatsAvailable || data.vehicleInfo?.capacity || 4;
     } catch {
       return 4;
@@ -2412,6 +3991,9 @@ class ScheduledService {
         totalRides: data.totalRides || 0,
         profilePhoto: data.profilePhoto || data.driverPhoto || data.photoUrl || null,
         isVerified: data.isVerified || data.verified || false,
+        vehicleId: data.vehicleId || null,
+        vehicleFeatures: data.vehicle?.features || [],
+        vehicleVerification: data.vehicle?.verificationStatus || null,
         capacity: this.extractCapacity(data),
         availableSeats: this.extractCapacity(data)
       };
@@ -2456,6 +4038,22 @@ class ScheduledService {
     }
   }
   
+  async getStats() {
+    return {
+      success: true,
+      activeDrivers: this.activeDrivers.size,
+      activePassengers: this.activePassengers.size,
+      processingMatches: this.processingMatches.size,
+      spatialIndex: this.activePassengers.index.getStats(),
+      assignment: this.getAssignmentMetrics(),
+      timeWindows: this.getWindowStats(),
+      fallback: this.getFallbackStats(),
+      proposals: { open: this.proposalHolds.size, ...this.proposalStats },
+      reminders: this.reminderService ? this.reminderService.getStats() : null,
+      recurringRides: this.recurringRides ? this.recurringRides.getStats() : null
+    };
+  }
+  
   async cleanup() {
     console.log('🧹 [SCHEDULED] Running cleanup...');
     
@@ -2478,28 +4076,23 @@ class ScheduledService {
     
     console.log(`🧹 [SCHEDULED] Cleaned ${cleaned} expired entries from memory`);
     
+    // Backstop for the proposal timers, e.g. proposals made by another instance
     try {
-      const expiryTime = new Date(Date.now() - this.MATCH_EXPIRY).toISOString();
-      
       const matches = await this.queryCollection(
         this.MATCHES,
         [
-          { field: 'status', operator: 'in', value: ['awaiting_driver_approval', 'awaiting_passenger_approval'] },
-          { field: 'proposedAt', operator: '<', value: expiryTime }
+          { field: 'status', operator: 'in', value: PENDING_PROPOSAL_STATUSES },
+          { field: 'expiresAt', operator: '<', value: new Date().toISOString() }
         ],
         10
       );
       
       if (matches && matches.length > 0) {
         for (const match of matches) {
-          await this.updateDocument(this.MATCHES, match.id, {
-            status: 'expired',
-            expiredAt: new Date().toISOString(),
-            updatedAt: new Date().toISOString()
-          });
+          await this.expireProposal(match.id);
         }
         
-        console.log(`🧹 [SCHEDULED] Cleaned ${matches.length} expired matches from Firestore`);
+        console.log(`🧹 [SCHEDULED] Expired ${matches.length} overdue match proposals`);
       }
       
     } catch (error) {
@@ -2515,6 +4108,15 @@ class ScheduledService {
       this.cleanupInterval = null;
     }
     
+    this.clearWindowTimers();
+    this.queuedWindows.clear();
+    this.proposalHolds.forEach(hold => clearTimeout(hold.timer));
+    this.proposalHolds.clear();
+    if (this.onMatchingConfigChange) {
+      getScheduleMatchingConfigManager().removeConfigListener(this.onMatchingConfigChange);
+      this.onMatchingConfigChange = null;
+    }
+    
     this.activeDrivers.clear();
     this.activePassengers.clear();
     this.processingMatches.clear();
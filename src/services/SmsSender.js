@@ -0,0 +1,124 @@
+// services/SmsSender.js
+// Pluggable SMS senders used for OTP delivery and trip-sharing links.
+// Every sender implements: async send(phoneNumber, message) -> { success, messageId?, error? }
+
+const crypto = require('crypto');
+const logger = require('../utils/Logger');
+
+/**
+ * Local/development sender - keeps messages in memory and logs them
+ */
+class FakeSmsSender {
+  constructor(options = {}) {
+    this.name = 'fake';
+    this.outbox = [];
+    this.maxOutboxSize = options.maxOutboxSize || 100;
+  }
+
+  async send(phoneNumber, message) {
+    const entry = {
+      messageId: `fake_sms_${crypto.randomUUID()}`,
+      to: phoneNumber,
+      message,
+      sentAt: new Date().toISOString()
+    };
+
+    this.outbox.push(entry);
+    if (this.outbox.length > this.maxOutboxSize) {
+      this.outbox.shift();
+    }
+
+    // Bodies carry OTP codes and trip links - only the outbox keeps them
+    console.log(`📨 [FAKE SMS] To ${phoneNumber} (${message.length} chars)`);
+    return { success: true, messageId: entry.messageId };
+  }
+
+  /**
+   * Most recent message sent to a phone number (local testing helper)
+   */
+  getLastMessage(phoneNumber) {
+    for (let i = this.outbox.length - 1; i >= 0; i--) {
+      if (this.outbox[i].to === phoneNumber) {
+        return this.outbox[i];
+      }
+    }
+    return null;
+  }
+
+  clear() {
+    this.outbox = [];
+  }
+}
+
+/**
+ * Generic HTTP gateway sender - POSTs { to, message } as JSON
+ */
+class HttpSmsSender {
+  constructor(options = {}) {
+    this.name = 'http';
+    this.url = options.url || process.env.SMS_GATEWAY_URL;
+    this.apiKey = options.apiKey || process.env.SMS_API_KEY;
+    this.senderId = options.senderId || process.env.SMS_SENDER_ID || 'ShareWay';
+    this.timeout = options.timeout || 10000;
+
+    if (!this.url) {
+      throw new Error('SMS_GATEWAY_URL environment variable is not set');
+    }
+  }
+
+  async send(phoneNumber, message) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.timeout);
+
+    try {
+      const response = await fetch(this.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {})
+        },
+        body: JSON.stringify({ to: phoneNumber, from: this.senderId, message }),
+        signal: controller.signal
+      });
+
+      if (!response.ok) {
+        const text = await response.text().catch(() => '');
+        logger.error('SMS', `Gateway rejected SMS to ${phoneNumber}: ${response.status} ${text}`);
+        return { success: false, error: `SMS gateway responded with ${response.status}` };
+      }
+
+      const body = await response.json().catch(() => ({}));
+      return { success: true, messageId: body.messageId || body.id || null };
+    } catch (error) {
+      logger.error('SMS', `Failed to send SMS to ${phoneNumber}: ${error.message}`);
+      return { success: false, error: error.message };
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+}
+
+/**
+ * Build the sender selected by SMS_PROVIDER ('fake' | 'http').
+ * Production must name a real provider - the fake one never delivers anything.
+ */
+function createSmsSender(provider = process.env.SMS_PROVIDER, options = {}) {
+  if (process.env.NODE_ENV === 'production' && (!provider || provider === 'fake')) {
+    throw new Error('SMS_PROVIDER must be set to a real provider (e.g. http) in production');
+  }
+
+  switch (provider || 'fake') {
+    case 'http':
+      return new HttpSmsSender(options);
+    case 'fake':
+      return new FakeSmsSender(options);
+    default:
+      throw new Error(`Unknown SMS provider: ${provider}`);
+  }
+}
+
+module.exports = {
+  FakeSmsSender,
+  HttpSmsSender,
+  createSmsSender
+};
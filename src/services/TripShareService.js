@@ -0,0 +1,372 @@
+// services/TripShareService.js
+// Live trip links for people without the app. A passenger keeps up to MAX_TRUSTED_CONTACTS
+// trusted contacts (trusted_contacts/{phone}) and, while a location session with their driver is
+// active, can open a tokenized read-only link and text it to them.
+//
+// trip_shares/{tokenHash} holds the link: owner, location session, expiry and what the contact
+// sees of the trip (driver first name, vehicle, pickup/destination, route) - snapshotted when the
+// link is made. The driver's position comes from RealtimeLocationService.getLatestLocation on each
+// read, the ETA from the shared RouteClient (refreshed at most every ETA_REFRESH). Nothing in a
+// snapshot carries a phone number.
+//
+// Firestore queries: trip_shares where owner == ...
+
+const crypto = require('crypto');
+const logger = require('../utils/Logger');
+const cache = require('../utils/cache');
+const { formatPhoneNumber } = require('../utils/helpers');
+const { getRouter } = require('./RoutingProvider');
+const {
+  hashShareToken,
+  newShareToken,
+  normalizeContact,
+  resolveShareDuration,
+  simplifyRoute,
+  vehicleSummary,
+  firstName,
+  shareStatus,
+  toLatLng
+} = require('../utils/tripSharing');
+const { COLLECTIONS, TRIP_SHARING } = require('../config/constants');
+
+const SHARE_CACHE_TTL = 5000; // streams re-read the share every STREAM_INTERVAL
+
+class TripShareService {
+  constructor(firestoreService, locationService = null, smsSender = null) {
+    console.log('🔗 [TRIP SHARE] Initializing TripShareService');
+
+    // Behind Render's proxy the request's protocol and host are not the public ones
+    if (process.env.NODE_ENV === 'production' && !TRIP_SHARING.PUBLIC_BASE_URL) {
+      throw new Error('PUBLIC_BASE_URL must be set in production');
+    }
+
+    this.firestoreService = firestoreService;
+    this.db = firestoreService?.db;
+    this.locationService = locationService;
+    this.smsSender = smsSender;
+
+    this.SHARES = COLLECTIONS.TRIP_SHARES;
+    this.CONTACTS = COLLECTIONS.TRUSTED_CONTACTS;
+
+    this.etas = new Map();    // tokenHash -> { at, eta }
+    this.streams = new Map(); // tokenHash -> open stream count
+
+    logger.info('TRIP_SHARE', '🔗 Trip Share Service initialized');
+  }
+
+  // ========== TRUSTED CONTACTS ==========
+
+  async listContacts(phoneNumber) {
+    try {
+      return { success: true, contacts: await this.loadContacts(formatPhoneNumber(phoneNumber)) };
+    } catch (error) {
+      logger.error('TRIP_SHARE', `Failed to list contacts for ${phoneNumber}: ${error.message}`);
+      return { success: false, error: error.message, contacts: [] };
+    }
+  }
+
+  async addContact(phoneNumber, input) {
+    try {
+      const owner = formatPhoneNumber(phoneNumber);
+      const { contact, error } = normalizeContact(input);
+      if (error) return { success: false, error };
+      if (contact.phone === owner) return { success: false, error: 'You cannot add yourself as a trusted contact' };
+
+      const contacts = await this.loadContacts(owner);
+      const existing = contacts.find(c => c.phone === contact.phone);
+      if (existing) return { success: true, alreadyAdded: true, contact: existing };
+      if (contacts.length >= TRIP_SHARING.MAX_TRUSTED_CONTACTS) {
+        return { success: false, error: `At most ${TRIP_SHARING.MAX_TRUSTED_CONTACTS} trusted contacts` };
+      }
+
+      const added = { id: crypto.randomUUID(), ...contact, addedAt: new Date().toISOString() };
+      await this.saveContacts(owner, [...contacts, added]);
+
+      console.log(`🔗 [TRIP SHARE] ${owner} added trusted contact ${added.id}`);
+      return { success: true, contact: added };
+    } catch (error) {
+      logger.error('TRIP_SHARE', `Failed to add contact for ${phoneNumber}: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async removeContact(phoneNumber, contactId) {
+    try {
+      const owner = formatPhoneNumber(phoneNumber);
+      const contacts = await this.loadContacts(owner);
+      if (!contacts.some(c => c.id === contactId)) return { success: false, error: 'Contact not found' };
+
+      await this.saveContacts(owner, contacts.filter(c => c.id !== contactId));
+      return { success: true, removed: contactId };
+    } catch (error) {
+      logger.error('TRIP_SHARE', `Failed to remove contact for ${phoneNumber}: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async loadContacts(owner) {
+    const doc = await this.db.collection(this.CONTACTS).doc(owner).get();
+    return doc.exists ? doc.data().contacts || [] : [];
+  }
+
+  async saveContacts(owner, contacts) {
+    await this.firestoreService.setDocument(this.CONTACTS, owner, {
+      phone: owner,
+      contacts,
+      updatedAt: new Date().toISOString()
+    });
+  }
+
+  // ========== SHARES ==========
+
+  /**
+   * Opens a link to the passenger's current trip and texts it to the chosen contacts
+   * @param {string} phoneNumber - passenger
+   * @param {Object} options - { contactIds?, durationMinutes? }
+   * @param {string} requestBaseUrl - used when TRIP_SHARING.PUBLIC_BASE_URL is not set (never in production)
+   * @returns {Object} { success, share, url, notified } - url carries the token and is only returned here
+   */
+  async createShare(phoneNumber, options = {}, requestBaseUrl = '') {
+    try {
+      const owner = formatPhoneNumber(phoneNumber);
+      const { minutes, error } = resolveShareDuration(options.durationMinutes);
+      if (error) return { success: false, error };
+
+      const contacts = await this.loadContacts(owner);
+      const contactIds = Array.isArray(options.contactIds) ? options.contactIds : [];
+      const recipients = contacts.filter(c => contactIds.includes(c.id));
+      if (recipients.length !== contactIds.length) return { success: false, error: 'Unknown contact in contactIds' };
+
+      const session = await this.findPassengerSession(phoneNumber, owner);
+      if (!session) return { success: false, error: 'No active trip to share - location sharing with your driver is not on' };
+
+      const { shares } = await this.listShares(owner);
+      if (shares.filter(s => s.status === 'active').length >= TRIP_SHARING.MAX_ACTIVE_SHARES) {
+        return { success: false, error: `At most ${TRIP_SHARING.MAX_ACTIVE_SHARES} active trip links` };
+      }
+
+      const { token, tokenHash } = newShareToken();
+      const now = new Date();
+      const share = {
+        id: crypto.randomUUID(),
+        tokenHash,
+        owner,
+        sessionId: session.sessionId,
+        trip: await this.tripDetails(owner, session.driverId),
+        sharedWith: recipients.map(c => c.id),
+        createdAt: now.toISOString(),
+        expiresAt: new Date(now.getTime() + minutes * 60 * 1000).toISOString(),
+        revokedAt: null
+      };
+
+      await this.firestoreService.setDocument(this.SHARES, tokenHash, share);
+
+      const url = `${(TRIP_SHARING.PUBLIC_BASE_URL || requestBaseUrl).replace(/\/+$/, '')}/share/${token}`;
+      const notified = await this.notifyContacts(recipients, share, url);
+
+      console.log(`🔗 [TRIP SHARE] ${owner} shared session ${session.sessionId} until ${share.expiresAt}`);
+      return { success: true, share: this.toPublicShare(share), url, notified };
+    } catch (error) {
+      logger.error('TRIP_SHARE', `Failed to create share for ${phoneNumber}: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // The caller's links, newest first
+  async listShares(phoneNumber) {
+    try {
+      const shares = await this.firestoreService.queryCollection(this.SHARES, [
+        { field: 'owner', operator: '==', value: formatPhoneNumber(phoneNumber) }
+      ]);
+
+      return {
+        success: true,
+        shares: shares
+          .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)))
+          .map(share => this.toPublicShare(share))
+      };
+    } catch (error) {
+      logger.error('TRIP_SHARE', `Failed to list shares for ${phoneNumber}: ${error.message}`);
+      return { success: false, error: error.message, shares: [] };
+    }
+  }
+
+  async revokeShare(phoneNumber, shareId) {
+    try {
+      const shares = await this.firestoreService.queryCollection(this.SHARES, [
+        { field: 'owner', operator: '==', value: formatPhoneNumber(phoneNumber) }
+      ]);
+      const share = shares.find(s => s.id === shareId);
+      if (!share) return { success: false, error: 'Trip link not found' };
+      if (share.revokedAt) return { success: true, alreadyRevoked: true, share: this.toPublicShare(share) };
+
+      share.revokedAt = new Date().toISOString();
+      await this.firestoreService.updateDocument(this.SHARES, share.tokenHash, { revokedAt: share.revokedAt });
+      this.forgetShare(share.tokenHash);
+
+      console.log(`🔗 [TRIP SHARE] ${share.owner} revoked trip link ${share.id}`);
+      return { success: true, share: this.toPublicShare(share) };
+    } catch (error) {
+      logger.error('TRIP_SHARE', `Failed to revoke share ${shareId}: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  }
+
+  toPublicShare(share) {
+    const expired = new Date(share.expiresAt).getTime() <= Date.now();
+    return {
+      id: share.id,
+      status: share.revokedAt ? 'revoked' : expired ? 'expired' : 'active',
+      sharedWith: share.sharedWith || [],
+      createdAt: share.createdAt,
+      expiresAt: share.expiresAt,
+      revokedAt: share.revokedAt || null
+    };
+  }
+
+  // ========== PUBLIC VIEW ==========
+
+  /**
+   * What the link shows right now
+   * @param {string} token - from the link
+   * @returns {Object|null} null for an unknown token; otherwise { status, expiresAt, trip, driver, eta }
+   * where driver and eta are only filled while the share is 'live'
+   */
+  async getSnapshot(token) {
+    const tokenHash = hashShareToken(token);
+    const share = await this.loadShare(tokenHash);
+    if (!share) return null;
+
+    const session = this.locationService?.getSession(share.sessionId) || null;
+    const latest = session ? this.locationService.getLatestLocation(share.sessionId, 'driver') : null;
+    const status = shareStatus(share, session, latest);
+
+    const snapshot = {
+      status,
+      expiresAt: share.expiresAt,
+      trip: share.trip,
+      driver: null,
+      eta: null,
+      updatedAt: new Date().toISOString()
+    };
+    if (status !== 'live') return snapshot;
+
+    const position = toLatLng(latest.location);
+    snapshot.driver = {
+      position,
+      heading: latest.location.heading || 0,
+      speed: latest.location.speed || 0,
+      reportedAt: new Date(latest.timestamp).toISOString()
+    };
+    snapshot.eta = await this.estimateArrival(tokenHash, position, share.trip.destination);
+    return snapshot;
+  }
+
+  // SSE streams per link are capped so a leaked link can't hold many connections open
+  openStream(token) {
+    const tokenHash = hashShareToken(token);
+    const open = this.streams.get(tokenHash) || 0;
+    if (open >= TRIP_SHARING.MAX_STREAMS_PER_SHARE) return false;
+
+    this.streams.set(tokenHash, open + 1);
+    return true;
+  }
+
+  closeStream(token) {
+    const tokenHash = hashShareToken(token);
+    const open = (this.streams.get(tokenHash) || 1) - 1;
+    if (open > 0) this.streams.set(tokenHash, open);
+    else this.streams.delete(tokenHash);
+  }
+
+  // ========== INTERNALS ==========
+
+  async loadShare(tokenHash) {
+    const key = `trip_share_${tokenHash}`;
+    if (cache.has(key)) return cache.get(key);
+
+    const doc = await this.db.collection(this.SHARES).doc(tokenHash).get();
+    const share = doc.exists ? doc.data() : null;
+    cache.set(key, share, SHARE_CACHE_TTL);
+    return share;
+  }
+
+  forgetShare(tokenHash) {
+    cache.del(`trip_share_${tokenHash}`);
+    this.etas.delete(tokenHash);
+  }
+
+  // Sessions are indexed by whatever id the match used, so try the raw and the formatted phone
+  async findPassengerSession(phoneNumber, owner) {
+    if (!this.locationService) return null;
+
+    for (const userId of [...new Set([phoneNumber, owner])]) {
+      const session = await this.locationService.getActiveSession(userId, 'passenger');
+      if (session) return session;
+    }
+    return null;
+  }
+
+  // Scheduled search first, then an immediate one - whichever the trip came from
+  async tripDetails(owner, driverId) {
+    const [driver, passenger] = await Promise.all([
+      this.firestoreService.getScheduledDriver(driverId)
+        .then(search => search || this.firestoreService.getDriverSearch(driverId)),
+      this.firestoreService.getScheduledPassenger(owner)
+        .then(search => search || this.firestoreService.getPassengerSearch(owner))
+    ]);
+
+    return {
+      passengerName: firstName(passenger?.passengerName || passenger?.name),
+      driverName: firstName(driver?.driverName || driver?.name) || 'Driver',
+      vehicle: vehicleSummary(driver),
+      pickupName: passenger?.pickupName || null,
+      destinationName: passenger?.destinationName || driver?.destinationName || null,
+      destination: toLatLng(passenger?.destinationLocation || driver?.destinationLocation),
+      route: simplifyRoute(driver?.routePoints)
+    };
+  }
+
+  async estimateArrival(tokenHash, position, destination) {
+    if (!position || !destination) return null;
+
+    const cached = this.etas.get(tokenHash);
+    if (cached && Date.now() - cached.at < TRIP_SHARING.ETA_REFRESH) return cached.eta;
+
+    try {
+      const route = await getRouter().route([position, destination]);
+      const eta = route.success ? {
+        distanceKm: route.distanceKm,
+        durationMin: route.durationMin,
+        arrivalAt: new Date(Date.now() + route.durationMin * 60 * 1000).toISOString(),
+        source: route.source
+      } : null;
+
+      this.etas.set(tokenHash, { at: Date.now(), eta });
+      return eta;
+    } catch (error) {
+      logger.warn('TRIP_SHARE', `ETA unavailable: ${error.message}`);
+      return null;
+    }
+  }
+
+  async notifyContacts(recipients, share, url) {
+    if (!this.smsSender) return recipients.map(c => ({ contactId: c.id, success: false, error: 'SMS not configured' }));
+
+    const until = new Date(share.expiresAt).toISOString().slice(11, 16);
+    const who = share.trip.passengerName || 'A Shareway rider';
+    const message = `${who} shared their trip with you. Follow it live until ${until} UTC: ${url}`;
+
+    return Promise.all(recipients.map(async (contact) => {
+      try {
+        const result = await this.smsSender.send(contact.phone, message);
+        return { contactId: contact.id, success: !!result?.success };
+      } catch (error) {
+        logger.warn('TRIP_SHARE', `Could not text trip link to contact ${contact.id}: ${error.message}`);
+        return { contactId: contact.id, success: false };
+      }
+    }));
+  }
+}
+
+module.exports = TripShareService;
@@ -0,0 +1,289 @@
+// services/VehicleService.js
+// Driver vehicle registry: make, model, plate, color, seat count and features (utils/vehicles.js),
+// plus a verification status set by admins.
+//
+// A driver's scheduled search points at a registered vehicle (vehicleId). ScheduledService copies a
+// snapshot of it onto the search, takes seats from it instead of the free-form payload, and only
+// matches passengers whose requirements the vehicle's features cover. Edits to a vehicle that an
+// active search uses refresh that snapshot; seat changes wait until the search is over.
+//
+// Changing the plate, make, model or seats sends the vehicle back to 'pending' verification.
+//
+// Firestore queries: driver_vehicles where phone == ... / where plate == ... / where verificationStatus == ...
+
+const logger = require('../utils/Logger');
+const { formatPhoneNumber } = require('../utils/helpers');
+const { normalizeVehicle, vehicleSnapshot } = require('../utils/vehicles');
+const { COLLECTIONS, VEHICLES } = require('../config/constants');
+
+// Fields whose change invalidates a previous verification
+const VERIFIED_FIELDS = ['plate', 'make', 'model', 'seats'];
+
+// Driver search statuses during which the vehicle is committed to a trip
+const ACTIVE_SEARCH_STATUSES = ['actively_matching', 'fully_booked'];
+
+class VehicleService {
+  constructor(firestoreService, scheduledService) {
+    console.log('🚗 [VEHICLES] Initializing VehicleService');
+
+    this.firestoreService = firestoreService;
+    this.db = firestoreService?.db;
+    this.scheduledService = scheduledService;
+
+    this.VEHICLES = COLLECTIONS.DRIVER_VEHICLES;
+    this.DRIVER_SEARCHES = COLLECTIONS.SCHEDULED_SEARCHES_DRIVER;
+
+    logger.info('VEHICLES', '🚗 Vehicle Service initialized');
+  }
+
+  // ========== DRIVER REGISTRY ==========
+
+  async registerVehicle(phoneNumber, input) {
+    try {
+      const phone = formatPhoneNumber(phoneNumber);
+      const normalized = normalizeVehicle(input);
+      if (normalized.error) return { success: false, error: normalized.error };
+
+      const { vehicles } = await this.listVehicles(phone);
+      if (vehicles.length >= VEHICLES.MAX_PER_DRIVER) {
+        return { success: false, error: `At most ${VEHICLES.MAX_PER_DRIVER} vehicles per driver` };
+      }
+
+      const plateOwner = await this.findPlateOwner(normalized.vehicle.plate);
+      if (plateOwner) {
+        return { success: false, error: plateOwner.phone === phone
+          ? `Vehicle ${normalized.vehicle.plate} is already registered`
+          : `Plate ${normalized.vehicle.plate} is registered to another driver` };
+      }
+
+      const now = new Date().toISOString();
+      const ref = this.db.collection(this.VEHICLES).doc();
+      const vehicle = {
+        id: ref.id,
+        phone,
+        ...normalized.vehicle,
+        status: 'active',
+        verificationStatus: 'pending',
+        verification: null,
+        createdAt: now,
+        updatedAt: now
+      };
+
+      await this.firestoreService.setDocument(this.VEHICLES, vehicle.id, vehicle);
+      console.log(`🚗 [VEHICLES] ${phone} registered ${vehicle.make} ${vehicle.model} (${vehicle.plate})`);
+
+      return { success: true, vehicle };
+    } catch (error) {
+      logger.error('VEHICLES', `Failed to register vehicle for ${phoneNumber}: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async listVehicles(phoneNumber) {
+    const vehicles = await this.firestoreService.queryCollection(this.VEHICLES, [
+      { field: 'phone', operator: '==', value: formatPhoneNumber(phoneNumber) }
+    ], VEHICLES.MAX_PER_DRIVER * 4);
+
+    return { success: true, vehicles: vehicles.filter(v => v.status !== 'removed') };
+  }
+
+  // Raw read - getDocument is cached and verification changes under it
+  async loadVehicle(vehicleId) {
+    if (!vehicleId || typeof vehicleId !== 'string') return null;
+
+    const snapshot = await this.db.collection(this.VEHICLES).doc(vehicleId).get();
+    if (!snapshot.exists) return null;
+
+    const vehicle = snapshot.data();
+    return vehicle.status === 'removed' ? null : vehicle;
+  }
+
+  // Other drivers' vehicles are reported as missing
+  async loadOwnVehicle(phoneNumber, vehicleId) {
+    const vehicle = await this.loadVehicle(vehicleId);
+    return vehicle && vehicle.phone === formatPhoneNumber(phoneNumber) ? vehicle : null;
+  }
+
+  async getVehicle(phoneNumber, vehicleId) {
+    const vehicle = await this.loadOwnVehicle(phoneNumber, vehicleId);
+    if (!vehicle) return { success: false, error: 'Vehicle not found' };
+    return { success: true, vehicle };
+  }
+
+  async updateVehicle(phoneNumber, vehicleId, input) {
+    try {
+      const vehicle = await this.loadOwnVehicle(phoneNumber, vehicleId);
+      if (!vehicle) return { success: false, error: 'Vehicle not found' };
+
+      const normalized = normalizeVehicle(input, vehicle);
+      if (normalized.error) return { success: false, error: normalized.error };
+      const next = normalized.vehicle;
+
+      if (next.plate !== vehicle.plate) {
+        const plateOwner = await this.findPlateOwner(next.plate);
+        if (plateOwner) return { success: false, error: `Plate ${next.plate} is already registered` };
+      }
+
+      const activeSearch = await this.loadActiveSearch(vehicle.phone, vehicle.id);
+      if (activeSearch && next.seats !== vehicle.seats) {
+        return { success: false, error: 'Seats can\'t change while a scheduled ride uses this vehicle' };
+      }
+
+      const reverify = VERIFIED_FIELDS.some(field => next[field] !== vehicle[field]);
+      const updates = {
+        ...next,
+        ...(reverify && vehicle.verificationStatus !== 'pending' ? { verificationStatus: 'pending', verification: null } : {}),
+        updatedAt: new Date().toISOString()
+      };
+
+      await this.firestoreService.updateDocument(this.VEHICLES, vehicle.id, updates);
+      const updated = { ...vehicle, ...updates };
+
+      if (activeSearch) await this.refreshSearchVehicle(activeSearch, updated);
+      return { success: true, vehicle: updated, reverify };
+    } catch (error) {
+      logger.error('VEHICLES', `Failed to update vehicle ${vehicleId}: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Soft delete; the plate becomes free to register again
+  async removeVehicle(phoneNumber, vehicleId) {
+    try {
+      const vehicle = await this.loadOwnVehicle(phoneNumber, vehicleId);
+      if (!vehicle) return { success: false, error: 'Vehicle not found' };
+
+      if (await this.loadActiveSearch(vehicle.phone, vehicle.id)) {
+        return { success: false, error: 'Vehicle is used by an active scheduled ride' };
+      }
+
+      await this.firestoreService.updateDocument(this.VEHICLES, vehicle.id, {
+        status: 'removed',
+        removedAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString()
+      });
+      return { success: true, vehicleId: vehicle.id };
+    } catch (error) {
+      logger.error('VEHICLES', `Failed to remove vehicle ${vehicleId}: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // ========== VERIFICATION (admin) ==========
+
+  async listForReview(status = 'pending', limit = 50) {
+    if (!VEHICLES.VERIFICATION_STATUSES.includes(status)) {
+      return { success: false, error: `status must be one of: ${VEHICLES.VERIFICATION_STATUSES.join(', ')}` };
+    }
+
+    const vehicles = await this.firestoreService.queryCollection(this.VEHICLES, [
+      { field: 'verificationStatus', operator: '==', value: status }
+    ], Math.min(Number(limit) || 50, 200));
+
+    return { success: true, vehicles: vehicles.filter(v => v.status !== 'removed') };
+  }
+
+  async setVerification(vehicleId, status, adminPhone, note = null) {
+    try {
+      if (!VEHICLES.VERIFICATION_STATUSES.includes(status)) {
+        return { success: false, error: `status must be one of: ${VEHICLES.VERIFICATION_STATUSES.join(', ')}` };
+      }
+
+      const vehicle = await this.loadVehicle(vehicleId);
+      if (!vehicle) return { success: false, error: 'Vehicle not found' };
+
+      const updates = {
+        verificationStatus: status,
+        verification: {
+          status,
+          by: formatPhoneNumber(adminPhone),
+          note: typeof note === 'string' ? note.slice(0, 500) : null,
+          at: new Date().toISOString()
+        },
+        updatedAt: new Date().toISOString()
+      };
+
+      await this.firestoreService.updateDocument(this.VEHICLES, vehicle.id, updates);
+      const updated = { ...vehicle, ...updates };
+      console.log(`🚗 [VEHICLES] ${vehicle.plate} marked ${status} by ${adminPhone}`);
+
+      const activeSearch = await this.loadActiveSearch(vehicle.phone, vehicle.id);
+      if (activeSearch) await this.refreshSearchVehicle(activeSearch, updated);
+
+      if (status !== 'pending') {
+        await this.scheduledService?.sendNotification(vehicle.phone, {
+          type: 'VEHICLE_VERIFICATION',
+          title: status === 'verified' ? 'Vehicle Verified' : 'Vehicle Not Verified',
+          body: status === 'verified'
+            ? `${vehicle.make} ${vehicle.model} (${vehicle.plate}) is verified`
+            : `${vehicle.make} ${vehicle.model} (${vehicle.plate}) couldn't be verified${updates.verification.note ? `: ${updates.verification.note}` : ''}`,
+          data: { vehicleId: vehicle.id, verificationStatus: status }
+        });
+      }
+
+      return { success: true, vehicle: updated };
+    } catch (error) {
+      logger.error('VEHICLES', `Failed to set verification for ${vehicleId}: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // ========== SCHEDULED SEARCHES ==========
+
+  /**
+   * Snapshot of a driver's vehicle for a new scheduled search
+   * @returns {Object} { success, vehicle } or { success: false, error }
+   */
+  async getVehicleForSearch(phoneNumber, vehicleId) {
+    const vehicle = await this.loadOwnVehicle(phoneNumber, vehicleId);
+    if (!vehicle) return { success: false, error: 'Vehicle not found' };
+
+    if (vehicle.verificationStatus === 'rejected') {
+      return { success: false, error: `Vehicle ${vehicle.plate} failed verification` };
+    }
+    if (VEHICLES.REQUIRE_VERIFIED && vehicle.verificationStatus !== 'verified') {
+      return { success: false, error: `Vehicle ${vehicle.plate} is not verified yet` };
+    }
+
+    return { success: true, vehicle: vehicleSnapshot(vehicle.id, vehicle) };
+  }
+
+  // The driver's search, when it is active and uses this vehicle
+  async loadActiveSearch(phone, vehicleId) {
+    const sanitized = this.scheduledService.sanitizePhoneNumber(phone);
+    const snapshot = await this.db.collection(this.DRIVER_SEARCHES).doc(sanitized).get();
+    if (!snapshot.exists) return null;
+
+    const search = snapshot.data();
+    return search.vehicleId === vehicleId && ACTIVE_SEARCH_STATUSES.includes(search.status) ? search : null;
+  }
+
+  async refreshSearchVehicle(search, vehicle) {
+    const snapshot = vehicleSnapshot(vehicle.id, vehicle);
+
+    await this.scheduledService.updateSearchStatus('driver', vehicle.phone, {
+      vehicle: snapshot,
+      vehicleType: snapshot.type,
+      vehicleModel: `${snapshot.make} ${snapshot.model}`,
+      vehicleColor: snapshot.color,
+      licensePlate: snapshot.plate,
+      vehicleInfo: {
+        ...(search.vehicleInfo || {}),
+        type: snapshot.type,
+        model: `${snapshot.make} ${snapshot.model}`,
+        color: snapshot.color,
+        plate: snapshot.plate
+      }
+    });
+    console.log(`🚗 [VEHICLES] Refreshed vehicle on ${vehicle.phone}'s scheduled search`);
+  }
+
+  async findPlateOwner(plate) {
+    const vehicles = await this.firestoreService.queryCollection(this.VEHICLES, [
+      { field: 'plate', operator: '==', value: plate }
+    ], 10);
+    return vehicles.find(v => v.status !== 'removed') || null;
+  }
+}
+
+module.exports = VehicleService;
@@ -405,19 +405,7 @@ class FirestoreService {
    */
   async queryCollection(collection, constraints = [], limit = null) {
     try {
-      let query = this.db.collection(collection);
-      
-      for (const constraint of constraints) {
-        const { field, operator, value } = constraint;
-        
-        if (operator === 'orderBy') {
-          query = query.orderBy(field, value || 'asc');
-        } else if (operator === 'limit') {
-          query = query.limit(value);
-        } else {
-          query = query.where(field, operator, value);
-        }
-      }
+      let query = this.buildQuery(collection, constraints);
       
       if (limit) {
         query = query.limit(limit);
@@ -440,6 +428,54 @@ class FirestoreService {
     }
   }
 
+  /**
+   * Every document matching the constraints, read pageSize at a time
+   * @param {string} collection - Collection name
+   * @param {Array} constraints - Array of {field, operator, value} objects
+   * @param {number} pageSize - Documents per read
+   * @returns {Array} Array of documents with ids
+   */
+  async queryAllPages(collection, constraints = [], pageSize = 500) {
+    try {
+      const query = this.buildQuery(collection, constraints).limit(pageSize);
+      const results = [];
+      let last = null;
+      
+      for (;;) {
+        const snapshot = await (last ? query.startAfter(last) : query).get();
+        this.stats.reads += snapshot.size;
+        snapshot.docs.forEach(doc => results.push({ id: doc.id, ...doc.data() }));
+        
+        if (snapshot.docs.length < pageSize) break;
+        last = snapshot.docs[snapshot.docs.length - 1];
+      }
+      
+      console.log(`✅ [FIRESTORE] Paged query returned ${results.length} documents from ${collection}`);
+      return results;
+    } catch (error) {
+      logger.error('FIRESTORE', `Error paging collection ${collection}:`, error);
+      throw error;
+    }
+  }
+
+  buildQuery(collection, constraints) {
+    let query = this.db.collection(collection);
+    
+    for (const constraint of constraints) {
+      const { field, operator, value } = constraint;
+      
+      if (operator === 'orderBy') {
+        query = query.orderBy(field, value || 'asc');
+      } else if (operator === 'limit') {
+        query = query.limit(value);
+      } else {
+        query = query.where(field, operator, value);
+      }
+    }
+    
+    return query;
+  }
+
   // ========== BATCH OPERATIONS ==========
 
   /**
@@ -504,6 +540,30 @@ class FirestoreService {
     }
   }
 
+  // ========== TRANSACTIONS ==========
+
+  /**
+   * Run a read-modify-write atomically. Firestore retries updateFunction on contention,
+   * so it must not have side effects besides its transaction writes.
+   * @param {Function} updateFunction - (transaction) => result
+   * @param {Array<[string, string]>} written - [collection, documentId] pairs to drop from the cache
+   * @returns {*} whatever updateFunction returns
+   */
+  async runTransaction(updateFunction, written = []) {
+    try {
+      const result = await this.db.runTransaction(updateFunction);
+      this.stats.writes += written.length;
+      return result;
+    } finally {
+      written.forEach(([collection, documentId]) => this.invalidateDocument(collection, documentId));
+    }
+  }
+
+  invalidateDocument(collection, documentId) {
+    this.cache.delete(`${collection}:${documentId}`);
+    cache.del(`${collection}_${documentId}`);
+  }
+
   // ========== OPTIMIZED METHODS WITH CACHING ==========
 
   /**
@@ -1678,7 +1738,44 @@ class FirestoreService {
       throw error;
     }
   }
-  
+
+  // ========== PROFILES ==========
+
+  async getProfile(userType, phoneNumber) {
+    const collection = userType === 'driver' ? COLLECTIONS.DRIVER_PROFILES : COLLECTIONS.PASSENGER_PROFILES;
+    const doc = await this.db.collection(collection).doc(helpers.formatPhoneNumber(phoneNumber)).get();
+    this.stats.reads++;
+    return doc.exists ? { id: doc.id, ...doc.data() } : null;
+  }
+
+  /**
+   * Write the given profile fields, creating the profile if needed.
+   * Each field is replaced as a whole, so a preferences object drops keys it no longer has.
+   */
+  async updateProfile(userType, phoneNumber, updates) {
+    try {
+      const collection = userType === 'driver' ? COLLECTIONS.DRIVER_PROFILES : COLLECTIONS.PASSENGER_PROFILES;
+      const profileId = helpers.formatPhoneNumber(phoneNumber);
+      const data = { ...updates, updatedAt: new Date().toISOString() };
+
+      await this.setDocument(collection, profileId, data, { mergeFields: Object.keys(data) });
+      cache.del(`ride_preferences_${userType}_${profileId}`);
+
+      return { success: true, phoneNumber: profileId, updated: Object.keys(updates) };
+    } catch (error) {
+      logger.error('FIRESTORE', `Error updating ${userType} profile:`, error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async updateDriverProfile(phoneNumber, updates) {
+    return this.updateProfile('driver', phoneNumber, updates);
+  }
+
+  async updatePassengerProfile(phoneNumber, updates) {
+    return this.updateProfile('passenger', phoneNumber, updates);
+  }
+
   async getWithCache(collection, docId, cacheKey = null, ttl = TIMEOUTS.CACHE_TTL) {
     const key = cacheKey || `${collection}_${docId}`;
     const cached = cache.get(key);
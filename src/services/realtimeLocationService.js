@@ -1,7 +1,8 @@
 const { TIMEOUTS } = require('../config/constants');
+const { formatPhoneNumber } = require('../utils/helpers');
 
 class RealtimeLocationService {
-  constructor(firestoreService, matchingService, websocketServer, admin) {
+  constructor(firestoreService, matchingService, websocketServer, admin, blockService = null) {
     // Check what properties firestoreService has
     console.log('📍 RealtimeLocationService constructor - firestoreService:', {
       hasFirestore: !!firestoreService?.firestore,
@@ -13,6 +14,7 @@ class RealtimeLocationService {
     this.matchingService = matchingService;
     this.websocketServer = websocketServer;
     this.admin = admin;
+    this.blockService = blockService; // blocked pairs never share locations
     
     // Memory storage instead of Firestore (PRIMARY STORAGE)
     this.memorySessions = new Map(); // sessionId -> session data
@@ -118,12 +120,16 @@ class RealtimeLocationService {
   // ==================== EXISTING METHODS (UPDATED) ====================
   
   // Start real-time location sharing for a match with MEMORY-FIRST approach
-  async startRealtimeLocationSharing(matchId, driverId, passengerId, passengerField) {
+  async startRealtimeLocationSharing(matchId, driverId, passengerId, passengerField, duration = TIMEOUTS?.LOCATION_SHARING_DURATION || (15 * 60 * 1000)) {
     console.log(`📍 Starting MEMORY-ONLY location sharing for match ${matchId}`);
     
     try {
+      if (this.blockService && await this.blockService.isBlocked(driverId, passengerId)) {
+        console.log(`🚫 Not sharing locations for match ${matchId}: blocked pair`);
+        return null;
+      }
+      
       const sessionId = `loc_${matchId}`;
-      const duration = TIMEOUTS?.LOCATION_SHARING_DURATION || (15 * 60 * 1000); // 15 minutes default
       
       // 1. Store in memory (PRIMARY STORAGE)
       const sessionData = {
@@ -164,7 +170,7 @@ class RealtimeLocationService {
           status: 'active',
           memoryBased: true, // Indicate this uses memory storage
           lastUpdated: this.admin?.firestore?.FieldValue?.serverTimestamp() || new Date(),
-          durationMinutes: 15
+          durationMinutes: Math.round(duration / 60000)
         };
         
         await this.db
@@ -177,13 +183,14 @@ class RealtimeLocationService {
       
       console.log(`✅ Location sharing session ${sessionId} started (MEMORY ONLY)`);
       
-      // 3. Schedule memory cleanup
-      setTimeout(() => {
+      // 3. Schedule memory cleanup (CleanupService's sweep is the backstop)
+      const expiryTimer = setTimeout(() => {
         this.stopRealtimeLocationSharing(sessionId);
       }, duration);
+      if (typeof expiryTimer.unref === 'function') expiryTimer.unref();
       
       // 4. Notify users via WebSocket
-      this.notifyLocationSharingStarted(driverId, passengerId, sessionId);
+      this.notifyLocationSharingStarted(driverId, passengerId, sessionId, duration);
       
       return sessionId;
       
@@ -193,6 +200,22 @@ class RealtimeLocationService {
     }
   }
   
+  // A block between the two ends every session they share
+  async stopSharingBetween(userA, userB) {
+    const pair = [formatPhoneNumber(userA), formatPhoneNumber(userB)];
+    let stopped = 0;
+    
+    for (const [sessionId, session] of this.memorySessions.entries()) {
+      const users = [formatPhoneNumber(session.driverId), formatPhoneNumber(session.passengerId)];
+      if (!session.active || !pair.every(user => users.includes(user))) continue;
+      
+      const result = await this.stopLocationSharing(sessionId, null, null);
+      if (result.success) stopped++;
+    }
+    
+    return stopped;
+  }
+  
   // Update user sessions index for quick lookup
   updateUserSessionsIndex(userId, sessionId, userType) {
     if (!this.userSessions.has(userId)) {
@@ -213,14 +236,14 @@ class RealtimeLocationService {
   }
   
   // Notify users that location sharing has started
-  notifyLocationSharingStarted(driverId, passengerId, sessionId) {
+  notifyLocationSharingStarted(driverId, passengerId, sessionId, duration) {
     try {
       if (this.websocketServer) {
         const message = {
           type: 'LOCATION_SHARING_STARTED',
           sessionId,
           message: 'Real-time location sharing is now active',
-          durationMinutes: 15,
+          durationMinutes: Math.round(duration / 60000),
           storageType: 'memory',
           serverTimestamp: Date.now()
         };
@@ -413,9 +436,10 @@ class RealtimeLocationService {
       this.notifyLocationSharingStopped(session.driverId, session.passengerId, sessionId, 'timeout_expired');
       
       // 4. Schedule memory cleanup (after notification)
-      setTimeout(() => {
+      const cleanupTimer = setTimeout(() => {
         this.cleanupSessionFromMemory(sessionId);
       }, 5000); // Keep in memory for 5 seconds after ending
+      if (typeof cleanupTimer.unref === 'function') cleanupTimer.unref();
       
       console.log(`✅ Memory location sharing session ${sessionId} stopped (timeout)`);
       
@@ -585,10 +609,9 @@ class RealtimeLocationService {
     };
   }
   
-  // Cleanup expired sessions
-  async cleanupExpiredSessions() {
+  // End expired sessions - called by CleanupService's session sweep
+  async cleanupExpiredSessions(now = Date.now()) {
     try {
-      const now = Date.now();
       const expiredSessions = [];
       
       this.memorySessions.forEach((session, sessionId) => {
@@ -604,9 +627,11 @@ class RealtimeLocationService {
       if (expiredSessions.length > 0) {
         console.log(`🧹 Cleaned up ${expiredSessions.length} expired memory location sessions`);
       }
+      return expiredSessions.length;
       
     } catch (error) {
       console.error('❌ Error cleaning up memory sessions:', error);
+      return 0;
     }
   }
   
@@ -643,10 +668,7 @@ class RealtimeLocationService {
   // Start the service
   start() {
     console.log('📍 Starting Memory-First RealtimeLocationService...');
-    // Setup periodic cleanup
-    setInterval(() => {
-      this.cleanupExpiredSessions();
-    }, 5 * 60 * 1000); // Every 5 minutes
+    // Expired sessions are ended by CleanupService.sweepExpiredSessions
     
     // Log stats periodically
     setInterval(() => {
@@ -1,8 +1,9 @@
-const { TIMEOUTS, TEST_MODE } = require('../config/constants');
+const { TIMEOUTS, TEST_MODE, MATCHING } = require('../config/constants');
 const cache = require('../utils/cache');
+const { SpatiallyIndexedMap, toLatLng } = require('../utils/spatialIndex');
 
-// In-memory storage for active searches
-const activeSearches = new Map();
+// In-memory storage for active searches, indexed by pickup location
+const activeSearches = new SpatiallyIndexedMap(search => search?.pickupLocation);
 const searchTimeouts = new Map();
 
 class SearchService {
@@ -540,8 +541,14 @@ class SearchService {
   }
   
   // Get filtered active searches (e.g., for matching)
-  getActiveSearchesByType(userType) {
-    return Array.from(activeSearches.values())
+  // With `near`, only searches picking up within radiusMeters of it (nearest first), plus searches
+  // without coordinates since they can't be ruled out
+  getActiveSearchesByType(userType, near = null, radiusMeters = MATCHING.MAX_DISTANCE_FOR_INITIAL_FILTER) {
+    const searches = toLatLng(near)
+      ? activeSearches.nearbyKeys(near, radiusMeters, { includeUnlocated: true }).map(userId => activeSearches.get(userId))
+      : Array.from(activeSearches.values());
+    
+    return searches
       .filter(search => search.userType === userType)
       .map(search => {
         const photo = this.getUserPhoto(search, userType);
@@ -575,6 +582,16 @@ class SearchService {
   }
   
   // Get search status
+  // Counterpart searches an active search can be matched with, nearest pickup first
+  getMatchCandidates(userId) {
+    const search = activeSearches.get(userId);
+    if (!search) return [];
+    
+    const counterpart = search.userType === 'driver' ? 'passenger' : 'driver';
+    return this.getActiveSearchesByType(counterpart, search.pickupLocation)
+      .filter(candidate => candidate.userId !== userId);
+  }
+  
   getSearchStatus(userId) {
     const memorySearch = activeSearches.get(userId);
     const timeout = searchTimeouts.get(userId);
@@ -602,6 +619,7 @@ class SearchService {
         count: userMatchCount,
         hasMatches: userMatchCount > 0
       },
+      nearbyCandidates: memorySearch ? this.getMatchCandidates(userId).length : 0,
       timeout: timeout ? {
         exists: true,
         type: timeout.type,
@@ -779,6 +797,7 @@ class SearchService {
       processedMatches: this.processedMatches.size,
       userMatches: this.userMatches.size,
       duplicatePreventions: duplicateCount,
+      spatialIndex: activeSearches.index.getStats(),
       memory: {
         drivers: activeSearchArray.filter(s => s.userType === 'driver').length,
         passengers: activeSearchArray.filter(s => s.userType === 'passenger').length,
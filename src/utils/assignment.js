@@ -0,0 +1,260 @@
+// utils/assignment.js
+// Global driver/passenger assignment over a score matrix (used by ScheduledService in
+// OPTIMAL_ASSIGNMENT mode instead of greedy first-fit).
+//
+// Each driver is expanded into one slot per free seat and passengers are assigned to slots
+// with the Hungarian algorithm (max total score). That is exact when every passenger is a
+// single rider; when groups overfill a driver, the driver keeps the best-scoring set of groups
+// that fits its seats, the rest are re-solved elsewhere, and leftover seats are filled
+// best-score-first from every feasible pair. A component never scores below best-score-first.
+//
+// Passengers' maxCoRiders is checked per pair against the riders already booked; groups given the
+// same driver in one cycle count too, so each driver finally keeps the best-scoring set of its
+// groups in which nobody has more co-riders than they accept. Groups left out wait for the next
+// cycle.
+
+// Problems bigger than this (passengers or slots in one connected component) are solved
+// best-score-first instead - the Hungarian step is O(n^3)
+const MAX_EXACT_SIZE = 300;
+
+/**
+ * Min-cost assignment for a rectangular cost matrix (rows <= cols after padding)
+ * @param {number[][]} cost - cost[row][col]
+ * @returns {number[]} column assigned to each row
+ */
+const hungarian = (cost) => {
+  const rows = cost.length;
+  const cols = rows ? cost[0].length : 0;
+  const n = Math.max(rows, cols);
+  const at = (i, j) => (i < rows && j < cols ? cost[i][j] : 0);
+
+  // 1-indexed potentials/matching (classic e-maxx formulation)
+  const u = new Float64Array(n + 1);
+  const v = new Float64Array(n + 1);
+  const match = new Int32Array(n + 1); // column -> row
+  const way = new Int32Array(n + 1);
+
+  for (let i = 1; i <= n; i++) {
+    match[0] = i;
+    let j0 = 0;
+    const minv = new Float64Array(n + 1).fill(Infinity);
+    const used = new Uint8Array(n + 1);
+
+    do {
+      used[j0] = 1;
+      const i0 = match[j0];
+      let delta = Infinity;
+      let j1 = 0;
+
+      for (let j = 1; j <= n; j++) {
+        if (used[j]) continue;
+        const cur = at(i0 - 1, j - 1) - u[i0] - v[j];
+        if (cur < minv[j]) {
+          minv[j] = cur;
+          way[j] = j0;
+        }
+        if (minv[j] < delta) {
+          delta = minv[j];
+          j1 = j;
+        }
+      }
+
+      for (let j = 0; j <= n; j++) {
+        if (used[j]) {
+          u[match[j]] += delta;
+          v[j] -= delta;
+        } else {
+          minv[j] -= delta;
+        }
+      }
+      j0 = j1;
+    } while (match[j0] !== 0);
+
+    do {
+      const j1 = way[j0];
+      match[j0] = match[j1];
+      j0 = j1;
+    } while (j0);
+  }
+
+  const assigned = new Array(rows).fill(-1);
+  for (let j = 1; j <= n; j++) {
+    if (match[j] >= 1 && match[j] <= rows && j <= cols) assigned[match[j] - 1] = j - 1;
+  }
+  return assigned;
+};
+
+// Drivers/passengers linked by feasible edges, so independent groups are solved separately
+const connectedComponents = (edges) => {
+  const parent = new Map();
+  const find = (x) => {
+    while (parent.get(x) !== x) {
+      parent.set(x, parent.get(parent.get(x)));
+      x = parent.get(x);
+    }
+    return x;
+  };
+  const union = (a, b) => {
+    if (!parent.has(a)) parent.set(a, a);
+    if (!parent.has(b)) parent.set(b, b);
+    parent.set(find(a), find(b));
+  };
+
+  edges.forEach(e => union(`d${e.driver}`, `p${e.passenger}`));
+
+  const components = new Map();
+  edges.forEach(e => {
+    const root = find(`d${e.driver}`);
+    if (!components.has(root)) components.set(root, []);
+    components.get(root).push(e);
+  });
+  return [...components.values()];
+};
+
+// Highest score first, as long as the driver still has room
+const bestFirst = (edges, seats, sizes, taken = new Set(), used = new Map()) => {
+  const pairs = [];
+  [...edges].sort((a, b) => b.score - a.score).forEach(e => {
+    const load = used.get(e.driver) || 0;
+    if (taken.has(e.passenger) || load + sizes[e.passenger] > seats[e.driver]) return;
+    taken.add(e.passenger);
+    used.set(e.driver, load + sizes[e.passenger]);
+    pairs.push(e);
+  });
+  return pairs;
+};
+
+// Highest-scoring set of one driver's groups that fits its seats (0/1 knapsack on seats)
+const bestFit = (driverEdges, capacity, sizes) => {
+  // best[c]: most score using at most c seats
+  let best = Array.from({ length: capacity + 1 }, () => ({ score: 0, edges: [] }));
+  driverEdges.forEach(e => {
+    const size = sizes[e.passenger];
+    const next = best.slice();
+    for (let c = size; c <= capacity; c++) {
+      const score = best[c - size].score + e.score;
+      if (score > next[c].score) next[c] = { score, edges: [...best[c - size].edges, e] };
+    }
+    best = next;
+  });
+  return best[capacity].edges;
+};
+
+const scoreOf = (pairs) => pairs.reduce((sum, e) => sum + e.score, 0);
+
+const solveComponent = (edges, seats, sizes) => {
+  const banned = new Set();
+  const fallback = bestFirst(edges, seats, sizes);
+
+  for (;;) {
+    const live = edges.filter(e => !banned.has(`${e.driver}:${e.passenger}`));
+    const passengerIds = [...new Set(live.map(e => e.passenger))];
+    const slots = [];
+    [...new Set(live.map(e => e.driver))].forEach(d => {
+      const candidates = live.filter(e => e.driver === d).length;
+      for (let k = 0; k < Math.min(seats[d], candidates); k++) slots.push(d);
+    });
+
+    if (passengerIds.length > MAX_EXACT_SIZE || slots.length > MAX_EXACT_SIZE) {
+      return { pairs: fallback, method: 'best_first' };
+    }
+
+    const edgeOf = new Map(live.map(e => [`${e.driver}:${e.passenger}`, e]));
+    // Missing edges cost 0 - the same as leaving the passenger unassigned
+    const cost = passengerIds.map(p => slots.map(d => -(edgeOf.get(`${d}:${p}`)?.score || 0)));
+
+    const pairs = [];
+    hungarian(cost).forEach((col, row) => {
+      const edge = col >= 0 ? edgeOf.get(`${slots[col]}:${passengerIds[row]}`) : null;
+      if (edge) pairs.push(edge);
+    });
+
+    // Groups can overfill a driver's seats - the driver keeps the best set that fits and
+    // the other groups are re-solved without that driver
+    const load = new Map();
+    pairs.forEach(e => load.set(e.driver, (load.get(e.driver) || 0) + sizes[e.passenger]));
+    const overfull = [...load.entries()].filter(([d, total]) => total > seats[d]).map(([d]) => d);
+
+    if (overfull.length === 0) {
+      // Pairs set aside above may still fit once everyone is placed
+      const taken = new Set(pairs.map(e => e.passenger));
+      const solved = pairs.concat(bestFirst(edges, seats, sizes, taken, load));
+      return scoreOf(solved) >= scoreOf(fallback)
+        ? { pairs: solved, method: 'hungarian' }
+        : { pairs: fallback, method: 'best_first' };
+    }
+
+    overfull.forEach(d => {
+      const assigned = pairs.filter(e => e.driver === d);
+      const kept = new Set(bestFit(assigned, seats[d], sizes));
+      assigned.filter(e => !kept.has(e)).forEach(e => banned.add(`${e.driver}:${e.passenger}`));
+    });
+  }
+};
+
+/**
+ * Maximum-total-score assignment respecting seats and group sizes
+ * @param {Object} problem - { seats: number[] (per driver), sizes: number[] (per passenger),
+ *                             edges: [{ driver, passenger, score }] feasible pairs by index }
+ * @returns {Object} { pairs: [{ driver, passenger, score }], totalScore, seatsFilled, components, methods }
+ */
+// Best-scoring subset of one driver's groups where every passenger's maxCoRiders holds
+const withinCoRiderLimits = (driverPairs, booked, sizes, maxCoRiders) => {
+  const fits = (group) => {
+    const riders = booked + group.reduce((sum, e) => sum + sizes[e.passenger], 0);
+    return group.every(e => !Number.isInteger(maxCoRiders[e.passenger]) || riders - sizes[e.passenger] <= maxCoRiders[e.passenger]);
+  };
+  if (fits(driverPairs)) return driverPairs;
+
+  // A driver holds a handful of groups at most - one per free seat
+  let best = [];
+  for (let mask = 1; mask < 1 << driverPairs.length; mask++) {
+    const group = driverPairs.filter((_, i) => mask & (1 << i));
+    if (fits(group) && scoreOf(group) > scoreOf(best)) best = group;
+  }
+  return best;
+};
+
+/**
+ * @param {Object} candidates - { seats, sizes, edges, coRiders?, maxCoRiders? }; coRiders[d] is
+ *   the riders driver d already carries, maxCoRiders[p] passenger p's limit (undefined = none)
+ */
+const solveAssignment = ({ seats, sizes, edges, coRiders = [], maxCoRiders = [] }) => {
+  const feasible = edges.filter(e => sizes[e.passenger] <= seats[e.driver] && e.score > 0);
+  const components = connectedComponents(feasible);
+  const methods = { hungarian: 0, best_first: 0 };
+
+  const pairs = [];
+  components.forEach(componentEdges => {
+    const result = solveComponent(componentEdges, seats, sizes);
+    methods[result.method]++;
+
+    const byDriver = new Map();
+    result.pairs.forEach(e => byDriver.set(e.driver, [...(byDriver.get(e.driver) || []), e]));
+    byDriver.forEach((driverPairs, d) => {
+      pairs.push(...withinCoRiderLimits(driverPairs, coRiders[d] || 0, sizes, maxCoRiders));
+    });
+  });
+
+  return {
+    pairs,
+    ...summarizeAssignment(pairs, sizes),
+    components: components.length,
+    methods
+  };
+};
+
+/**
+ * Totals used to compare assignment strategies
+ */
+const summarizeAssignment = (pairs, sizes) => ({
+  totalScore: Math.round(pairs.reduce((sum, e) => sum + e.score, 0) * 10) / 10,
+  matches: pairs.length,
+  seatsFilled: pairs.reduce((sum, e) => sum + sizes[e.passenger], 0)
+});
+
+module.exports = {
+  hungarian,
+  solveAssignment,
+  summarizeAssignment
+};
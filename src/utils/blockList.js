@@ -0,0 +1,43 @@
+// utils/blockList.js
+// Block lists as matching reads them. user_block_lists/{phone}.blockedWith holds everyone the user
+// blocked or was blocked by, so one read answers "may these two be paired?" from either side.
+// BlockService writes the lists and forgets the cached copy on every change.
+const { COLLECTIONS, BLOCKS } = require('../config/constants');
+const { formatPhoneNumber } = require('./helpers');
+const cache = require('./cache');
+
+const cacheKeyFor = (phone) => `block_list_${formatPhoneNumber(phone)}`;
+
+/**
+ * Phones a user must never be paired with
+ * @param {Object} db - Firestore
+ * @param {string} phone
+ * @returns {Promise<Set<string>>} formatted phones; empty when unknown or unreadable
+ */
+const loadBlockedWith = async (db, phone) => {
+  if (!db || !phone) return new Set();
+
+  const key = cacheKeyFor(phone);
+  if (cache.has(key)) return new Set(cache.get(key));
+
+  try {
+    const snapshot = await db.collection(COLLECTIONS.USER_BLOCK_LISTS).doc(formatPhoneNumber(phone)).get();
+    const blockedWith = snapshot.exists ? snapshot.data().blockedWith || [] : [];
+    cache.set(key, blockedWith, BLOCKS.CACHE_TTL);
+    return new Set(blockedWith);
+  } catch (error) {
+    console.error(`❌ Error loading block list for ${phone}:`, error.message);
+    return new Set();
+  }
+};
+
+const isPairBlocked = async (db, phoneA, phoneB) =>
+  !!phoneA && !!phoneB && (await loadBlockedWith(db, phoneA)).has(formatPhoneNumber(phoneB));
+
+const forgetBlockList = (phone) => cache.del(cacheKeyFor(phone));
+
+module.exports = {
+  loadBlockedWith,
+  isPairBlocked,
+  forgetBlockList
+};
@@ -0,0 +1,81 @@
+// utils/cancellationPolicy.js
+// Decides what a cancellation costs: free, charged, or charged + strike.
+// Shared by CancellationPolicyService and the scheduled WebSocket server.
+const { CANCELLATION_POLICY } = require('../config/constants');
+
+const OUTCOMES = {
+  FREE: 'free',
+  CHARGED: 'charged',
+  STRIKE: 'strike'
+};
+
+/**
+ * @param {Object} cancellation - { role: driver|passenger, scheduledTime, matchStatus, confirmedAt, cancelledAt }
+ * @returns {Object} { outcome, fee, strike, rule, minutesBeforePickup }
+ */
+const evaluateCancellation = ({ role, scheduledTime, matchStatus, confirmedAt, cancelledAt = new Date() } = {}) => {
+  const now = new Date(cancelledAt).getTime();
+  const pickup = scheduledTime ? new Date(scheduledTime).getTime() : NaN;
+  const untilPickup = pickup - now;
+  const minutesBeforePickup = Number.isFinite(untilPickup) ? Math.round(untilPickup / 60000) : null;
+
+  const decision = (outcome, rule) => {
+    const fees = CANCELLATION_POLICY.FEES[role] || { late: 0, veryLate: 0 };
+    const fee = outcome === OUTCOMES.CHARGED ? fees.late
+      : outcome === OUTCOMES.STRIKE ? fees.veryLate
+      : 0;
+    return { outcome, fee, strike: outcome === OUTCOMES.STRIKE, rule, minutesBeforePickup };
+  };
+
+  if (!CANCELLATION_POLICY.CHARGEABLE_MATCH_STATUSES.includes(matchStatus)) {
+    return decision(OUTCOMES.FREE, 'not_confirmed');
+  }
+
+  // Without a pickup time there's nothing to measure lateness against
+  if (!Number.isFinite(untilPickup)) {
+    return decision(OUTCOMES.FREE, 'no_scheduled_time');
+  }
+
+  const sinceConfirmed = confirmedAt ? now - new Date(confirmedAt).getTime() : Infinity;
+  if (sinceConfirmed <= CANCELLATION_POLICY.GRACE_PERIOD && untilPickup > CANCELLATION_POLICY.STRIKE_BEFORE) {
+    return decision(OUTCOMES.FREE, 'grace_period');
+  }
+
+  if (untilPickup > CANCELLATION_POLICY.FREE_BEFORE) {
+    return decision(OUTCOMES.FREE, 'early');
+  }
+
+  if (untilPickup > CANCELLATION_POLICY.STRIKE_BEFORE) {
+    return decision(OUTCOMES.CHARGED, 'late');
+  }
+
+  return decision(OUTCOMES.STRIKE, 'very_late');
+};
+
+/**
+ * Cooldown implied by a list of strike timestamps (ISO strings or ms)
+ * @returns {Object|null} { strikes, tier, cooldownUntil } or null when none applies
+ */
+const cooldownFor = (strikeTimes, now = Date.now()) => {
+  const recent = strikeTimes
+    .map(t => new Date(t).getTime())
+    .filter(t => Number.isFinite(t) && now - t <= CANCELLATION_POLICY.STRIKE_WINDOW)
+    .sort((a, b) => b - a);
+
+  const tier = [...CANCELLATION_POLICY.COOLDOWNS]
+    .sort((a, b) => b.strikes - a.strikes)
+    .find(t => recent.length >= t.strikes);
+
+  if (!tier) return null;
+
+  const cooldownUntil = recent[0] + tier.duration;
+  return cooldownUntil > now
+    ? { strikes: recent.length, tier: tier.strikes, cooldownUntil: new Date(cooldownUntil).toISOString() }
+    : null;
+};
+
+module.exports = {
+  OUTCOMES,
+  evaluateCancellation,
+  cooldownFor
+};
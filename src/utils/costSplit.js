@@ -0,0 +1,191 @@
+// utils/costSplit.js
+// Splits a pooled scheduled trip's cost across its co-riders by the distance they share.
+//
+// Each rider's pickup/dropoff is projected onto the driver's route, cutting it into segments.
+// The pooled cost (tariff fare for the distance covered by at least one rider) is spread over
+// the segments by length, and each segment is split among the riders on board, weighted by
+// seats. Shares are whole birr adding up to the pooled cost; no rider pays more than their own
+// solo fare.
+const { calculateFare, calculateDistanceFare, resolveTariff } = require('./fareEngine');
+const { ROAD_DISTANCE_FACTOR } = require('../config/tariffs');
+
+const KM_PER_DEGREE = 111.32;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const toLatLng = (location) => {
+  if (!location) return null;
+  const lat = Number(location.lat ?? location.latitude);
+  const lng = Number(location.lng ?? location.longitude);
+  return Number.isFinite(lat) && Number.isFinite(lng) ? { lat, lng } : null;
+};
+
+// Local flat projection (km) - fine at city scale
+const toXY = (point, originLat) => ({
+  x: point.lng * KM_PER_DEGREE * Math.cos(originLat * Math.PI / 180),
+  y: point.lat * KM_PER_DEGREE
+});
+
+/**
+ * Driver route as a polyline with cumulative road distance (km) at each vertex
+ */
+const buildRoute = ({ pickupLocation, destinationLocation, routePoints } = {}) => {
+  const points = [pickupLocation, ...(Array.isArray(routePoints) ? routePoints : []), destinationLocation]
+    .map(toLatLng)
+    .filter(Boolean);
+
+  if (points.length < 2) return null;
+
+  const originLat = points[0].lat;
+  const vertices = points.map(p => toXY(p, originLat));
+  const cumulative = [0];
+  for (let i = 1; i < vertices.length; i++) {
+    const dx = vertices[i].x - vertices[i - 1].x;
+    const dy = vertices[i].y - vertices[i - 1].y;
+    cumulative.push(cumulative[i - 1] + Math.hypot(dx, dy) * ROAD_DISTANCE_FACTOR);
+  }
+
+  const lengthKm = cumulative[cumulative.length - 1];
+  return lengthKm > 0 ? { originLat, vertices, cumulative, lengthKm } : null;
+};
+
+/**
+ * Distance along the route (km) of the closest point to `location`
+ */
+const projectOntoRoute = (route, location) => {
+  const point = toLatLng(location);
+  if (!point) return null;
+
+  const p = toXY(point, route.originLat);
+  let best = { distance: Infinity, along: 0 };
+
+  for (let i = 1; i < route.vertices.length; i++) {
+    const a = route.vertices[i - 1];
+    const b = route.vertices[i];
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const len2 = dx * dx + dy * dy;
+    const t = len2 > 0 ? Math.min(1, Math.max(0, ((p.x - a.x) * dx + (p.y - a.y) * dy) / len2)) : 0;
+    const distance = Math.hypot(p.x - (a.x + t * dx), p.y - (a.y + t * dy));
+
+    if (distance < best.distance) {
+      const segmentKm = route.cumulative[i] - route.cumulative[i - 1];
+      best = { distance, along: route.cumulative[i - 1] + t * segmentKm };
+    }
+  }
+
+  return best.along;
+};
+
+/**
+ * Split a pooled trip's cost across its riders
+ * @param {Object} trip - { route: { pickupLocation, destinationLocation, routePoints },
+ *                          riders: [{ phone, pickupLocation, destinationLocation, seats }],
+ *                          at, region }
+ * @returns {Object} { method, currency, region, tariffVersion, pooledTripCost, totalCollected,
+ *                     coveredKm, shares: [{ phone, seats, rideKm, sharedKm, share, soloFare, savings }] }
+ */
+const splitTripCost = ({ route: routeInput = {}, riders = [], at, region } = {}) => {
+  const when = at && !isNaN(new Date(at).getTime()) ? new Date(at) : new Date();
+  const tariff = resolveTariff({ region, location: routeInput.pickupLocation, at: when });
+  const route = buildRoute(routeInput);
+
+  const entries = riders.map(rider => {
+    const seats = Math.max(1, parseInt(rider.seats) || 1);
+    const solo = calculateFare({
+      pickupLocation: rider.pickupLocation,
+      destinationLocation: rider.destinationLocation,
+      seats,
+      at: when,
+      region: tariff.region
+    });
+
+    let start = route ? projectOntoRoute(route, rider.pickupLocation) : null;
+    let end = route ? projectOntoRoute(route, rider.destinationLocation) : null;
+    if (start !== null && end !== null && end < start) [start, end] = [end, start];
+
+    return {
+      phone: rider.phone,
+      seats,
+      weight: 1 + (seats - 1) * tariff.seats.additionalSeatRate,
+      soloFare: solo.total,
+      start,
+      end,
+      onRoute: start !== null && end !== null && end - start > 0
+    };
+  });
+
+  // Riders we can't place on the route pay their own solo fare
+  const pooled = entries.filter(e => e.onRoute);
+  const breakpoints = [...new Set(pooled.flatMap(e => [e.start, e.end]))].sort((a, b) => a - b);
+
+  const segments = [];
+  for (let i = 1; i < breakpoints.length; i++) {
+    const from = breakpoints[i - 1];
+    const to = breakpoints[i];
+    const onboard = pooled.filter(e => e.start <= from && e.end >= to);
+    if (onboard.length > 0 && to > from) segments.push({ lengthKm: to - from, onboard });
+  }
+
+  const coveredKm = segments.reduce((sum, s) => sum + s.lengthKm, 0);
+  const pooledTripCost = coveredKm > 0
+    ? calculateDistanceFare({ distanceKm: coveredKm, at: when, region: tariff.region }).total
+    : 0;
+  const costPerKm = coveredKm > 0 ? pooledTripCost / coveredKm : 0;
+
+  const raw = new Map(pooled.map(e => [e, { cost: 0, sharedKm: 0 }]));
+  segments.forEach(segment => {
+    const totalWeight = segment.onboard.reduce((sum, e) => sum + e.weight, 0);
+    const segmentCost = segment.lengthKm * costPerKm;
+    segment.onboard.forEach(e => {
+      const acc = raw.get(e);
+      acc.cost += segmentCost * (e.weight / totalWeight);
+      if (segment.onboard.length > 1) acc.sharedKm += segment.lengthKm;
+    });
+  });
+
+  // Round down, then hand the birr left over to the largest remainders
+  const rounded = new Map([...raw].map(([e, acc]) => [e, Math.floor(acc.cost)]));
+  let leftover = Math.round(pooledTripCost - [...rounded.values()].reduce((sum, cost) => sum + cost, 0));
+  [...raw]
+    .sort(([, a], [, b]) => (b.cost - Math.floor(b.cost)) - (a.cost - Math.floor(a.cost)))
+    .forEach(([e]) => {
+      if (leftover <= 0) return;
+      rounded.set(e, rounded.get(e) + 1);
+      leftover--;
+    });
+
+  const shares = entries.map(e => {
+    const acc = raw.get(e);
+    const share = acc ? Math.min(rounded.get(e), e.soloFare) : e.soloFare;
+
+    return {
+      phone: e.phone,
+      seats: e.seats,
+      rideKm: e.onRoute ? round2(e.end - e.start) : null,
+      sharedKm: acc ? round2(acc.sharedKm) : 0,
+      share,
+      soloFare: e.soloFare,
+      savings: e.soloFare - share,
+      method: e.onRoute ? 'shared_distance' : 'solo'
+    };
+  });
+
+  return {
+    method: pooled.length > 0 ? 'shared_distance' : 'solo',
+    currency: tariff.currency,
+    region: tariff.region,
+    tariffVersion: tariff.version,
+    pooledTripCost,
+    totalCollected: shares.reduce((sum, s) => sum + s.share, 0),
+    coveredKm: round2(coveredKm),
+    shares,
+    computedAt: new Date().toISOString()
+  };
+};
+
+module.exports = {
+  splitTripCost,
+  buildRoute,
+  projectOntoRoute
+};
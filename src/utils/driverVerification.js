@@ -0,0 +1,66 @@
+// utils/driverVerification.js
+// Works out a driver's verification status from their per-type document record.
+// A driver record keeps, per DRIVER_VERIFICATION.DOCUMENT_TYPES entry:
+//   { approved: { documentId, expiresAt, approvedAt } | null,
+//     pendingDocumentId: string | null,
+//     rejected: { documentId, note, at } | null }
+// An approved document stays in force while a replacement waits for review, so renewals
+// don't take a driver off the road.
+const { DRIVER_VERIFICATION } = require('../config/constants');
+
+const STATUSES = {
+  UNVERIFIED: 'unverified', // required documents never uploaded
+  PENDING: 'pending', // uploaded, waiting for review
+  REJECTED: 'rejected', // latest review rejected, nothing approved
+  EXPIRED: 'expired', // an approved document lapsed
+  VERIFIED: 'verified'
+};
+
+const documentState = (record, now) => {
+  if (record?.approved && new Date(record.approved.expiresAt).getTime() > now) return STATUSES.VERIFIED;
+  if (record?.pendingDocumentId) return STATUSES.PENDING;
+  if (record?.approved) return STATUSES.EXPIRED;
+  if (record?.rejected) return STATUSES.REJECTED;
+  return STATUSES.UNVERIFIED;
+};
+
+// Most serious first: what the driver has to act on
+const PRIORITY = [STATUSES.EXPIRED, STATUSES.REJECTED, STATUSES.UNVERIFIED, STATUSES.PENDING];
+
+/**
+ * @param {Object} documents - per-type records (see header)
+ * @param {number} [now] - epoch ms
+ * @returns {Object} { status, verifiedUntil, byType, missing }
+ */
+const summarizeVerification = (documents = {}, now = Date.now()) => {
+  const byType = {};
+  DRIVER_VERIFICATION.DOCUMENT_TYPES.forEach(type => {
+    byType[type] = documentState(documents[type], now);
+  });
+
+  const states = Object.values(byType);
+  const missing = DRIVER_VERIFICATION.DOCUMENT_TYPES.filter(type => byType[type] !== STATUSES.VERIFIED);
+
+  if (missing.length === 0) {
+    const verifiedUntil = DRIVER_VERIFICATION.DOCUMENT_TYPES
+      .map(type => documents[type].approved.expiresAt)
+      .sort((a, b) => new Date(a) - new Date(b))[0];
+    return { status: STATUSES.VERIFIED, verifiedUntil, byType, missing };
+  }
+
+  const status = PRIORITY.find(candidate => states.includes(candidate));
+  return { status, verifiedUntil: null, byType, missing };
+};
+
+/**
+ * Whether a verification summary stored on a search still lets the driver be matched
+ * @param {Object|null} verification - { status, verifiedUntil }
+ */
+const isDriverCleared = (verification, now = Date.now()) =>
+  verification?.status === STATUSES.VERIFIED && new Date(verification.verifiedUntil).getTime() > now;
+
+module.exports = {
+  STATUSES,
+  summarizeVerification,
+  isDriverCleared
+};
@@ -1,5 +1,6 @@
 // utils/routeMatching.js
 const admin = require('firebase-admin');
+const { getRouter } = require('../services/RoutingProvider');
 
 // Calculate route similarity with enhanced algorithm - UPDATED
 const calculateRouteSimilarity = (passengerRoute, driverRoute, options = {}) => {
@@ -475,18 +476,22 @@ const findClosestPointOnSegment = (point, segmentStart, segmentEnd) => {
   }
 };
 
-// New: Calculate detour distance for driver
-const calculateDetourDistance = (driverRoute, pickupPoint, dropoffPoint) => {
+// Calculate detour distance for driver - road distance via the configured routing provider
+const calculateDetourDistance = async (driverRoute, pickupPoint, dropoffPoint) => {
   try {
     if (!driverRoute || driverRoute.length < 2) return 0;
     
-    const originalDistance = calculateRouteDistance(driverRoute);
-    
     // Create new route with pickup and dropoff points
     const newRoute = insertPointsInRoute(driverRoute, pickupPoint, dropoffPoint);
-    const newDistance = calculateRouteDistance(newRoute);
     
-    return Math.max(0, newDistance - originalDistance);
+    const router = getRouter();
+    const [original, detoured] = await Promise.all([router.route(driverRoute), router.route(newRoute)]);
+    
+    if (original.success && detoured.success && original.source === detoured.source) {
+      return Math.max(0, detoured.distanceKm - original.distanceKm);
+    }
+    
+    return Math.max(0, calculateRouteDistance(newRoute) - calculateRouteDistance(driverRoute));
     
   } catch (error) {
     console.error('❌ Error calculating detour distance:', error);
@@ -521,8 +526,8 @@ const insertPointsInRoute = (originalRoute, pickupPoint, dropoffPoint) => {
     newRoute.splice(pickupIndex, 0, pickupPoint);
     newRoute.splice(dropoffIndex + 1, 0, dropoffPoint);
   } else {
-    newRoute.splice(dropoffIndex, 0, dropoffPoint);
-    newRoute.splice(pickupIndex + 1, 0, pickupPoint);
+    // Dropoff falls on an earlier segment - drop off right after the pickup instead
+    newRoute.splice(pickupIndex, 0, pickupPoint, dropoffPoint);
   }
   
   return newRoute;
@@ -0,0 +1,199 @@
+// utils/fareEngine.js
+// Server-side fare quotes from the versioned tariff tables in config/tariffs.js.
+// Client-supplied fare estimates and trip distances are never used for pricing.
+const { calculateHaversineDistance } = require('./helpers');
+const {
+  TARIFFS,
+  DEFAULT_REGION,
+  ROAD_DISTANCE_FACTOR,
+  AVERAGE_SPEED_KMH
+} = require('../config/tariffs');
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const toLatLng = (location) => {
+  if (!location) return null;
+  const lat = Number(location.lat ?? location.latitude);
+  const lng = Number(location.lng ?? location.longitude);
+  return Number.isFinite(lat) && Number.isFinite(lng) ? { lat, lng } : null;
+};
+
+const inBounds = (point, bounds) => {
+  return !!point && !!bounds &&
+    point.lat >= bounds.minLat && point.lat <= bounds.maxLat &&
+    point.lng >= bounds.minLng && point.lng <= bounds.maxLng;
+};
+
+// Latest version of a region's tariff in effect at `at`
+const latestVersion = (region, at) => {
+  return TARIFFS
+    .filter(t => t.region === region && new Date(t.effectiveFrom) <= at)
+    .sort((a, b) => new Date(b.effectiveFrom) - new Date(a.effectiveFrom))[0] || null;
+};
+
+/**
+ * Pick the tariff for a trip: explicit region, else the region containing the pickup, else default
+ * @param {Object} options - { region, location, at }
+ */
+const resolveTariff = ({ region, location, at = new Date() } = {}) => {
+  const when = new Date(at);
+  const point = toLatLng(location);
+
+  const regionName = (region && TARIFFS.some(t => t.region === region))
+    ? region
+    : (TARIFFS.find(t => inBounds(point, t.bounds))?.region || DEFAULT_REGION);
+
+  return latestVersion(regionName, when) || latestVersion(DEFAULT_REGION, when);
+};
+
+// Look up an exact tariff version (e.g. to explain a stored match)
+const getTariffVersion = (version) => TARIFFS.find(t => t.version === version) || null;
+
+// Day of week and minutes since midnight in the tariff's timezone
+const localTime = (at, timezone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(new Date(at));
+
+  const get = (type) => parts.find(p => p.type === type)?.value;
+  const days = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+  return {
+    day: days.indexOf(get('weekday')),
+    minutes: parseInt(get('hour')) * 60 + parseInt(get('minute'))
+  };
+};
+
+const toMinutes = (hhmm) => {
+  const [h, m] = hhmm.split(':').map(Number);
+  return h * 60 + m;
+};
+
+/**
+ * Highest time-of-day multiplier whose window contains `at` (1.0 when none)
+ */
+const timeOfDayMultiplier = (tariff, at = new Date()) => {
+  const { day, minutes } = localTime(at, tariff.timezone);
+
+  const active = (tariff.timeOfDay || []).filter(window => {
+    if (window.days && !window.days.includes(day)) return false;
+    const start = toMinutes(window.start);
+    const end = toMinutes(window.end);
+    return start <= end
+      ? minutes >= start && minutes < end
+      : minutes >= start || minutes < end; // wraps past midnight
+  });
+
+  if (active.length === 0) return { name: 'standard', multiplier: 1 };
+  const best = active.reduce((a, b) => (b.multiplier > a.multiplier ? b : a));
+  return { name: best.name, multiplier: best.multiplier };
+};
+
+// Road distance and driving time for a distance measured on the server
+const metricsForDistance = (km, source) => ({
+  distanceKm: round2(km),
+  durationMin: Math.round((km / AVERAGE_SPEED_KMH) * 60),
+  source
+});
+
+/**
+ * Trip distance/duration from the stored pickup/destination coordinates (Haversine, scaled to
+ * road distance). Without both coordinates the trip is priced at the minimum fare.
+ */
+const estimateTripMetrics = ({ pickupLocation, destinationLocation } = {}) => {
+  const pickup = toLatLng(pickupLocation);
+  const destination = toLatLng(destinationLocation);
+
+  if (pickup && destination) {
+    const km = calculateHaversineDistance(pickup.lat, pickup.lng, destination.lat, destination.lng) * ROAD_DISTANCE_FACTOR;
+    if (Number.isFinite(km)) return metricsForDistance(km, 'coordinates');
+  }
+
+  return { distanceKm: 0, durationMin: 0, source: 'none' };
+};
+
+const whenOf = (at) => {
+  const date = at ? new Date(at) : new Date();
+  return isNaN(date.getTime()) ? new Date() : date;
+};
+
+// Price a trip's metrics with the tariff in effect at its pickup and time
+const quote = (trip, metrics) => {
+  const when = whenOf(trip.at);
+  const tariff = resolveTariff({ region: trip.region, location: trip.pickupLocation, at: when });
+
+  const seats = Math.max(1, parseInt(trip.seats) || 1);
+  const timeOfDay = timeOfDayMultiplier(tariff, when);
+
+  const baseFare = tariff.baseFare;
+  const distanceFare = metrics.distanceKm * tariff.perKm;
+  const timeFare = metrics.durationMin * tariff.perMinute;
+  const subtotal = baseFare + distanceFare + timeFare;
+
+  // First seat at full price, every extra seat at additionalSeatRate
+  const seatMultiplier = 1 + (seats - 1) * tariff.seats.additionalSeatRate;
+  const sharedDiscount = trip.shared ? tariff.seats.sharedRideDiscount : 0;
+
+  const priced = subtotal * timeOfDay.multiplier * seatMultiplier * (1 - sharedDiscount);
+  const minimumFare = tariff.minimumFare * seatMultiplier;
+  const total = Math.round(Math.max(priced, minimumFare));
+
+  return {
+    total,
+    currency: tariff.currency,
+    region: tariff.region,
+    tariffVersion: tariff.version,
+    breakdown: {
+      baseFare,
+      distanceKm: metrics.distanceKm,
+      perKm: tariff.perKm,
+      distanceFare: round2(distanceFare),
+      durationMin: metrics.durationMin,
+      perMinute: tariff.perMinute,
+      timeFare: round2(timeFare),
+      subtotal: round2(subtotal),
+      timeOfDay,
+      seats,
+      seatMultiplier: round2(seatMultiplier),
+      shared: !!trip.shared,
+      sharedDiscount,
+      minimumFare: round2(minimumFare),
+      minimumApplied: priced < minimumFare,
+      metricsSource: metrics.source,
+      pricedAt: when.toISOString(),
+      total
+    }
+  };
+};
+
+/**
+ * Quote a fare
+ * @param {Object} trip - { pickupLocation, destinationLocation, seats, shared, at, region }
+ * @returns {Object} { total, currency, region, tariffVersion, breakdown }
+ */
+const calculateFare = (trip = {}) => quote(trip, estimateTripMetrics(trip));
+
+/**
+ * Quote a distance the server measured itself, e.g. the covered length of a pooled route
+ * @param {Object} trip - { distanceKm, seats, shared, at, region, pickupLocation }
+ */
+const calculateDistanceFare = (trip = {}) => {
+  const km = Number(trip.distanceKm);
+  const metrics = Number.isFinite(km) && km > 0
+    ? metricsForDistance(km, 'route')
+    : { distanceKm: 0, durationMin: 0, source: 'none' };
+  return quote(trip, metrics);
+};
+
+module.exports = {
+  calculateFare,
+  calculateDistanceFare,
+  resolveTariff,
+  getTariffVersion,
+  timeOfDayMultiplier,
+  estimateTripMetrics
+};
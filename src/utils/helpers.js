@@ -70,6 +70,24 @@ module.exports = {
     return null;
   },
   
+  // Normalize phone numbers to +251XXXXXXXXX (same rules as app.js)
+  formatPhoneNumber: (phone) => {
+    if (!phone) return '';
+    const digits = String(phone).replace(/\D/g, '');
+    
+    if (digits.startsWith('251') && digits.length === 12) {
+      return `+${digits}`;
+    } else if (digits.startsWith('09') && digits.length === 10) {
+      return `+251${digits.substring(1)}`;
+    } else if (digits.startsWith('9') && digits.length === 9) {
+      return `+251${digits}`;
+    } else if (digits.length >= 10) {
+      return `+${digits}`;
+    }
+    
+    return String(phone);
+  },
+  
   // Format date for display
   formatDateTime: (date) => {
     if (!date) return 'N/A';
@@ -1,14 +1,26 @@
 // utils/matchProposal.js
 const admin = require('firebase-admin');
+const { COLLECTIONS, MATCHING } = require('../config/constants');
+const { pairRatingScore } = require('./ratingScore');
+const { calculateFare } = require('./fareEngine');
+const { getRouter } = require('../services/RoutingProvider');
+const { formatPhoneNumber } = require('./helpers');
 
 // Create match proposal - UPDATED to match Flutter structure
 const createMatchProposal = async (db, match, rideType) => {
   try {
     const matchId = `match_${match.driverId}_${match.passengerId}_${Date.now()}`;
     
+    if (!match.ratings) {
+      match.ratings = await getMatchRatings(db, match);
+    }
+    
     // Calculate match score based on similarity and other factors
     const matchScore = calculateMatchScore(match);
     
+    // Server-side fare from the tariff tables (client estimates are ignored)
+    const fareQuote = quoteMatchFare(match);
+    
     const matchData = {
       // Match identification
       matchId: matchId,
@@ -28,10 +40,14 @@ const createMatchProposal = async (db, match, rideType) => {
       destinationName: match.passengerData?.destinationName || 'Destination Location',
       
       // Fare and pricing
-      proposedFare: match.proposedFare || calculateProposedFare(match),
-      baseFare: 50,
-      distanceFare: (match.driverData?.distance || 5) * 15,
-      timeFare: (match.driverData?.duration || 15) * 2,
+      proposedFare: fareQuote.total,
+      baseFare: fareQuote.breakdown.baseFare,
+      distanceFare: fareQuote.breakdown.distanceFare,
+      timeFare: fareQuote.breakdown.timeFare,
+      fareCurrency: fareQuote.currency,
+      fareBreakdown: fareQuote.breakdown,
+      tariffRegion: fareQuote.region,
+      tariffVersion: fareQuote.tariffVersion,
       
       // Passenger information
       passengerCount: match.passengerData?.passengerCount || 1,
@@ -52,7 +68,7 @@ const createMatchProposal = async (db, match, rideType) => {
       
       // Scheduling
       scheduledTime: match.scheduledTime || null,
-      estimatedPickupTime: calculateEstimatedPickupTime(match),
+      estimatedPickupTime: await calculateEstimatedPickupTime(match),
       
       // Response tracking
       driverResponse: null,
@@ -123,43 +139,51 @@ const calculateMatchScore = (match) => {
     }
   }
   
-  return Math.min(100, Math.max(0, score)); // Ensure score is between 0-100
+  score = Math.min(100, Math.max(0, score)); // Ensure score is between 0-100
+  
+  // Blend in both sides' ratings (unrated users count as the rating prior)
+  const ratingWeight = MATCHING.SCORE_WEIGHTS.RATING;
+  const ratingScore = pairRatingScore(match.ratings?.driver, match.ratings?.passenger);
+  
+  return score * (1 - ratingWeight) + ratingScore * 100 * ratingWeight;
+};
+
+// Load rating aggregates for both sides of a match from rating_summaries
+const getMatchRatings = async (db, match) => {
+  try {
+    const [driverDoc, passengerDoc] = await Promise.all([
+      db.collection(COLLECTIONS.RATING_SUMMARIES).doc(formatPhoneNumber(match.driverId)).get(),
+      db.collection(COLLECTIONS.RATING_SUMMARIES).doc(formatPhoneNumber(match.passengerId)).get()
+    ]);
+    
+    return {
+      driver: driverDoc.exists ? driverDoc.data().driver : null,
+      passenger: passengerDoc.exists ? passengerDoc.data().passenger : null
+    };
+  } catch (error) {
+    console.error('❌ Error loading match ratings:', error.message);
+    return { driver: null, passenger: null };
+  }
+};
+
+// Quote the fare for a match from the tariff tables
+const quoteMatchFare = (match) => {
+  return calculateFare({
+    pickupLocation: match.pickupLocation || match.passengerData?.pickupLocation,
+    destinationLocation: match.destinationLocation || match.passengerData?.destinationLocation,
+    seats: match.passengerData?.passengerCount || 1,
+    shared: (match.driverData?.currentPassengers || 0) > 0,
+    at: match.scheduledTime || new Date()
+  });
 };
 
 // Calculate proposed fare
 const calculateProposedFare = (match) => {
-  const baseFare = 50;
-  const perKmRate = 15;
-  const perMinuteRate = 2;
-  
-  const distance = match.driverData?.distance || match.passengerData?.distance || 5;
-  const duration = match.driverData?.duration || match.passengerData?.duration || 15;
-  const passengerCount = match.passengerData?.passengerCount || 1;
-  
-  let fare = baseFare + (distance * perKmRate) + (duration * perMinuteRate);
-  
-  // Adjust for multiple passengers
-  if (passengerCount > 1) {
-    fare *= (1 + (passengerCount - 1) * 0.2); // 20% increase per additional passenger
-  }
-  
-  // Consider driver and passenger estimates
-  const driverEstimate = match.driverData?.estimatedFare;
-  const passengerEstimate = match.passengerData?.estimatedFare;
-  
-  if (driverEstimate && passengerEstimate) {
-    fare = (fare + driverEstimate + passengerEstimate) / 3;
-  } else if (driverEstimate) {
-    fare = (fare + driverEstimate) / 2;
-  } else if (passengerEstimate) {
-    fare = (fare + passengerEstimate) / 2;
-  }
-  
-  return Math.round(fare);
+  return quoteMatchFare(match).total;
 };
 
 // Calculate estimated pickup time
-const calculateEstimatedPickupTime = (match) => {
+const calculateEstimatedPickupTime = async (match) => {
   const now = new Date();
   const baseWaitTime = 5; // 5 minutes base wait time
   
@@ -168,15 +192,10 @@ const calculateEstimatedPickupTime = (match) => {
     return new Date(match.scheduledTime);
   }
   
-  // For immediate rides, calculate based on distance and traffic
-  const driverToPickupDistance = calculateDistance(
-    match.driverData?.currentLocation?.lat || match.driverData?.pickupLocation?.lat,
-    match.driverData?.currentLocation?.lng || match.driverData?.pickupLocation?.lng,
-    match.pickupLocation.lat,
-    match.pickupLocation.lng
-  );
-  
-  const estimatedTravelTime = (driverToPickupDistance / 40) * 60; // Assuming 40 km/h average speed
+  // For immediate rides, add the driver's drive time to the pickup (OSRM or Haversine per ROUTE_CALCULATION)
+  const driverLocation = match.driverData?.currentLocation || match.driverData?.pickupLocation;
+  const route = await getRouter().route([driverLocation, match.pickupLocation]);
+  const estimatedTravelTime = route.success ? route.durationMin : 0;
   
   return new Date(now.getTime() + (baseWaitTime + estimatedTravelTime) * 60000);
 };
@@ -446,19 +465,6 @@ const createAcceptanceNotifications = async (db, rideSession) => {
   }
 };
 
-// Helper function to calculate distance between two points
-const calculateDistance = (lat1, lon1, lat2, lon2) => {
-  const R = 6371; // Earth's radius in km
-  const dLat = (lat2 - lat1) * Math.PI / 180;
-  const dLon = (lon2 - lon1) * Math.PI / 180;
-  const a = 
-    Math.sin(dLat/2) * Math.sin(dLat/2) +
-    Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) * 
-    Math.sin(dLon/2) * Math.sin(dLon/2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-  return R * c;
-};
-
 // Helper function to format time
 const formatTime = (date) => {
   if (!date) return 'Unknown';
@@ -475,5 +481,6 @@ module.exports = {
   createMatchProposal,
   updateMatchStatus,
   calculateMatchScore,
-  calculateProposedFare
+  calculateProposedFare,
+  quoteMatchFare
 };
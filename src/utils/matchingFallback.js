@@ -0,0 +1,66 @@
+// utils/matchingFallback.js
+// FALLBACK_MECHANISMS for searches that keep failing to match (ScheduleMatchingConfig).
+//
+// Every ACTIVATE_AFTER_FAILED_CYCLES failed window cycles a search moves up one relaxation
+// level; each level switches on the next enabled step, in order:
+//   expand_radius - the window radius is multiplied by RADIUS_MULTIPLIER
+//   relax_time    - departure times may differ by up to MAX_TIME_DIFF_FALLBACK minutes
+// Scheduled matching has no route or region checks, so RELAX_ROUTE_REQUIREMENTS and
+// ALLOW_CROSS_REGION have nothing to relax.
+
+const STEPS = {
+  EXPAND_RADIUS: 'expand_radius',
+  RELAX_TIME: 'relax_time'
+};
+
+const fallbackSteps = (fallbackConfig = {}) => {
+  const strategies = fallbackConfig.STRATEGIES || {};
+  const steps = [];
+  if (strategies.EXPAND_SEARCH_RADIUS) steps.push(STEPS.EXPAND_RADIUS);
+  if (strategies.RELAX_TIME_CONSTRAINTS) steps.push(STEPS.RELAX_TIME);
+  return steps;
+};
+
+/**
+ * Relaxation level earned by a number of consecutive failed cycles
+ */
+const levelForFailures = (failedCycles, fallbackConfig = {}) => {
+  if (!fallbackConfig.ENABLED) return 0;
+  const every = Math.max(1, fallbackConfig.ACTIVATE_AFTER_FAILED_CYCLES || 1);
+  return Math.min(Math.floor(failedCycles / every), fallbackSteps(fallbackConfig).length);
+};
+
+/**
+ * Limits in force at a relaxation level
+ * @param {number} baseMaxTimeDifference - THRESHOLDS.MAX_TIME_DIFFERENCE (minutes)
+ * @returns {Object} { level, steps, radiusMultiplier, maxTimeDifferenceMinutes }
+ */
+const relaxationFor = (level, fallbackConfig = {}, baseMaxTimeDifference = Infinity) => {
+  const strategies = fallbackConfig.STRATEGIES || {};
+  const steps = fallbackConfig.ENABLED ? fallbackSteps(fallbackConfig).slice(0, Math.max(0, level || 0)) : [];
+
+  return {
+    level: steps.length,
+    steps,
+    radiusMultiplier: steps.includes(STEPS.EXPAND_RADIUS) ? Math.max(1, strategies.RADIUS_MULTIPLIER || 1) : 1,
+    maxTimeDifferenceMinutes: steps.includes(STEPS.RELAX_TIME)
+      ? Math.max(baseMaxTimeDifference, strategies.MAX_TIME_DIFF_FALLBACK || 0)
+      : baseMaxTimeDifference
+  };
+};
+
+/**
+ * A pair is held to the looser limits of its two sides
+ */
+const pairLimits = (driverRelaxation, passengerRelaxation) => ({
+  radiusMultiplier: Math.max(driverRelaxation.radiusMultiplier, passengerRelaxation.radiusMultiplier),
+  maxTimeDifferenceMinutes: Math.max(driverRelaxation.maxTimeDifferenceMinutes, passengerRelaxation.maxTimeDifferenceMinutes)
+});
+
+module.exports = {
+  STEPS,
+  fallbackSteps,
+  levelForFailures,
+  relaxationFor,
+  pairLimits
+};
@@ -0,0 +1,23 @@
+// utils/ratingScore.js
+// Rating aggregates -> matching scores. Shared by RatingService, matchProposal and ScheduledService.
+const { RATINGS } = require('../config/constants');
+
+module.exports = {
+  // Average pulled toward RATINGS.PRIOR_MEAN until a user has enough ratings
+  smoothedRating: (stats) => {
+    const count = stats?.count || 0;
+    const total = stats?.total || 0;
+    return (RATINGS.PRIOR_MEAN * RATINGS.PRIOR_WEIGHT + total) / (RATINGS.PRIOR_WEIGHT + count);
+  },
+
+  // 0..1 score for one side of a match (unrated users get the prior)
+  ratingScore: (stats) => {
+    const smoothed = module.exports.smoothedRating(stats);
+    return (smoothed - RATINGS.MIN) / (RATINGS.MAX - RATINGS.MIN);
+  },
+
+  // 0..1 score for a driver/passenger pair
+  pairRatingScore: (driverStats, passengerStats) => {
+    return (module.exports.ratingScore(driverStats) + module.exports.ratingScore(passengerStats)) / 2;
+  }
+};
@@ -0,0 +1,161 @@
+// utils/recurrence.js
+// Weekly recurrence rules for commute templates - the part of RRULE (FREQ=WEEKLY;BYDAY=...;UNTIL=...
+// plus EXDATE) that commutes need:
+//   { daysOfWeek: ['MO', 'TU', ...], time: 'HH:MM', timezone, startDate: 'YYYY-MM-DD',
+//     endDate: 'YYYY-MM-DD' | null, skipDates: ['YYYY-MM-DD'] }
+// Dates and times are local to the rule's timezone; an occurrence is identified by its local date.
+
+const DAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA']; // index = Date#getUTCDay()
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const MAX_SEARCH_DAYS = 400; // a rule with nothing left in this span counts as finished
+
+const isValidDate = (value) => {
+  if (typeof value !== 'string' || !DATE_PATTERN.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !isNaN(date.getTime()) && date.toISOString().startsWith(value);
+};
+
+const isValidTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+const addDays = (date, days) => {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+};
+
+const dayCodeOf = (date) => DAY_CODES[new Date(`${date}T00:00:00Z`).getUTCDay()];
+
+// Local calendar date of an instant in a timezone
+const localDate = (at, timezone) => new Intl.DateTimeFormat('en-CA', {
+  timeZone: timezone,
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit'
+}).format(new Date(at));
+
+// Offset of a timezone from UTC at an instant, in ms
+const timezoneOffset = (at, timezone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(new Date(at));
+  const get = (type) => Number(parts.find(p => p.type === type)?.value);
+
+  const asUtc = Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second'));
+  return asUtc - Math.floor(at / 1000) * 1000;
+};
+
+/**
+ * Instant of a local date and time in a timezone
+ */
+const zonedTime = (date, time, timezone) => {
+  const [hour, minute] = time.split(':').map(Number);
+  const [year, month, day] = date.split('-').map(Number);
+  const guess = Date.UTC(year, month - 1, day, hour, minute);
+
+  // Second pass settles times next to a DST change
+  const first = guess - timezoneOffset(guess, timezone);
+  return new Date(guess - timezoneOffset(first, timezone));
+};
+
+/**
+ * Validate and normalize a rule
+ * @param {Object} input - rule fields; days may be RRULE codes ('MO') or ISO numbers (1 = Monday)
+ * @param {Object} options - { defaultTimezone, now, maxSkipDates }
+ * @returns {{rule?: Object, error?: string}}
+ */
+const normalizeRule = (input = {}, { defaultTimezone = 'UTC', now = Date.now(), maxSkipDates = 100 } = {}) => {
+  const timezone = input.timezone || defaultTimezone;
+  if (!isValidTimezone(timezone)) return { error: `Unknown timezone: ${timezone}` };
+
+  const days = (Array.isArray(input.daysOfWeek) ? input.daysOfWeek : [])
+    .map(day => (typeof day === 'number' ? DAY_CODES[day % 7] : String(day).toUpperCase().slice(0, 2)));
+  if (days.length === 0 || days.some(day => !DAY_CODES.includes(day))) {
+    return { error: 'daysOfWeek must list days as MO..SU or 1..7' };
+  }
+
+  if (typeof input.time !== 'string' || !TIME_PATTERN.test(input.time)) {
+    return { error: 'time must be HH:MM (24h)' };
+  }
+
+  const startDate = input.startDate || localDate(now, timezone);
+  if (!isValidDate(startDate)) return { error: 'startDate must be YYYY-MM-DD' };
+
+  const endDate = input.endDate || null;
+  if (endDate && (!isValidDate(endDate) || endDate < startDate)) {
+    return { error: 'endDate must be YYYY-MM-DD on or after startDate' };
+  }
+
+  const skipDates = [...new Set(Array.isArray(input.skipDates) ? input.skipDates : [])].sort();
+  if (skipDates.some(date => !isValidDate(date))) return { error: 'skipDates must be YYYY-MM-DD dates' };
+  if (skipDates.length > maxSkipDates) return { error: `At most ${maxSkipDates} skip dates allowed` };
+
+  return {
+    rule: {
+      daysOfWeek: DAY_CODES.filter(code => days.includes(code)),
+      time: input.time,
+      timezone,
+      startDate,
+      endDate,
+      skipDates
+    }
+  };
+};
+
+/**
+ * First occurrence strictly after `after`
+ * @returns {{date: string, at: string}|null} local date and ISO instant, null when the rule is finished
+ */
+const nextOccurrence = (rule, after = Date.now()) => {
+  const afterMs = new Date(after).getTime();
+  const from = localDate(afterMs, rule.timezone);
+  let date = from > rule.startDate ? addDays(from, -1) : rule.startDate;
+
+  for (let i = 0; i < MAX_SEARCH_DAYS; i++, date = addDays(date, 1)) {
+    if (rule.endDate && date > rule.endDate) return null;
+    if (!rule.daysOfWeek.includes(dayCodeOf(date)) || rule.skipDates.includes(date)) continue;
+
+    const at = zonedTime(date, rule.time, rule.timezone);
+    if (at.getTime() > afterMs) return { date, at: at.toISOString() };
+  }
+  return null;
+};
+
+/**
+ * Next `count` occurrences after `after`
+ */
+const upcomingOccurrences = (rule, after = Date.now(), count = 5) => {
+  const occurrences = [];
+  let cursor = after;
+  while (occurrences.length < count) {
+    const next = nextOccurrence(rule, cursor);
+    if (!next) break;
+    occurrences.push(next);
+    cursor = next.at;
+  }
+  return occurrences;
+};
+
+module.exports = {
+  DAY_CODES,
+  isValidDate,
+  localDate,
+  zonedTime,
+  normalizeRule,
+  nextOccurrence,
+  upcomingOccurrences
+};
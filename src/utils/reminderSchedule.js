@@ -0,0 +1,50 @@
+// utils/reminderSchedule.js
+// Reminder offsets as used in NOTIFICATIONS.REMINDER_SCHEDULE ('24h', '1h', '30m', '2d')
+// and the times they fall due before a departure.
+
+const UNIT_MS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+const UNIT_NAMES = { m: 'minute', h: 'hour', d: 'day' };
+
+const OFFSET_PATTERN = /^(\d+)([mhd])$/;
+
+/**
+ * '3h' -> 10800000; null for anything that isn't <number><m|h|d>
+ */
+const parseOffset = (offset) => {
+  const match = OFFSET_PATTERN.exec(String(offset).trim());
+  return match ? Number(match[1]) * UNIT_MS[match[2]] : null;
+};
+
+/**
+ * '3h' -> '3 hours', '1h' -> '1 hour'
+ */
+const describeOffset = (offset) => {
+  const match = OFFSET_PATTERN.exec(String(offset).trim());
+  if (!match) return String(offset);
+  const amount = Number(match[1]);
+  return `${amount} ${UNIT_NAMES[match[2]]}${amount === 1 ? '' : 's'}`;
+};
+
+/**
+ * Enabled offsets of a schedule with their send times, earliest first
+ * @param {string|Date} scheduledTime - departure
+ * @param {Object} schedule - { '24h': true, '1h': true, ... }
+ * @returns {Array<{offset, offsetMs, sendAtMs}>}
+ */
+const reminderTimes = (scheduledTime, schedule = {}) => {
+  const departure = new Date(scheduledTime).getTime();
+  if (!Number.isFinite(departure)) return [];
+
+  return Object.entries(schedule || {})
+    .filter(([, enabled]) => enabled)
+    .map(([offset]) => ({ offset, offsetMs: parseOffset(offset) }))
+    .filter(r => r.offsetMs > 0)
+    .map(r => ({ ...r, sendAtMs: departure - r.offsetMs }))
+    .sort((a, b) => a.sendAtMs - b.sendAtMs);
+};
+
+module.exports = {
+  parseOffset,
+  describeOffset,
+  reminderTimes
+};
@@ -0,0 +1,185 @@
+// utils/ridePreferences.js
+// Ride preferences kept on driver/passenger profiles and applied to every pairing, immediate
+// (routeMatching) and scheduled (ScheduledService). Hard preferences rule a pair out; soft ones
+// move the pair's compatibility (MATCHING.SCORE_WEIGHTS.COMPATIBILITY) up or down.
+// Live today: profiles are edited over WS UPDATE_USER_PROFILE and scheduled matching applies
+// them. Immediate matching is only reached from the driver/passenger controllers, which app.js
+// does not mount.
+//
+//   passenger: femaleDriverOnly, noSmoking, minDriverRating, maxCoRiders (hard); quietRide (soft)
+//   driver:    maxLuggage, noPets, noSmoking (hard); quietRide (soft)
+//
+// Profile attributes the other side's preferences are checked against: gender, smoker.
+// Unknown attributes only fail femaleDriverOnly; everything else gives the benefit of the doubt.
+const { RIDE_PREFERENCES } = require('../config/constants');
+
+const PREFERENCE_TYPES = {
+  passenger: {
+    femaleDriverOnly: 'boolean',
+    noSmoking: 'boolean',
+    quietRide: 'boolean',
+    minDriverRating: 'rating',
+    maxCoRiders: 'coRiders'
+  },
+  driver: {
+    maxLuggage: 'luggage',
+    noPets: 'boolean',
+    noSmoking: 'boolean',
+    quietRide: 'boolean'
+  }
+};
+
+const checkValue = (type, value) => {
+  switch (type) {
+    case 'boolean':
+      return typeof value === 'boolean' ? null : 'must be true or false';
+    case 'rating':
+      return Number.isFinite(value) && value >= 1 && value <= 5 ? null : 'must be a rating from 1 to 5';
+    case 'coRiders':
+      return Number.isInteger(value) && value >= 0 && value <= RIDE_PREFERENCES.MAX_CO_RIDERS_LIMIT
+        ? null : `must be a whole number from 0 to ${RIDE_PREFERENCES.MAX_CO_RIDERS_LIMIT}`;
+    case 'luggage':
+      return Number.isInteger(value) && value >= 0 && value <= RIDE_PREFERENCES.MAX_LUGGAGE_LIMIT
+        ? null : `must be a whole number from 0 to ${RIDE_PREFERENCES.MAX_LUGGAGE_LIMIT}`;
+    default:
+      return 'is not supported';
+  }
+};
+
+/**
+ * Validate a preferences update; a null value clears that preference
+ * @param {string} role - 'driver' | 'passenger'
+ * @param {Object} input
+ * @param {Object} [existing] - stored preferences the update applies to
+ * @returns {Object} { preferences } or { error }
+ */
+const normalizePreferences = (role, input, existing = {}) => {
+  const types = PREFERENCE_TYPES[role];
+  if (!types) return { error: 'role must be driver or passenger' };
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'preferences must be an object' };
+  }
+
+  const preferences = { ...(existing || {}) };
+  for (const [key, value] of Object.entries(input)) {
+    if (!types[key]) {
+      return { error: `Unknown ${role} preference: ${key} (allowed: ${Object.keys(types).join(', ')})` };
+    }
+    if (value === null) {
+      delete preferences[key];
+      continue;
+    }
+    const problem = checkValue(types[key], value);
+    if (problem) return { error: `${key} ${problem}` };
+    preferences[key] = value;
+  }
+  return { preferences };
+};
+
+/**
+ * Validate profile attributes matched against the other side's preferences
+ * @param {Object} input - { gender?, smoker? }
+ * @returns {Object} { attributes } (only the fields given) or { error }
+ */
+const normalizeAttributes = (input = {}) => {
+  const attributes = {};
+  if (input.gender !== undefined && input.gender !== null) {
+    const gender = String(input.gender).toLowerCase();
+    if (!RIDE_PREFERENCES.GENDERS.includes(gender)) {
+      return { error: `gender must be one of: ${RIDE_PREFERENCES.GENDERS.join(', ')}` };
+    }
+    attributes.gender = gender;
+  }
+  if (input.smoker !== undefined && input.smoker !== null) {
+    if (typeof input.smoker !== 'boolean') return { error: 'smoker must be true or false' };
+    attributes.smoker = input.smoker;
+  }
+  return { attributes };
+};
+
+/**
+ * Preference and attribute fields of a profile update, validated together
+ * @param {string} role - 'driver' | 'passenger'
+ * @param {Object} input - { preferences?, gender?, smoker? }
+ * @param {Object} [existingPreferences]
+ * @returns {Object} { updates } (only the fields given) or { error }
+ */
+const normalizeProfileUpdate = (role, input = {}, existingPreferences = {}) => {
+  const updates = {};
+  if (input.preferences !== undefined) {
+    const { preferences, error } = normalizePreferences(role, input.preferences, existingPreferences);
+    if (error) return { error };
+    updates.preferences = preferences;
+  }
+
+  const { attributes, error } = normalizeAttributes(input);
+  if (error) return { error };
+  return { updates: { ...updates, ...attributes } };
+};
+
+/**
+ * What matching needs from a stored profile document; invalid stored values are dropped
+ */
+const profileSnapshot = (role, profile) => {
+  const preferences = {};
+  Object.entries(profile?.preferences || {}).forEach(([key, value]) => {
+    const type = PREFERENCE_TYPES[role]?.[key];
+    if (type && value !== null && !checkValue(type, value)) preferences[key] = value;
+  });
+
+  const { attributes = {} } = normalizeAttributes({
+    gender: RIDE_PREFERENCES.GENDERS.includes(String(profile?.gender).toLowerCase()) ? profile.gender : undefined,
+    smoker: typeof profile?.smoker === 'boolean' ? profile.smoker : undefined
+  });
+
+  return { preferences, attributes };
+};
+
+// Soft preference both sides can state: shared, conflicting or one-sided
+const softCompatibility = (mine, theirs) => {
+  if (mine !== true && theirs !== true) return RIDE_PREFERENCES.COMPATIBILITY.NEUTRAL;
+  if (mine === true && theirs === true) return RIDE_PREFERENCES.COMPATIBILITY.SHARED;
+  if (mine === false || theirs === false) return RIDE_PREFERENCES.COMPATIBILITY.CONFLICT;
+  return RIDE_PREFERENCES.COMPATIBILITY.NEUTRAL;
+};
+
+/**
+ * @param {Object} driver - { preferences, attributes, rating (1-5 or null), coRiders (passengers already riding) }
+ * @param {Object} passenger - { preferences, attributes, luggageCount, withPet }
+ * @returns {Object} { allowed, reasons: string[], compatibility: 0..1 }
+ */
+const evaluatePreferences = (driver = {}, passenger = {}) => {
+  const wants = passenger.preferences || {};
+  const accepts = driver.preferences || {};
+  const driverAttributes = driver.attributes || {};
+  const passengerAttributes = passenger.attributes || {};
+  const reasons = [];
+
+  // Passenger's hard preferences
+  if (wants.femaleDriverOnly && driverAttributes.gender !== 'female') reasons.push('female_driver_only');
+  if (wants.noSmoking && driverAttributes.smoker === true) reasons.push('driver_smokes');
+  if (Number.isFinite(wants.minDriverRating) && Number.isFinite(driver.rating) && driver.rating < wants.minDriverRating) {
+    reasons.push('driver_rating_below_minimum');
+  }
+  if (Number.isInteger(wants.maxCoRiders) && (driver.coRiders || 0) > wants.maxCoRiders) reasons.push('too_many_co_riders');
+
+  // Driver's hard preferences
+  if (Number.isInteger(accepts.maxLuggage) && (passenger.luggageCount || 0) > accepts.maxLuggage) reasons.push('too_much_luggage');
+  if (accepts.noPets && passenger.withPet === true) reasons.push('pets_not_allowed');
+  if (accepts.noSmoking && passengerAttributes.smoker === true) reasons.push('passenger_smokes');
+
+  return {
+    allowed: reasons.length === 0,
+    reasons,
+    compatibility: softCompatibility(wants.quietRide, accepts.quietRide)
+  };
+};
+
+module.exports = {
+  PREFERENCE_TYPES,
+  normalizePreferences,
+  normalizeAttributes,
+  normalizeProfileUpdate,
+  profileSnapshot,
+  evaluatePreferences
+};
@@ -1,6 +1,8 @@
-const { COLLECTIONS, TIMEOUTS, MATCHING_THRESHOLDS, TEST_MODE } = require('../config/constants');
+const { COLLECTIONS, TIMEOUTS, MATCHING, MATCHING_THRESHOLDS, TEST_MODE, RIDE_PREFERENCES } = require('../config/constants');
 const helpers = require('./helpers');
 const cache = require('./cache');
+const { profileSnapshot, evaluatePreferences } = require('./ridePreferences');
+const { isPairBlocked } = require('./blockList');
 
 // In-memory tracking for sessions
 const activeMatchingSessions = new Map();
@@ -120,8 +122,32 @@ module.exports = {
         return null;
       }
 
+      // Never pair users where either side blocked the other
+      if (await isPairBlocked(db, module.exports.searchPhone('driver', driver), module.exports.searchPhone('passenger', passenger))) {
+        console.log(`❌ Blocked pair: ${driver.driverId || driver.userId} + ${passenger.passengerId || passenger.userId}`);
+        return null;
+      }
+
+      // Profile ride preferences: hard ones rule the pair out
+      const preferenceFit = evaluatePreferences(
+        {
+          ...(await module.exports.getRidePreferences(db, 'driver', driver)),
+          rating: Number(driver.driverRating || driver.rating) || null,
+          coRiders: driver.currentPassengers || 0
+        },
+        {
+          ...(await module.exports.getRidePreferences(db, 'passenger', passenger)),
+          luggageCount: passenger.luggageCount || 0,
+          withPet: passenger.withPet === true
+        }
+      );
+      if (!preferenceFit.allowed) {
+        console.log(`❌ Ride preferences rule out ${driver.driverId || driver.userId}: ${preferenceFit.reasons.join(', ')}`);
+        return null;
+      }
+
       // Calculate similarity
-      const similarityScore = module.exports.calculateRouteSimilarity(
+      let similarityScore = module.exports.calculateRouteSimilarity(
         passenger.routePoints,
         driver.routePoints,
         driver.currentLocation,
@@ -131,6 +157,9 @@ module.exports = {
         }
       );
 
+      // Soft preferences (quiet ride) move the score around the neutral compatibility
+      similarityScore += MATCHING.SCORE_WEIGHTS.COMPATIBILITY * (preferenceFit.compatibility - RIDE_PREFERENCES.COMPATIBILITY.NEUTRAL);
+
       console.log(`🎯 Final similarity score: ${similarityScore.toFixed(3)} (threshold: ${similarityThreshold})`);
 
       if (TEST_MODE && similarityScore < similarityThreshold) {
@@ -177,6 +206,33 @@ module.exports = {
     }
   },
 
+  searchPhone: (role, search) => role === 'driver'
+    ? search.driverPhone || search.phone || search.userId
+    : search.passengerPhone || search.phone || search.userId,
+
+  // Ride preferences for a search: the snapshot on it, else the user's profile (cached briefly)
+  getRidePreferences: async (db, role, search) => {
+    if (search.ridePreferences) return search.ridePreferences;
+
+    const phone = module.exports.searchPhone(role, search);
+    if (!phone || !db) return profileSnapshot(role, null);
+
+    const cacheKey = `ride_preferences_${role}_${helpers.formatPhoneNumber(phone)}`;
+    const cached = cache.get(cacheKey);
+    if (cached) return cached;
+
+    try {
+      const collection = role === 'driver' ? COLLECTIONS.DRIVER_PROFILES : COLLECTIONS.PASSENGER_PROFILES;
+      const snapshot = await db.collection(collection).doc(helpers.formatPhoneNumber(phone)).get();
+      const preferences = profileSnapshot(role, snapshot.exists ? snapshot.data() : null);
+      cache.set(cacheKey, preferences, RIDE_PREFERENCES.PROFILE_CACHE_TTL);
+      return preferences;
+    } catch (error) {
+      console.error('❌ Error loading ride preferences:', error.message);
+      return profileSnapshot(role, null);
+    }
+  },
+
   // Route similarity calculation
   calculateRouteSimilarity: (passengerRoute, driverRoute, driverCurrentLocation = null, options = {}) => {
     try {
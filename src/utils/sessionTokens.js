@@ -0,0 +1,92 @@
+// utils/sessionTokens.js - HMAC-signed session tokens (payload.signature, base64url)
+const crypto = require('crypto');
+const { AUTH, ERROR_CODES } = require('../config/constants');
+
+const DEV_SECRET = 'shareway-dev-session-secret';
+let warnedAboutDevSecret = false;
+
+const getSecret = () => {
+  if (process.env.AUTH_TOKEN_SECRET) {
+    return process.env.AUTH_TOKEN_SECRET;
+  }
+
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('AUTH_TOKEN_SECRET environment variable is not set');
+  }
+
+  if (!warnedAboutDevSecret) {
+    console.warn('⚠️ AUTH_TOKEN_SECRET not set - using development secret');
+    warnedAboutDevSecret = true;
+  }
+  return DEV_SECRET;
+};
+
+const encode = (value) => Buffer.from(value).toString('base64url');
+
+const sign = (data) => crypto.createHmac('sha256', getSecret()).update(data).digest('base64url');
+
+// Keyed hash for values that must never be stored in plain text (e.g. OTP codes)
+const hashSecret = (value) => crypto.createHmac('sha256', getSecret()).update(String(value)).digest('hex');
+
+/**
+ * Sign a session token for a user
+ * @param {Object} claims - { sub: phone, role, ... }
+ * @param {number} ttl - Lifetime in milliseconds
+ */
+const signToken = (claims, ttl = AUTH.SESSION_TOKEN_TTL) => {
+  const now = Date.now();
+  const payload = {
+    ...claims,
+    sid: claims.sid || crypto.randomUUID(),
+    iat: now,
+    exp: now + ttl
+  };
+
+  const body = encode(JSON.stringify(payload));
+  return {
+    token: `${body}.${sign(body)}`,
+    expiresAt: new Date(payload.exp).toISOString(),
+    claims: payload
+  };
+};
+
+/**
+ * Verify a session token
+ * @returns {{ valid: boolean, claims?: Object, error?: string, code?: string }}
+ */
+const verifyToken = (token) => {
+  if (!token || typeof token !== 'string' || token.split('.').length !== 2) {
+    return { valid: false, error: 'Malformed token', code: ERROR_CODES.INVALID_TOKEN };
+  }
+
+  const [body, signature] = token.split('.');
+  const expected = Buffer.from(sign(body));
+  const actual = Buffer.from(signature);
+
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return { valid: false, error: 'Invalid token signature', code: ERROR_CODES.INVALID_TOKEN };
+  }
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+  } catch (error) {
+    return { valid: false, error: 'Malformed token', code: ERROR_CODES.INVALID_TOKEN };
+  }
+
+  if (!claims.sub || !claims.exp) {
+    return { valid: false, error: 'Malformed token', code: ERROR_CODES.INVALID_TOKEN };
+  }
+
+  if (Date.now() >= claims.exp) {
+    return { valid: false, error: 'Token expired', code: ERROR_CODES.TOKEN_EXPIRED, claims };
+  }
+
+  return { valid: true, claims };
+};
+
+module.exports = {
+  signToken,
+  verifyToken,
+  hashSecret
+};
@@ -0,0 +1,190 @@
+// utils/spatialIndex.js
+// Grid-based spatial index for narrowing matching candidates to nearby searches.
+// The world is cut into square lat/lng cells about `cellSizeMeters` tall; a radius query
+// only looks at the cells overlapping the radius' bounding box, then checks exact distances.
+// Boxes crossing the antimeridian wrap around to the other side; boxes reaching a pole take
+// every longitude.
+const { calculateHaversineDistance } = require('./helpers');
+const { MATCHING } = require('../config/constants');
+
+// Same Earth radius as calculateHaversineDistance so box bounds and exact distances agree
+const METERS_PER_DEGREE_LAT = 6371000 * Math.PI / 180;
+
+const toLatLng = (location) => {
+  if (!location || typeof location !== 'object') return null;
+  const lat = Number(location.lat ?? location.latitude);
+  const lng = Number(location.lng ?? location.longitude);
+  return Number.isFinite(lat) && Number.isFinite(lng) ? { lat, lng } : null;
+};
+
+// Degrees between two longitudes the short way round
+const lngGap = (a, b) => {
+  const gap = Math.abs(a - b) % 360;
+  return gap > 180 ? 360 - gap : gap;
+};
+
+class SpatialIndex {
+  constructor({ cellSizeMeters = MATCHING.MAX_DISTANCE_FOR_INITIAL_FILTER } = {}) {
+    this.cellDegrees = cellSizeMeters / METERS_PER_DEGREE_LAT;
+    this.cells = new Map(); // "row:col" -> Map of id -> point
+    this.points = new Map(); // id -> { lat, lng, cell }
+    this.unlocated = new Set(); // ids without usable coordinates
+  }
+
+  cellOf(lat, lng) {
+    return `${Math.floor(lat / this.cellDegrees)}:${Math.floor(lng / this.cellDegrees)}`;
+  }
+
+  /**
+   * Add or move an entry; entries without coordinates are tracked as unlocated
+   */
+  upsert(id, location) {
+    const point = toLatLng(location);
+    const previous = this.points.get(id);
+
+    if (!point) {
+      if (previous) this.remove(id);
+      this.unlocated.add(id);
+      return;
+    }
+    this.unlocated.delete(id);
+
+    const cell = this.cellOf(point.lat, point.lng);
+    if (previous && previous.cell !== cell) {
+      this.removeFromCell(previous.cell, id);
+    }
+    if (!this.cells.has(cell)) this.cells.set(cell, new Map());
+
+    const entry = { lat: point.lat, lng: point.lng, cell };
+    this.cells.get(cell).set(id, entry);
+    this.points.set(id, entry);
+  }
+
+  remove(id) {
+    this.unlocated.delete(id);
+    const previous = this.points.get(id);
+    if (!previous) return false;
+
+    this.removeFromCell(previous.cell, id);
+    this.points.delete(id);
+    return true;
+  }
+
+  removeFromCell(cell, id) {
+    const members = this.cells.get(cell);
+    if (!members) return;
+    members.delete(id);
+    if (members.size === 0) this.cells.delete(cell);
+  }
+
+  clear() {
+    this.cells.clear();
+    this.points.clear();
+    this.unlocated.clear();
+  }
+
+  /**
+   * Entries within radiusMeters of a location, nearest first
+   * @returns {Array<{id, distanceMeters}>}
+   */
+  queryRadius(location, radiusMeters = MATCHING.MAX_DISTANCE_FOR_INITIAL_FILTER) {
+    const center = toLatLng(location);
+    if (!center) return [];
+
+    const latSpan = radiusMeters / METERS_PER_DEGREE_LAT;
+    // Longitude degrees shrink towards the poles - size the box for its most poleward edge.
+    // A circle around a pole spans every longitude.
+    const edgeLat = Math.abs(center.lat) + latSpan;
+    const lngSpan = edgeLat >= 90
+      ? 180
+      : Math.min(radiusMeters / (METERS_PER_DEGREE_LAT * Math.cos(edgeLat * Math.PI / 180)), 180);
+
+    const minRow = Math.floor(Math.max(center.lat - latSpan, -90) / this.cellDegrees);
+    const maxRow = Math.floor(Math.min(center.lat + latSpan, 90) / this.cellDegrees);
+    const columns = this.columnsFor(center.lng, lngSpan);
+
+    const results = [];
+    for (let row = minRow; row <= maxRow; row++) {
+      for (const col of columns) {
+        const members = this.cells.get(`${row}:${col}`);
+        if (!members) continue;
+
+        for (const [id, point] of members) {
+          // Cheap bounding-box check before the exact distance
+          if (Math.abs(point.lat - center.lat) > latSpan || lngGap(point.lng, center.lng) > lngSpan) continue;
+
+          const distanceMeters = calculateHaversineDistance(center.lat, center.lng, point.lat, point.lng) * 1000;
+          if (distanceMeters <= radiusMeters) results.push({ id, distanceMeters });
+        }
+      }
+    }
+
+    return results.sort((a, b) => a.distanceMeters - b.distanceMeters);
+  }
+
+  // Grid columns covering lng ± lngSpan, wrapped across the antimeridian
+  columnsFor(lng, lngSpan) {
+    const ranges = [];
+    if (lngSpan >= 180) ranges.push([-180, 180]);
+    else if (lng - lngSpan < -180) ranges.push([lng - lngSpan + 360, 180], [-180, lng + lngSpan]);
+    else if (lng + lngSpan > 180) ranges.push([lng - lngSpan, 180], [-180, lng + lngSpan - 360]);
+    else ranges.push([lng - lngSpan, lng + lngSpan]);
+
+    const columns = new Set();
+    for (const [from, to] of ranges) {
+      for (let col = Math.floor(from / this.cellDegrees); col <= Math.floor(to / this.cellDegrees); col++) columns.add(col);
+    }
+    return columns;
+  }
+
+  getStats() {
+    return {
+      indexed: this.points.size,
+      unlocated: this.unlocated.size,
+      cells: this.cells.size
+    };
+  }
+}
+
+/**
+ * Map that keeps a SpatialIndex in sync with its entries on set/delete/clear
+ * @param {Function} getLocation - value -> { lat, lng } | { latitude, longitude } | null
+ */
+class SpatiallyIndexedMap extends Map {
+  constructor(getLocation, options = {}) {
+    super();
+    this.getLocation = getLocation;
+    this.index = new SpatialIndex(options);
+  }
+
+  set(key, value) {
+    super.set(key, value);
+    this.index.upsert(key, this.getLocation(value));
+    return this;
+  }
+
+  delete(key) {
+    this.index.remove(key);
+    return super.delete(key);
+  }
+
+  clear() {
+    this.index.clear();
+    super.clear();
+  }
+
+  /**
+   * Keys within radiusMeters of location, nearest first
+   * @param {boolean} includeUnlocated - also return entries that have no coordinates
+   */
+  nearbyKeys(location, radiusMeters, { includeUnlocated = false } = {}) {
+    const keys = this.index.queryRadius(location, radiusMeters).map(r => r.id);
+    return includeUnlocated ? keys.concat([...this.index.unlocated]) : keys;
+  }
+}
+
+module.exports = {
+  SpatialIndex,
+  SpatiallyIndexedMap,
+  toLatLng
+};
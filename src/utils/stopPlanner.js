@@ -0,0 +1,205 @@
+// utils/stopPlanner.js
+// Orders a pooled ride's pickups and dropoffs: the driver starts at their pickup, every
+// passenger is picked up before being dropped off, the car never holds more than its seats,
+// and the driver ends at their destination.
+//
+// Small trips (up to MAX_EXACT_PASSENGERS) are searched exhaustively: among orders keeping the
+// driver within `maxDetourPercentage` of their own route, the one with the least passenger time
+// on board wins; if none fits, the shortest order is returned flagged `withinDetourLimit: false`.
+// Larger trips insert passengers one by one at the cheapest pickup/dropoff positions.
+// ETAs per stop come from the routing provider (OSRM or Haversine per ROUTE_CALCULATION).
+const { calculateDistance, calculateRouteDistance } = require('./enhancedMatching');
+const { getRouter } = require('../services/RoutingProvider');
+
+const MAX_EXACT_PASSENGERS = 5;
+const DEFAULT_DWELL_MINUTES = 2; // boarding / getting out
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const toLatLng = (location) => {
+  if (!location) return null;
+  const lat = Number(location.lat ?? location.latitude);
+  const lng = Number(location.lng ?? location.longitude);
+  return Number.isFinite(lat) && Number.isFinite(lng) ? { lat, lng } : null;
+};
+
+const orderDistance = (start, end, order) => {
+  let total = 0;
+  let previous = start;
+  for (const stop of order) {
+    total += calculateDistance(previous, stop.point);
+    previous = stop.point;
+  }
+  return total + calculateDistance(previous, end);
+};
+
+// Exhaustive search over valid orders. Within the driver's distance budget the order with the
+// least passenger time on board (person-km) wins; the shortest order is kept as the fallback.
+const exactOrder = (start, end, stops, capacity, budgetKm) => {
+  let shortest = { distance: Infinity, order: null };
+  let best = { rideKm: Infinity, distance: Infinity, order: null };
+  const order = [];
+  const done = new Set();
+
+  const visit = (position, travelled, onboard, rideKm) => {
+    if (travelled > budgetKm && travelled >= shortest.distance) return;
+
+    if (order.length === stops.length) {
+      const distance = travelled + calculateDistance(position, end);
+      if (distance < shortest.distance) shortest = { distance, order: [...order] };
+      if (distance <= budgetKm && (rideKm < best.rideKm || (rideKm === best.rideKm && distance < best.distance))) {
+        best = { rideKm, distance, order: [...order] };
+      }
+      return;
+    }
+
+    for (const stop of stops) {
+      if (done.has(stop.key)) continue;
+      if (stop.type === 'dropoff' && !done.has(`pickup:${stop.passengerIndex}`)) continue;
+      if (stop.type === 'pickup' && onboard + stop.seats > capacity) continue;
+
+      const leg = calculateDistance(position, stop.point);
+      done.add(stop.key);
+      order.push(stop);
+      visit(stop.point, travelled + leg, onboard + (stop.type === 'pickup' ? stop.seats : -stop.seats), rideKm + leg * onboard);
+      order.pop();
+      done.delete(stop.key);
+    }
+  };
+
+  visit(start, 0, 0, 0);
+  return best.order || shortest.order;
+};
+
+// Cheapest insertion: add each passenger's pickup+dropoff where it lengthens the trip least
+const insertionOrder = (start, end, stops, capacity) => {
+  const byPassenger = new Map();
+  stops.forEach(s => {
+    if (!byPassenger.has(s.passengerIndex)) byPassenger.set(s.passengerIndex, {});
+    byPassenger.get(s.passengerIndex)[s.type] = s;
+  });
+
+  const fitsCapacity = (order) => {
+    let onboard = 0;
+    return order.every(s => {
+      onboard += s.type === 'pickup' ? s.seats : -s.seats;
+      return onboard <= capacity;
+    });
+  };
+
+  let order = [];
+  for (const { pickup, dropoff } of byPassenger.values()) {
+    let best = null;
+    for (let i = 0; i <= order.length; i++) {
+      for (let j = i; j <= order.length; j++) {
+        const candidate = [...order.slice(0, i), pickup, ...order.slice(i, j), dropoff, ...order.slice(j)];
+        if (!fitsCapacity(candidate)) continue;
+        const distance = orderDistance(start, end, candidate);
+        if (!best || distance < best.distance) best = { distance, order: candidate };
+      }
+    }
+    // Riding alone back-to-back always fits if the group fits the car at all
+    order = best ? best.order : [...order, pickup, dropoff];
+  }
+  return order;
+};
+
+/**
+ * @param {Object} trip - { driverRoute: { pickupLocation, destinationLocation, routePoints },
+ *                          passengers: [{ phone, name, passengerCount, pickupLocation, destinationLocation,
+ *                                         pickupName, destinationName }],
+ *                          capacity, departureTime, maxDetourPercentage, dwellMinutes }
+ * @returns {Promise<Object|null>} ordered stops with per-stop ETAs, or null without a usable driver route
+ */
+const planStops = async ({
+  driverRoute = {},
+  passengers = [],
+  capacity = Infinity,
+  departureTime = new Date(),
+  maxDetourPercentage = Infinity,
+  dwellMinutes = DEFAULT_DWELL_MINUTES
+} = {}) => {
+  const start = toLatLng(driverRoute.pickupLocation);
+  const end = toLatLng(driverRoute.destinationLocation);
+  if (!start || !end) return null;
+
+  const located = [];
+  const unplanned = [];
+  passengers.forEach(p => {
+    const pickup = toLatLng(p.pickupLocation);
+    const dropoff = toLatLng(p.destinationLocation);
+    (pickup && dropoff ? located : unplanned).push({ ...p, pickup, dropoff });
+  });
+
+  const stops = located.flatMap((p, passengerIndex) => {
+    const shared = { passengerIndex, passenger: p, seats: p.passengerCount || 1 };
+    return [
+      { ...shared, key: `pickup:${passengerIndex}`, type: 'pickup', point: p.pickup, name: p.pickupName },
+      { ...shared, key: `dropoff:${passengerIndex}`, type: 'dropoff', point: p.dropoff, name: p.destinationName }
+    ];
+  });
+
+  const routePoints = (Array.isArray(driverRoute.routePoints) ? driverRoute.routePoints : []).map(toLatLng).filter(Boolean);
+  const directDistanceKm = calculateRouteDistance([start, ...routePoints, end]);
+  const budgetKm = directDistanceKm * (1 + maxDetourPercentage);
+
+  const method = located.length <= MAX_EXACT_PASSENGERS ? 'exact' : 'insertion';
+  const order = (method === 'exact' ? exactOrder : insertionOrder)(start, end, stops, capacity, budgetKm) ||
+    insertionOrder(start, end, stops, Infinity); // seats already overcommitted - still give an order
+  const totalDistanceKm = orderDistance(start, end, order);
+  const detourPercentage = directDistanceKm > 0 ? (totalDistanceKm - directDistanceKm) / directDistanceKm : 0;
+
+  // Per-stop ETAs from leg travel times
+  const router = getRouter();
+  const points = [{ type: 'start', point: start, name: driverRoute.pickupName }, ...order,
+    { type: 'end', point: end, name: driverRoute.destinationName }];
+  const legs = await Promise.all(points.slice(1).map((stop, i) => router.route([points[i].point, stop.point])));
+
+  const departure = new Date(departureTime).getTime();
+  let elapsedMin = 0;
+  let cumulativeKm = 0;
+  let onboard = 0;
+
+  const plannedStops = points.map((stop, i) => {
+    if (i > 0) {
+      const leg = legs[i - 1];
+      const legKm = leg.success ? leg.distanceKm : calculateDistance(points[i - 1].point, stop.point);
+      cumulativeKm += legKm;
+      elapsedMin += (leg.success ? leg.durationMin : 0) + (points[i - 1].type === 'start' ? 0 : dwellMinutes);
+    }
+    if (stop.type === 'pickup') onboard += stop.seats;
+    if (stop.type === 'dropoff') onboard -= stop.seats;
+
+    return {
+      sequence: i,
+      type: stop.type,
+      passengerPhone: stop.passenger?.phone || null,
+      passengerName: stop.passenger?.name || null,
+      passengerCount: stop.passenger ? stop.seats : null,
+      name: stop.name || null,
+      location: { latitude: stop.point.lat, longitude: stop.point.lng },
+      cumulativeKm: round2(cumulativeKm),
+      etaMinutesFromStart: Math.round(elapsedMin),
+      eta: Number.isFinite(departure) ? new Date(departure + elapsedMin * 60000).toISOString() : null,
+      onboardAfterStop: onboard
+    };
+  });
+
+  return {
+    method,
+    stops: plannedStops,
+    totalDistanceKm: round2(totalDistanceKm),
+    directDistanceKm: round2(directDistanceKm),
+    detourPercentage: round2(detourPercentage * 100) / 100,
+    maxDetourPercentage: Number.isFinite(maxDetourPercentage) ? maxDetourPercentage : null,
+    withinDetourLimit: detourPercentage <= maxDetourPercentage,
+    totalDurationMin: Math.round(elapsedMin),
+    etaSource: legs.every(l => l.success) ? legs[0]?.source || null : 'partial',
+    unplannedPassengers: unplanned.map(p => p.phone),
+    computedAt: new Date().toISOString()
+  };
+};
+
+module.exports = {
+  planStops
+};
@@ -0,0 +1,106 @@
+// utils/tripSharing.js
+// Pieces of a live trip link (TripShareService): share tokens, trusted contacts, link lifetime and
+// the read-only view of a trip. Only the token's SHA-256 is stored, so the trip_shares collection
+// alone can't be turned back into working links.
+const crypto = require('crypto');
+const { TRIP_SHARING } = require('../config/constants');
+const { formatPhoneNumber } = require('./helpers');
+
+const hashShareToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * @returns {Object} { token (goes in the link, shown once), tokenHash (stored) }
+ */
+const newShareToken = () => {
+  const token = crypto.randomBytes(24).toString('base64url');
+  return { token, tokenHash: hashShareToken(token) };
+};
+
+/**
+ * @param {Object} input - { name, phone }
+ * @returns {Object} { contact } or { error }
+ */
+const normalizeContact = (input = {}) => {
+  const name = typeof input.name === 'string' ? input.name.trim() : '';
+  if (!name || name.length > TRIP_SHARING.MAX_CONTACT_NAME_LENGTH) {
+    return { error: `name is required (at most ${TRIP_SHARING.MAX_CONTACT_NAME_LENGTH} characters)` };
+  }
+
+  const phone = formatPhoneNumber(input.phone);
+  if (!/^\+\d{10,15}$/.test(phone)) return { error: 'phone must be a valid phone number' };
+
+  return { contact: { name, phone } };
+};
+
+/**
+ * Link lifetime in minutes; DEFAULT_DURATION_MINUTES when not given
+ * @returns {Object} { minutes } or { error }
+ */
+const resolveShareDuration = (minutes) => {
+  if (minutes === undefined || minutes === null || minutes === '') {
+    return { minutes: TRIP_SHARING.DEFAULT_DURATION_MINUTES };
+  }
+
+  const value = Number(minutes);
+  if (!Number.isInteger(value) || value < 1 || value > TRIP_SHARING.MAX_DURATION_MINUTES) {
+    return { error: `durationMinutes must be a whole number from 1 to ${TRIP_SHARING.MAX_DURATION_MINUTES}` };
+  }
+  return { minutes: value };
+};
+
+const toLatLng = (point) => {
+  if (!point) return null;
+  const lat = Number(point.lat ?? point.latitude);
+  const lng = Number(point.lng ?? point.longitude);
+  return Number.isFinite(lat) && Number.isFinite(lng) ? { lat, lng } : null;
+};
+
+// Endpoints plus evenly spaced points in between, at most max
+const simplifyRoute = (points, max = TRIP_SHARING.MAX_ROUTE_POINTS) => {
+  const route = (Array.isArray(points) ? points : []).map(toLatLng).filter(Boolean);
+  if (route.length <= max) return route;
+
+  const step = (route.length - 1) / (max - 1);
+  return Array.from({ length: max }, (_, i) => route[Math.round(i * step)]);
+};
+
+// What a contact needs to recognise the car: the registered vehicle, else the search's free-form details
+const vehicleSummary = (driverSearch) => {
+  const vehicle = driverSearch?.vehicle || driverSearch?.vehicleInfo;
+  if (!vehicle) return null;
+
+  return {
+    make: vehicle.make || null,
+    model: vehicle.model || driverSearch.vehicleModel || null,
+    color: vehicle.color || driverSearch.vehicleColor || null,
+    plate: vehicle.plate || driverSearch.vehiclePlate || null
+  };
+};
+
+// Contacts see first names only
+const firstName = (name) => (typeof name === 'string' && name.trim() ? name.trim().split(/\s+/)[0] : null);
+
+/**
+ * @param {Object} share - stored trip_shares document
+ * @param {Object|null} session - the location session (RealtimeLocationService.getSession)
+ * @param {Object|null} latest - the driver's latest location in that session
+ * @returns {string} 'revoked' | 'expired' | 'ended' | 'waiting' (no driver position yet) | 'live'
+ */
+const shareStatus = (share, session, latest, now = Date.now()) => {
+  if (share.revokedAt) return 'revoked';
+  if (new Date(share.expiresAt).getTime() <= now) return 'expired';
+  if (!session || !session.active) return 'ended';
+  return latest ? 'live' : 'waiting';
+};
+
+module.exports = {
+  hashShareToken,
+  newShareToken,
+  normalizeContact,
+  resolveShareDuration,
+  simplifyRoute,
+  vehicleSummary,
+  firstName,
+  shareStatus,
+  toLatLng
+};
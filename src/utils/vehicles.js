@@ -0,0 +1,132 @@
+// utils/vehicles.js
+// Registered vehicle details and passenger requirements.
+// A vehicle lists features from VEHICLES.FEATURES; a passenger search lists the features it needs
+// (luggage space, wheelchair access, ...) and only drivers whose registered vehicle has all of
+// them can be matched. Shared by VehicleService and ScheduledService.
+const { VEHICLES } = require('../config/constants');
+
+const MAX_TEXT_LENGTH = 40;
+const PLATE_PATTERN = /^[A-Z0-9-]{2,15}$/;
+
+const cleanText = (value) => (typeof value === 'string' ? value.trim().replace(/\s+/g, ' ').slice(0, MAX_TEXT_LENGTH) : '');
+
+// "aa 3-12345" -> "AA3-12345"; plates are compared in this form
+const normalizePlate = (plate) => (typeof plate === 'string' ? plate.toUpperCase().replace(/\s+/g, '') : '');
+
+const normalizeFeatures = (input) => {
+  if (input === undefined || input === null) return { features: [] };
+  if (!Array.isArray(input)) return { error: 'features must be an array' };
+
+  const features = [...new Set(input.map(feature => String(feature).trim().toLowerCase()))];
+  const unknown = features.filter(feature => !VEHICLES.FEATURES.includes(feature));
+  if (unknown.length > 0) {
+    return { error: `Unknown vehicle features: ${unknown.join(', ')} (allowed: ${VEHICLES.FEATURES.join(', ')})` };
+  }
+  return { features: features.sort() };
+};
+
+/**
+ * Validate registration details
+ * @param {Object} input - { make, model, plate, color, seats, features[], year?, type? }
+ * @param {Object} [existing] - current vehicle when updating; missing fields are kept
+ * @returns {Object} { vehicle } or { error }
+ */
+const normalizeVehicle = (input = {}, existing = null) => {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'Vehicle details must be an object' };
+  }
+
+  const pick = (field) => (input[field] !== undefined ? input[field] : existing?.[field]);
+
+  const make = cleanText(pick('make'));
+  const model = cleanText(pick('model'));
+  const color = cleanText(pick('color'));
+  const type = cleanText(pick('type')) || 'Car';
+  if (!make || !model) return { error: 'make and model are required' };
+  if (!color) return { error: 'color is required' };
+
+  const plate = normalizePlate(pick('plate'));
+  if (!PLATE_PATTERN.test(plate)) return { error: 'plate must be 2-15 letters, digits or dashes' };
+
+  const seats = Number(pick('seats'));
+  if (!Number.isInteger(seats) || seats < VEHICLES.MIN_SEATS || seats > VEHICLES.MAX_SEATS) {
+    return { error: `seats must be a whole number from ${VEHICLES.MIN_SEATS} to ${VEHICLES.MAX_SEATS}` };
+  }
+
+  const { features, error } = normalizeFeatures(pick('features'));
+  if (error) return { error };
+
+  const rawYear = pick('year');
+  const year = rawYear === undefined || rawYear === null || rawYear === '' ? null : Number(rawYear);
+  if (year !== null && (!Number.isInteger(year) || year < 1950 || year > new Date().getFullYear() + 1)) {
+    return { error: 'year must be a valid model year' };
+  }
+
+  return { vehicle: { make, model, plate, color, type, seats, features, year } };
+};
+
+/**
+ * Passenger requirements as feature codes. Accepts a list of codes/aliases
+ * (['luggage', 'accessibility']) or flags ({ luggage: true, ac: false }).
+ * @returns {Object} { requirements } or { error }
+ */
+const normalizeRequirements = (input) => {
+  if (input === undefined || input === null) return { requirements: [] };
+
+  let codes;
+  if (Array.isArray(input)) {
+    codes = input;
+  } else if (typeof input === 'object') {
+    codes = Object.keys(input).filter(key => input[key] === true);
+  } else {
+    return { error: 'requirements must be a list of vehicle features' };
+  }
+
+  const requirements = [...new Set(codes.map(code => {
+    const key = String(code).trim().toLowerCase();
+    return VEHICLES.REQUIREMENT_ALIASES[key] || key;
+  }))];
+
+  const unknown = requirements.filter(code => !VEHICLES.FEATURES.includes(code));
+  if (unknown.length > 0) {
+    return { error: `Unknown requirements: ${unknown.join(', ')} (allowed: ${VEHICLES.FEATURES.join(', ')})` };
+  }
+  return { requirements: requirements.sort() };
+};
+
+/**
+ * Requirements the vehicle doesn't cover. Without a registered vehicle nothing is covered.
+ * @param {Object|null} vehicle - search vehicle snapshot ({ features })
+ * @param {string[]} requirements
+ */
+const missingRequirements = (vehicle, requirements) => {
+  if (!Array.isArray(requirements) || requirements.length === 0) return [];
+  const features = Array.isArray(vehicle?.features) ? vehicle.features : [];
+  return requirements.filter(code => !features.includes(code));
+};
+
+const meetsRequirements = (vehicle, requirements) => missingRequirements(vehicle, requirements).length === 0;
+
+/**
+ * The part of a registered vehicle copied onto a driver's scheduled search
+ */
+const vehicleSnapshot = (vehicleId, vehicle) => ({
+  id: vehicleId,
+  make: vehicle.make,
+  model: vehicle.model,
+  plate: vehicle.plate,
+  color: vehicle.color,
+  type: vehicle.type || 'Car',
+  seats: vehicle.seats,
+  features: vehicle.features || [],
+  verificationStatus: vehicle.verificationStatus || 'pending'
+});
+
+module.exports = {
+  normalizePlate,
+  normalizeVehicle,
+  normalizeRequirements,
+  missingRequirements,
+  meetsRequirements,
+  vehicleSnapshot
+};
@@ -0,0 +1,122 @@
+// utils/wsAuth.js - Session tokens for WebSocket connections (handshake, expiry, refresh)
+const url = require('url');
+const http = require('http');
+const logger = require('./Logger');
+const { authenticateToken, extractToken } = require('../middlewares/auth');
+const { formatPhoneNumber } = require('./helpers');
+const { WEBSOCKET, ERROR_CODES } = require('../config/constants');
+
+// setTimeout overflows above ~24.8 days
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
+
+/**
+ * Authenticate an upgrade request.
+ * Token comes from the Authorization header, or ?token= for clients that cannot set headers.
+ * A ?userId= that does not match the token is rejected.
+ */
+const authenticateUpgrade = (req) => {
+  const { query } = url.parse(req.url, true);
+  const result = authenticateToken(extractToken(req) || query.token || null);
+  if (!result.success) return result;
+
+  // The query string is already decoded; a second decode throws on values like %25E0
+  if (typeof query.userId === 'string' && query.userId.trim()) {
+    const claimed = formatPhoneNumber(query.userId.trim());
+    if (claimed !== result.principal.phone) {
+      return { success: false, error: 'userId does not match token', code: ERROR_CODES.FORBIDDEN };
+    }
+  }
+
+  return result;
+};
+
+// Answer an upgrade that never became a WebSocket
+const rejectUpgrade = (socket, status) => {
+  try {
+    socket.write(`HTTP/1.1 ${status} ${http.STATUS_CODES[status]}\r\nConnection: close\r\n\r\n`);
+  } catch (e) {}
+  socket.destroy();
+};
+
+/**
+ * Upgrade onto wss with req.authResult set. Runs inside the server's 'upgrade' event, where a
+ * throw would take the process down, so any error answers 400 instead.
+ */
+const upgradeAuthenticated = (wss, req, socket, head) => {
+  try {
+    req.authResult = authenticateUpgrade(req);
+    wss.handleUpgrade(req, socket, head, (ws) => wss.emit('connection', ws, req));
+  } catch (error) {
+    logger.warn('WEBSOCKET', `Upgrade failed: ${error.message}`);
+    rejectUpgrade(socket, 400);
+  }
+};
+
+// Close a socket whose handshake failed, with a close code clients can act on
+const rejectConnection = (ws, result) => {
+  const closeCode = WEBSOCKET.CLOSE_CODES[result.code] || WEBSOCKET.CLOSE_CODES.AUTH_REQUIRED;
+  try { ws.close(closeCode, result.error || 'Authentication failed'); } catch (e) {}
+};
+
+const clearTokenExpiry = (userInfo) => {
+  if (!userInfo) return;
+  clearTimeout(userInfo.tokenWarningTimer);
+  clearTimeout(userInfo.tokenExpiryTimer);
+  userInfo.tokenWarningTimer = null;
+  userInfo.tokenExpiryTimer = null;
+};
+
+/**
+ * Warn the client before userInfo.auth expires and close the socket when it does.
+ * @param {Object} userInfo - connection entry with { ws, auth }
+ * @param {Function} notify - sends a message to this connection
+ */
+const scheduleTokenExpiry = (userInfo, notify) => {
+  clearTokenExpiry(userInfo);
+
+  const remaining = userInfo.auth.expiresAt - Date.now();
+  const warnIn = Math.max(0, remaining - WEBSOCKET.TOKEN_EXPIRY_WARNING);
+
+  if (warnIn < MAX_TIMER_DELAY) {
+    userInfo.tokenWarningTimer = setTimeout(() => {
+      notify({
+        type: 'TOKEN_EXPIRING',
+        data: {
+          expiresAt: new Date(userInfo.auth.expiresAt).toISOString(),
+          message: 'Session token is about to expire, send REFRESH_TOKEN to stay connected'
+        }
+      });
+    }, warnIn);
+  }
+
+  if (remaining < MAX_TIMER_DELAY) {
+    userInfo.tokenExpiryTimer = setTimeout(() => {
+      rejectConnection(userInfo.ws, { error: 'Token expired', code: ERROR_CODES.TOKEN_EXPIRED });
+    }, Math.max(0, remaining));
+  }
+};
+
+/**
+ * Swap the token on a live connection. The new token must belong to the same user.
+ */
+const refreshConnectionToken = (userInfo, token) => {
+  const result = authenticateToken(token);
+  if (!result.success) return result;
+
+  if (result.principal.phone !== userInfo.auth.phone) {
+    return { success: false, error: 'Token belongs to another user', code: ERROR_CODES.FORBIDDEN };
+  }
+
+  userInfo.auth = result.principal;
+  return { success: true, principal: result.principal };
+};
+
+module.exports = {
+  authenticateUpgrade,
+  upgradeAuthenticated,
+  rejectUpgrade,
+  rejectConnection,
+  scheduleTokenExpiry,
+  clearTokenExpiry,
+  refreshConnectionToken
+};
@@ -0,0 +1,167 @@
+// Seat assignment across drivers, and several open proposals on one driver
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createFirestoreService, createScheduledService, quiet } = require('./helpers/services');
+const { solveAssignment } = require('../src/utils/assignment');
+const { getRouter } = require('../src/services/RoutingProvider');
+
+quiet();
+
+describe('solveAssignment', () => {
+  test('an overfull driver keeps the best groups that fit its seats', () => {
+    const result = solveAssignment({
+      seats: [3],
+      sizes: [2, 2, 1],
+      edges: [
+        { driver: 0, passenger: 0, score: 10 },
+        { driver: 0, passenger: 1, score: 9 },
+        { driver: 0, passenger: 2, score: 5 }
+      ]
+    });
+
+    assert.equal(result.totalScore, 15);
+    assert.equal(result.seatsFilled, 3);
+    assert.deepEqual(result.pairs.map(e => e.passenger).sort(), [0, 2]);
+  });
+
+  test('groups dropped from one driver move to another', () => {
+    const result = solveAssignment({
+      seats: [2, 2],
+      sizes: [2, 2],
+      edges: [
+        { driver: 0, passenger: 0, score: 10 },
+        { driver: 0, passenger: 1, score: 9 },
+        { driver: 1, passenger: 1, score: 4 }
+      ]
+    });
+
+    assert.equal(result.totalScore, 14);
+    assert.equal(result.matches, 2);
+  });
+
+  test('several small groups can beat one large one', () => {
+    const result = solveAssignment({
+      seats: [4, 1],
+      sizes: [3, 2, 1, 1],
+      edges: [
+        { driver: 0, passenger: 0, score: 8 },
+        { driver: 0, passenger: 1, score: 7 },
+        { driver: 0, passenger: 2, score: 6 },
+        { driver: 0, passenger: 3, score: 5 },
+        { driver: 1, passenger: 2, score: 1 }
+      ]
+    });
+
+    // Best-score-first seats the group of three and one rider for 14
+    assert.equal(result.totalScore, 18);
+    assert.deepEqual(result.pairs.map(e => e.passenger).sort(), [1, 2, 3]);
+  });
+});
+
+describe('several proposals to one driver', () => {
+  const DRIVER = '+251911000010';
+  const RIDERS = ['+251911000021', '+251911000022'];
+  const TRIP = {
+    pickupLocation: { lat: 8.9806, lng: 38.7578 },
+    destinationLocation: { lat: 9.0357, lng: 38.7525 },
+    scheduledTime: '2026-10-20T07:30:00.000Z'
+  };
+
+  let db;
+  let service;
+  let savedSettings;
+
+  beforeEach(async () => {
+    // Detours by straight-line distance, no routing server
+    savedSettings = getRouter().getSettings;
+    getRouter().getSettings = () => ({ USE_OSRM_API: false, FALLBACK_TO_HAVERSINE: true, CACHE_DURATION: 60000, MAX_WAYPOINTS: 10 });
+
+    const wiring = createFirestoreService();
+    db = wiring.db;
+    service = createScheduledService(wiring);
+
+    await db.collection(service.DRIVER_SEARCHES).doc(service.sanitizePhoneNumber(DRIVER)).set({
+      driverPhone: DRIVER, availableSeats: 3, status: 'actively_matching', ...TRIP
+    });
+    for (const phone of RIDERS) {
+      await db.collection(service.PASSENGER_SEARCHES).doc(service.sanitizePhoneNumber(phone)).set({
+        passengerPhone: phone, passengerCount: 1, status: 'actively_matching', ...TRIP
+      });
+    }
+  });
+
+  afterEach(() => {
+    service.stop();
+    getRouter().getSettings = savedSettings;
+  });
+
+  const propose = (passengerPhone) => service.processMatch({
+    driverId: service.sanitizePhoneNumber(DRIVER),
+    passengerId: service.sanitizePhoneNumber(passengerPhone),
+    driverPhone: DRIVER,
+    passengerPhone,
+    passengerCount: 1,
+    availableSeats: 3,
+    driverData: TRIP,
+    passengerData: TRIP
+  });
+
+  const driverDoc = () => db.dump(service.DRIVER_SEARCHES)[service.sanitizePhoneNumber(DRIVER)];
+  const matchIdFor = (phone) => Object.entries(db.dump(service.MATCHES)).find(([, m]) => m.passengerPhone === phone)[0];
+
+  test('every open proposal is kept on the driver', async () => {
+    for (const phone of RIDERS) await propose(phone);
+
+    const pending = Object.values(driverDoc().pendingMatches);
+    assert.deepEqual(pending.map(p => p.passengerPhone).sort(), RIDERS);
+  });
+
+  test('expiring one proposal leaves the other pending', async () => {
+    for (const phone of RIDERS) await propose(phone);
+
+    const result = await service.expireProposal(matchIdFor(RIDERS[1]));
+
+    assert.equal(result.success, true);
+    const doc = driverDoc();
+    assert.deepEqual(Object.keys(doc.pendingMatches), [matchIdFor(RIDERS[0])]);
+    assert.equal(doc.pendingMatchWith, RIDERS[0]);
+    assert.equal(doc.pendingMatchStatus, 'awaiting_driver_approval');
+  });
+
+  test('the last answered proposal clears the driver', async () => {
+    await propose(RIDERS[0]);
+
+    await service.expireProposal(matchIdFor(RIDERS[0]));
+
+    const doc = driverDoc();
+    assert.deepEqual(doc.pendingMatches, {});
+    assert.equal(doc.pendingMatchWith, null);
+  });
+});
+
+describe('co-rider limits', () => {
+  const edges = [
+    { driver: 0, passenger: 0, score: 10 },
+    { driver: 0, passenger: 1, score: 9 },
+    { driver: 0, passenger: 2, score: 8 }
+  ];
+
+  test('groups given one driver in a cycle count as co-riders', () => {
+    // Passenger 0 accepts one co-rider at most
+    const result = solveAssignment({ seats: [3], sizes: [1, 1, 1], edges, coRiders: [0], maxCoRiders: [1] });
+
+    assert.deepEqual(result.pairs.map(e => e.passenger).sort(), [0, 1]);
+    assert.equal(result.totalScore, 19);
+  });
+
+  test('riders already booked count too', () => {
+    const result = solveAssignment({ seats: [3], sizes: [1, 1, 1], edges, coRiders: [1], maxCoRiders: [undefined, 1, 1] });
+
+    assert.deepEqual(result.pairs.map(e => e.passenger).sort(), [0]);
+  });
+
+  test('no limits leave the plan alone', () => {
+    assert.equal(solveAssignment({ seats: [3], sizes: [1, 1, 1], edges }).matches, 3);
+  });
+});
@@ -0,0 +1,129 @@
+// Session tokens, the OTP flow over the fake SMS sender, and SMS provider selection
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createFirestoreService, quiet } = require('./helpers/services');
+const { signToken, verifyToken } = require('../src/utils/sessionTokens');
+const AuthService = require('../src/services/AuthService');
+const { FakeSmsSender, HttpSmsSender, createSmsSender } = require('../src/services/SmsSender');
+
+quiet();
+
+const PHONE = '+251911000001';
+
+describe('session tokens', () => {
+  test('a signed token verifies and carries its claims', () => {
+    const { token } = signToken({ sub: PHONE, role: 'passenger' });
+    const result = verifyToken(token);
+
+    assert.equal(result.valid, true);
+    assert.equal(result.claims.sub, PHONE);
+    assert.equal(result.claims.role, 'passenger');
+  });
+
+  test('a tampered payload is rejected', () => {
+    const { token } = signToken({ sub: PHONE, role: 'passenger' });
+    const [, signature] = token.split('.');
+    const forged = Buffer.from(JSON.stringify({ sub: PHONE, role: 'admin', exp: Date.now() + 60000 })).toString('base64url');
+
+    assert.equal(verifyToken(`${forged}.${signature}`).valid, false);
+  });
+
+  test('an expired token is rejected with its claims', () => {
+    const { token } = signToken({ sub: PHONE }, -1);
+    const result = verifyToken(token);
+
+    assert.equal(result.valid, false);
+    assert.equal(result.error, 'Token expired');
+    assert.equal(result.claims.sub, PHONE);
+  });
+
+  test('malformed tokens are rejected', () => {
+    for (const token of [null, '', 'abc', 'a.b.c']) {
+      assert.equal(verifyToken(token).valid, false);
+    }
+  });
+});
+
+describe('OTP flow', () => {
+  let auth;
+  let sms;
+
+  beforeEach(() => {
+    const { firestoreService } = createFirestoreService();
+    sms = new FakeSmsSender();
+    auth = new AuthService(firestoreService, sms);
+  });
+
+  const codeFrom = (phone) => sms.getLastMessage(phone).message.match(/\d{6}/)[0];
+
+  test('register, verify and get a session token', async () => {
+    assert.equal((await auth.register({ phoneNumber: PHONE, name: 'Abebe', role: 'driver' })).success, true);
+
+    const result = await auth.verifyCode({ phoneNumber: PHONE, code: codeFrom(PHONE) });
+    assert.equal(result.success, true);
+    assert.equal(result.user.role, 'driver');
+    assert.equal(verifyToken(result.token).claims.sub, PHONE);
+  });
+
+  test('a wrong code counts an attempt and the right one still works', async () => {
+    await auth.register({ phoneNumber: PHONE, name: 'Abebe' });
+    const code = codeFrom(PHONE);
+    const wrong = code === '000000' ? '111111' : '000000';
+
+    const failed = await auth.verifyCode({ phoneNumber: PHONE, code: wrong });
+    assert.equal(failed.code, 'OTP_INVALID');
+    assert.equal(failed.attemptsRemaining, 4);
+
+    assert.equal((await auth.verifyCode({ phoneNumber: PHONE, code })).success, true);
+  });
+
+  test('a code is single-use and resends are rate limited', async () => {
+    await auth.register({ phoneNumber: PHONE });
+    assert.equal((await auth.register({ phoneNumber: PHONE })).code, 'OTP_RATE_LIMITED');
+
+    const code = codeFrom(PHONE);
+    await auth.verifyCode({ phoneNumber: PHONE, code });
+    assert.equal((await auth.verifyCode({ phoneNumber: PHONE, code })).code, 'OTP_NOT_FOUND');
+  });
+
+  test('login needs a verified user', async () => {
+    assert.equal((await auth.login({ phoneNumber: PHONE })).code, 'USER_NOT_FOUND');
+  });
+});
+
+describe('createSmsSender', () => {
+  const saved = { ...process.env };
+  afterEach(() => {
+    process.env.NODE_ENV = saved.NODE_ENV;
+    process.env.SMS_PROVIDER = saved.SMS_PROVIDER;
+    if (saved.NODE_ENV === undefined) delete process.env.NODE_ENV;
+    if (saved.SMS_PROVIDER === undefined) delete process.env.SMS_PROVIDER;
+  });
+
+  test('falls back to the fake sender outside production', () => {
+    delete process.env.SMS_PROVIDER;
+    process.env.NODE_ENV = 'development';
+    assert.ok(createSmsSender() instanceof FakeSmsSender);
+  });
+
+  test('refuses the fake sender in production', () => {
+    process.env.NODE_ENV = 'production';
+    delete process.env.SMS_PROVIDER;
+    assert.throws(() => createSmsSender(), /SMS_PROVIDER/);
+    assert.throws(() => createSmsSender('fake'), /SMS_PROVIDER/);
+    assert.ok(createSmsSender('http', { url: 'https://sms.example.test' }) instanceof HttpSmsSender);
+  });
+
+  test('the fake sender keeps message bodies out of the logs', async () => {
+    const lines = [];
+    const log = console.log;
+    console.log = (line) => lines.push(line);
+    try {
+      await new FakeSmsSender().send(PHONE, 'Your ShareWay verification code is 123456');
+    } finally {
+      console.log = log;
+    }
+    assert.equal(lines.some(line => String(line).includes('123456')), false);
+  });
+});
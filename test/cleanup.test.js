@@ -0,0 +1,170 @@
+// Retention policies, dry runs and the location session sweep
+const { test, describe, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createFirestoreService, quiet } = require('./helpers/services');
+const CleanupService = require('../src/services/CleanupService');
+const RealtimeLocationService = require('../src/services/realtimeLocationService');
+const BlockService = require('../src/services/BlockService');
+
+quiet();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const daysAgo = (days) => new Date(Date.now() - days * DAY_MS).toISOString();
+
+describe('retention policies', () => {
+  let db;
+  let cleanup;
+
+  beforeEach(async () => {
+    const wiring = createFirestoreService();
+    db = wiring.db;
+    cleanup = new CleanupService(wiring.firestoreService, wiring.admin);
+
+    await db.collection('notifications').doc('old').set({ userId: '+251911000001', createdAt: daysAgo(45) });
+    await db.collection('notifications').doc('recent').set({ userId: '+251911000001', createdAt: daysAgo(2) });
+    await db.collection('scheduled_matches').doc('expired').set({ status: 'expired', createdAt: daysAgo(60) });
+    await db.collection('scheduled_matches').doc('completed').set({ status: 'completed', createdAt: daysAgo(60) });
+    await db.collection('trip_shares').doc('expired').set({ owner: '+251911000001', expiresAt: daysAgo(2) });
+    await db.collection('trip_shares').doc('live').set({ owner: '+251911000001', expiresAt: daysAgo(-1) });
+  });
+
+  test('deletes only documents past the policy age and status', async () => {
+    const result = await cleanup.performCleanup({ policies: ['notifications', 'scheduled_matches'] });
+
+    assert.equal(result.success, true);
+    assert.equal(result.totalDeleted, 2);
+    assert.deepEqual(Object.keys(db.dump('notifications')), ['recent']);
+    assert.deepEqual(Object.keys(db.dump('scheduled_matches')), ['completed']);
+    assert.ok(db.dump('cleanup_runs')[result.runId]);
+  });
+
+  test('removes trip links a day past their expiry', async () => {
+    await cleanup.performCleanup({ policies: ['trip_shares'] });
+
+    assert.deepEqual(Object.keys(db.dump('trip_shares')), ['live']);
+  });
+
+  test('a dry run reports without deleting', async () => {
+    const result = await cleanup.performCleanup({ dryRun: true, policies: ['notifications'] });
+
+    assert.equal(result.totalMatched, 1);
+    assert.deepEqual(result.results[0].sampleIds, ['old']);
+    assert.equal(Object.keys(db.dump('notifications')).length, 2);
+  });
+
+  test('unknown policies are refused', async () => {
+    const result = await cleanup.performCleanup({ policies: ['nope'] });
+    assert.equal(result.success, false);
+  });
+});
+
+describe('user purge', () => {
+  const PHONE = '+251911000010';
+  let db;
+  let cleanup;
+
+  beforeEach(() => {
+    const wiring = createFirestoreService();
+    db = wiring.db;
+    cleanup = new CleanupService(wiring.firestoreService, wiring.admin);
+  });
+
+  test('deletes the user\'s recurring ride templates', async () => {
+    await db.collection('recurring_ride_templates').doc('t1').set({ phone: PHONE, status: 'active' });
+    await db.collection('recurring_ride_templates').doc('t2').set({ phone: '+251911000099', status: 'active' });
+
+    const result = await cleanup.cleanupUserData(PHONE);
+
+    assert.equal(result.success, true);
+    assert.deepEqual(Object.keys(db.dump('recurring_ride_templates')), ['t2']);
+  });
+
+  test('deletes the driver\'s registered vehicles', async () => {
+    await db.collection('driver_vehicles').doc('v1').set({ phone: PHONE, plate: 'AA-12345' });
+
+    await cleanup.cleanupUserData(PHONE);
+
+    assert.deepEqual(db.dump('driver_vehicles'), {});
+  });
+
+  test('removes uploaded driver documents with their records and the verification', async () => {
+    const removed = [];
+    cleanup.documentStorage = { remove: async (key) => { removed.push(key); return { success: true }; } };
+    await db.collection('driver_documents').doc('d1').set({ phone: PHONE, type: 'license', storageKey: `driver-documents/${PHONE}/d1` });
+    await db.collection('driver_verifications').doc(PHONE).set({ phone: PHONE, status: 'verified' });
+
+    await cleanup.cleanupUserData(PHONE);
+
+    assert.deepEqual(removed, [`driver-documents/${PHONE}/d1`]);
+    assert.deepEqual(db.dump('driver_documents'), {});
+    assert.deepEqual(db.dump('driver_verifications'), {});
+  });
+
+  test('keeps document records whose files could not be removed', async () => {
+    cleanup.documentStorage = { remove: async () => ({ success: false, error: 'bucket offline' }) };
+    await db.collection('driver_documents').doc('d1').set({ phone: PHONE, storageKey: `driver-documents/${PHONE}/d1` });
+
+    const result = await cleanup.cleanupUserData(PHONE);
+
+    assert.equal(result.success, false);
+    assert.ok(db.dump('driver_documents').d1);
+  });
+
+  test('deletes both profiles with their ride preferences', async () => {
+    await db.collection('driver_profiles').doc(PHONE).set({ preferences: { noPets: true } });
+    await db.collection('passenger_profiles').doc(PHONE).set({ preferences: { maxCoRiders: 1 } });
+
+    await cleanup.cleanupUserData(PHONE);
+
+    assert.deepEqual(db.dump('driver_profiles'), {});
+    assert.deepEqual(db.dump('passenger_profiles'), {});
+  });
+
+  test('lifts the user\'s blocks from the other side\'s block list', async () => {
+    const OTHER = '+251911000021';
+    cleanup.blockService = new BlockService(cleanup.firestoreService, null);
+    await cleanup.blockService.blockUser(OTHER, PHONE);
+    assert.deepEqual(db.dump('user_block_lists')[OTHER].blockedWith, [PHONE]);
+
+    await cleanup.cleanupUserData(PHONE);
+
+    assert.deepEqual(db.dump('user_blocks'), {});
+    assert.equal(db.dump('user_block_lists')[PHONE], undefined);
+    assert.deepEqual(db.dump('user_block_lists')[OTHER].blockedWith, []);
+  });
+
+  test('deletes the user\'s trip links and trusted contacts', async () => {
+    await db.collection('trip_shares').doc('h1').set({ owner: PHONE, trip: { driverName: 'Kebede' } });
+    await db.collection('trusted_contacts').doc(PHONE).set({ contacts: [{ id: 'c1', phone: '+251911000031' }] });
+
+    await cleanup.cleanupUserData(PHONE);
+
+    assert.deepEqual(db.dump('trip_shares'), {});
+    assert.deepEqual(db.dump('trusted_contacts'), {});
+  });
+});
+
+describe('location session sweep', () => {
+  test('ends sessions past their expiry and leaves live ones', async () => {
+    const wiring = createFirestoreService();
+    const locations = new RealtimeLocationService(wiring.firestoreService, null, null, wiring.admin);
+    const cleanup = new CleanupService(wiring.firestoreService, wiring.admin);
+    cleanup.locationService = locations;
+
+    await locations.startRealtimeLocationSharing('m1', '+251911000010', '+251911000021', 'passenger1');
+    assert.deepEqual(await cleanup.sweepExpiredSessions(), { success: true, ended: 0 });
+
+    const result = await cleanup.sweepExpiredSessions(Date.now() + 60 * 60 * 1000);
+
+    assert.deepEqual(result, { success: true, ended: 1 });
+    assert.equal(locations.getSession('loc_m1').active, false);
+    assert.equal(cleanup.getStatus().lastSweep.ended, 1);
+  });
+
+  test('is a no-op without a location service', async () => {
+    const { firestoreService, admin } = createFirestoreService();
+    const cleanup = new CleanupService(firestoreService, admin);
+    assert.deepEqual(await cleanup.sweepExpiredSessions(), { success: true, ended: 0 });
+  });
+});
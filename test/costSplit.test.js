@@ -0,0 +1,67 @@
+// Pooled trip cost split: shares add up to the pooled cost and never exceed a solo fare
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { splitTripCost } = require('../src/utils/costSplit');
+
+const WEDNESDAY_NOON = '2026-10-21T09:00:00Z';
+const START = { lat: 9.0, lng: 38.70 };
+const END = { lat: 9.0, lng: 38.80 };
+const along = (fraction) => ({ lat: 9.0, lng: 38.70 + 0.1 * fraction });
+
+const sum = (shares) => shares.reduce((total, s) => total + s.share, 0);
+
+describe('splitTripCost', () => {
+  test('riders sharing the whole route split it evenly and exactly', () => {
+    const split = splitTripCost({
+      route: { pickupLocation: START, destinationLocation: END },
+      riders: ['a', 'b', 'c'].map(phone => ({ phone, pickupLocation: START, destinationLocation: END })),
+      at: WEDNESDAY_NOON
+    });
+
+    assert.notEqual(split.pooledTripCost % 3, 0, 'a total that does not divide evenly');
+    assert.equal(sum(split.shares), split.pooledTripCost);
+    assert.equal(split.totalCollected, split.pooledTripCost);
+
+    const amounts = split.shares.map(s => s.share);
+    assert.ok(Math.max(...amounts) - Math.min(...amounts) <= 1);
+  });
+
+  test('overlapping legs and extra seats still add up to the pooled cost', () => {
+    const split = splitTripCost({
+      route: { pickupLocation: START, destinationLocation: END },
+      riders: [
+        { phone: 'a', pickupLocation: START, destinationLocation: along(0.7), seats: 2 },
+        { phone: 'b', pickupLocation: along(0.2), destinationLocation: END },
+        { phone: 'c', pickupLocation: along(0.35), destinationLocation: along(0.9) }
+      ],
+      at: WEDNESDAY_NOON
+    });
+
+    assert.equal(sum(split.shares), split.pooledTripCost);
+    for (const share of split.shares) {
+      assert.ok(share.share <= share.soloFare);
+      assert.equal(share.method, 'shared_distance');
+      assert.ok(Number.isInteger(share.share));
+    }
+    const byPhone = Object.fromEntries(split.shares.map(s => [s.phone, s]));
+    assert.ok(byPhone.a.share > byPhone.c.share);
+  });
+
+  test('a rider off the route pays their solo fare', () => {
+    const split = splitTripCost({
+      route: { pickupLocation: START, destinationLocation: END },
+      riders: [
+        { phone: 'a', pickupLocation: START, destinationLocation: END },
+        { phone: 'b', pickupLocation: null, destinationLocation: END }
+      ],
+      at: WEDNESDAY_NOON
+    });
+
+    const [onRoute, offRoute] = split.shares;
+    assert.equal(onRoute.share, split.pooledTripCost);
+    assert.equal(offRoute.method, 'solo');
+    assert.equal(offRoute.share, offRoute.soloFare);
+    assert.equal(split.totalCollected, split.pooledTripCost + offRoute.soloFare);
+  });
+});
@@ -0,0 +1,122 @@
+// Driver documents on the local storage backend: upload, review, replacement, and backend selection
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs/promises');
+const os = require('node:os');
+const path = require('node:path');
+
+const { createFirestoreService, quiet } = require('./helpers/services');
+const DriverVerificationService = require('../src/services/DriverVerificationService');
+const { LocalDocumentStorage, createDocumentStorage } = require('../src/services/DocumentStorage');
+
+quiet();
+
+const DRIVER = '+251911000010';
+const PDF = Buffer.from('%PDF-1.4 license scan');
+const NEXT_YEAR = new Date(Date.now() + 365 * 24 * 60 * 60 * 1000).toISOString();
+
+describe('local document storage', () => {
+  let directory;
+  let storage;
+
+  beforeEach(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'shareway-docs-'));
+    storage = new LocalDocumentStorage({ directory });
+  });
+
+  afterEach(() => fs.rm(directory, { recursive: true, force: true }));
+
+  test('files round-trip with their content type and can be removed', async () => {
+    assert.deepEqual(await storage.save('driver-documents/251911000010/d1', PDF, 'application/pdf'), {
+      success: true, key: 'driver-documents/251911000010/d1', size: PDF.length
+    });
+
+    const read = await storage.read('driver-documents/251911000010/d1');
+    assert.equal(read.success, true);
+    assert.ok(read.buffer.equals(PDF));
+    assert.equal(read.contentType, 'application/pdf');
+
+    assert.equal((await storage.remove('driver-documents/251911000010/d1')).success, true);
+    assert.equal((await storage.read('driver-documents/251911000010/d1')).error, 'Document file not found');
+  });
+
+  test('keys cannot leave the storage directory', async () => {
+    for (const key of ['../outside', 'driver-documents/../../outside', '/absolute', 'a//b']) {
+      assert.equal((await storage.save(key, PDF, 'application/pdf')).success, false, key);
+    }
+    assert.deepEqual(await fs.readdir(directory), []);
+  });
+});
+
+describe('driver documents', () => {
+  let directory;
+  let verification;
+
+  beforeEach(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'shareway-docs-'));
+    const { firestoreService } = createFirestoreService();
+    verification = new DriverVerificationService(firestoreService, new LocalDocumentStorage({ directory }));
+    verification.notifyDriver = async () => {};
+  });
+
+  afterEach(async () => {
+    verification.stop();
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  const upload = (type, buffer = PDF) => verification.uploadDocument(DRIVER, type, { buffer, contentType: 'application/pdf', expiresAt: NEXT_YEAR });
+
+  test('an upload is stored and admins read back the same file', async () => {
+    const { document } = await upload('license');
+
+    const file = await verification.readDocumentFile(document.id);
+    assert.equal(file.success, true);
+    assert.ok(file.buffer.equals(PDF));
+    assert.equal(file.contentType, 'application/pdf');
+  });
+
+  test('a new upload replaces the one waiting for review and deletes its file', async () => {
+    const first = (await upload('license')).document;
+    const second = (await upload('license', Buffer.from('%PDF-1.4 clearer scan'))).document;
+
+    assert.equal((await verification.readDocumentFile(first.id)).error, 'Document file not found');
+    assert.equal((await verification.readDocumentFile(second.id)).success, true);
+  });
+
+  test('a driver is cleared once every required document is approved', async () => {
+    const license = (await upload('license')).document;
+    const registration = (await upload('registration')).document;
+    assert.equal((await verification.checkDriver(DRIVER)).allowed, false);
+
+    await verification.reviewDocument(license.id, 'approve', '+251911000001');
+    await verification.reviewDocument(registration.id, 'approve', '+251911000001');
+
+    assert.equal((await verification.checkDriver(DRIVER)).allowed, true);
+  });
+
+  test('unsupported files are refused before anything is stored', async () => {
+    const result = await verification.uploadDocument(DRIVER, 'license', { buffer: PDF, contentType: 'text/plain' });
+
+    assert.equal(result.success, false);
+    assert.deepEqual(await fs.readdir(directory), []);
+  });
+});
+
+describe('createDocumentStorage', () => {
+  const saved = process.env.NODE_ENV;
+  afterEach(() => {
+    if (saved === undefined) delete process.env.NODE_ENV;
+    else process.env.NODE_ENV = saved;
+  });
+
+  test('defaults to local storage outside production', () => {
+    process.env.NODE_ENV = 'development';
+    assert.ok(createDocumentStorage(undefined, { directory: os.tmpdir() }) instanceof LocalDocumentStorage);
+  });
+
+  test('requires gcs in production', () => {
+    process.env.NODE_ENV = 'production';
+    assert.throws(() => createDocumentStorage(undefined), /gcs/);
+    assert.throws(() => createDocumentStorage('local'), /gcs/);
+  });
+});
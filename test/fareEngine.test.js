@@ -0,0 +1,83 @@
+// Fare quotes: tariff selection, time of day, seats, minimum fare and rounding
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { calculateFare, calculateDistanceFare, resolveTariff, getTariffVersion, timeOfDayMultiplier } = require('../src/utils/fareEngine');
+
+const ADDIS = { lat: 9.03, lng: 38.74 };
+const HAWASSA = { lat: 7.05, lng: 38.47 };
+// Local times in Addis Ababa (UTC+3)
+const WEDNESDAY_NOON = '2026-10-21T09:00:00Z';
+const MONDAY_8AM = '2026-10-19T05:00:00Z';
+const SATURDAY_11PM = '2026-10-24T20:00:00Z';
+
+describe('resolveTariff', () => {
+  test('picks the region containing the pickup, else the default', () => {
+    assert.equal(resolveTariff({ location: ADDIS }).region, 'addis_ababa');
+    assert.equal(resolveTariff({ location: HAWASSA }).region, 'default');
+    assert.equal(resolveTariff({}).region, 'default');
+  });
+
+  test('an explicit known region wins over the pickup', () => {
+    assert.equal(resolveTariff({ region: 'default', location: ADDIS }).region, 'default');
+    assert.equal(resolveTariff({ region: 'atlantis', location: ADDIS }).region, 'addis_ababa');
+  });
+
+  test('quotes name the tariff version they were priced with', () => {
+    const fare = calculateFare({ pickupLocation: ADDIS, destinationLocation: { lat: 9.0, lng: 38.76 }, at: WEDNESDAY_NOON });
+
+    assert.equal(fare.tariffVersion, 'addis_ababa@2024-01');
+    assert.equal(getTariffVersion(fare.tariffVersion).perKm, fare.breakdown.perKm);
+  });
+});
+
+describe('timeOfDayMultiplier', () => {
+  const tariff = resolveTariff({ region: 'addis_ababa' });
+
+  test('applies weekday peaks and night windows that wrap past midnight', () => {
+    assert.deepEqual(timeOfDayMultiplier(tariff, WEDNESDAY_NOON), { name: 'standard', multiplier: 1 });
+    assert.deepEqual(timeOfDayMultiplier(tariff, MONDAY_8AM), { name: 'morning_peak', multiplier: 1.25 });
+    assert.deepEqual(timeOfDayMultiplier(tariff, SATURDAY_11PM), { name: 'night', multiplier: 1.15 });
+  });
+});
+
+describe('calculateFare', () => {
+  test('short trips pay the minimum fare, scaled by seats', () => {
+    const trip = { pickupLocation: ADDIS, destinationLocation: { lat: 9.031, lng: 38.74 }, at: WEDNESDAY_NOON };
+
+    const one = calculateFare(trip);
+    assert.equal(one.total, 80);
+    assert.equal(one.breakdown.minimumApplied, true);
+
+    const two = calculateFare({ ...trip, seats: 2 });
+    assert.equal(two.total, 144);
+  });
+
+  test('prices from stored coordinates and ignores client distances', () => {
+    const trip = { pickupLocation: ADDIS, destinationLocation: { lat: 9.0, lng: 38.8 }, at: WEDNESDAY_NOON };
+
+    const quoted = calculateFare(trip);
+    const withClaim = calculateFare({ ...trip, distanceKm: 500, durationMin: 600 });
+    assert.equal(withClaim.total, quoted.total);
+    assert.equal(withClaim.breakdown.metricsSource, 'coordinates');
+
+    const noCoordinates = calculateFare({ distanceKm: 500, durationMin: 600, at: WEDNESDAY_NOON });
+    assert.equal(noCoordinates.breakdown.metricsSource, 'none');
+    assert.equal(noCoordinates.total, 60);
+  });
+
+  test('totals are whole birr, breakdown amounts two decimals', () => {
+    const base = { distanceKm: 10.333, region: 'addis_ababa', at: WEDNESDAY_NOON };
+
+    const fare = calculateDistanceFare(base);
+    assert.equal(fare.breakdown.distanceKm, 10.33);
+    assert.equal(fare.breakdown.durationMin, 25);
+    assert.equal(fare.breakdown.distanceFare, 154.95);
+    assert.equal(fare.breakdown.subtotal, 254.95);
+    assert.equal(fare.total, 255);
+
+    assert.equal(calculateDistanceFare({ ...base, shared: true }).total, 217);
+    assert.equal(calculateDistanceFare({ ...base, seats: 2 }).total, 459);
+    assert.equal(calculateDistanceFare({ ...base, at: MONDAY_8AM }).total, 319);
+  });
+});
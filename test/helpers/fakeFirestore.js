@@ -0,0 +1,249 @@
+// test/helpers/fakeFirestore.js
+// In-memory stand-in for the slice of the Firestore API the services use: documents (get, set with
+// merge/mergeFields, create, update with field paths, delete), FieldValue sentinels, queries
+// (where, orderBy, limit, startAfter, count), batches and transactions. Transactions run one at a
+// time, which is the outcome Firestore's optimistic retries guarantee.
+
+const FieldValue = {
+  increment: (n) => ({ __op: 'increment', n }),
+  arrayUnion: (...values) => ({ __op: 'arrayUnion', values }),
+  arrayRemove: (...values) => ({ __op: 'arrayRemove', values }),
+  delete: () => ({ __op: 'delete' }),
+  serverTimestamp: () => ({ __op: 'serverTimestamp' })
+};
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date) && !value.__op;
+
+const clone = (value) => (value === undefined ? undefined : structuredClone(value));
+
+const applySentinel = (current, value) => {
+  if (!value || !value.__op) return clone(value);
+  switch (value.__op) {
+    case 'increment': return (Number(current) || 0) + value.n;
+    case 'arrayUnion': return [...new Set([...(current || []), ...value.values])];
+    case 'arrayRemove': return (current || []).filter(v => !value.values.includes(v));
+    case 'serverTimestamp': return new Date();
+    default: return undefined;
+  }
+};
+
+const setPath = (target, path, value) => {
+  const keys = path.split('.');
+  let node = target;
+  for (const key of keys.slice(0, -1)) {
+    if (!isPlainObject(node[key])) node[key] = {};
+    node = node[key];
+  }
+  const last = keys[keys.length - 1];
+  if (value && value.__op === 'delete') delete node[last];
+  else node[last] = applySentinel(node[last], value);
+};
+
+const getPath = (data, path) => path.split('.').reduce((node, key) => (node == null ? undefined : node[key]), data);
+
+// set() payload: sentinels resolved, nested objects merged when merging
+const mergeInto = (target, data) => {
+  for (const [key, value] of Object.entries(data)) {
+    if (isPlainObject(value) && isPlainObject(target[key])) mergeInto(target[key], value);
+    else if (value && value.__op === 'delete') delete target[key];
+    else target[key] = isPlainObject(value) ? mergeInto({}, value) : applySentinel(target[key], value);
+  }
+  return target;
+};
+
+const compare = (a, b) => {
+  const x = a instanceof Date ? a.getTime() : a;
+  const y = b instanceof Date ? b.getTime() : b;
+  return x < y ? -1 : x > y ? 1 : 0;
+};
+
+const matches = (value, op, expected) => {
+  switch (op) {
+    case '==': return compare(value, expected) === 0 && value !== undefined;
+    case '!=': return value !== undefined && compare(value, expected) !== 0;
+    case '<': return value !== undefined && compare(value, expected) < 0;
+    case '<=': return value !== undefined && compare(value, expected) <= 0;
+    case '>': return value !== undefined && compare(value, expected) > 0;
+    case '>=': return value !== undefined && compare(value, expected) >= 0;
+    case 'in': return expected.some(e => compare(value, e) === 0);
+    case 'not-in': return value !== undefined && !expected.some(e => compare(value, e) === 0);
+    case 'array-contains': return Array.isArray(value) && value.includes(expected);
+    case 'array-contains-any': return Array.isArray(value) && value.some(v => expected.includes(v));
+    default: throw new Error(`Unsupported operator ${op}`);
+  }
+};
+
+const alreadyExists = (path) => Object.assign(new Error(`6 ALREADY_EXISTS: Document already exists: ${path}`), { code: 6 });
+const notFound = (path) => Object.assign(new Error(`5 NOT_FOUND: No document to update: ${path}`), { code: 5 });
+
+function createFakeFirestore() {
+  const collections = new Map();
+  const store = (name) => {
+    if (!collections.has(name)) collections.set(name, new Map());
+    return collections.get(name);
+  };
+  let autoId = 0;
+
+  const snapshot = (ref, data) => ({
+    id: ref.id,
+    ref,
+    exists: data !== undefined,
+    data: () => clone(data),
+    get: (field) => clone(getPath(data, field))
+  });
+
+  // Raw writes, shared by refs, batches and transactions
+  const write = {
+    set(ref, data, options = {}) {
+      const docs = store(ref.collectionName);
+      const current = docs.get(ref.id);
+      if (options.mergeFields) {
+        const next = clone(current) || {};
+        for (const field of options.mergeFields) setPath(next, field, getPath(data, field));
+        docs.set(ref.id, next);
+      } else {
+        docs.set(ref.id, mergeInto(options.merge ? clone(current) || {} : {}, data));
+      }
+    },
+    create(ref, data) {
+      if (store(ref.collectionName).has(ref.id)) throw alreadyExists(ref.path);
+      write.set(ref, data);
+    },
+    update(ref, data) {
+      const docs = store(ref.collectionName);
+      if (!docs.has(ref.id)) throw notFound(ref.path);
+      const next = clone(docs.get(ref.id));
+      for (const [path, value] of Object.entries(data)) setPath(next, path, value);
+      docs.set(ref.id, next);
+    },
+    delete(ref) {
+      store(ref.collectionName).delete(ref.id);
+    }
+  };
+
+  const docRef = (collectionName, id) => {
+    const ref = {
+      id,
+      collectionName,
+      path: `${collectionName}/${id}`,
+      get: async () => snapshot(ref, clone(store(collectionName).get(id))),
+      set: async (data, options) => { write.set(ref, data, options); },
+      create: async (data) => { write.create(ref, data); },
+      update: async (data) => { write.update(ref, data); },
+      delete: async () => { write.delete(ref); },
+      collection: (sub) => collection(`${ref.path}/${sub}`)
+    };
+    return ref;
+  };
+
+  const query = (collectionName, state = { filters: [], orders: [], limit: null, after: null }) => {
+    const next = (changes) => query(collectionName, { ...state, ...changes });
+
+    const run = (ignoreLimit = false) => {
+      let rows = [...store(collectionName).entries()]
+        .filter(([, data]) => state.filters.every(([field, op, value]) => matches(getPath(data, field), op, value)));
+
+      if (state.orders.length) {
+        rows.sort(([, a], [, b]) => {
+          for (const [field, direction] of state.orders) {
+            const order = compare(getPath(a, field), getPath(b, field));
+            if (order) return direction === 'desc' ? -order : order;
+          }
+          return 0;
+        });
+      }
+
+      if (state.after) {
+        const index = rows.findIndex(([id]) => id === state.after.id);
+        rows = index === -1 ? rows : rows.slice(index + 1);
+      }
+      if (state.limit !== null && !ignoreLimit) rows = rows.slice(0, state.limit);
+
+      return rows.map(([id, data]) => snapshot(docRef(collectionName, id), clone(data)));
+    };
+
+    return {
+      where: (field, op, value) => next({ filters: [...state.filters, [field, op, value]] }),
+      orderBy: (field, direction = 'asc') => next({ orders: [...state.orders, [field, direction]] }),
+      limit: (limit) => next({ limit }),
+      startAfter: (doc) => next({ after: doc }),
+      count: () => ({ get: async () => ({ data: () => ({ count: run(true).length }) }) }),
+      get: async () => {
+        const docs = run();
+        return { docs, size: docs.length, empty: docs.length === 0, forEach: (fn) => docs.forEach(fn) };
+      },
+      _run: run
+    };
+  };
+
+  const collection = (name) => ({
+    ...query(name),
+    id: name,
+    doc: (id) => docRef(name, id || `auto_${++autoId}`),
+    add: async (data) => {
+      const ref = docRef(name, `auto_${++autoId}`);
+      write.set(ref, data);
+      return ref;
+    }
+  });
+
+  const batch = () => {
+    const ops = [];
+    return {
+      set(ref, data, options) { ops.push(() => write.set(ref, data, options)); return this; },
+      create(ref, data) { ops.push(() => write.create(ref, data)); return this; },
+      update(ref, data) { ops.push(() => write.update(ref, data)); return this; },
+      delete(ref) { ops.push(() => write.delete(ref)); return this; },
+      commit: async () => {
+        const saved = new Map([...collections].map(([name, docs]) => [name, new Map(docs)]));
+        try {
+          ops.forEach(op => op());
+        } catch (error) {
+          collections.clear();
+          saved.forEach((docs, name) => collections.set(name, docs));
+          throw error;
+        }
+      }
+    };
+  };
+
+  let queue = Promise.resolve();
+  const runTransaction = (fn) => {
+    const run = queue.then(async () => {
+      const tx = batch();
+      const transaction = {
+        get: async (target) => (typeof target._run === 'function' ? target.get() : target.get()),
+        set: (ref, data, options) => { tx.set(ref, data, options); return transaction; },
+        create: (ref, data) => { tx.create(ref, data); return transaction; },
+        update: (ref, data) => { tx.update(ref, data); return transaction; },
+        delete: (ref) => { tx.delete(ref); return transaction; }
+      };
+      const result = await fn(transaction);
+      await tx.commit();
+      return result;
+    });
+    queue = run.catch(() => {});
+    return run;
+  };
+
+  const db = {
+    collection,
+    doc: (path) => {
+      const parts = path.split('/');
+      return docRef(parts.slice(0, -1).join('/'), parts[parts.length - 1]);
+    },
+    batch,
+    runTransaction,
+    // Test access to raw contents
+    dump: (name) => Object.fromEntries([...store(name)].map(([id, data]) => [id, clone(data)]))
+  };
+
+  const admin = {
+    firestore: Object.assign(() => db, { FieldValue })
+  };
+
+  return { db, admin, FieldValue };
+}
+
+module.exports = { createFakeFirestore, FieldValue };
@@ -0,0 +1,46 @@
+// test/helpers/services.js
+// Shared wiring for service tests: a FirestoreService over the in-memory database (without its
+// background batch processor) and quieter console output.
+
+const FirestoreService = require('../../src/services/firestoreService');
+const ScheduledService = require('../../src/services/ScheduledService');
+const logger = require('../../src/utils/Logger');
+const cache = require('../../src/utils/cache');
+const { createFakeFirestore } = require('./fakeFirestore');
+
+const createFirestoreService = () => {
+  const { db, admin } = createFakeFirestore();
+  const firestoreService = Object.create(FirestoreService.prototype);
+  Object.assign(firestoreService, {
+    db,
+    admin,
+    cache: new Map(),
+    CACHE_TTL: 60000,
+    writeQueue: [],
+    stats: { reads: 0, writes: 0, cacheHits: 0, immediateWrites: 0, batchWrites: 0, cacheStats: { size: 0 } }
+  });
+  cache.clear();
+  return { db, admin, firestoreService };
+};
+
+// ScheduledService without a WebSocket server; notifications are collected instead of sent.
+// Call stop() when done - the constructor starts the cleanup timer.
+const createScheduledService = ({ firestoreService, admin }) => {
+  const service = new ScheduledService(firestoreService, null, admin, null);
+  service.sent = [];
+  service.sendNotification = async (userId, notification) => {
+    service.sent.push({ userId, ...notification });
+    return { success: true };
+  };
+  return service;
+};
+
+// Services log every step; keep test output to the runner's report
+const quiet = () => {
+  console.log = () => {};
+  console.warn = () => {};
+  logger.currentLevel = logger.levels.ERROR;
+  logger.enableModule('ERRORS', false);
+};
+
+module.exports = { createFirestoreService, createScheduledService, quiet };
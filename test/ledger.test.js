@@ -0,0 +1,175 @@
+// Double-entry ledger: fares, duplicate events, payouts under concurrency, provider selection
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createFirestoreService, createScheduledService, quiet } = require('./helpers/services');
+const LedgerService = require('../src/services/LedgerService');
+const { FakePaymentProvider, HttpPaymentProvider, createPaymentProvider } = require('../src/services/PaymentProvider');
+
+quiet();
+
+const DRIVER = '+251911000010';
+const PASSENGER = '+251911000021';
+
+describe('ledger', () => {
+  let db;
+  let payments;
+  let ledger;
+
+  beforeEach(() => {
+    const wiring = createFirestoreService();
+    db = wiring.db;
+    payments = new FakePaymentProvider();
+    ledger = new LedgerService(wiring.firestoreService, wiring.admin, payments);
+  });
+
+  const balance = async (phone, role) => (await ledger.getBalance(phone, role)).balance;
+
+  test('a card fare is charged and the driver earns it minus commission', async () => {
+    const result = await ledger.recordRideFare({ rideId: 'm1', driverPhone: DRIVER, passengerPhone: PASSENGER, amount: 100, paymentMethod: 'card' });
+
+    assert.equal(result.success, true);
+    assert.equal(result.settlement.status, 'settled');
+    assert.equal(await balance(DRIVER, 'driver'), 90);
+    assert.equal(await balance(PASSENGER, 'passenger'), 0);
+    assert.equal(payments.operations[0].reference, 'ride_m1');
+  });
+
+  test('a cash fare leaves the driver owing the commission', async () => {
+    await ledger.recordRideFare({ rideId: 'm1', driverPhone: DRIVER, passengerPhone: PASSENGER, amount: 100 });
+
+    assert.equal(await balance(DRIVER, 'driver'), -10);
+    assert.equal(await balance(PASSENGER, 'passenger'), 0);
+    assert.equal(payments.operations.length, 0);
+  });
+
+  test('the same ride posted concurrently is recorded once', async () => {
+    const fare = { rideId: 'm1', driverPhone: DRIVER, passengerPhone: PASSENGER, amount: 100, paymentMethod: 'card' };
+    const results = await Promise.all([ledger.recordRideFare(fare), ledger.recordRideFare(fare)]);
+
+    assert.equal(results.filter(r => r.duplicate).length, 1);
+    assert.equal(await balance(DRIVER, 'driver'), 90);
+    assert.equal(Object.keys(db.dump('ledger_transactions')).length, 2); // fare + payment
+  });
+
+  test('unbalanced transactions are refused', async () => {
+    const result = await ledger.postTransaction({
+      transactionId: 'bad',
+      type: 'adjustment',
+      lines: [{ accountId: 'platform:revenue', credit: 5 }, { accountId: 'platform:adjustments', debit: 4 }]
+    });
+
+    assert.equal(result.success, false);
+    assert.deepEqual(db.dump('ledger_transactions'), {});
+  });
+
+  test('concurrent payouts cannot overdraw the balance', async () => {
+    await ledger.recordRideFare({ rideId: 'm1', driverPhone: DRIVER, passengerPhone: PASSENGER, amount: 100, paymentMethod: 'card' });
+
+    const results = await Promise.all([
+      ledger.payoutDriver(DRIVER, { amount: 60 }),
+      ledger.payoutDriver(DRIVER, { amount: 60 })
+    ]);
+
+    assert.deepEqual(results.map(r => r.success).sort(), [false, true]);
+    assert.equal(await balance(DRIVER, 'driver'), 30);
+    assert.equal(payments.operations.filter(op => op.type === 'payout').length, 1);
+  });
+
+  test('a declined payout is reversed and the provider answer kept', async () => {
+    await ledger.recordRideFare({ rideId: 'm1', driverPhone: DRIVER, passengerPhone: PASSENGER, amount: 100, paymentMethod: 'card' });
+    payments.failNext('Wallet closed');
+
+    const result = await ledger.payoutDriver(DRIVER);
+
+    assert.equal(result.success, false);
+    assert.equal(result.error, 'Wallet closed');
+    assert.equal(await balance(DRIVER, 'driver'), 90);
+
+    const payout = await ledger.getTransaction(result.transactionId);
+    assert.equal(payout.metadata.providerStatus, 'declined');
+    assert.equal(payout.metadata.providerError, 'Wallet closed');
+    assert.equal((await ledger.getTransaction(`${result.transactionId}_reversal`)).type, 'payout_reversal');
+  });
+
+  test('a paid payout records the provider transaction', async () => {
+    await ledger.recordRideFare({ rideId: 'm1', driverPhone: DRIVER, passengerPhone: PASSENGER, amount: 100, paymentMethod: 'card' });
+
+    const result = await ledger.payoutDriver(DRIVER);
+
+    assert.equal(result.success, true);
+    assert.equal(await balance(DRIVER, 'driver'), 0);
+    const stored = await ledger.getTransaction(result.transaction.transactionId);
+    assert.equal(stored.metadata.providerStatus, 'paid');
+    assert.match(stored.metadata.providerTransactionId, /^fake_payout_/);
+  });
+});
+
+describe('scheduled completion feeds the ledger', () => {
+  let service;
+
+  afterEach(() => service.stop());
+
+  test('each completed booking posts its fare', async () => {
+    const wiring = createFirestoreService();
+    const ledger = new LedgerService(wiring.firestoreService, wiring.admin, new FakePaymentProvider());
+    service = createScheduledService(wiring);
+    service.ledgerService = ledger;
+
+    await wiring.db.collection(service.DRIVER_SEARCHES).doc(service.sanitizePhoneNumber(DRIVER)).set({
+      driverPhone: DRIVER,
+      scheduledTime: '2026-10-20T07:30:00.000Z',
+      acceptedPassengers: [{ matchId: 'm1', passengerPhone: PASSENGER, fareShare: 80, paymentMethod: 'card', status: 'confirmed' }]
+    });
+    await wiring.db.collection(service.MATCHES).doc('m1').set({ status: 'confirmed' });
+
+    assert.equal((await service.handleCompleteScheduledRide(DRIVER)).success, true);
+    assert.equal((await ledger.getTransaction('ride_m1')).amount, 80);
+    assert.equal((await ledger.getBalance(DRIVER, 'driver')).balance, 72);
+  });
+
+  test('the driver cannot set the amount or method charged', async () => {
+    const wiring = createFirestoreService();
+    const payments = new FakePaymentProvider();
+    const ledger = new LedgerService(wiring.firestoreService, wiring.admin, payments);
+    service = createScheduledService(wiring);
+    service.ledgerService = ledger;
+
+    await wiring.db.collection(service.DRIVER_SEARCHES).doc(service.sanitizePhoneNumber(DRIVER)).set({
+      driverPhone: DRIVER,
+      scheduledTime: '2026-10-20T07:30:00.000Z',
+      acceptedPassengers: [{ matchId: 'm1', passengerPhone: PASSENGER, fareShare: 80, paymentMethod: 'cash', status: 'confirmed' }]
+    });
+    await wiring.db.collection(service.MATCHES).doc('m1').set({ status: 'confirmed' });
+
+    await service.handleCompleteScheduledRide(DRIVER, { matchId: 'm1', paymentAmount: 5000, paymentMethod: 'card' });
+
+    const fare = await ledger.getTransaction('ride_m1');
+    assert.equal(fare.amount, 80);
+    assert.equal(payments.operations.length, 0);
+  });
+});
+
+describe('createPaymentProvider', () => {
+  const saved = { ...process.env };
+  afterEach(() => {
+    process.env.NODE_ENV = saved.NODE_ENV;
+    process.env.PAYMENT_PROVIDER = saved.PAYMENT_PROVIDER;
+    if (saved.NODE_ENV === undefined) delete process.env.NODE_ENV;
+    if (saved.PAYMENT_PROVIDER === undefined) delete process.env.PAYMENT_PROVIDER;
+  });
+
+  test('falls back to the fake provider outside production', () => {
+    delete process.env.PAYMENT_PROVIDER;
+    process.env.NODE_ENV = 'development';
+    assert.ok(createPaymentProvider() instanceof FakePaymentProvider);
+  });
+
+  test('refuses the fake provider in production', () => {
+    process.env.NODE_ENV = 'production';
+    delete process.env.PAYMENT_PROVIDER;
+    assert.throws(() => createPaymentProvider(), /PAYMENT_PROVIDER/);
+    assert.throws(() => createPaymentProvider('fake'), /PAYMENT_PROVIDER/);
+    assert.ok(createPaymentProvider('http', { url: 'https://pay.example.test' }) instanceof HttpPaymentProvider);
+  });
+});
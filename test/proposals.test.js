@@ -0,0 +1,113 @@
+// Proposal expiry: never overwrites an answer, every open proposal is tracked after a restart,
+// and a block withdraws the open proposals between the two users
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createFirestoreService, createScheduledService, quiet } = require('./helpers/services');
+
+quiet();
+
+const DRIVER = '+251911000010';
+const PASSENGER = '+251911000021';
+
+describe('proposal expiry', () => {
+  let db;
+  let service;
+
+  beforeEach(async () => {
+    const wiring = createFirestoreService();
+    db = wiring.db;
+    service = createScheduledService(wiring);
+
+    await db.collection(service.MATCHES).doc('m1').set({
+      driverPhone: DRIVER, passengerPhone: PASSENGER, status: 'awaiting_driver_approval', scheduledTime: '2026-10-20T07:30:00.000Z'
+    });
+    await db.collection(service.DRIVER_SEARCHES).doc(DRIVER).set({
+      driverPhone: DRIVER, status: 'actively_matching', pendingMatchWith: PASSENGER, pendingMatches: { m1: { matchId: 'm1', passengerPhone: PASSENGER } }
+    });
+    await db.collection(service.PASSENGER_SEARCHES).doc(PASSENGER).set({
+      passengerPhone: PASSENGER, status: 'pending_driver_approval', matchId: 'm1'
+    });
+  });
+
+  afterEach(() => service.stop());
+
+  test('an unanswered proposal expires and the passenger matches again', async () => {
+    const result = await service.expireProposal('m1');
+
+    assert.equal(result.success, true);
+    assert.equal(db.dump(service.MATCHES).m1.status, 'expired');
+    assert.equal(db.dump(service.PASSENGER_SEARCHES)[PASSENGER].status, 'actively_matching');
+    assert.equal(db.dump(service.DRIVER_SEARCHES)[DRIVER].pendingMatchWith, null);
+  });
+
+  test('a confirm committed first is left alone', async () => {
+    // The confirm commits while the expiry is queued behind it
+    const confirm = db.runTransaction(async (tx) => {
+      tx.update(db.collection(service.MATCHES).doc('m1'), { status: 'confirmed' });
+      tx.update(db.collection(service.PASSENGER_SEARCHES).doc(PASSENGER), { status: 'matched_confirmed' });
+    });
+    const expiry = service.expireProposal('m1');
+    await confirm;
+
+    const result = await expiry;
+
+    assert.equal(result.success, false);
+    assert.equal(result.error, 'Match is confirmed');
+    assert.equal(db.dump(service.MATCHES).m1.status, 'confirmed');
+    assert.equal(db.dump(service.PASSENGER_SEARCHES)[PASSENGER].status, 'matched_confirmed');
+    assert.equal(service.sent.length, 0);
+  });
+});
+
+describe('loading open proposals', () => {
+  test('every open proposal gets a timer, past the first page', async () => {
+    const wiring = createFirestoreService();
+    const service = createScheduledService(wiring);
+    const expiresAt = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+
+    try {
+      for (let i = 0; i < 520; i++) {
+        await wiring.db.collection(service.MATCHES).doc(`m${i}`).set({
+          driverPhone: DRIVER, passengerPhone: `+2519110${String(i).padStart(5, '0')}`, status: 'awaiting_driver_approval', expiresAt
+        });
+      }
+      await wiring.db.collection(service.MATCHES).doc('done').set({ status: 'confirmed' });
+
+      assert.equal(await service.loadPendingProposals(), 520);
+      assert.equal(service.proposalHolds.size, 520);
+    } finally {
+      service.stop();
+    }
+  });
+});
+
+describe('withdrawing proposals between two users', () => {
+  const OTHER = '+251911000099';
+
+  test('finds their proposals in either direction however many others are open', async () => {
+    const wiring = createFirestoreService();
+    const service = createScheduledService(wiring);
+    const matches = wiring.db.collection(service.MATCHES);
+
+    try {
+      for (let i = 0; i < 600; i++) {
+        await matches.doc(`other${i}`).set({ driverPhone: OTHER, passengerPhone: `+2519110${String(i).padStart(5, '0')}`, status: 'awaiting_driver_approval' });
+      }
+      await matches.doc('ab').set({ driverPhone: DRIVER, passengerPhone: PASSENGER, status: 'awaiting_driver_approval' });
+      await matches.doc('ba').set({ driverPhone: PASSENGER, passengerPhone: DRIVER, status: 'awaiting_driver_approval' });
+      await matches.doc('ac').set({ driverPhone: DRIVER, passengerPhone: OTHER, status: 'awaiting_driver_approval' });
+      await matches.doc('old').set({ driverPhone: DRIVER, passengerPhone: PASSENGER, status: 'confirmed' });
+
+      assert.equal(await service.withdrawProposalsBetween(PASSENGER, DRIVER), 2);
+
+      const stored = wiring.db.dump(service.MATCHES);
+      assert.equal(stored.ab.expiryReason, 'blocked');
+      assert.equal(stored.ba.status, 'expired');
+      assert.equal(stored.ac.status, 'awaiting_driver_approval');
+      assert.equal(stored.old.status, 'confirmed');
+    } finally {
+      service.stop();
+    }
+  });
+});
@@ -0,0 +1,88 @@
+// Rating a completed scheduled ride: one rating per rater, summaries counted once
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createFirestoreService, createScheduledService, quiet } = require('./helpers/services');
+const RideHistoryService = require('../src/services/RideHistoryService');
+const RatingService = require('../src/services/RatingService');
+
+quiet();
+
+const DRIVER = '+251911000010';
+const PASSENGER = '+251911000021';
+
+describe('ratings', () => {
+  let db;
+  let service;
+  let ratings;
+
+  beforeEach(async () => {
+    const wiring = createFirestoreService();
+    db = wiring.db;
+    const history = new RideHistoryService(wiring.firestoreService, wiring.admin);
+    ratings = new RatingService(wiring.firestoreService, wiring.admin, history);
+    service = createScheduledService(wiring);
+    service.rideHistory = history;
+
+    await db.collection(service.DRIVER_SEARCHES).doc(service.sanitizePhoneNumber(DRIVER)).set({
+      driverPhone: DRIVER,
+      driverName: 'Kebede',
+      scheduledTime: '2026-10-20T07:30:00.000Z',
+      acceptedPassengers: [{ matchId: 'm1', passengerPhone: PASSENGER, passengerName: 'Sara', estimatedFare: 90, status: 'confirmed' }]
+    });
+    await db.collection(service.MATCHES).doc('m1').set({ driverPhone: DRIVER, passengerPhone: PASSENGER, status: 'confirmed' });
+  });
+
+  afterEach(() => service.stop());
+
+  test('only completed rides can be rated', async () => {
+    const result = await ratings.submitRating({ rideId: 'm1', raterPhone: PASSENGER, rating: 5 });
+    assert.equal(result.error, 'Ride not found');
+  });
+
+  test('a completed scheduled ride can be rated by both sides', async () => {
+    await service.handleCompleteScheduledRide(DRIVER);
+
+    const byPassenger = await ratings.submitRating({ rideId: 'm1', raterPhone: PASSENGER, rating: 4, tags: ['punctual'] });
+    const byDriver = await ratings.submitRating({ rideId: 'm1', raterPhone: DRIVER, rating: 5 });
+    assert.equal(byPassenger.success, true);
+    assert.equal(byDriver.success, true);
+
+    const driverSummary = (await ratings.getRatingSummary(DRIVER)).summary.driver;
+    assert.equal(driverSummary.count, 1);
+    assert.equal(driverSummary.average, 4);
+    assert.deepEqual(driverSummary.topTags, [{ tag: 'punctual', count: 1 }]);
+    assert.equal((await ratings.getRatingSummary(PASSENGER)).summary.passenger.average, 5);
+    assert.equal(db.dump('ride_history').m1.feedback.passenger.rating, 4);
+  });
+
+  test('a double submit is counted once', async () => {
+    await service.handleCompleteScheduledRide(DRIVER);
+
+    const results = await Promise.all([
+      ratings.submitRating({ rideId: 'm1', raterPhone: PASSENGER, rating: 5 }),
+      ratings.submitRating({ rideId: 'm1', raterPhone: PASSENGER, rating: 1 })
+    ]);
+
+    assert.deepEqual(results.map(r => r.success).sort(), [false, true]);
+    assert.equal(results.find(r => !r.success).error, 'You already rated this ride');
+
+    const summary = db.dump('rating_summaries')[DRIVER].driver;
+    assert.equal(summary.count, 1);
+    assert.equal(Object.keys(db.dump('ratings')).length, 1);
+  });
+
+  test('later tags merge into the stored counts', async () => {
+    await service.handleCompleteScheduledRide(DRIVER);
+    await db.collection('rating_summaries').doc(DRIVER).set({
+      driver: { count: 2, total: 9, tags: { friendly: 2 } }
+    });
+
+    await ratings.submitRating({ rideId: 'm1', raterPhone: PASSENGER, rating: 3 });
+
+    const summary = db.dump('rating_summaries')[DRIVER].driver;
+    assert.equal(summary.count, 3);
+    assert.equal(summary.total, 12);
+    assert.deepEqual(summary.tags, { friendly: 2 });
+  });
+});
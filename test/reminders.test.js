@@ -0,0 +1,42 @@
+// Pending reminders are all loaded on start, however many there are
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createFirestoreService, quiet } = require('./helpers/services');
+const ReminderService = require('../src/services/ReminderService');
+const { REMINDERS } = require('../src/config/constants');
+
+quiet();
+
+describe('loading pending reminders', () => {
+  const savedPageSize = REMINDERS.LOAD_PAGE_SIZE;
+  let db;
+  let reminders;
+
+  beforeEach(async () => {
+    const wiring = createFirestoreService();
+    db = wiring.db;
+    reminders = new ReminderService(wiring.firestoreService, null);
+    REMINDERS.LOAD_PAGE_SIZE = 2;
+
+    for (let i = 1; i <= 5; i++) {
+      await db.collection('scheduled_reminders').doc(`m${i}_passenger_60`).set({ status: 'pending', sendAtMs: Date.now() + i * 60000 });
+    }
+    await db.collection('scheduled_reminders').doc('m0_passenger_60').set({ status: 'sent' });
+  });
+
+  afterEach(() => {
+    REMINDERS.LOAD_PAGE_SIZE = savedPageSize;
+    reminders.stop();
+  });
+
+  test('pages past the first read', async () => {
+    assert.equal(await reminders.loadPending(), 5);
+    assert.deepEqual([...reminders.pending.keys()].sort(), ['m1', 'm2', 'm3', 'm4', 'm5'].map(id => `${id}_passenger_60`));
+  });
+
+  test('an exact multiple of the page size ends cleanly', async () => {
+    await db.collection('scheduled_reminders').doc('m6_passenger_60').set({ status: 'pending', sendAtMs: Date.now() });
+    assert.equal(await reminders.loadPending(), 6);
+  });
+});
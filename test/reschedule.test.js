@@ -0,0 +1,117 @@
+// Driver reschedules of a confirmed trip: concurrent answers, passengers' own times, lapsed requests
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createFirestoreService, createScheduledService, quiet } = require('./helpers/services');
+const RescheduleService = require('../src/services/RescheduleService');
+
+quiet();
+
+const DRIVER = '+251911000010';
+const PASSENGERS = ['+251911000021', '+251911000022'];
+const DEPARTURE = new Date(Date.now() + 6 * 60 * 60 * 1000);
+const NEW_DEPARTURE = new Date(DEPARTURE.getTime() + 10 * 60 * 1000).toISOString();
+
+describe('driver reschedules', () => {
+  let db;
+  let service;
+  let reschedules;
+
+  beforeEach(async () => {
+    const wiring = createFirestoreService();
+    db = wiring.db;
+    service = createScheduledService(wiring);
+    reschedules = new RescheduleService(wiring.firestoreService, service);
+
+    const bookings = PASSENGERS.map((phone, i) => ({
+      matchId: `m${i + 1}`, passengerPhone: phone, passengerCount: 1, status: 'confirmed', scheduledTime: DEPARTURE.toISOString()
+    }));
+    await db.collection(service.DRIVER_SEARCHES).doc(DRIVER).set({
+      driverPhone: DRIVER, status: 'fully_booked', availableSeats: 0, scheduledTime: DEPARTURE.toISOString(), acceptedPassengers: bookings
+    });
+    for (const booking of bookings) {
+      await db.collection(service.MATCHES).doc(booking.matchId).set({ driverPhone: DRIVER, passengerPhone: booking.passengerPhone, status: 'confirmed' });
+      await db.collection(service.PASSENGER_SEARCHES).doc(booking.passengerPhone).set({
+        passengerPhone: booking.passengerPhone, status: 'matched_confirmed', matchId: booking.matchId, matchedWith: DRIVER,
+        scheduledTime: DEPARTURE.toISOString(), rideDetails: { scheduledTime: DEPARTURE.toISOString(), seats: 1 }
+      });
+    }
+  });
+
+  afterEach(() => {
+    reschedules.stop();
+    service.stop();
+  });
+
+  const request = async () => (await reschedules.requestReschedule(DRIVER, 'driver', { scheduledTime: NEW_DEPARTURE })).request;
+
+  test('concurrent answers are all kept and the trip moves once', async () => {
+    const { id } = await request();
+
+    const results = await Promise.all(PASSENGERS.map(phone => reschedules.respondToReschedule(phone, id, 'accept')));
+
+    assert.deepEqual(results.map(r => r.status).sort(), ['applied', 'pending']);
+    const stored = db.dump('scheduled_reschedules')[id];
+    assert.equal(stored.status, 'applied');
+    assert.deepEqual(Object.values(stored.responses).map(r => r.status), ['accepted', 'accepted']);
+    assert.equal(service.sent.filter(n => n.type === 'RESCHEDULE_COMPLETED').length, 1);
+  });
+
+  test("accepting passengers' own searches take the new departure", async () => {
+    const { id } = await request();
+
+    for (const phone of PASSENGERS) await reschedules.respondToReschedule(phone, id, 'accept');
+
+    for (const phone of PASSENGERS) {
+      const search = db.dump(service.PASSENGER_SEARCHES)[phone];
+      assert.equal(search.scheduledTime, NEW_DEPARTURE);
+      assert.equal(search.rideDetails.scheduledTime, NEW_DEPARTURE);
+      assert.equal(search.rideDetails.seats, 1);
+    }
+    assert.equal(db.dump(service.DRIVER_SEARCHES)[DRIVER].scheduledTime, NEW_DEPARTURE);
+  });
+
+  test('a lapsed request is closed by the sweep and the requester told', async () => {
+    const { id } = await request();
+    await db.collection('scheduled_reschedules').doc(id).update({ expiresAt: new Date(Date.now() - 1000).toISOString() });
+
+    assert.equal(await reschedules.expireLapsed(), 1);
+
+    assert.equal(db.dump('scheduled_reschedules')[id].status, 'expired');
+    assert.equal(db.dump(service.DRIVER_SEARCHES)[DRIVER].pendingReschedule, null);
+    const notice = service.sent.find(n => n.type === 'RESCHEDULE_EXPIRED');
+    assert.equal(notice.userId, DRIVER);
+    assert.equal(db.dump(service.PASSENGER_SEARCHES)[PASSENGERS[0]].scheduledTime, DEPARTURE.toISOString());
+  });
+
+  test('a request being applied cannot be withdrawn or expired', async () => {
+    const { id } = await request();
+    await db.collection('scheduled_reschedules').doc(id).update({ status: 'applying', expiresAt: new Date(Date.now() - 1000).toISOString() });
+
+    const withdrawn = await reschedules.withdrawReschedule(DRIVER, id);
+    assert.equal(withdrawn.success, false);
+    assert.equal(await reschedules.expireLapsed(), 0);
+    assert.equal(db.dump('scheduled_reschedules')[id].status, 'applying');
+  });
+
+  test('a withdrawal racing the last answer either wins or is refused', async () => {
+    const { id } = await request();
+    await reschedules.respondToReschedule(PASSENGERS[0], id, 'accept');
+
+    const [answered, withdrawn] = await Promise.all([
+      reschedules.respondToReschedule(PASSENGERS[1], id, 'accept'),
+      reschedules.withdrawReschedule(DRIVER, id)
+    ]);
+
+    assert.notEqual(answered.success, withdrawn.success);
+    const stored = db.dump('scheduled_reschedules')[id];
+    const departure = db.dump(service.DRIVER_SEARCHES)[DRIVER].scheduledTime;
+    if (withdrawn.success) {
+      assert.equal(stored.status, 'withdrawn');
+      assert.equal(departure, DEPARTURE.toISOString());
+    } else {
+      assert.equal(stored.status, 'applied');
+      assert.equal(departure, NEW_DEPARTURE);
+    }
+  });
+});
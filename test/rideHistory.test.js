@@ -0,0 +1,120 @@
+// Ride history written from the live scheduled trip lifecycle: completion and cancellations
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createFirestoreService, createScheduledService, quiet } = require('./helpers/services');
+const RideHistoryService = require('../src/services/RideHistoryService');
+
+quiet();
+
+const DRIVER = '+251911000010';
+const PASSENGER_A = '+251911000021';
+const PASSENGER_B = '+251911000022';
+const SCHEDULED_TIME = '2026-10-20T07:30:00.000Z';
+
+const booking = (matchId, passengerPhone, fareShare) => ({
+  matchId,
+  passengerPhone,
+  passengerName: `Rider ${matchId}`,
+  passengerCount: 1,
+  pickupName: 'Bole',
+  destinationName: 'Piassa',
+  pickupLocation: { lat: 8.99, lng: 38.79 },
+  destinationLocation: { lat: 9.03, lng: 38.75 },
+  distanceKm: 7.4,
+  durationMin: 18,
+  scheduledTime: SCHEDULED_TIME,
+  paymentMethod: 'cash',
+  estimatedFare: 120,
+  fareShare,
+  status: 'confirmed',
+  confirmedAt: '2026-10-19T10:00:00.000Z'
+});
+
+// A confirmed two-passenger trip as the accept path leaves it
+const seedTrip = async (db, service) => {
+  const bookings = [booking('m1', PASSENGER_A, 80), booking('m2', PASSENGER_B, 70)];
+
+  await db.collection(service.DRIVER_SEARCHES).doc(service.sanitizePhoneNumber(DRIVER)).set({
+    driverPhone: DRIVER,
+    driverName: 'Kebede',
+    scheduledTime: SCHEDULED_TIME,
+    availableSeats: 1,
+    status: 'fully_booked',
+    acceptedPassengers: bookings,
+    acceptedPassengersSummary: bookings.map(b => ({ matchId: b.matchId, phone: b.passengerPhone, status: 'confirmed' }))
+  });
+
+  for (const b of bookings) {
+    await db.collection(service.MATCHES).doc(b.matchId).set({
+      matchId: b.matchId, driverPhone: DRIVER, passengerPhone: b.passengerPhone, status: 'confirmed'
+    });
+    await db.collection(service.PASSENGER_SEARCHES).doc(service.sanitizePhoneNumber(b.passengerPhone)).set({
+      passengerPhone: b.passengerPhone, matchId: b.matchId, status: 'matched_confirmed', scheduledTime: SCHEDULED_TIME
+    });
+  }
+};
+
+describe('scheduled ride history', () => {
+  let db;
+  let service;
+  let history;
+
+  beforeEach(async () => {
+    const wiring = createFirestoreService();
+    db = wiring.db;
+    service = createScheduledService(wiring);
+    history = new RideHistoryService(wiring.firestoreService, wiring.admin);
+    service.rideHistory = history;
+    await seedTrip(db, service);
+  });
+
+  afterEach(() => service.stop());
+
+  test('completing the trip records every booking with its fare share', async () => {
+    const result = await service.handleCompleteScheduledRide(DRIVER);
+
+    assert.equal(result.success, true);
+    assert.equal(result.tripCompleted, true);
+
+    const rides = db.dump('ride_history');
+    assert.equal(rides.m1.status, 'completed');
+    assert.equal(rides.m1.fare, 80);
+    assert.equal(rides.m1.distanceKm, 7.4);
+    assert.equal(rides.m1.durationMin, 18);
+    assert.equal(rides.m1.source, 'scheduled');
+    assert.equal(rides.m2.fare, 70);
+    assert.deepEqual(rides.m2.coRiderPhones, [PASSENGER_A]);
+
+    assert.equal(db.dump(service.MATCHES).m1.status, 'completed');
+    assert.equal(db.dump(service.DRIVER_SEARCHES)[service.sanitizePhoneNumber(DRIVER)].status, 'completed');
+    assert.equal(service.sent.filter(n => n.type === 'SCHEDULED_RIDE_COMPLETED').length, 2);
+  });
+
+  test('one booking can be completed on its own', async () => {
+    const result = await service.handleCompleteScheduledRide(DRIVER, { matchId: 'm1' });
+
+    assert.equal(result.success, true);
+    assert.equal(result.tripCompleted, false);
+    assert.equal(db.dump('ride_history').m1.fare, 80);
+    assert.equal(db.dump('ride_history').m2, undefined);
+
+    const again = await service.handleCompleteScheduledRide(DRIVER, { matchId: 'm1' });
+    assert.equal(again.success, false);
+  });
+
+  test('driver and passenger cancellations are recorded with who cancelled', async () => {
+    assert.equal((await service.handleDriverCancelPassenger(DRIVER, PASSENGER_A, 'car_trouble')).success, true);
+    assert.equal((await service.handlePassengerCancelRide(PASSENGER_B, DRIVER, 'plans_changed')).success, true);
+
+    const rides = db.dump('ride_history');
+    assert.equal(rides.m1.status, 'cancelled');
+    assert.equal(rides.m1.cancelledBy, 'driver');
+    assert.equal(rides.m1.cancellationReason, 'car_trouble');
+    assert.equal(rides.m1.fare, 0);
+    assert.equal(rides.m2.cancelledBy, 'passenger');
+
+    const driverRides = await history.getDriverRides(DRIVER);
+    assert.equal(driverRides.rides.length, 2);
+  });
+});
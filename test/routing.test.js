@@ -0,0 +1,196 @@
+// Routing providers against a local stub OSRM server, and detours on scheduled proposals
+const { test, describe, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+
+const { createFirestoreService, createScheduledService, quiet } = require('./helpers/services');
+const { OsrmRoutingProvider, HaversineRoutingProvider, RouteClient, getRouter } = require('../src/services/RoutingProvider');
+const { calculateDetourDistance } = require('../src/utils/enhancedMatching');
+
+quiet();
+
+const BOLE = { lat: 8.9806, lng: 38.7578 };
+const PIASSA = { lat: 9.0357, lng: 38.7525 };
+const MEGENAGNA = { lat: 9.0200, lng: 38.8010 };
+
+// Answers /route/v1/{profile}/{lng,lat;...} with 1 km and 2 minutes per leg, or with `failWith`
+const startStubOsrm = async () => {
+  const stub = { requests: [], failWith: null };
+  stub.server = http.createServer((req, res) => {
+    stub.requests.push(req.url);
+    const match = req.url.match(/^\/route\/v1\/([^/]+)\/([^?]+)/);
+    const legs = match ? match[2].split(';').length - 1 : 0;
+
+    if (stub.failWith) {
+      res.writeHead(stub.failWith, { 'Content-Type': 'application/json' });
+      return res.end(JSON.stringify({ code: 'Error' }));
+    }
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(legs > 0
+      ? { code: 'Ok', routes: [{ distance: legs * 1000, duration: legs * 120 }] }
+      : { code: 'NoRoute', routes: [] }));
+  });
+
+  await new Promise(resolve => stub.server.listen(0, '127.0.0.1', resolve));
+  stub.url = `http://127.0.0.1:${stub.server.address().port}`;
+  return stub;
+};
+
+const settings = (overrides = {}) => () => ({
+  USE_OSRM_API: true,
+  FALLBACK_TO_HAVERSINE: true,
+  CACHE_DURATION: 60000,
+  MAX_WAYPOINTS: 10,
+  ...overrides
+});
+
+describe('routing providers', () => {
+  let stub;
+
+  before(async () => { stub = await startStubOsrm(); });
+  after(() => new Promise(resolve => stub.server.close(resolve)));
+  beforeEach(() => {
+    stub.requests = [];
+    stub.failWith = null;
+  });
+
+  test('OSRM routes are requested as lng,lat pairs and converted to km and minutes', async () => {
+    const osrm = new OsrmRoutingProvider({ url: stub.url, profile: 'driving' });
+    const result = await osrm.route([BOLE, { latitude: PIASSA.lat, longitude: PIASSA.lng }]);
+
+    assert.deepEqual(result, { success: true, distanceKm: 1, durationMin: 2, source: 'osrm' });
+    assert.equal(stub.requests[0], `/route/v1/driving/${BOLE.lng},${BOLE.lat};${PIASSA.lng},${PIASSA.lat}?overview=false`);
+  });
+
+  test('OSRM errors are reported, not thrown', async () => {
+    stub.failWith = 500;
+    const result = await new OsrmRoutingProvider({ url: stub.url }).route([BOLE, PIASSA]);
+
+    assert.equal(result.success, false);
+    assert.match(result.error, /500/);
+  });
+
+  test('the client caches OSRM routes', async () => {
+    const client = new RouteClient({ osrm: new OsrmRoutingProvider({ url: stub.url }), getSettings: settings() });
+
+    await client.route([BOLE, PIASSA]);
+    const second = await client.route([BOLE, PIASSA]);
+
+    assert.equal(second.cached, true);
+    assert.equal(stub.requests.length, 1);
+    assert.deepEqual(client.getStats(), { hits: 1, misses: 1, fallbacks: 0, cacheSize: 1 });
+  });
+
+  test('a failing OSRM server falls back to Haversine and is retried next time', async () => {
+    const client = new RouteClient({ osrm: new OsrmRoutingProvider({ url: stub.url }), getSettings: settings() });
+    stub.failWith = 503;
+
+    const fallback = await client.route([BOLE, PIASSA]);
+    assert.equal(fallback.source, 'haversine');
+
+    stub.failWith = null;
+    assert.equal((await client.route([BOLE, PIASSA])).source, 'osrm');
+    assert.equal(stub.requests.length, 2);
+  });
+
+  test('without fallback the OSRM failure is returned', async () => {
+    const client = new RouteClient({
+      osrm: new OsrmRoutingProvider({ url: stub.url }),
+      getSettings: settings({ FALLBACK_TO_HAVERSINE: false })
+    });
+    stub.failWith = 503;
+
+    assert.equal((await client.route([BOLE, PIASSA])).success, false);
+  });
+
+  test('OSRM gets at most MAX_WAYPOINTS points, endpoints kept', async () => {
+    const client = new RouteClient({ osrm: new OsrmRoutingProvider({ url: stub.url }), getSettings: settings({ MAX_WAYPOINTS: 3 }) });
+    const points = Array.from({ length: 7 }, (_, i) => ({ lat: 9 + i * 0.01, lng: 38.7 }));
+
+    await client.route(points);
+
+    const sent = stub.requests[0].split('/').pop().split('?')[0].split(';');
+    assert.equal(sent.length, 3);
+    assert.equal(sent[0], '38.7,9');
+    assert.equal(sent[2], '38.7,9.06');
+  });
+
+  test('USE_OSRM_API off never calls the server', async () => {
+    const client = new RouteClient({ osrm: new OsrmRoutingProvider({ url: stub.url }), getSettings: settings({ USE_OSRM_API: false }) });
+    const result = await client.route([BOLE, PIASSA]);
+
+    assert.equal(result.source, 'haversine');
+    assert.equal(stub.requests.length, 0);
+  });
+
+  test('Haversine needs two valid points', async () => {
+    assert.equal((await new HaversineRoutingProvider().route([BOLE])).success, false);
+    assert.equal((await new HaversineRoutingProvider().route([BOLE, { lat: 'x' }])).success, false);
+  });
+});
+
+describe('detours', () => {
+  let stub;
+  let router;
+  let saved;
+
+  before(async () => { stub = await startStubOsrm(); });
+  after(() => new Promise(resolve => stub.server.close(resolve)));
+
+  beforeEach(() => {
+    router = getRouter();
+    saved = { osrm: router.osrm, getSettings: router.getSettings };
+    router.osrm = new OsrmRoutingProvider({ url: stub.url });
+    router.clearCache();
+  });
+
+  afterEach(() => {
+    Object.assign(router, saved);
+    router.clearCache();
+  });
+
+  test('detours are road distance through the shared router', async () => {
+    router.getSettings = settings();
+
+    // Stub: 1 km per leg, so picking up and dropping off adds two legs
+    assert.equal(await calculateDetourDistance([BOLE, PIASSA], MEGENAGNA, MEGENAGNA), 2);
+  });
+
+  test('the passenger is always picked up before being dropped off', async () => {
+    router.getSettings = settings({ USE_OSRM_API: false });
+    const route = [BOLE, MEGENAGNA, PIASSA];
+    const pickup = { lat: 9.03, lng: 38.76 }; // near the last segment
+    const dropoff = { lat: 8.99, lng: 38.77 }; // near the first segment
+
+    const detour = await calculateDetourDistance(route, pickup, dropoff);
+    const direct = (await router.route(route)).distanceKm;
+    const pickupFirst = (await router.route([BOLE, MEGENAGNA, pickup, dropoff, PIASSA])).distanceKm;
+
+    assert.equal(Math.round(detour * 1000), Math.round((pickupFirst - direct) * 1000));
+  });
+
+  test('scheduled proposals carry the driver detour', async () => {
+    router.getSettings = settings();
+    const wiring = createFirestoreService();
+    const service = createScheduledService(wiring);
+
+    try {
+      await service.processMatch({
+        driverId: 'd1',
+        passengerId: 'p1',
+        driverPhone: '+251911000010',
+        passengerPhone: '+251911000021',
+        passengerCount: 1,
+        availableSeats: 3,
+        driverData: { pickupLocation: BOLE, destinationLocation: PIASSA, scheduledTime: '2026-10-20T07:30:00.000Z' },
+        passengerData: { pickupLocation: MEGENAGNA, destinationLocation: PIASSA, scheduledTime: '2026-10-20T07:30:00.000Z' }
+      });
+
+      const [proposal] = Object.values(wiring.db.dump(service.MATCHES));
+      assert.equal(proposal.matchDetails.estimatedDetourKm, 2);
+      assert.equal(service.sent.find(n => n.type === 'NEW_MATCH_PROPOSAL').data.detourKm, '2');
+    } finally {
+      service.stop();
+    }
+  });
+});
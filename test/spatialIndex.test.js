@@ -0,0 +1,89 @@
+// Grid index behind candidate filtering: keeping entries in sync and radius queries near cell
+// edges, the antimeridian and the poles
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { SpatiallyIndexedMap } = require('../src/utils/spatialIndex');
+
+const CENTER = { lat: 9.03, lng: 38.74 };
+// ~111 m per 0.001 degree of latitude
+const north = (meters, from = CENTER) => ({ lat: from.lat + meters / 111195, lng: from.lng });
+
+const indexed = (options) => new SpatiallyIndexedMap(value => value?.pickupLocation, options);
+
+describe('SpatiallyIndexedMap', () => {
+  test('radius queries return entries in range, nearest first', () => {
+    const map = indexed();
+    map.set('far', { pickupLocation: north(4000) });
+    map.set('near', { pickupLocation: north(500) });
+    map.set('out', { pickupLocation: north(7000) });
+    map.set('unlocated', { pickupLocation: {} });
+
+    assert.deepEqual(map.nearbyKeys(CENTER, 5000), ['near', 'far']);
+    assert.deepEqual(map.nearbyKeys(CENTER, 5000, { includeUnlocated: true }), ['near', 'far', 'unlocated']);
+    assert.equal(map.index.getStats().indexed, 3);
+  });
+
+  test('accepts latitude/longitude as well as lat/lng', () => {
+    const map = indexed();
+    map.set('a', { pickupLocation: { latitude: CENTER.lat, longitude: CENTER.lng } });
+
+    assert.deepEqual(map.nearbyKeys({ latitude: CENTER.lat, longitude: CENTER.lng }, 100), ['a']);
+  });
+
+  test('setting an entry again moves it to its new cell', () => {
+    const map = indexed({ cellSizeMeters: 1000 });
+    map.set('a', { pickupLocation: CENTER });
+    map.set('a', { pickupLocation: north(20000) });
+
+    assert.deepEqual(map.nearbyKeys(CENTER, 5000), []);
+    assert.deepEqual(map.nearbyKeys(north(20000), 100), ['a']);
+    assert.equal(map.index.getStats().cells, 1);
+
+    map.set('a', { pickupLocation: null });
+    assert.deepEqual(map.nearbyKeys(north(20000), 100), []);
+    assert.deepEqual(map.index.getStats(), { indexed: 0, unlocated: 1, cells: 0 });
+  });
+
+  test('deleting or clearing drops entries from the index', () => {
+    const map = indexed();
+    map.set('a', { pickupLocation: CENTER });
+    map.set('b', { pickupLocation: north(100) });
+
+    assert.equal(map.delete('a'), true);
+    assert.deepEqual(map.nearbyKeys(CENTER, 1000), ['b']);
+
+    map.clear();
+    assert.deepEqual(map.nearbyKeys(CENTER, 1000), []);
+    assert.deepEqual(map.index.getStats(), { indexed: 0, unlocated: 0, cells: 0 });
+  });
+
+  test('neighbours on either side of a cell boundary find each other', () => {
+    const map = indexed({ cellSizeMeters: 1000 });
+    const edge = map.index.cellDegrees * 1000;
+    map.set('below', { pickupLocation: { lat: edge - 0.0001, lng: edge - 0.0001 } });
+    map.set('above', { pickupLocation: { lat: edge + 0.0001, lng: edge + 0.0001 } });
+
+    assert.notEqual(map.index.points.get('below').cell, map.index.points.get('above').cell);
+    assert.deepEqual(map.nearbyKeys(map.index.points.get('below'), 100), ['below', 'above']);
+    assert.deepEqual(map.nearbyKeys(map.index.points.get('above'), 100), ['above', 'below']);
+  });
+
+  test('queries wrap across the antimeridian', () => {
+    const map = indexed();
+    map.set('east', { pickupLocation: { lat: -17.7, lng: 179.99 } });
+    map.set('west', { pickupLocation: { lat: -17.7, lng: -179.99 } });
+
+    assert.deepEqual(map.nearbyKeys({ lat: -17.7, lng: 179.995 }, 5000), ['east', 'west']);
+    assert.deepEqual(map.nearbyKeys({ lat: -17.7, lng: -179.995 }, 5000), ['west', 'east']);
+  });
+
+  test('queries reaching a pole cover every longitude', () => {
+    const map = indexed();
+    map.set('across', { pickupLocation: { lat: 89.99, lng: -150 } });
+    map.set('south', { pickupLocation: { lat: -89.99, lng: 90 } });
+
+    assert.deepEqual(map.nearbyKeys({ lat: 89.99, lng: 30 }, 5000), ['across']);
+    assert.deepEqual(map.nearbyKeys({ lat: -89.995, lng: -90 }, 5000), ['south']);
+  });
+});
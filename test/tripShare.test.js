@@ -0,0 +1,136 @@
+// Trip links read from the location session a started ride opens, fed by the driver's updates
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+
+const { createFirestoreService, createScheduledService, quiet } = require('./helpers/services');
+const RealtimeLocationService = require('../src/services/realtimeLocationService');
+const TripShareService = require('../src/services/TripShareService');
+const { getRouter } = require('../src/services/RoutingProvider');
+const { signToken } = require('../src/utils/sessionTokens');
+
+quiet();
+
+const DRIVER = '+251911000010';
+const PASSENGER = '+251911000021';
+const CONTACT = '+251911000031';
+
+describe('trip links on a started ride', () => {
+  let db;
+  let service;
+  let locations;
+  let server;
+  let baseUrl;
+  let savedSettings;
+  let contactId;
+  const texts = [];
+
+  beforeEach(async () => {
+    // ETAs by straight-line distance, no routing server
+    savedSettings = getRouter().getSettings;
+    getRouter().getSettings = () => ({ USE_OSRM_API: false, FALLBACK_TO_HAVERSINE: true, CACHE_DURATION: 60000, MAX_WAYPOINTS: 10 });
+
+    const wiring = createFirestoreService();
+    db = wiring.db;
+    service = createScheduledService(wiring);
+    locations = new RealtimeLocationService(wiring.firestoreService, null, null, wiring.admin);
+    service.locationService = locations;
+    texts.length = 0;
+    const shares = new TripShareService(wiring.firestoreService, locations, {
+      send: async (phone, message) => { texts.push({ phone, message }); return { success: true }; }
+    });
+
+    await db.collection(service.DRIVER_SEARCHES).doc(service.sanitizePhoneNumber(DRIVER)).set({
+      driverPhone: DRIVER,
+      driverName: 'Kebede Alemu',
+      vehicle: { make: 'Toyota', model: 'Vitz', color: 'White', plate: 'AA-123' },
+      scheduledTime: '2026-10-20T07:30:00.000Z',
+      acceptedPassengers: [{ matchId: 'm1', passengerPhone: PASSENGER, status: 'confirmed' }]
+    });
+    await db.collection(service.PASSENGER_SEARCHES).doc(service.sanitizePhoneNumber(PASSENGER)).set({
+      passengerPhone: PASSENGER,
+      passengerName: 'Sara',
+      matchId: 'm1',
+      destinationName: 'Piassa',
+      destinationLocation: { lat: 9.0357, lng: 38.7525 }
+    });
+    await db.collection(service.MATCHES).doc('m1').set({ driverPhone: DRIVER, passengerPhone: PASSENGER, status: 'confirmed' });
+    contactId = (await shares.addContact(PASSENGER, { name: 'Mom', phone: CONTACT })).contact.id;
+
+    const app = express();
+    app.use(express.json());
+    app.use('/api/trip-shares', require('../src/routes/tripShareRoutes')(() => shares));
+    app.use('/share', require('../src/routes/sharedTripRoutes')(() => shares));
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterEach(async () => {
+    service.stop();
+    getRouter().getSettings = savedSettings;
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  const createShare = async () => {
+    const { token } = signToken({ sub: PASSENGER, role: 'passenger' });
+    const response = await fetch(`${baseUrl}/api/trip-shares`, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+      body: JSON.stringify({ contactIds: [contactId] })
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  const readLive = async (url) => (await fetch(`${url}/live`)).json();
+
+  test('no link before the driver starts the ride', async () => {
+    const { status, body } = await createShare();
+
+    assert.equal(status, 400);
+    assert.equal(body.success, false);
+  });
+
+  test('a started ride opens a session the link follows', async () => {
+    const started = await service.handleStartScheduledRide(DRIVER);
+    assert.deepEqual(started.started, [{ matchId: 'm1', passengerPhone: PASSENGER, sessionId: 'loc_m1' }]);
+    assert.equal(db.dump(service.DRIVER_SEARCHES)[service.sanitizePhoneNumber(DRIVER)].acceptedPassengers[0].status, 'in_progress');
+
+    const { status, body } = await createShare();
+    assert.equal(status, 200);
+    assert.ok(body.url.startsWith(`${baseUrl}/share/`));
+    assert.equal(texts[0].phone, CONTACT);
+    assert.equal((await readLive(body.url)).status, 'waiting');
+
+    // What the WebSocket UPDATE_LOCATION handler passes for the driver's connection
+    assert.equal(await locations.updateLocation(DRIVER, { latitude: 9.01, longitude: 38.76 }, 'driver'), true);
+
+    const live = await readLive(body.url);
+    assert.equal(live.status, 'live');
+    assert.deepEqual(live.driver.position, { lat: 9.01, lng: 38.76 });
+    assert.equal(live.trip.driverName, 'Kebede');
+    assert.ok(!JSON.stringify(live).includes('2519'));
+  });
+
+  test('completing the ride ends the session behind the link', async () => {
+    await service.handleStartScheduledRide(DRIVER);
+    const { body } = await createShare();
+
+    await service.handleCompleteScheduledRide(DRIVER);
+
+    assert.equal((await readLive(body.url)).status, 'ended');
+  });
+});
+
+describe('public link base', () => {
+  test('production needs PUBLIC_BASE_URL', () => {
+    const saved = process.env.NODE_ENV;
+    process.env.NODE_ENV = 'production';
+    try {
+      assert.throws(() => new TripShareService(createFirestoreService().firestoreService), /PUBLIC_BASE_URL/);
+    } finally {
+      if (saved === undefined) delete process.env.NODE_ENV;
+      else process.env.NODE_ENV = saved;
+    }
+  });
+});
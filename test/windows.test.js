@@ -0,0 +1,66 @@
+// Per-window matching cycles: a trigger during a run is queued, not dropped
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createFirestoreService, createScheduledService, quiet } = require('./helpers/services');
+
+quiet();
+
+describe('window matching cycles', () => {
+  let service;
+  let runs;
+  let release;
+
+  beforeEach(() => {
+    service = createScheduledService(createFirestoreService());
+    runs = 0;
+    // Each run waits until the test lets it finish
+    service.performMatching = () => {
+      runs++;
+      return new Promise(resolve => {
+        release = () => resolve({ drivers: 0, passengers: 0, candidatePairs: 0, matched: 0, capped: 0 });
+      });
+    };
+  });
+
+  afterEach(() => service.stop());
+
+  const tick = () => new Promise(resolve => setImmediate(resolve));
+
+  test('triggers during a run queue exactly one follow-up run', async () => {
+    const first = service.performScheduledMatchingCycle('6h');
+    await tick();
+
+    const during = await service.performScheduledMatchingCycle('6h');
+    await service.performScheduledMatchingCycle('6h');
+    assert.equal(during.queued, true);
+    assert.deepEqual(service.getWindowStats().queued, ['6h']);
+
+    release();
+    await first;
+    await tick();
+    assert.equal(runs, 2);
+
+    release();
+    await tick();
+    await tick();
+    assert.equal(runs, 2);
+    assert.equal(service.windowStats['6h'].runs, 2);
+    assert.equal(service.windowStats['6h'].queuedWhileRunning, 2);
+  });
+
+  test('other windows are not held back', async () => {
+    const first = service.performScheduledMatchingCycle('6h');
+    await tick();
+    const releaseFirst = release;
+
+    const other = service.performScheduledMatchingCycle('12h');
+    await tick();
+    assert.equal(runs, 2);
+
+    release();
+    releaseFirst();
+    await Promise.all([first, other]);
+    assert.deepEqual(service.getWindowStats().queued, []);
+  });
+});
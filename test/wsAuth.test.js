@@ -0,0 +1,92 @@
+// WebSocket handshakes: token sources, ?userId= checks, and upgrades that must not throw
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const WebSocket = require('ws');
+
+const { quiet } = require('./helpers/services');
+const { signToken } = require('../src/utils/sessionTokens');
+const { authenticateUpgrade, upgradeAuthenticated, rejectConnection } = require('../src/utils/wsAuth');
+const { WEBSOCKET } = require('../src/config/constants');
+
+quiet();
+
+const PHONE = '+251911000001';
+const token = () => signToken({ sub: PHONE, role: 'passenger' }).token;
+const upgradeRequest = (path, headers = {}) => ({ url: path, headers });
+
+describe('authenticateUpgrade', () => {
+  test('takes the token from the header or the query', () => {
+    assert.equal(authenticateUpgrade(upgradeRequest('/ws', { authorization: `Bearer ${token()}` })).principal.phone, PHONE);
+    assert.equal(authenticateUpgrade(upgradeRequest(`/ws?token=${token()}`)).principal.phone, PHONE);
+  });
+
+  test('refuses a missing or forged token', () => {
+    assert.equal(authenticateUpgrade(upgradeRequest('/ws')).success, false);
+    assert.equal(authenticateUpgrade(upgradeRequest('/ws?token=a.b')).success, false);
+  });
+
+  test('a ?userId= must be the token owner, in any phone format', () => {
+    assert.equal(authenticateUpgrade(upgradeRequest(`/ws?token=${token()}&userId=%2B251911000001`)).success, true);
+    assert.equal(authenticateUpgrade(upgradeRequest(`/ws?token=${token()}&userId=0911000001`)).success, true);
+    assert.equal(authenticateUpgrade(upgradeRequest(`/ws?token=${token()}&userId=0911000002`)).success, false);
+  });
+
+  test('a malformed ?userId= is refused, not thrown', () => {
+    const result = authenticateUpgrade(upgradeRequest(`/ws?token=${token()}&userId=%25E0`));
+    assert.equal(result.success, false);
+    assert.equal(result.error, 'userId does not match token');
+  });
+});
+
+describe('upgrade listener', () => {
+  let server;
+  let wss;
+  let baseUrl;
+
+  before(async () => {
+    wss = new WebSocket.Server({ noServer: true });
+    wss.on('connection', (ws, req) => {
+      if (!req.authResult.success) return rejectConnection(ws, req.authResult);
+      ws.send(req.authResult.principal.phone);
+    });
+
+    server = http.createServer();
+    server.on('upgrade', (req, socket, head) => upgradeAuthenticated(wss, req, socket, head));
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `ws://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    wss.close();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  // Resolves with the first message, or the close code
+  const connect = (path) => new Promise((resolve, reject) => {
+    const ws = new WebSocket(`${baseUrl}${path}`);
+    ws.on('message', (data) => { resolve({ message: String(data) }); ws.close(); });
+    ws.on('close', (code) => resolve({ code }));
+    ws.on('error', reject);
+  });
+
+  test('an authenticated client is connected as the token owner', async () => {
+    assert.deepEqual(await connect(`/ws?token=${token()}`), { message: PHONE });
+  });
+
+  test('a malformed ?userId= closes the socket and the server keeps serving', async () => {
+    assert.deepEqual(await connect(`/ws?token=${token()}&userId=%25E0`), { code: WEBSOCKET.CLOSE_CODES.FORBIDDEN });
+    assert.deepEqual(await connect(`/ws?token=${token()}`), { message: PHONE });
+  });
+
+  test('an error while upgrading answers 400', () => {
+    const written = [];
+    const socket = { write: (data) => written.push(data), destroy: () => written.push('destroyed') };
+    const broken = { handleUpgrade: () => { throw new Error('bad frame'); } };
+
+    upgradeAuthenticated(broken, upgradeRequest(`/ws?token=${token()}`), socket, Buffer.alloc(0));
+
+    assert.match(written[0], /^HTTP\/1\.1 400 Bad Request/);
+    assert.equal(written[1], 'destroyed');
+  });
+});